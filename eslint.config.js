@@ -19,7 +19,16 @@ export default [
         clearTimeout: 'readonly',
         DOMException: 'readonly',
         Response: 'readonly',
+        Request: 'readonly',
+        ReadableStream: 'readonly',
+        XMLHttpRequest: 'readonly',
+        WebSocket: 'readonly',
+        Worker: 'readonly',
+        WorkerGlobalScope: 'readonly',
+        self: 'readonly',
+        location: 'readonly',
         crypto: 'readonly',
+        localStorage: 'readonly',
         requestAnimationFrame: 'readonly',
         cancelAnimationFrame: 'readonly',
       },
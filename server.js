@@ -0,0 +1,340 @@
+/**
+ * Standalone production server.
+ *
+ * Serves the built app from `dist/` together with the speed-test endpoints
+ * of vite-plugin-test-server.js, so deployments don't need `vite dev`:
+ *
+ *   npm run build && npm start -- --port 8080 --cors-origins https://a.example.com
+ *
+ * Every flag has an environment variable counterpart (see OPTION_SPECS);
+ * flags win over the environment. SIGTERM and SIGINT stop accepting new
+ * connections, let running tests finish for up to `--shutdown-timeout` ms
+ * and then exit.
+ */
+
+import { createServer } from 'node:http';
+import { createReadStream } from 'node:fs';
+import { stat } from 'node:fs/promises';
+import { extname, join, resolve, sep } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import {
+  createTestEndpoints, handleWebSocketPing, parseConditions, resolveConditions,
+} from './vite-plugin-test-server.js';
+
+/** Content types for the files a Vite build emits. */
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.webmanifest': 'application/manifest+json',
+  '.woff2': 'font/woff2',
+  '.txt': 'text/plain; charset=utf-8',
+};
+
+/**
+ * Command-line flags, their environment variables and defaults.
+ * `parse` turns the raw string into the option value.
+ */
+const OPTION_SPECS = {
+  port: { env: 'PORT', default: '8080', parse: (v) => parseInteger(v, 'port') },
+  host: { env: 'HOST', default: '0.0.0.0', parse: (v) => v },
+  'dist-dir': {
+    env: 'DIST_DIR',
+    default: fileURLToPath(new URL('./dist', import.meta.url)),
+    parse: (v) => resolve(v),
+  },
+  'cors-origins': { env: 'CORS_ORIGINS', default: '*', parse: parseOrigins },
+  'max-download-bytes': {
+    env: 'MAX_DOWNLOAD_BYTES',
+    default: '104857600',
+    parse: (v) => parseInteger(v, 'max-download-bytes'),
+  },
+  'max-upload-bytes': {
+    env: 'MAX_UPLOAD_BYTES',
+    default: '104857600',
+    parse: (v) => parseInteger(v, 'max-upload-bytes'),
+  },
+  'rate-limit': {
+    env: 'RATE_LIMIT',
+    default: '240',
+    // Transfer requests per client and minute; 0 turns rate limiting off.
+    parse: (v) => {
+      const maxRequests = parseInteger(v, 'rate-limit');
+      return maxRequests === 0 ? null : { maxRequests, windowMs: 60_000 };
+    },
+  },
+  'max-concurrent-transfers': {
+    env: 'MAX_CONCURRENT_TRANSFERS',
+    default: '64',
+    parse: (v) => parseInteger(v, 'max-concurrent-transfers'),
+  },
+  'trust-proxy': {
+    env: 'TRUST_PROXY',
+    default: 'false',
+    // 'true' trusts the direct peer as the only proxy; otherwise a list of proxy addresses.
+    parse: (v) => {
+      if (v === 'true' || v === '1') return true;
+      if (v === 'false' || v === '0' || v === '') return false;
+      return v.split(',').map((address) => address.trim()).filter(Boolean);
+    },
+  },
+  name: { env: 'SERVER_NAME', default: '', parse: (v) => v || undefined },
+  location: { env: 'SERVER_LOCATION', default: '', parse: (v) => v || undefined },
+  simulate: { env: 'SIMULATE_NETWORK', default: '', parse: (v) => v || undefined },
+  'isp-database': { env: 'ISP_DATABASE', default: '', parse: (v) => (v ? resolve(v) : undefined) },
+  'shutdown-timeout': {
+    env: 'SHUTDOWN_TIMEOUT',
+    default: '10000',
+    parse: (v) => parseInteger(v, 'shutdown-timeout'),
+  },
+};
+
+/**
+ * @typedef {object} ServerOptions
+ * @property {number} port
+ * @property {string} host
+ * @property {string} distDir - Directory with the built app.
+ * @property {string[] | '*'} corsOrigins - Origins allowed to run tests cross-origin.
+ * @property {number} maxDownloadBytes
+ * @property {number} maxUploadBytes
+ * @property {{ maxRequests: number, windowMs: number } | null} rateLimit - Transfer
+ *   requests allowed per client and minute; null when turned off.
+ * @property {number} maxConcurrentTransfers - Downloads and uploads served at once.
+ * @property {boolean | string[]} trustProxy - Identify clients by X-Forwarded-For: `true`
+ *   behind a single proxy, or the addresses of the trusted proxies.
+ * @property {string} [name] - Server name announced by /info.
+ * @property {string} [location] - Server location announced by /info.
+ * @property {string} [simulate] - Network conditions applied to every test request
+ *   (see vite-plugin-test-server.js), e.g. '3g'.
+ * @property {string} [ispDatabase] - CSV file mapping IP blocks to ASN and ISP for /whoami
+ *   (see vite-plugin-test-server.js).
+ * @property {number} shutdownTimeout - Grace period for open connections on shutdown, in ms.
+ */
+
+/**
+ * Parses a non-negative integer option.
+ *
+ * @param {string} value
+ * @param {string} flag - Flag name, for the error message.
+ * @returns {number}
+ * @throws {Error} If the value is not a non-negative integer.
+ */
+function parseInteger(value, flag) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new Error(`--${flag} must be a non-negative integer, got "${value}"`);
+  }
+  return n;
+}
+
+/**
+ * Parses a comma-separated origin list; '*' allows any origin.
+ *
+ * @param {string} value
+ * @returns {string[] | '*'}
+ */
+function parseOrigins(value) {
+  const origins = value.split(',').map((o) => o.trim()).filter(Boolean);
+  return origins.length === 0 || origins.includes('*') ? '*' : origins;
+}
+
+/**
+ * Resolves the server options from command-line flags and environment
+ * variables.
+ *
+ * @param {string[]} [argv] - Arguments after the script name.
+ * @param {Record<string, string | undefined>} [env]
+ * @returns {ServerOptions}
+ * @throws {Error} On unknown flags or invalid values.
+ */
+export function parseServerOptions(argv = process.argv.slice(2), env = process.env) {
+  const { values } = parseArgs({
+    args: argv,
+    options: Object.fromEntries(
+      Object.keys(OPTION_SPECS).map((flag) => [flag, { type: 'string' }]),
+    ),
+  });
+
+  const options = {};
+  for (const [flag, spec] of Object.entries(OPTION_SPECS)) {
+    const raw = values[flag] ?? env[spec.env] ?? spec.default;
+    const key = flag.replace(/-(\w)/g, (_, c) => c.toUpperCase());
+    options[key] = spec.parse(raw);
+  }
+  return options;
+}
+
+/**
+ * Serves a file from the built app. Unknown paths without an extension
+ * get index.html so client-side routes survive a reload.
+ *
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:http').ServerResponse} res
+ * @param {string} distDir
+ */
+async function serveStatic(req, res, distDir) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { Allow: 'GET, HEAD' });
+    res.end();
+    return;
+  }
+
+  const { pathname } = new URL(req.url, 'http://localhost');
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (err) {
+    // Malformed percent-encoding, e.g. a truncated UTF-8 sequence.
+    if (!(err instanceof URIError)) throw err;
+    res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Bad request');
+    return;
+  }
+  let file = resolve(join(distDir, decoded));
+
+  // Refuse anything that resolves outside the build directory.
+  if (file !== distDir && !file.startsWith(distDir + sep)) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+
+  let info = await stat(file).catch(() => null);
+  if (info?.isDirectory()) {
+    file = join(file, 'index.html');
+    info = await stat(file).catch(() => null);
+  }
+  if (!info && !extname(pathname)) {
+    file = join(distDir, 'index.html');
+    info = await stat(file).catch(() => null);
+  }
+  if (!info?.isFile()) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not found');
+    return;
+  }
+
+  // Vite fingerprints everything under assets/, so those never change.
+  const immutable = file.startsWith(join(distDir, 'assets') + sep);
+  res.writeHead(200, {
+    'Content-Type': MIME_TYPES[extname(file)] ?? 'application/octet-stream',
+    'Content-Length': String(info.size),
+    'Cache-Control': immutable ? 'public, max-age=31536000, immutable' : 'no-cache',
+  });
+
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+  createReadStream(file).pipe(res);
+}
+
+/**
+ * Creates the HTTP server (not yet listening).
+ *
+ * @param {ServerOptions} options
+ * @returns {import('node:http').Server & { shutdown: () => Promise<void> }}
+ *   The server, with a `shutdown()` that closes it gracefully.
+ */
+export function createTestServer(options) {
+  const endpoints = createTestEndpoints(options);
+  const globalConditions = parseConditions(options.simulate);
+  const distDir = resolve(options.distDir);
+
+  const server = createServer((req, res) => {
+    endpoints(req, res, () => {
+      serveStatic(req, res, distDir).catch(() => {
+        if (!res.headersSent) res.writeHead(500);
+        res.end();
+      });
+    });
+  });
+
+  /** Upgraded WebSocket sockets; the HTTP server no longer tracks them. */
+  const sockets = new Set();
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    if (url.pathname !== '/ws-ping') {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
+    }
+    let conditions;
+    try {
+      conditions = resolveConditions(req, url, globalConditions);
+    } catch (_err) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    handleWebSocketPing(req, socket, head, { conditions, corsOrigins: options.corsOrigins });
+  });
+
+  let closing = null;
+
+  /**
+   * Stops accepting connections and waits for running requests to end.
+   * Connections still open after `shutdownTimeout` ms are cut.
+   */
+  server.shutdown = () => {
+    closing ??= new Promise((resolveClose) => {
+      const timer = setTimeout(() => {
+        server.closeAllConnections();
+        for (const socket of sockets) socket.destroy();
+      }, options.shutdownTimeout);
+      timer.unref();
+
+      server.close(() => {
+        clearTimeout(timer);
+        resolveClose();
+      });
+      server.closeIdleConnections();
+      // Latency probes are short-lived; end their sockets right away.
+      for (const socket of sockets) socket.end();
+    });
+    return closing;
+  };
+
+  return server;
+}
+
+/**
+ * Starts the server and wires up graceful shutdown on SIGTERM/SIGINT.
+ *
+ * @param {ServerOptions} options
+ * @returns {Promise<import('node:http').Server & { shutdown: () => Promise<void> }>}
+ */
+export function startServer(options) {
+  const server = createTestServer(options);
+
+  const onSignal = (signal) => {
+    console.log(`${signal} received, shutting down…`);
+    server.shutdown().then(() => process.exit(0));
+  };
+  process.once('SIGTERM', onSignal);
+  process.once('SIGINT', onSignal);
+
+  return new Promise((resolveStart, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, options.host, () => {
+      const { port } = server.address();
+      console.log(`Speed test server listening on http://${options.host}:${port}`);
+      resolveStart(server);
+    });
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  try {
+    await startServer(parseServerOptions());
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
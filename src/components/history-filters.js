@@ -2,6 +2,7 @@
  * History Filters Component
  * Provides filtering controls for the history table:
  * - Connection type multiselect
+ * - Internet provider (ISP) selector, listing the ISPs seen in the history
  * - Date range picker (from/to)
  * - Delete all history button
  */
@@ -84,6 +85,8 @@ export function createHistoryFilters(container, options = {}) {
   const { onFilterChange, onClearAll, onExportCSV, onExportJSON } = options;
 
   let selectedConnectionTypes = [];
+  let selectedIsp = null;
+  let ispOptions = [];
   let dateFrom = null;
   let dateTo = null;
 
@@ -97,6 +100,7 @@ export function createHistoryFilters(container, options = {}) {
     if (typeof onFilterChange === 'function') {
       onFilterChange({
         connectionTypes: selectedConnectionTypes,
+        isp: selectedIsp,
         dateFrom,
         dateTo
       });
@@ -122,6 +126,15 @@ export function createHistoryFilters(container, options = {}) {
     emitFilterChange();
   }
 
+  /**
+   * Handle ISP selection change
+   * @param {Event} event - Change event
+   */
+  function handleIspChange(event) {
+    selectedIsp = event.target.value || null;
+    emitFilterChange();
+  }
+
   /**
    * Handle date from change
    * @param {Event} event - Change event
@@ -181,6 +194,38 @@ export function createHistoryFilters(container, options = {}) {
     connectionSection.appendChild(connectionLabel);
     connectionSection.appendChild(connectionGroup);
 
+    // ISP filter section (only when the history knows some ISP)
+    const ispSection = document.createElement('div');
+    ispSection.className = 'history-filters__section';
+    if (ispOptions.length === 0) {
+      ispSection.style.display = 'none';
+    }
+
+    const ispLabel = document.createElement('label');
+    ispLabel.className = 'history-filters__label';
+    ispLabel.textContent = 'Proveedor (ISP)';
+
+    const ispSelect = document.createElement('select');
+    ispSelect.className = 'history-filters__select';
+    ispSelect.setAttribute('aria-label', 'Filtrar por proveedor');
+
+    const allOption = document.createElement('option');
+    allOption.value = '';
+    allOption.textContent = 'Todos';
+    ispSelect.appendChild(allOption);
+
+    ispOptions.forEach(isp => {
+      const option = document.createElement('option');
+      option.value = isp;
+      option.textContent = isp;
+      ispSelect.appendChild(option);
+    });
+    ispSelect.value = selectedIsp ?? '';
+    ispSelect.addEventListener('change', handleIspChange);
+
+    ispLabel.appendChild(ispSelect);
+    ispSection.appendChild(ispLabel);
+
     // Date range filter section
     const dateSection = document.createElement('div');
     dateSection.className = 'history-filters__section';
@@ -277,6 +322,7 @@ export function createHistoryFilters(container, options = {}) {
 
     // Append all sections
     wrapper.appendChild(connectionSection);
+    wrapper.appendChild(ispSection);
     wrapper.appendChild(dateSection);
     wrapper.appendChild(buttonsContainer);
 
@@ -290,6 +336,7 @@ export function createHistoryFilters(container, options = {}) {
   function getFilters() {
     return {
       connectionTypes: [...selectedConnectionTypes],
+      isp: selectedIsp,
       dateFrom,
       dateTo
     };
@@ -303,6 +350,9 @@ export function createHistoryFilters(container, options = {}) {
     if (filters.connectionTypes) {
       selectedConnectionTypes = [...filters.connectionTypes];
     }
+    if (filters.isp !== undefined) {
+      selectedIsp = filters.isp;
+    }
     if (filters.dateFrom !== undefined) {
       dateFrom = filters.dateFrom;
     }
@@ -319,6 +369,7 @@ export function createHistoryFilters(container, options = {}) {
    */
   function clear() {
     selectedConnectionTypes = [];
+    selectedIsp = null;
     dateFrom = null;
     dateTo = null;
 
@@ -326,6 +377,20 @@ export function createHistoryFilters(container, options = {}) {
     render();
   }
 
+  /**
+   * Set the ISPs offered by the ISP filter
+   * @param {Array<string|null|undefined>} isps - ISPs of the results (duplicates and blanks are ignored)
+   */
+  function setIspOptions(isps) {
+    ispOptions = [...new Set(isps.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+    if (selectedIsp && !ispOptions.includes(selectedIsp)) {
+      ispOptions.push(selectedIsp);
+    }
+
+    // Re-render to update UI
+    render();
+  }
+
   /**
    * Handle delete all history action
    * Shows confirmation modal before deleting
@@ -376,7 +441,7 @@ export function createHistoryFilters(container, options = {}) {
    * @returns {boolean} True if any filters are active
    */
   function hasActiveFilters() {
-    return selectedConnectionTypes.length > 0 || dateFrom !== null || dateTo !== null;
+    return selectedConnectionTypes.length > 0 || selectedIsp !== null || dateFrom !== null || dateTo !== null;
   }
 
   // Initial render
@@ -387,6 +452,7 @@ export function createHistoryFilters(container, options = {}) {
     render,
     getFilters,
     setFilters,
+    setIspOptions,
     clear,
     hasActiveFilters
   };
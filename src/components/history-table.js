@@ -1,7 +1,7 @@
 /**
  * History Table Component
  * Displays speed test results in a responsive table format
- * Shows: date, connection type, download speed, upload speed, and ping
+ * Shows: date, connection type, download speed, upload speed, ping and packet loss
  */
 
 import { getAllResults, deleteResult } from '../services/database.js';
@@ -117,6 +117,18 @@ function formatPing(ping) {
   return `${ping.toFixed(0)} ms`;
 }
 
+/**
+ * Format packet loss value with unit
+ * @param {number} lossPct - Percentage of lost ping probes
+ * @returns {string} Formatted loss string
+ */
+function formatLoss(lossPct) {
+  if (lossPct === null || lossPct === undefined) {
+    return '—';
+  }
+  return `${lossPct.toFixed(0)} %`;
+}
+
 /**
  * Create a table row element for a speed test result
  * @param {Object} result - Speed test result
@@ -170,6 +182,12 @@ function createTableRow(result, onDelete) {
   pingCell.setAttribute('data-label', 'Ping');
   pingCell.textContent = formatPing(result.ping_ms);
 
+  // Packet loss column
+  const lossCell = document.createElement('td');
+  lossCell.className = 'history-table__cell history-table__cell--loss';
+  lossCell.setAttribute('data-label', 'Pérdida');
+  lossCell.textContent = formatLoss(result.loss_pct);
+
   // Actions column
   const actionsCell = document.createElement('td');
   actionsCell.className = 'history-table__cell history-table__cell--actions';
@@ -192,6 +210,7 @@ function createTableRow(result, onDelete) {
   row.appendChild(downloadCell);
   row.appendChild(uploadCell);
   row.appendChild(pingCell);
+  row.appendChild(lossCell);
   row.appendChild(actionsCell);
 
   return row;
@@ -211,6 +230,7 @@ function createTableHeader() {
       <th class="history-table__header-cell history-table__header-cell--download">Descarga</th>
       <th class="history-table__header-cell history-table__header-cell--upload">Subida</th>
       <th class="history-table__header-cell history-table__header-cell--ping">Ping</th>
+      <th class="history-table__header-cell history-table__header-cell--loss">Pérdida</th>
       <th class="history-table__header-cell history-table__header-cell--actions">Acciones</th>
     </tr>
   `;
@@ -233,7 +253,7 @@ function createEmptyState() {
 }
 
 /**
- * Filter results by connection types and date range
+ * Filter results by connection types, ISP and date range
  * @param {Array} results - All results
  * @param {Object} filters - Filter configuration
  * @returns {Array} Filtered results
@@ -256,6 +276,11 @@ function applyFilters(results, filters) {
     });
   }
 
+  // Filter by ISP
+  if (filters.isp) {
+    filtered = filtered.filter(result => result.isp === filters.isp);
+  }
+
   // Filter by date range
   if (filters.dateFrom || filters.dateTo) {
     filtered = filtered.filter(result => {
@@ -298,12 +323,14 @@ export function createHistoryTable(container) {
   let filteredResults = [];
   let currentFilters = {
     connectionTypes: [],
+    isp: null,
     dateFrom: null,
     dateTo: null
   };
   let tableElement = null;
   let emptyStateElement = null;
   let changeCallback = null;
+  let loadCallback = null;
 
   /**
    * Handle delete action for a result
@@ -343,6 +370,9 @@ export function createHistoryTable(container) {
 
     // Get results from database
     allResults = await getAllResults();
+    if (loadCallback) {
+      loadCallback(allResults);
+    }
 
     // Apply filters
     filteredResults = applyFilters(allResults, currentFilters);
@@ -430,6 +460,7 @@ export function createHistoryTable(container) {
   async function clearFilters() {
     currentFilters = {
       connectionTypes: [],
+      isp: null,
       dateFrom: null,
       dateTo: null
     };
@@ -448,6 +479,14 @@ export function createHistoryTable(container) {
     changeCallback = callback;
   }
 
+  /**
+   * Register a callback to be called whenever results are loaded from the database
+   * @param {Function} callback - Callback function to be called with all (unfiltered) results
+   */
+  function onLoad(callback) {
+    loadCallback = callback;
+  }
+
   // Initial render
   render();
 
@@ -460,6 +499,7 @@ export function createHistoryTable(container) {
     setFilters,
     getFilters,
     clearFilters,
-    onChange
+    onChange,
+    onLoad
   };
 }
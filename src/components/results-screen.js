@@ -2,15 +2,33 @@
  * ResultsScreen — Final results display for speed test.
  *
  * Renders a card-based layout showing the four key metrics:
- * download (Mbps), upload (Mbps), ping (ms), and jitter (ms).
+ * download (Mbps), upload (Mbps), ping (ms), and jitter (ms), plus
+ * ping packet loss (%) when the result reports it. A collapsible details
+ * view breaks each phase's requests down into DNS, connect, TLS, TTFB and
+ * transfer time.
+ * When the test measured latency under load, extra cards show loaded
+ * latency per direction and the bufferbloat grade. A notice flags results
+ * whose stages had to be retried or skipped.
  */
 
 /**
  * @typedef {object} SpeedTestResult
  * @property {number} ping - Average latency in ms.
  * @property {number} jitter - Jitter (std dev of latency) in ms.
- * @property {number} download - Download speed in Mbps.
- * @property {number} upload - Upload speed in Mbps.
+ * @property {number | null} download - Download speed in Mbps (null if not measured).
+ * @property {number | null} upload - Upload speed in Mbps (null if not measured).
+ * @property {number} [lossPct] - Percentage of ping probes lost.
+ * @property {number} [bytesUsed] - Bytes transferred by the test.
+ * @property {number} [dataBudget] - Byte budget the test was capped to.
+ * @property {number | null} [downloadLatency] - Average latency while downloading (ms).
+ * @property {number | null} [downloadLatencyP90] - p90 latency while downloading (ms).
+ * @property {number | null} [uploadLatency] - Average latency while uploading (ms).
+ * @property {number | null} [uploadLatencyP90] - p90 latency while uploading (ms).
+ * @property {string | null} [bufferbloatGrade] - Bufferbloat grade 'A'–'F'.
+ * @property {Record<string, object | null>} [timing] - Per-phase request timing breakdown.
+ * @property {Record<string, number[]>} [stageAttempts] - Attempts each stage took, by phase.
+ * @property {number} [failedStages] - Stages skipped after all attempts failed.
+ * @property {boolean} [degraded] - Whether any stage was retried or skipped.
  */
 
 /**
@@ -20,6 +38,9 @@
  * @property {string} label - Human-readable label.
  * @property {string} unit - Unit to display.
  * @property {string} icon - CSS class suffix for the icon.
+ * @property {string} [detailKey] - Optional secondary value shown under the unit.
+ * @property {string} [detailLabel] - Label for the secondary value.
+ * @property {number} [scale] - Factor applied to the value and detail before display.
  */
 
 /** Ordered list of metrics to display. */
@@ -30,6 +51,44 @@ export const METRICS = [
   { key: 'jitter',   label: 'Jitter',    unit: 'ms',   icon: 'jitter' },
 ];
 
+/** Ping packet loss, shown only when the result includes it. */
+export const LOSS_METRIC = { key: 'lossPct', label: 'Pérdida', unit: '%', icon: 'loss' };
+
+/** Data consumed by the test, shown only when the result includes it. */
+export const DATA_METRIC = {
+  key: 'bytesUsed', label: 'Datos usados', unit: 'MB', icon: 'data',
+  detailKey: 'dataBudget', detailLabel: 'límite', scale: 1 / 1_048_576,
+};
+
+/** Loaded-latency metrics, shown only when the result includes them. */
+export const LOADED_METRICS = [
+  {
+    key: 'downloadLatency', label: 'Latencia en descarga', unit: 'ms', icon: 'loaded-download',
+    detailKey: 'downloadLatencyP90', detailLabel: 'p90',
+  },
+  {
+    key: 'uploadLatency', label: 'Latencia en subida', unit: 'ms', icon: 'loaded-upload',
+    detailKey: 'uploadLatencyP90', detailLabel: 'p90',
+  },
+  { key: 'bufferbloatGrade', label: 'Bufferbloat', unit: '', icon: 'bufferbloat' },
+];
+
+/** Phases listed in the timing details view. */
+const TIMING_PHASES = [
+  { key: 'ping', label: 'Ping' },
+  { key: 'download', label: 'Descarga' },
+  { key: 'upload', label: 'Subida' },
+];
+
+/** Columns of the timing details view, in request order. */
+export const TIMING_COLUMNS = [
+  { key: 'dns', label: 'DNS' },
+  { key: 'connect', label: 'Conexión' },
+  { key: 'tls', label: 'TLS' },
+  { key: 'ttfb', label: 'TTFB' },
+  { key: 'transfer', label: 'Transferencia' },
+];
+
 /**
  * Formats a numeric value for display.
  * Values >= 10 are shown as integers; values < 10 show one decimal place.
@@ -43,18 +102,128 @@ export function formatValue(value) {
 }
 
 /**
- * Extracts display data from a SpeedTestResult according to METRICS order.
+ * Formats a metric value: numbers via {@link formatValue}, strings
+ * (e.g. grades) as-is, and not-measured (null) values as an em dash.
+ * Absent values show as an em dash only when `dash` is set.
+ *
+ * @param {number | string | null | undefined} value
+ * @param {boolean} [dash] - Show '—' instead of '0' for absent values.
+ * @returns {string}
+ */
+function formatMetric(value, dash = false) {
+  if (typeof value === 'string') return value;
+  if (value === null) return '—';
+  if (value === undefined) return dash ? '—' : '0';
+  return formatValue(value);
+}
+
+/**
+ * Extracts display data from a SpeedTestResult according to METRICS order,
+ * followed by LOSS_METRIC when the result reports packet loss, DATA_METRIC
+ * when it reports the bytes used and LOADED_METRICS when it carries a
+ * bufferbloat grade.
  *
  * @param {SpeedTestResult} result
- * @returns {Array<{ label: string, value: string, unit: string, icon: string }>}
+ * @returns {Array<{ label: string, value: string, unit: string, icon: string, detail?: string }>}
  */
 export function buildMetricDisplayData(result) {
-  return METRICS.map(({ key, label, unit, icon }) => ({
-    label,
-    value: formatValue(result[key] ?? 0),
-    unit,
-    icon,
-  }));
+  const metrics = [
+    ...METRICS,
+    ...(result.lossPct != null ? [LOSS_METRIC] : []),
+    ...(result.bytesUsed != null ? [DATA_METRIC] : []),
+    ...(result.bufferbloatGrade ? LOADED_METRICS : []),
+  ];
+
+  return metrics.map(({ key, label, unit, icon, detailKey, detailLabel, scale = 1 }) => {
+    const value = typeof result[key] === 'number' ? result[key] * scale : result[key];
+    const item = {
+      label,
+      value: formatMetric(value, detailKey !== undefined),
+      unit,
+      icon,
+    };
+    if (detailKey && result[detailKey] != null) {
+      item.detail = `${detailLabel} ${formatValue(result[detailKey] * scale)} ${unit}`;
+    }
+    return item;
+  });
+}
+
+/**
+ * Builds the notice shown for degraded measurements.
+ *
+ * @param {SpeedTestResult} result
+ * @returns {string | null} Notice text, or null if the measurement was not degraded.
+ */
+export function buildDegradedNotice(result) {
+  if (!result.degraded) return null;
+
+  const retries = Object.values(result.stageAttempts ?? {})
+    .flat()
+    .reduce((sum, attempts) => sum + attempts - 1, 0);
+  const failed = result.failedStages ?? 0;
+
+  const parts = [];
+  if (retries > 0) parts.push(`${retries} ${retries === 1 ? 'reintento' : 'reintentos'}`);
+  if (failed > 0) parts.push(`${failed} ${failed === 1 ? 'etapa fallida' : 'etapas fallidas'}`);
+
+  return `Medición degradada (${parts.join(', ')}): los resultados pueden ser menos precisos.`;
+}
+
+/**
+ * Builds the rows of the timing details view, one per measured phase.
+ * Durations are shown in ms; phases without timing data are skipped.
+ *
+ * @param {Record<string, object | null> | undefined} timing
+ * @returns {Array<{ label: string, cells: string[], protocol: string }>}
+ */
+export function buildTimingRows(timing) {
+  if (!timing) return [];
+
+  return TIMING_PHASES
+    .filter(({ key }) => timing[key])
+    .map(({ key, label }) => ({
+      label,
+      cells: TIMING_COLUMNS.map((col) => `${formatValue(timing[key][col.key])} ms`),
+      protocol: timing[key].protocol || '—',
+    }));
+}
+
+/**
+ * Renders the collapsible timing details view.
+ *
+ * @param {Array<{ label: string, cells: string[], protocol: string }>} rows
+ * @returns {HTMLDetailsElement}
+ */
+function createTimingDetails(rows) {
+  const details = document.createElement('details');
+  details.className = 'results-screen__details';
+
+  const summary = document.createElement('summary');
+  summary.className = 'results-screen__details-summary';
+  summary.textContent = 'Detalles de la conexión';
+
+  const table = document.createElement('table');
+  table.className = 'results-screen__timing';
+
+  const headerRow = table.createTHead().insertRow();
+  for (const label of ['Fase', ...TIMING_COLUMNS.map((col) => col.label), 'Protocolo']) {
+    const th = document.createElement('th');
+    th.textContent = label;
+    headerRow.appendChild(th);
+  }
+
+  const body = table.createTBody();
+  for (const row of rows) {
+    const tr = body.insertRow();
+    for (const text of [row.label, ...row.cells, row.protocol]) {
+      tr.insertCell().textContent = text;
+    }
+  }
+
+  details.appendChild(summary);
+  details.appendChild(table);
+  return details;
 }
 
 /**
@@ -77,10 +246,15 @@ export function createResultsScreen(container, result) {
   const grid = document.createElement('div');
   grid.className = 'results-screen__grid';
 
+  const notice = document.createElement('p');
+  notice.className = 'results-screen__notice';
+  notice.setAttribute('role', 'status');
+
   root.appendChild(title);
+  root.appendChild(notice);
   root.appendChild(grid);
 
-  /** @type {Map<string, { valueEl: HTMLElement, unitEl: HTMLElement }>} */
+  /** @type {Map<string, { valueEl: HTMLElement, unitEl: HTMLElement, detailEl?: HTMLElement }>} */
   const cardElements = new Map();
 
   function renderCards(data) {
@@ -106,13 +280,44 @@ export function createResultsScreen(container, result) {
       card.appendChild(labelEl);
       card.appendChild(valueEl);
       card.appendChild(unitEl);
+
+      let detailEl;
+      if (metric.detail) {
+        detailEl = document.createElement('span');
+        detailEl.className = 'results-screen__detail';
+        detailEl.textContent = metric.detail;
+        card.appendChild(detailEl);
+      }
+
       grid.appendChild(card);
 
-      cardElements.set(metric.icon, { valueEl, unitEl });
+      cardElements.set(metric.icon, { valueEl, unitEl, detailEl });
+    }
+  }
+
+  /** @type {HTMLDetailsElement | null} */
+  let detailsEl = null;
+
+  function renderDetails(timing) {
+    detailsEl?.remove();
+    detailsEl = null;
+
+    const rows = buildTimingRows(timing);
+    if (rows.length > 0) {
+      detailsEl = createTimingDetails(rows);
+      root.appendChild(detailsEl);
     }
   }
 
+  function renderNotice(data) {
+    const text = buildDegradedNotice(data);
+    notice.textContent = text ?? '';
+    notice.style.display = text ? '' : 'none';
+  }
+
+  renderNotice(result);
   renderCards(buildMetricDisplayData(result));
+  renderDetails(result.timing);
   container.appendChild(root);
 
   /**
@@ -121,10 +326,20 @@ export function createResultsScreen(container, result) {
    */
   function update(newResult) {
     const data = buildMetricDisplayData(newResult);
+    renderNotice(newResult);
+    renderDetails(newResult.timing);
+
+    // Loaded-latency cards appear or disappear: rebuild the grid.
+    if (data.length !== cardElements.size) {
+      renderCards(data);
+      return;
+    }
+
     for (const metric of data) {
       const els = cardElements.get(metric.icon);
       if (els) {
         els.valueEl.textContent = metric.value;
+        if (els.detailEl) els.detailEl.textContent = metric.detail ?? '';
       }
     }
   }
@@ -2,28 +2,182 @@
  * SpeedTest orchestrator — coordinates ping, download, and upload
  * measurements while updating the gauge in real time.
  *
- * Phases run sequentially: ping → download → upload.
+ * The measurements themselves run in a Web Worker (see
+ * measurement-engine.js) so they don't compete with the gauge animation.
+ *
+ * Phases come from a registry and run sequentially; the built-in order is
+ * ping → download → upload. Extra phases can be registered, and the
+ * `phases` option selects and reorders them for a single run.
  * The gauge reflects the current measurement value as each phase progresses.
+ * During download and upload, latency keeps being probed in the background
+ * to measure loaded latency and grade bufferbloat. After each phase the
+ * browser's resource timing entries for its requests are summarized into a
+ * DNS / connect / TLS / TTFB / transfer breakdown.
+ *
+ * Before the phases run, the test server is chosen: the nearest of the
+ * configured servers by a latency pre-probe, or the one the user picked.
+ * A handshake with its /info endpoint then checks that it is compatible
+ * and keeps stage sizes within its limits, and the server is asked for the
+ * client's IP and ISP (kept as precisely as the `ipPrivacy` option allows).
+ *
+ * On metered connections (data saver or cellular) the throughput phases
+ * share a total byte budget, shrinking or skipping stages to stay within it.
+ *
+ * A run can be paused through a {@link createPauseController} controller:
+ * the request in flight finishes, then the pipeline holds before the next
+ * stage, ping probe or phase until resumed. Stages already measured are kept.
  */
 
-import { measureLatency } from '../services/ping.js';
-import { measureDownloadSpeed } from '../services/download.js';
-import { measureUploadSpeed } from '../services/upload.js';
+import { startLatencyMonitor, gradeBufferbloat } from '../services/ping.js';
+import {
+  measureLatency, measureDownloadSpeed, measureUploadSpeed,
+} from '../services/measurement-engine.js';
 import { classifyError, SpeedTestError } from '../services/errors.js';
+import { selectServer } from '../services/server-selection.js';
+import { handshake, getServerLimits } from '../services/server-info.js';
+import { fetchClientInfo, applyIpPrivacy } from '../services/client-info.js';
+import { ensureTimingBuffer, clearTimingBuffer, collectTimingBreakdown } from '../services/resource-timing.js';
+import { getProfile } from '../services/test-profiles.js';
+import { isMeteredConnection } from '../services/network-detection.js';
+
+/** Total bytes a test may transfer on metered connections (10 MB). */
+export const METERED_DATA_BUDGET = 10_485_760;
+
+/** States of a run's pause controller. */
+export const RunState = {
+  /** Measuring. */
+  RUNNING: 'running',
+  /** Pause requested; the request in flight is finishing. */
+  PAUSING: 'pausing',
+  /** Held at a checkpoint until resumed. */
+  PAUSED: 'paused',
+};
+
+/**
+ * @typedef {object} PauseController
+ * @property {string} state - Current {@link RunState}.
+ * @property {() => void} pause - Requests a pause (RUNNING → PAUSING).
+ * @property {() => void} resume - Resumes a pausing or paused run (→ RUNNING).
+ * @property {(signal?: AbortSignal) => Promise<void>} checkpoint - Awaited by the
+ *   pipeline between requests: enters PAUSED if a pause was requested and waits
+ *   until resumed. Rejects with an AbortError if the signal aborts while waiting.
+ * @property {(signal?: AbortSignal) => Promise<void>} hold - Like `checkpoint`, but
+ *   only waits once the pipeline is PAUSED; used by background probes.
+ * @property {(listener: (state: string) => void) => () => void} subscribe - Calls the
+ *   listener on every state change; returns an unsubscribe function.
+ */
+
+/**
+ * Creates a controller to pause and resume a speed test run.
+ *
+ * State machine: RUNNING → PAUSING (pause) → PAUSED (next checkpoint) →
+ * RUNNING (resume). Resuming while PAUSING cancels the pause.
+ *
+ * @returns {PauseController}
+ */
+export function createPauseController() {
+  let state = RunState.RUNNING;
+  let waiters = [];
+  const listeners = new Set();
 
-/** Test phases in execution order. */
-export const PHASES = ['ping', 'download', 'upload'];
+  function setState(next) {
+    if (state === next) return;
+    state = next;
+    for (const listener of listeners) listener(state);
+  }
+
+  function wait(signal) {
+    if (signal?.aborted) {
+      return Promise.reject(new DOMException('Speed test aborted', 'AbortError'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        waiters = waiters.filter((w) => w !== release);
+        reject(new DOMException('Speed test aborted', 'AbortError'));
+      };
+      const release = () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      };
+      waiters.push(release);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  return {
+    get state() {
+      return state;
+    },
+
+    pause() {
+      if (state === RunState.RUNNING) setState(RunState.PAUSING);
+    },
+
+    resume() {
+      if (state === RunState.RUNNING) return;
+      setState(RunState.RUNNING);
+      const released = waiters;
+      waiters = [];
+      for (const release of released) release();
+    },
+
+    async checkpoint(signal) {
+      if (state === RunState.RUNNING) return;
+      setState(RunState.PAUSED);
+      await wait(signal);
+    },
+
+    async hold(signal) {
+      if (state !== RunState.PAUSED) return;
+      await wait(signal);
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
 
 /**
  * @typedef {object} SpeedTestResult
  * @property {number} ping - Average latency in ms.
  * @property {number} jitter - Jitter (std dev of latency) in ms.
- * @property {number} download - Download speed in Mbps.
- * @property {number} upload - Upload speed in Mbps.
+ * @property {number} [lossPct] - Percentage of ping probes that failed or timed out.
+ * @property {string} [latencyMethod] - Transport used for the ping phase ('http' or 'websocket').
+ * @property {Record<'ping' | 'download' | 'upload', TimingBreakdown | null>} [timing] - Per-phase
+ *   request timing breakdown; absent when the browser recorded no resource timing.
+ * @property {string} [protocol] - HTTP protocol negotiated for the test requests ('http/1.1', 'h2', 'h3').
+ * @property {number | null} download - Download speed in Mbps (null if the phase did not run).
+ * @property {number | null} upload - Upload speed in Mbps (null if the phase did not run).
+ * @property {string} [profile] - Test profile the run used.
+ * @property {string} [server] - Id of the test server the run used.
+ * @property {string | null} [ip] - Client IP, reduced per the `ipPrivacy` option
+ *   (null if the server could not tell).
+ * @property {string | null} [isp] - Client's internet provider, if the server knows it.
+ * @property {number | null} [asn] - Client's autonomous system number, if the server knows it.
+ * @property {number} bytesUsed - Bytes transferred by the throughput phases.
+ * @property {number} [dataBudget] - Byte budget the run was capped to, if any.
+ * @property {Record<string, number[]>} [stageAttempts] - Attempts each stage took, by phase id,
+ *   for phases that report stages.
+ * @property {number} [failedStages] - Stages skipped after all their attempts failed.
+ * @property {boolean} [degraded] - Whether any stage was retried or skipped, so the
+ *   throughput figures rest on fewer or less reliable samples.
+ * @property {string} [estimator] - Throughput estimator used for download and upload.
+ * @property {'server' | 'client'} [uploadTiming] - Whether the upload speed was timed over
+ *   the server's receive window or by the client's request timing.
+ * @property {number | null} [downloadLatency] - Average latency in ms while downloading.
+ * @property {number | null} [downloadLatencyP90] - 90th percentile latency in ms while downloading.
+ * @property {number | null} [uploadLatency] - Average latency in ms while uploading.
+ * @property {number | null} [uploadLatencyP90] - 90th percentile latency in ms while uploading.
+ * @property {string | null} [bufferbloatGrade] - 'A'–'F' grade of the worst loaded latency increase.
  */
 
 /**
  * @typedef {object} SpeedTestCallbacks
+ * @property {(server: import('../services/server-config.js').TestServer) => void} [onServerSelected] -
+ *   Called once the test server is chosen, before the first phase.
  * @property {(phase: string) => void} [onPhaseStart] - Called when a phase begins.
  * @property {(phase: string, value: number) => void} [onProgress] - Called with the latest value during a phase.
  * @property {(phase: string, result: object) => void} [onPhaseEnd] - Called when a phase completes.
@@ -32,63 +186,362 @@ export const PHASES = ['ping', 'download', 'upload'];
  */
 
 /**
- * Runs a full speed test (ping → download → upload) and reports progress
- * via callbacks suitable for driving a gauge UI.
+ * @typedef {object} TimingBreakdown
+ * @property {number} dns - Average DNS lookup time in ms.
+ * @property {number} connect - Average TCP connect time in ms.
+ * @property {number} tls - Average TLS handshake time in ms.
+ * @property {number} ttfb - Average time from request to first response byte in ms.
+ * @property {number} transfer - Average response transfer time in ms.
+ * @property {string} protocol - Most common `nextHopProtocol`.
+ * @property {number} requests - Number of requests summarized.
+ */
+
+/**
+ * @typedef {object} SpeedTestOptions
+ * @property {'stages' | 'duration'} [mode] - Download/upload measurement mode:
+ *   fixed byte stages (default) or adaptive requests filling a target duration.
+ * @property {number} [duration] - Target length of each throughput phase in ms (duration mode).
+ * @property {string} [estimator] - Throughput estimator for download and upload
+ *   ('weighted', 'warmup-discard', 'trimmed-mean', 'p90').
+ * @property {string} [latencyMethod] - Ping transport: 'http' (default) or 'websocket',
+ *   which falls back to HTTP when WebSockets are unavailable.
+ * @property {boolean} [loadedLatency] - Probe latency during download/upload (default true).
+ * @property {string[]} [phases] - Ids of the phases to run, in order (default: the
+ *   profile's phases, or all registered).
+ * @property {string} [profile] - Test profile ('quick', 'standard', 'thorough',
+ *   'latency-only') supplying ping counts, stage sizes, streams and timeouts.
+ * @property {number | null} [dataBudget] - Total byte budget for the throughput phases.
+ *   Defaults to {@link METERED_DATA_BUDGET} on metered connections; null disables it.
+ * @property {string} [server] - Test server id, or 'auto' (default) for the nearest one.
+ * @property {string} [ipPrivacy] - How much of the client IP to keep (see
+ *   client-info.js#IpPrivacy; default 'truncated').
+ * @property {PauseController} [pause] - Controller used to pause and resume the run.
+ * @property {Partial<import('../services/retry.js').RetryPolicy>} [retry] - Retry policy
+ *   for download and upload stages.
+ */
+
+/**
+ * @typedef {object} PhaseContext
+ * @property {SpeedTestOptions} options - Options passed to runSpeedTest.
+ * @property {import('../services/test-profiles.js').ProfileConfig | null} profile - Selected profile.
+ * @property {object} result - Result being built; fields set by earlier phases are available.
+ * @property {import('../services/server-config.js').TestServer} server - Server the run uses.
+ * @property {import('../services/server-info.js').ServerLimits} limits - The server's
+ *   limits from the handshake.
+ * @property {Record<string, { avg: number, p90: number, samples: number[] } | null>} loaded -
+ *   Loaded-latency stats by phase id, for phases that probe latency under load.
+ * @property {(value: number) => void} progress - Reports the latest value for the gauge.
+ * @property {number} [byteBudget] - Bytes the current phase may transfer (only for
+ *   budgeted phases when a data budget applies).
+ * @property {(signal?: AbortSignal) => Promise<void>} checkpoint - Phases await this
+ *   between requests so a paused run holds there; resolves at once when not paused.
+ */
+
+/**
+ * @typedef {object} Phase
+ * @property {string} id - Unique identifier, passed to the lifecycle callbacks.
+ * @property {string} label - Display label (Spanish).
+ * @property {string} unit - Unit of the values reported through `progress`.
+ * @property {(ctx: PhaseContext, signal?: AbortSignal) => Promise<object>} run - Performs the measurement.
+ * @property {(measured: object) => object} mapResult - Fields merged into the SpeedTestResult.
+ * @property {(measured: object) => object} [summarize] - Payload for `onPhaseEnd` (defaults to the mapped fields).
+ * @property {(server: object) => string} [timingUrl] - Endpoint whose resource timing is collected.
+ * @property {boolean} [budgeted] - Whether the phase draws from the data budget. Its
+ *   measurement should honour `ctx.byteBudget` and report `bytesUsed`.
+ */
+
+/**
+ * Returns the throughput options that were set, so service defaults still apply.
+ *
+ * @param {SpeedTestOptions} options
+ * @returns {{ mode?: string, duration?: number, estimator?: string, retry?: object }}
+ */
+function throughputOptions(options) {
+  const forwarded = {};
+  if (options.mode) forwarded.mode = options.mode;
+  if (options.duration) forwarded.duration = options.duration;
+  if (options.estimator) forwarded.estimator = options.estimator;
+  if (options.retry) forwarded.retry = options.retry;
+  return forwarded;
+}
+
+/**
+ * Returns the byte budget option for a throughput service, if one applies.
+ *
+ * @param {PhaseContext} ctx
+ * @returns {{ byteBudget?: number }}
+ */
+function budgetOptions(ctx) {
+  return ctx.byteBudget === undefined ? {} : { byteBudget: ctx.byteBudget };
+}
+
+/**
+ * Runs a throughput measurement, probing latency alongside it unless
+ * disabled by the `loadedLatency` option.
+ *
+ * @param {PhaseContext} ctx
+ * @param {string} id - Phase id the loaded-latency stats are stored under.
+ * @param {AbortSignal} [signal] - External abort signal.
+ * @param {() => Promise<object>} measure - The throughput measurement.
+ * @returns {Promise<object>} The measurement result.
+ */
+async function measureUnderLoad(ctx, id, signal, measure) {
+  if (ctx.options.loadedLatency === false) return measure();
+
+  // Probing an idle link while paused would skew the loaded latency.
+  const hold = ctx.options.pause && ((s) => ctx.options.pause.hold(s));
+  const monitor = startLatencyMonitor({ url: ctx.server.pingUrl, signal, hold });
+  try {
+    const measured = await measure();
+    ctx.loaded[id] = await monitor.stop();
+    return measured;
+  } catch (err) {
+    await monitor.stop();
+    throw err;
+  }
+}
+
+/** Built-in phases, in their default order. */
+const BUILT_IN_PHASES = [
+  {
+    id: 'ping',
+    label: 'Latencia',
+    unit: 'ms',
+    timingUrl: (server) => server.pingUrl,
+    run: (ctx, signal) => measureLatency({
+      ...ctx.profile?.ping,
+      ...(ctx.options.latencyMethod && { method: ctx.options.latencyMethod }),
+      url: ctx.server.pingUrl,
+      wsUrl: ctx.limits.webSocket ? ctx.server.wsPingUrl : null,
+      signal,
+      checkpoint: ctx.checkpoint,
+      onProgress: ({ lastPing }) => ctx.progress(lastPing),
+    }),
+    mapResult: (measured) => ({
+      ping: measured.avg,
+      jitter: measured.jitter,
+      lossPct: measured.lossPct,
+      latencyMethod: measured.method,
+    }),
+    summarize: (measured) => ({ avg: measured.avg, jitter: measured.jitter }),
+  },
+  {
+    id: 'download',
+    label: 'Descarga',
+    unit: 'Mbps',
+    timingUrl: (server) => server.downloadUrl,
+    budgeted: true,
+    run: (ctx, signal) => measureUnderLoad(ctx, 'download', signal, () => (
+      measureDownloadSpeed({
+        ...budgetOptions(ctx),
+        ...ctx.profile?.download,
+        ...throughputOptions(ctx.options),
+        url: ctx.server.downloadUrl,
+        protocol: ctx.server.protocol,
+        requestLimit: ctx.limits.downloadBytes,
+        signal,
+        checkpoint: ctx.checkpoint,
+        onProgress: ({ stageMbps }) => ctx.progress(stageMbps),
+      })
+    )),
+    mapResult: (measured) => ({ download: measured.speedMbps, estimator: measured.estimator }),
+    summarize: (measured) => ({ speedMbps: measured.speedMbps }),
+  },
+  {
+    id: 'upload',
+    label: 'Subida',
+    unit: 'Mbps',
+    timingUrl: (server) => server.uploadUrl,
+    budgeted: true,
+    run: (ctx, signal) => measureUnderLoad(ctx, 'upload', signal, () => (
+      measureUploadSpeed({
+        ...budgetOptions(ctx),
+        ...ctx.profile?.upload,
+        ...throughputOptions(ctx.options),
+        url: ctx.server.uploadUrl,
+        requestLimit: ctx.limits.uploadBytes,
+        signal,
+        checkpoint: ctx.checkpoint,
+        onProgress: ({ stageMbps }) => ctx.progress(stageMbps),
+      })
+    )),
+    mapResult: (measured) => ({ upload: measured.speedMbps, uploadTiming: measured.timingSource }),
+    summarize: (measured) => ({ speedMbps: measured.speedMbps }),
+  },
+];
+
+/** Registered phases, in default execution order. */
+let registry = [...BUILT_IN_PHASES];
+
+/**
+ * Registers a test phase. A phase with the same id is replaced in place.
+ *
+ * @param {Phase} phase
+ * @param {{ before?: string }} [position] - Insert before the phase with this id
+ *   (appended when omitted or not registered).
+ * @throws {Error} If the phase has no id, label or unit, or lacks its run or
+ *   mapResult function.
+ */
+export function registerPhase(phase, { before } = {}) {
+  if (!phase?.id || !phase.label || typeof phase.unit !== 'string'
+    || typeof phase.run !== 'function' || typeof phase.mapResult !== 'function') {
+    throw new Error('A test phase needs an id, a label, a unit, and run and mapResult functions');
+  }
+
+  const existing = registry.findIndex((p) => p.id === phase.id);
+  if (existing !== -1) {
+    registry[existing] = phase;
+    return;
+  }
+
+  const index = registry.findIndex((p) => p.id === before);
+  if (index === -1) {
+    registry.push(phase);
+  } else {
+    registry.splice(index, 0, phase);
+  }
+}
+
+/**
+ * Removes a registered phase. Unknown ids are ignored.
+ *
+ * @param {string} id
+ */
+export function unregisterPhase(id) {
+  registry = registry.filter((p) => p.id !== id);
+}
+
+/** Restores the built-in phases, dropping any registered ones. */
+export function resetPhases() {
+  registry = [...BUILT_IN_PHASES];
+}
+
+/**
+ * Returns the phases a run will execute.
+ *
+ * @param {string[]} [ids] - Phase ids to run, in order. Defaults to every
+ *   registered phase in registration order.
+ * @returns {Phase[]}
+ * @throws {Error} If an id is not registered.
+ */
+export function getPhases(ids) {
+  if (!ids) return [...registry];
+
+  return ids.map((id) => {
+    const phase = registry.find((p) => p.id === id);
+    if (!phase) throw new Error(`Unknown test phase: ${id}`);
+    return phase;
+  });
+}
+
+/**
+ * Runs a full speed test (ping → download → upload by default) and reports
+ * progress via callbacks suitable for driving a gauge UI.
  *
  * @param {SpeedTestCallbacks} [callbacks] - Lifecycle callbacks.
  * @param {AbortSignal} [signal] - External abort signal.
+ * @param {SpeedTestOptions} [options] - Measurement options.
  * @returns {Promise<SpeedTestResult>}
  */
-export async function runSpeedTest(callbacks = {}, signal) {
-  const { onPhaseStart, onProgress, onPhaseEnd, onComplete, onError } = callbacks;
+export async function runSpeedTest(callbacks = {}, signal, options = {}) {
+  const {
+    onServerSelected, onPhaseStart, onProgress, onPhaseEnd, onComplete, onError,
+  } = callbacks;
+
+  ensureTimingBuffer();
+  const timing = {};
 
+  // Throughput phases that don't run (e.g. latency-only) stay null so they
+  // don't count as 0 Mbps in the history statistics.
   const result = {
     ping: 0,
     jitter: 0,
-    download: 0,
-    upload: 0,
+    download: null,
+    upload: null,
+    bytesUsed: 0,
+  };
+
+  const dataBudget = options.dataBudget !== undefined
+    ? options.dataBudget
+    : (isMeteredConnection() ? METERED_DATA_BUDGET : null);
+  if (dataBudget != null) result.dataBudget = dataBudget;
+
+  const ctx = {
+    options,
+    profile: null,
+    result,
+    server: null,
+    limits: getServerLimits(null),
+    loaded: {},
+    progress: () => {},
+    checkpoint: async (s) => options.pause?.checkpoint(s),
   };
 
   try {
-    // --- Phase 1: Ping ---
-    onPhaseStart?.('ping');
+    if (options.profile) {
+      ctx.profile = getProfile(options.profile);
+      result.profile = ctx.profile.id;
+    }
 
-    const pingResult = await measureLatency({
-      signal,
-      onProgress: ({ lastPing }) => {
-        onProgress?.('ping', lastPing);
-      },
-    });
+    ({ server: ctx.server } = await selectServer(options.server, { signal }));
+    result.server = ctx.server.id;
+    onServerSelected?.(ctx.server);
+    ctx.limits = getServerLimits(await handshake(ctx.server, { signal }));
 
-    result.ping = pingResult.avg;
-    result.jitter = pingResult.jitter;
-    onPhaseEnd?.('ping', { avg: pingResult.avg, jitter: pingResult.jitter });
+    const client = await fetchClientInfo(ctx.server, { signal });
+    result.ip = applyIpPrivacy(client?.ip, options.ipPrivacy);
+    result.isp = client?.isp ?? null;
+    result.asn = client?.asn ?? null;
 
-    // --- Phase 2: Download ---
-    onPhaseStart?.('download');
+    const phases = getPhases(options.phases ?? ctx.profile?.phases);
+    let budgetedLeft = phases.filter((p) => p.budgeted).length;
 
-    const dlResult = await measureDownloadSpeed({
-      signal,
-      onProgress: ({ stageMbps }) => {
-        onProgress?.('download', stageMbps);
-      },
-    });
+    for (const phase of phases) {
+      await ctx.checkpoint(signal);
+      onPhaseStart?.(phase.id);
+      const phaseStart = performance.now();
+      ctx.progress = (value) => onProgress?.(phase.id, value);
 
-    result.download = dlResult.speedMbps;
-    onPhaseEnd?.('download', { speedMbps: dlResult.speedMbps });
+      // Split what is left of the budget evenly over the remaining budgeted phases.
+      ctx.byteBudget = phase.budgeted && dataBudget != null
+        ? Math.max(0, Math.floor((dataBudget - result.bytesUsed) / budgetedLeft--))
+        : undefined;
 
-    // --- Phase 3: Upload ---
-    onPhaseStart?.('upload');
+      // A phase with nothing to report may resolve to undefined.
+      const measured = (await phase.run(ctx, signal)) ?? {};
+      const mapped = phase.mapResult(measured);
+      Object.assign(result, mapped);
+      if (phase.budgeted) result.bytesUsed += measured.bytesUsed ?? 0;
+      if (Array.isArray(measured.stages)) recordAttempts(result, phase.id, measured);
 
-    const ulResult = await measureUploadSpeed({
-      signal,
-      onProgress: ({ stageMbps }) => {
-        onProgress?.('upload', stageMbps);
-      },
-    });
+      // Requests made in the worker only show up in its own timeline,
+      // so worker-run phases bring their breakdown along.
+      if (measured.timing !== undefined) {
+        timing[phase.id] = measured.timing;
+      } else if (phase.timingUrl) {
+        timing[phase.id] = collectTimingBreakdown(phase.timingUrl(ctx.server), phaseStart);
+      }
+      clearTimingBuffer();
+      onPhaseEnd?.(phase.id, phase.summarize ? phase.summarize(measured) : mapped);
+    }
 
-    result.upload = ulResult.speedMbps;
-    onPhaseEnd?.('upload', { speedMbps: ulResult.speedMbps });
+    if (result.stageAttempts) {
+      result.degraded = result.failedStages > 0
+        || Object.values(result.stageAttempts).some((list) => list.some((n) => n > 1));
+    }
+
+    if (ctx.loaded.download || ctx.loaded.upload) {
+      const none = { avg: 0, p90: 0, samples: [] };
+      Object.assign(result, summarizeLoadedLatency(
+        result.ping, ctx.loaded.download ?? none, ctx.loaded.upload ?? none,
+      ));
+    }
+
+    const recorded = Object.values(timing).filter(Boolean);
+    if (recorded.length > 0) {
+      result.timing = timing;
+      result.protocol = (timing.download ?? timing.upload ?? recorded[0]).protocol;
+    }
 
     onComplete?.(result);
     return result;
@@ -98,3 +551,47 @@ export async function runSpeedTest(callbacks = {}, signal) {
     throw classified;
   }
 }
+
+/**
+ * Records the attempts a phase's stages took and the stages it had to skip.
+ *
+ * @param {SpeedTestResult} result
+ * @param {string} id - Phase id.
+ * @param {{ stages: Array<{ attempts?: number }>, failedStages?: number }} measured
+ */
+function recordAttempts(result, id, measured) {
+  result.stageAttempts = {
+    ...result.stageAttempts,
+    [id]: measured.stages.map((stage) => stage.attempts ?? 1),
+  };
+  result.failedStages = (result.failedStages ?? 0) + (measured.failedStages ?? 0);
+}
+
+/**
+ * Builds the loaded-latency result fields from both directions.
+ *
+ * A direction with no successful probes reports null. The bufferbloat
+ * grade uses the worse of the two directions.
+ *
+ * @param {number} idleMs - Idle average latency.
+ * @param {{ avg: number, p90: number, samples: number[] }} download
+ * @param {{ avg: number, p90: number, samples: number[] }} upload
+ * @returns {{ downloadLatency: number | null, downloadLatencyP90: number | null, uploadLatency: number | null, uploadLatencyP90: number | null, bufferbloatGrade: string | null }}
+ */
+export function summarizeLoadedLatency(idleMs, download, upload) {
+  const hasDownload = download.samples.length > 0;
+  const hasUpload = upload.samples.length > 0;
+
+  const worst = Math.max(
+    hasDownload ? download.avg : -Infinity,
+    hasUpload ? upload.avg : -Infinity,
+  );
+
+  return {
+    downloadLatency: hasDownload ? download.avg : null,
+    downloadLatencyP90: hasDownload ? download.p90 : null,
+    uploadLatency: hasUpload ? upload.avg : null,
+    uploadLatencyP90: hasUpload ? upload.p90 : null,
+    bufferbloatGrade: hasDownload || hasUpload ? gradeBufferbloat(idleMs, worst) : null,
+  };
+}
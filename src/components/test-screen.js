@@ -3,8 +3,10 @@
  *
  * Orchestrates the speed test UI including:
  * - Network connection indicator in header
- * - Start/Stop button
+ * - Test profile, test server and IP privacy selectors
+ * - Start/Stop and Pause/Resume buttons
  * - Animated gauge during test execution
+ * - Progress list of the registered test phases
  * - Results display after test completion
  * - Save results to database
  */
@@ -12,9 +14,17 @@
 import { createConnectionIndicator } from './connection-indicator.js';
 import { createSpeedGauge } from './speed-gauge.js';
 import { createResultsScreen } from './results-screen.js';
-import { runSpeedTest } from './speed-test.js';
+import {
+  runSpeedTest, getPhases, createPauseController, RunState,
+} from './speed-test.js';
 import { saveResult } from '../services/database.js';
 import { getConnectionInfo } from '../services/network-detection.js';
+import {
+  PROFILES, DEFAULT_PROFILE, getProfile, estimateDataUsage,
+} from '../services/test-profiles.js';
+import { getServers } from '../services/server-config.js';
+import { AUTO_SERVER } from '../services/server-selection.js';
+import { IpPrivacy, getIpPrivacy, setIpPrivacy } from '../services/client-info.js';
 
 /**
  * Test screen states
@@ -22,19 +32,33 @@ import { getConnectionInfo } from '../services/network-detection.js';
 const STATE = {
   IDLE: 'idle',           // Ready to start test
   RUNNING: 'running',     // Test in progress
+  PAUSED: 'paused',       // Test on hold, resumable
   COMPLETE: 'complete',   // Test completed, showing results
   ERROR: 'error',         // Test failed
 };
 
 /**
- * Phase display labels in Spanish
+ * Labels of the IP privacy settings.
  */
-const PHASE_LABELS = {
-  ping: 'Latencia',
-  download: 'Descarga',
-  upload: 'Subida',
+const IP_PRIVACY_LABELS = {
+  [IpPrivacy.TRUNCATED]: 'IP parcial (/24, /48)',
+  [IpPrivacy.FULL]: 'IP completa',
+  [IpPrivacy.REDACTED]: 'Sin IP',
 };
 
+/**
+ * Builds the selector label for a profile, including its approximate data usage.
+ * @param {object} profile - Profile configuration.
+ * @returns {string} Label such as 'Rápido (≈ 4 MB)'
+ */
+function getProfileLabel(profile) {
+  const bytes = estimateDataUsage(profile);
+  if (bytes === 0) {
+    return profile.label;
+  }
+  return `${profile.label} (≈ ${Math.round(bytes / 1_048_576)} MB)`;
+}
+
 /**
  * Creates and manages the main test screen.
  *
@@ -45,6 +69,7 @@ export function createTestScreen(container) {
   // State
   let currentState = STATE.IDLE;
   let abortController = null;
+  let pauseController = null;
   let gauge = null;
   let resultsScreen = null;
 
@@ -69,16 +94,72 @@ export function createTestScreen(container) {
   gaugeContainer.className = 'test-screen__gauge';
   content.appendChild(gaugeContainer);
 
+  // Phase progress list (filled from the registered phases on each run)
+  const phaseList = document.createElement('ol');
+  phaseList.className = 'test-screen__phases';
+  phaseList.setAttribute('aria-label', 'Fases del test');
+  content.appendChild(phaseList);
+
   // Button container
   const buttonContainer = document.createElement('div');
   buttonContainer.className = 'test-screen__button-container';
 
+  const profileSelect = document.createElement('select');
+  profileSelect.className = 'test-screen__profile';
+  profileSelect.setAttribute('aria-label', 'Perfil del test');
+  for (const profile of Object.values(PROFILES)) {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = getProfileLabel(profile);
+    profileSelect.appendChild(option);
+  }
+  profileSelect.value = DEFAULT_PROFILE;
+  buttonContainer.appendChild(profileSelect);
+
+  // Server selector, only worth showing when there is more than one server
+  const servers = getServers();
+  const serverSelect = document.createElement('select');
+  serverSelect.className = 'test-screen__server';
+  serverSelect.setAttribute('aria-label', 'Servidor del test');
+  const autoOption = document.createElement('option');
+  autoOption.value = AUTO_SERVER;
+  autoOption.textContent = 'Automático (más cercano)';
+  serverSelect.appendChild(autoOption);
+  for (const server of servers) {
+    const option = document.createElement('option');
+    option.value = server.id;
+    option.textContent = `${server.name} (${server.location})`;
+    serverSelect.appendChild(option);
+  }
+  if (servers.length < 2) serverSelect.style.display = 'none';
+  buttonContainer.appendChild(serverSelect);
+
+  // How much of the client IP is saved with each result (remembered)
+  const privacySelect = document.createElement('select');
+  privacySelect.className = 'test-screen__privacy';
+  privacySelect.setAttribute('aria-label', 'Privacidad de la IP');
+  for (const [value, label] of Object.entries(IP_PRIVACY_LABELS)) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    privacySelect.appendChild(option);
+  }
+  privacySelect.value = getIpPrivacy();
+  privacySelect.addEventListener('change', () => setIpPrivacy(privacySelect.value));
+  buttonContainer.appendChild(privacySelect);
+
   const startButton = document.createElement('button');
   startButton.className = 'test-screen__button test-screen__button--start';
   startButton.textContent = 'Iniciar Test';
   startButton.setAttribute('aria-label', 'Iniciar test de velocidad');
   buttonContainer.appendChild(startButton);
 
+  const pauseButton = document.createElement('button');
+  pauseButton.className = 'test-screen__button test-screen__button--pause';
+  pauseButton.textContent = 'Pausar';
+  pauseButton.setAttribute('aria-label', 'Pausar test de velocidad');
+  buttonContainer.appendChild(pauseButton);
+
   content.appendChild(buttonContainer);
 
   // Results container (initially empty)
@@ -109,6 +190,43 @@ export function createTestScreen(container) {
     label: 'Listo para comenzar',
   });
 
+  /** @type {Map<string, { phase: object, item: HTMLLIElement }>} */
+  const phaseItems = new Map();
+
+  /**
+   * Renders one list item per phase that the next run will execute.
+   * @param {Array<{ id: string, label: string }>} phases - Phases in execution order.
+   */
+  function renderPhases(phases) {
+    phaseList.innerHTML = '';
+    phaseItems.clear();
+
+    for (const phase of phases) {
+      const item = document.createElement('li');
+      item.className = 'test-screen__phase';
+      item.setAttribute('data-phase', phase.id);
+      item.textContent = phase.label;
+      phaseList.appendChild(item);
+      phaseItems.set(phase.id, { phase, item });
+    }
+  }
+
+  /**
+   * Marks a phase as running or finished in the phase list.
+   * @param {string} id - Phase id.
+   * @param {'active' | 'done'} status
+   */
+  function setPhaseStatus(id, status) {
+    const entry = phaseItems.get(id);
+    if (!entry) return;
+    entry.item.className = `test-screen__phase test-screen__phase--${status}`;
+    if (status === 'active') {
+      entry.item.setAttribute('aria-current', 'step');
+    } else {
+      entry.item.removeAttribute('aria-current');
+    }
+  }
+
   /**
    * Updates the UI based on current state.
    */
@@ -119,10 +237,15 @@ export function createTestScreen(container) {
         startButton.className = 'test-screen__button test-screen__button--start';
         startButton.disabled = false;
         startButton.setAttribute('aria-label', 'Iniciar test de velocidad');
+        pauseButton.style.display = 'none';
+        profileSelect.disabled = false;
+        serverSelect.disabled = false;
+        privacySelect.disabled = false;
         errorContainer.style.display = 'none';
         errorContainer.textContent = '';
         resultsContainer.style.display = 'none';
         gaugeContainer.style.display = 'flex';
+        phaseList.style.display = 'none';
         gauge.setValue(0);
         gauge.setLabel('Listo para comenzar');
         break;
@@ -132,9 +255,35 @@ export function createTestScreen(container) {
         startButton.className = 'test-screen__button test-screen__button--stop';
         startButton.disabled = false;
         startButton.setAttribute('aria-label', 'Detener test de velocidad');
+        pauseButton.textContent = 'Pausar';
+        pauseButton.className = 'test-screen__button test-screen__button--pause';
+        pauseButton.style.display = '';
+        pauseButton.setAttribute('aria-label', 'Pausar test de velocidad');
+        profileSelect.disabled = true;
+        serverSelect.disabled = true;
+        privacySelect.disabled = true;
         errorContainer.style.display = 'none';
         resultsContainer.style.display = 'none';
         gaugeContainer.style.display = 'flex';
+        phaseList.style.display = 'flex';
+        break;
+
+      case STATE.PAUSED:
+        startButton.textContent = 'Detener Test';
+        startButton.className = 'test-screen__button test-screen__button--stop';
+        startButton.disabled = false;
+        startButton.setAttribute('aria-label', 'Detener test de velocidad');
+        pauseButton.textContent = 'Reanudar';
+        pauseButton.className = 'test-screen__button test-screen__button--resume';
+        pauseButton.style.display = '';
+        pauseButton.setAttribute('aria-label', 'Reanudar test de velocidad');
+        profileSelect.disabled = true;
+        serverSelect.disabled = true;
+        privacySelect.disabled = true;
+        errorContainer.style.display = 'none';
+        resultsContainer.style.display = 'none';
+        gaugeContainer.style.display = 'flex';
+        phaseList.style.display = 'flex';
         break;
 
       case STATE.COMPLETE:
@@ -142,8 +291,13 @@ export function createTestScreen(container) {
         startButton.className = 'test-screen__button test-screen__button--start';
         startButton.disabled = false;
         startButton.setAttribute('aria-label', 'Repetir test de velocidad');
+        pauseButton.style.display = 'none';
+        profileSelect.disabled = false;
+        serverSelect.disabled = false;
+        privacySelect.disabled = false;
         errorContainer.style.display = 'none';
         gaugeContainer.style.display = 'none';
+        phaseList.style.display = 'none';
         resultsContainer.style.display = 'block';
         break;
 
@@ -152,9 +306,14 @@ export function createTestScreen(container) {
         startButton.className = 'test-screen__button test-screen__button--start';
         startButton.disabled = false;
         startButton.setAttribute('aria-label', 'Reintentar test de velocidad');
+        pauseButton.style.display = 'none';
+        profileSelect.disabled = false;
+        serverSelect.disabled = false;
+        privacySelect.disabled = false;
         errorContainer.style.display = 'block';
         resultsContainer.style.display = 'none';
         gaugeContainer.style.display = 'flex';
+        phaseList.style.display = 'flex';
         gauge.setValue(0);
         gauge.setLabel('');
         break;
@@ -186,6 +345,27 @@ export function createTestScreen(container) {
         upload_mbps: result.upload,
         ping_ms: result.ping,
         jitter_ms: result.jitter,
+        profile: result.profile,
+        server_used: result.server,
+        ip_address: result.ip,
+        isp: result.isp,
+        asn: result.asn,
+        bytes_used: result.bytesUsed,
+        data_budget: result.dataBudget,
+        stage_attempts: result.stageAttempts,
+        failed_stages: result.failedStages,
+        degraded: result.degraded,
+        loss_pct: result.lossPct,
+        latency_method: result.latencyMethod,
+        timing_breakdown: result.timing,
+        http_protocol: result.protocol,
+        estimator: result.estimator,
+        upload_timing: result.uploadTiming,
+        download_latency_ms: result.downloadLatency,
+        download_latency_p90_ms: result.downloadLatencyP90,
+        upload_latency_ms: result.uploadLatency,
+        upload_latency_p90_ms: result.uploadLatencyP90,
+        bufferbloat_grade: result.bufferbloatGrade,
         connection_type: connectionInfo.type,
         effective_type: connectionInfo.effectiveType,
         downlink_mbps: connectionInfo.downlink,
@@ -227,7 +407,7 @@ export function createTestScreen(container) {
    * Starts the speed test.
    */
   async function startTest() {
-    if (currentState === STATE.RUNNING) {
+    if (currentState === STATE.RUNNING || currentState === STATE.PAUSED) {
       // Stop the test
       if (abortController) {
         abortController.abort();
@@ -239,29 +419,48 @@ export function createTestScreen(container) {
     }
 
     // Reset state
+    const profile = getProfile(profileSelect.value);
+    renderPhases(getPhases(profile.phases));
     currentState = STATE.RUNNING;
     updateUI();
 
-    // Create abort controller
+    // Create abort and pause controllers
     abortController = new AbortController();
+    pauseController = createPauseController();
+    let activeLabel = '';
+    pauseController.subscribe((state) => {
+      if (state === RunState.PAUSING) {
+        gauge.setLabel('Pausando…');
+      } else if (state === RunState.PAUSED) {
+        gauge.setLabel('En pausa');
+      } else {
+        gauge.setLabel(activeLabel);
+      }
+    });
 
     try {
       await runSpeedTest({
-        onPhaseStart: (phase) => {
-          const label = PHASE_LABELS[phase] || phase;
-          const unit = phase === 'ping' ? 'ms' : 'Mbps';
-          gauge.setPhase(label, unit);
+        onPhaseStart: (id) => {
+          const phase = phaseItems.get(id)?.phase;
+          activeLabel = phase?.label ?? id;
+          gauge.setPhase(activeLabel, phase?.unit ?? '');
           gauge.setValue(0);
+          setPhaseStatus(id, 'active');
         },
         onProgress: (_phase, value) => {
           gauge.setValue(value);
         },
-        onPhaseEnd: (_phase, _result) => {
-          // Phase complete
+        onPhaseEnd: (id, _result) => {
+          setPhaseStatus(id, 'done');
         },
         onComplete: handleComplete,
         onError: handleError,
-      }, abortController.signal);
+      }, abortController.signal, {
+        profile: profile.id,
+        server: serverSelect.value,
+        ipPrivacy: privacySelect.value,
+        pause: pauseController,
+      });
     } catch (err) {
       // Error already handled by onError callback
       if (err.name !== 'AbortError') {
@@ -273,11 +472,30 @@ export function createTestScreen(container) {
       }
     } finally {
       abortController = null;
+      pauseController = null;
+    }
+  }
+
+  /**
+   * Pauses a running test after its current request, or resumes a paused one.
+   */
+  function togglePause() {
+    if (!pauseController) return;
+
+    if (currentState === STATE.RUNNING) {
+      pauseController.pause();
+      currentState = STATE.PAUSED;
+      updateUI();
+    } else if (currentState === STATE.PAUSED) {
+      pauseController.resume();
+      currentState = STATE.RUNNING;
+      updateUI();
     }
   }
 
   // Event listeners
   startButton.addEventListener('click', startTest);
+  pauseButton.addEventListener('click', togglePause);
 
   // Initial UI state
   updateUI();
@@ -108,7 +108,7 @@ if (historyContainer) {
   // Initialize history filters
   const filtersContainer = document.getElementById('history-filters-container');
   if (filtersContainer) {
-    createHistoryFilters(filtersContainer, {
+    const historyFilters = createHistoryFilters(filtersContainer, {
       onFilterChange: (filters) => {
         historyTable.setFilters(filters);
         // Update statistics and chart with filtered results
@@ -150,6 +150,11 @@ if (historyContainer) {
         }
       }
     });
+
+    // Offer the ISPs found in the history, refreshed on every reload
+    historyTable.onLoad((results) => {
+      historyFilters.setIspOptions(results.map(result => result.isp));
+    });
   }
 
   // Update statistics and chart with initial data
@@ -0,0 +1,181 @@
+/**
+ * Client IP and ISP detection.
+ *
+ * Asks the test server who the client is — its /whoami endpoint, or
+ * getIP.php on LibreSpeed backends — so results can record the IP
+ * address and ISP the test ran from. How much of the IP is kept is a
+ * user setting (see {@link IpPrivacy}), stored in localStorage.
+ *
+ * The lookup is best-effort: a server without the endpoint, or one
+ * that fails to answer, leaves the IP and ISP unknown without failing
+ * the test.
+ */
+
+import { ServerProtocol } from './server-config.js';
+import { assertResponseOk } from './errors.js';
+
+/** How much of the client IP is stored with each result. */
+export const IpPrivacy = {
+  /** The whole address. */
+  FULL: 'full',
+  /** The network only: /24 for IPv4, /48 for IPv6. */
+  TRUNCATED: 'truncated',
+  /** No address at all; stored as 'redacted'. */
+  REDACTED: 'redacted',
+};
+
+export const DEFAULT_IP_PRIVACY = IpPrivacy.TRUNCATED;
+
+/** localStorage key of the privacy setting. */
+const STORAGE_KEY = 'speedtest.ipPrivacy';
+
+const DEFAULT_OPTIONS = {
+  /** Timeout for the lookup request in milliseconds. */
+  timeout: 3_000,
+};
+
+/**
+ * @typedef {object} ClientInfo
+ * @property {string} ip - The client's IP as seen by the server.
+ * @property {string | null} isp - Internet provider, if the server knows it.
+ * @property {number | null} asn - Autonomous system number, if the server knows it.
+ */
+
+/**
+ * Returns the stored IP privacy setting.
+ *
+ * @returns {string} One of {@link IpPrivacy}.
+ */
+export function getIpPrivacy() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return Object.values(IpPrivacy).includes(stored) ? stored : DEFAULT_IP_PRIVACY;
+  } catch (_err) {
+    // Storage is unavailable (private mode, non-browser environments).
+    return DEFAULT_IP_PRIVACY;
+  }
+}
+
+/**
+ * Stores the IP privacy setting.
+ *
+ * @param {string} mode - One of {@link IpPrivacy}.
+ * @throws {Error} If the mode is unknown.
+ */
+export function setIpPrivacy(mode) {
+  if (!Object.values(IpPrivacy).includes(mode)) {
+    throw new Error(`Unknown IP privacy setting: ${mode}`);
+  }
+  try {
+    localStorage.setItem(STORAGE_KEY, mode);
+  } catch (_err) {
+    // Not persisted; the setting still applies until the page reloads.
+  }
+}
+
+/**
+ * Expands an IPv6 address into its eight groups.
+ *
+ * @param {string} ip
+ * @returns {string[] | null} Null if `ip` is not an IPv6 address.
+ */
+function expandIPv6(ip) {
+  const [head, tail, extra] = ip.split('::');
+  if (extra !== undefined) return null;
+
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+  if (tail === undefined ? missing !== 0 : missing < 1) return null;
+
+  const groups = [...headGroups, ...Array(missing).fill('0'), ...tailGroups];
+  return groups.every((g) => /^[0-9a-f]{1,4}$/i.test(g)) ? groups : null;
+}
+
+/**
+ * Reduces an IP address to what the privacy setting allows.
+ *
+ * @param {string | null | undefined} ip
+ * @param {string} [mode] - One of {@link IpPrivacy}.
+ * @returns {string | null} The address, its network (e.g. '203.0.113.0/24',
+ *   '2001:db8:1::/48') or 'redacted'; null if the IP is unknown.
+ */
+export function applyIpPrivacy(ip, mode = DEFAULT_IP_PRIVACY) {
+  if (!ip) return null;
+  if (mode === IpPrivacy.FULL) return ip;
+  if (mode !== IpPrivacy.TRUNCATED) return 'redacted';
+
+  const v4 = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.\d{1,3}$/.exec(ip);
+  if (v4) return `${v4[1]}.${v4[2]}.${v4[3]}.0/24`;
+
+  const groups = expandIPv6(ip);
+  if (!groups) return 'redacted';
+  const network = groups.slice(0, 3).map((g) => parseInt(g, 16).toString(16));
+  return `${network.join(':')}::/48`;
+}
+
+/**
+ * Reads LibreSpeed's getIP.php answer, whose `processedString` is
+ * 'IP' or 'IP - ISP[, country]'.
+ *
+ * @param {{ processedString?: string }} body
+ * @returns {ClientInfo | null}
+ */
+function parseLibreSpeedIp(body) {
+  const [ip, isp] = String(body?.processedString ?? '').split(' - ');
+  if (!ip?.trim()) return null;
+  return { ip: ip.trim(), isp: isp?.trim() || null, asn: null };
+}
+
+/**
+ * Asks a test server for the client's IP and ISP.
+ *
+ * @param {import('./server-config.js').TestServer} server
+ * @param {object} [options]
+ * @param {number} [options.timeout] - Abort after this many ms.
+ * @param {AbortSignal} [options.signal] - External abort signal.
+ * @returns {Promise<ClientInfo | null>} Null if the server has no lookup
+ *   endpoint or did not answer usefully.
+ * @throws {DOMException} If the signal aborts.
+ */
+export async function fetchClientInfo(server, options = {}) {
+  if (!server.whoamiUrl) return null;
+
+  const { timeout } = { ...DEFAULT_OPTIONS, ...options };
+  const { signal } = options;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  if (signal) {
+    if (signal.aborted) {
+      clearTimeout(timer);
+      controller.abort();
+    } else {
+      signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+  }
+
+  try {
+    const response = await fetch(server.whoamiUrl, {
+      cache: 'no-store',
+      signal: controller.signal,
+    });
+    assertResponseOk(response);
+    const body = await response.json();
+
+    if (server.protocol === ServerProtocol.LIBRESPEED) {
+      return parseLibreSpeedIp(body);
+    }
+    if (typeof body?.ip !== 'string' || !body.ip) return null;
+    return {
+      ip: body.ip,
+      isp: typeof body.isp === 'string' && body.isp ? body.isp : null,
+      asn: Number.isInteger(body.asn) ? body.asn : null,
+    };
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
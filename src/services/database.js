@@ -17,16 +17,40 @@ let dbInstance = null;
  * @typedef {Object} SpeedTestResult
  * @property {string} id - UUID v4 identifier
  * @property {string} timestamp - ISO 8601 timestamp (e.g., "2026-02-24T10:30:00Z")
- * @property {number} download_mbps - Download speed in Mbps
- * @property {number} upload_mbps - Upload speed in Mbps
+ * @property {number|null} download_mbps - Download speed in Mbps (null when the profile skipped it)
+ * @property {number|null} upload_mbps - Upload speed in Mbps (null when the profile skipped it)
+ * @property {string} [profile] - Test profile: 'quick', 'standard', 'thorough' or 'latency-only'
+ *   (records without it used 'standard')
  * @property {number} ping_ms - Ping/latency in milliseconds
  * @property {number} jitter_ms - Jitter (latency variation) in milliseconds
+ * @property {number} [loss_pct] - Percentage of ping probes lost (failed or timed out)
+ * @property {Object} [timing_breakdown] - Per-phase request timing ({ ping, download, upload }), each
+ *   null or { dns, connect, tls, ttfb, transfer, protocol, requests } with durations in milliseconds
+ * @property {string} [http_protocol] - Protocol negotiated for the test requests ('http/1.1', 'h2', 'h3')
+ * @property {number} [bytes_used] - Bytes transferred by the download and upload phases
+ * @property {number} [data_budget] - Byte budget the test was capped to (metered connections)
+ * @property {Record<string, number[]>} [stage_attempts] - Attempts each download/upload stage took, by phase
+ * @property {number} [failed_stages] - Stages skipped after all their attempts failed
+ * @property {boolean} [degraded] - Whether any stage was retried or skipped
+ * @property {string} [latency_method] - Transport behind ping_ms: 'http' or 'websocket' (records without it used 'http')
+ * @property {string} [estimator] - Throughput estimator behind download/upload: 'weighted', 'warmup-discard',
+ *   'trimmed-mean' or 'p90' (records without it used 'weighted')
+ * @property {string} [upload_timing] - How upload_mbps was timed: 'server' (the server's receive
+ *   window) or 'client' (the request's duration; records without it were client-timed)
+ * @property {number|null} [download_latency_ms] - Average latency while downloading (loaded latency)
+ * @property {number|null} [download_latency_p90_ms] - 90th percentile latency while downloading
+ * @property {number|null} [upload_latency_ms] - Average latency while uploading (loaded latency)
+ * @property {number|null} [upload_latency_p90_ms] - 90th percentile latency while uploading
+ * @property {string|null} [bufferbloat_grade] - Bufferbloat grade 'A'–'F' (loaded vs idle latency)
  * @property {string} connection_type - Type of connection: 'wifi', 'cellular', 'ethernet', 'bluetooth', 'unknown'
  * @property {string} effective_type - Effective connection type: '4g', '3g', '2g', 'slow-2g', 'unknown'
  * @property {number} downlink_mbps - Estimated downlink from Network Information API
  * @property {number} rtt_ms - Round-trip time from Network Information API
  * @property {string} server_used - Server identifier used for the test
- * @property {string} ip_address - User's IP address (can be 'redacted' for privacy)
+ * @property {string|null} ip_address - User's IP address as the IP privacy setting allows: the full
+ *   address, its network ('203.0.113.0/24', '2001:db8:1::/48') or 'redacted'; null if unknown
+ * @property {string|null} [isp] - User's internet provider, as reported by the test server
+ * @property {number|null} [asn] - Autonomous system number of the user's provider
  * @property {string} user_agent - Browser user agent string
  */
 
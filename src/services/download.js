@@ -3,13 +3,19 @@
  *
  * Downloads files of increasing size (1 MB → 10 MB → 25 MB) from the
  * local test server, measures throughput for each stage, and returns
- * the final speed estimate in Mbps.
+ * the final speed estimate in Mbps. Each stage can be spread over
+ * several concurrent streams so fast links are not capped by a single
+ * TCP connection.
  */
 
-import { buildDownloadUrl } from './server-config.js';
+import { buildDownloadUrl, downloadGranularity, ServerProtocol } from './server-config.js';
+import { Estimator } from './estimators.js';
 import {
   SpeedTestError, ErrorCode, assertResponseOk, isTimeoutError,
 } from './errors.js';
+import {
+  runStages, aggregateStreams, nextAdaptiveBytes, bytesToMbps,
+} from './stage-runner.js';
 
 /** Default progressive download stages (bytes). */
 const DEFAULT_STAGES = [
@@ -21,10 +27,34 @@ const DEFAULT_STAGES = [
 const DEFAULT_OPTIONS = {
   /** Base URL for the download endpoint. */
   url: '/download',
+  /** URL layout of the download endpoint (see server-config.js). */
+  protocol: ServerProtocol.NATIVE,
   /** Per-stage timeout in milliseconds. */
   timeout: 30_000,
   /** Ordered list of byte sizes for each download stage. */
   stages: DEFAULT_STAGES,
+  /** Number of concurrent streams (connections) per stage. */
+  streams: 1,
+  /** Minimum interval between live throughput samples in milliseconds. */
+  sampleInterval: 200,
+  /** 'stages' runs the fixed `stages` list; 'duration' sizes requests to fill `duration`. */
+  mode: 'stages',
+  /** Target phase length in milliseconds (duration mode). */
+  duration: 10_000,
+  /** First request size per stream in bytes (duration mode). */
+  initialBytes: 262_144, // 256 KB
+  /** Largest request size per stream in bytes (duration mode). */
+  maxBytes: 104_857_600, // 100 MB, the test server's limit
+  /** Target length of each adaptive round in milliseconds (duration mode). */
+  roundDuration: 2_000,
+  /** How the final speed is derived from the stages (see estimators.js). */
+  estimator: Estimator.WEIGHTED,
+  /** Most bytes the phase may transfer across all stages and streams. */
+  byteBudget: Infinity,
+  /** Retry policy overrides for failed stages (see retry.js). */
+  retry: {},
+  /** Largest request the server accepts, as announced by its /info endpoint. */
+  requestLimit: Infinity,
 };
 
 /**
@@ -34,9 +64,11 @@ const DEFAULT_OPTIONS = {
  * @param {number} expectedBytes - Expected payload size in bytes.
  * @param {number} timeout - Abort after this many ms.
  * @param {AbortSignal} [signal] - External abort signal.
- * @returns {Promise<{ bytes: number, durationMs: number, mbps: number }>}
+ * @param {(chunkBytes: number, now: number, start: number) => void} [onChunk]
+ *   Called as each body chunk arrives.
+ * @returns {Promise<{ bytes: number, durationMs: number, mbps: number, start: number, end: number }>}
  */
-async function measureSingleDownload(url, expectedBytes, timeout, signal) {
+async function measureSingleDownload(url, expectedBytes, timeout, signal, onChunk) {
   const controller = new AbortController();
   const timer = setTimeout(() => controller.abort(), timeout);
 
@@ -62,14 +94,15 @@ async function measureSingleDownload(url, expectedBytes, timeout, signal) {
     assertResponseOk(response, 'download');
 
     // Consume the entire response body to ensure full download.
-    const buffer = await response.arrayBuffer();
-    const end = performance.now();
+    const { bytes, end } = await consumeBody(
+      response,
+      onChunk && ((chunkBytes, now) => onChunk(chunkBytes, now, start)),
+    );
 
-    const bytes = buffer.byteLength;
     const durationMs = end - start;
     const mbps = bytesToMbps(bytes, durationMs);
 
-    return { bytes, durationMs, mbps };
+    return { bytes, durationMs, mbps, start, end };
   } catch (err) {
     if (isTimeoutError(err, signal)) {
       throw new SpeedTestError(ErrorCode.TIMEOUT, undefined, { cause: err, phase: 'download' });
@@ -81,95 +114,179 @@ async function measureSingleDownload(url, expectedBytes, timeout, signal) {
 }
 
 /**
- * Converts bytes transferred over a duration to megabits per second.
+ * Reads a response body to completion without buffering it.
+ *
+ * Uses the body's ReadableStream reader so progress can be observed
+ * chunk by chunk; falls back to `arrayBuffer()` where streaming bodies
+ * are unavailable. The end time is taken when the last chunk arrives.
  *
- * @param {number} bytes
- * @param {number} durationMs
- * @returns {number} Speed in Mbps.
+ * @param {Response} response
+ * @param {(chunkBytes: number, now: number) => void} [onChunk]
+ * @returns {Promise<{ bytes: number, end: number }>}
  */
-function bytesToMbps(bytes, durationMs) {
-  if (durationMs <= 0) return 0;
-  const bits = bytes * 8;
-  const seconds = durationMs / 1000;
-  return round2(bits / seconds / 1_000_000);
+async function consumeBody(response, onChunk) {
+  if (!response.body || typeof response.body.getReader !== 'function') {
+    const buffer = await response.arrayBuffer();
+    const end = performance.now();
+    onChunk?.(buffer.byteLength, end);
+    return { bytes: buffer.byteLength, end };
+  }
+
+  const reader = response.body.getReader();
+  let bytes = 0;
+  let end = null;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    bytes += value.byteLength;
+    end = performance.now();
+    onChunk?.(value.byteLength, end);
+  }
+
+  return { bytes, end: end ?? performance.now() };
 }
 
 /**
- * Rounds a number to 2 decimal places.
+ * Measures a single stage over `streams` concurrent downloads.
+ *
+ * Every stream fetches `stageBytes` on its own request and honours the
+ * per-stage timeout and the external signal independently. Streams that
+ * fail are left out of the aggregate; the stage only fails when all of
+ * them do.
+ *
+ * While the stage runs, `onSample` receives the aggregate throughput of
+ * all streams since the stage started, at most once per `sampleInterval`.
+ * The same points are kept in the result's `samples` for the throughput
+ * estimators.
  *
- * @param {number} n
- * @returns {number}
+ * @param {string} url - Base download endpoint.
+ * @param {number} stageBytes - Payload size per stream in bytes.
+ * @param {object} options
+ * @param {string} options.protocol - The server's URL layout.
+ * @param {number} options.streams - Number of concurrent streams.
+ * @param {number} options.timeout - Per-stream timeout in ms.
+ * @param {AbortSignal} [options.signal] - External abort signal.
+ * @param {number} options.sampleInterval - Minimum ms between samples.
+ * @param {(sample: { bytes: number, mbps: number }) => void} [options.onSample]
+ * @param {(bytes: number) => void} [options.onTransfer] - Called with every chunk
+ *   received, from failing streams too.
+ * @returns {Promise<{ bytes: number, durationMs: number, mbps: number, streams: Array<{ bytes: number, durationMs: number, mbps: number }>, samples: Array<{ t: number, bytes: number }> }>}
+ *   `samples` are cumulative bytes at ms offsets from the stage start.
  */
-function round2(n) {
-  return Math.round(n * 100) / 100;
+async function measureStage(url, stageBytes, {
+  protocol, streams, timeout, signal, sampleInterval, onSample, onTransfer,
+}) {
+  const downloadUrl = buildDownloadUrl(stageBytes, url, protocol);
+
+  let received = 0;
+  let stageStart = Infinity;
+  let lastSampleAt = null;
+  const samples = [];
+
+  const onChunk = (chunkBytes, now, start) => {
+    received += chunkBytes;
+    stageStart = Math.min(stageStart, start);
+    onTransfer?.(chunkBytes);
+
+    if (now - (lastSampleAt ?? stageStart) >= sampleInterval) {
+      lastSampleAt = now;
+      samples.push({ t: now - stageStart, bytes: received });
+      onSample?.({ bytes: received, mbps: bytesToMbps(received, now - stageStart) });
+    }
+  };
+
+  const settled = await Promise.allSettled(
+    Array.from({ length: streams }, (_, i) => {
+      // Distinct URLs keep the browser from coalescing identical requests.
+      const streamUrl = streams > 1 ? `${downloadUrl}&stream=${i}` : downloadUrl;
+      return measureSingleDownload(streamUrl, stageBytes, timeout, signal, onChunk);
+    }),
+  );
+
+  const completed = settled
+    .filter((s) => s.status === 'fulfilled')
+    .map((s) => s.value);
+
+  if (completed.length === 0) {
+    throw settled[0].reason;
+  }
+
+  const result = aggregateStreams(completed);
+
+  // Close the sample timeline at the stage end so the tail is counted.
+  if ((samples.at(-1)?.t ?? 0) < result.durationMs) {
+    samples.push({ t: result.durationMs, bytes: result.bytes });
+  }
+
+  return { ...result, samples };
 }
 
 /**
- * Runs a full download speed measurement with progressive stages.
+ * Runs a full download speed measurement.
  *
- * Downloads files of increasing size and computes the weighted average
- * speed across all stages. Early stages act as warm-up; later stages
+ * In `'stages'` mode, downloads files of increasing size and computes
+ * the final speed across all stages (weighted average unless another
+ * `estimator` is chosen). Early stages act as warm-up; later stages
  * with larger payloads provide more accurate measurements.
  *
+ * In `'duration'` mode, keeps downloading until `duration` ms of
+ * transfer time have elapsed, sizing each round from the throughput of
+ * the previous one so slow links are not stuck on huge files and fast
+ * links are not done before TCP ramps up.
+ *
  * @param {object} [options]
  * @param {string} [options.url] - Base download endpoint.
+ * @param {string} [options.protocol] - The server's URL layout (see server-config.js#ServerProtocol);
+ *   LibreSpeed backends round each request up to whole megabytes, so stages are
+ *   sized and charged to the byte budget in whole megabytes there.
  * @param {number} [options.timeout] - Per-stage timeout in ms.
- * @param {number[]} [options.stages] - Array of byte sizes for each stage.
- * @param {(progress: { stage: number, totalStages: number, stageMbps: number, stageBytes: number }) => void} [options.onProgress]
- *   Called after each stage completes.
+ * @param {'stages' | 'duration'} [options.mode] - Fixed stage list or duration-based adaptive sizing.
+ * @param {number[]} [options.stages] - Array of byte sizes for each stage (stages mode).
+ * @param {number} [options.duration] - Target phase length in ms (duration mode).
+ * @param {number} [options.initialBytes] - First request size per stream (duration mode).
+ * @param {number} [options.maxBytes] - Largest request size per stream (duration mode).
+ * @param {number} [options.roundDuration] - Target length of each round in ms (duration mode).
+ * @param {number} [options.streams] - Concurrent streams per stage (each downloads the full stage size).
+ * @param {number} [options.sampleInterval] - Minimum ms between live throughput samples.
+ * @param {string} [options.estimator] - Throughput estimator (see {@link Estimator}).
+ * @param {{ warmupMs?: number, trimFraction?: number }} [options.estimatorOptions] - Estimator tuning.
+ * @param {(signal?: AbortSignal) => Promise<void>} [options.checkpoint] - Awaited before
+ *   each stage; lets the caller hold the measurement between requests (pause).
+ * @param {Partial<import('./retry.js').RetryPolicy>} [options.retry] - Retry policy
+ *   overrides; failed stages are retried with backoff before being skipped.
+ * @param {number} [options.requestLimit] - Largest request per stream the server accepts
+ *   (see server-info.js); stage sizes and `maxBytes` are capped to it.
+ * @param {number} [options.byteBudget] - Most bytes to transfer in total. Stages that
+ *   would exceed it are shrunk to fit, or skipped once too little is left; retries
+ *   are charged too and stop once it is spent.
+ * @param {(progress: { stage: number, totalStages: number | null, stageMbps: number, stageBytes: number, interim: boolean }) => void} [options.onProgress]
+ *   Called with live samples while a stage runs (`interim: true`) and
+ *   once after each stage completes (`interim: false`). `totalStages`
+ *   is `null` in duration mode.
  * @param {AbortSignal} [options.signal] - External abort signal to cancel the measurement.
- * @returns {Promise<{ speedMbps: number, stages: Array<{ bytes: number, durationMs: number, mbps: number }> }>}
+ * @returns {Promise<{ speedMbps: number, estimator: string, bytesUsed: number, stages: Array<{ bytes: number, durationMs: number, mbps: number, streams: Array<{ bytes: number, durationMs: number, mbps: number }>, samples: Array<{ t: number, bytes: number }>, attempts: number }>, failedStages: number }>}
+ *   `bytesUsed` counts every byte received, failed attempts included. Each stage records the
+ *   `attempts` it took; `failedStages` counts stages skipped after all attempts failed.
  * @throws {Error} If all stages fail or the measurement is aborted.
  */
 export async function measureDownloadSpeed(options = {}) {
-  const { url, timeout, stages } = { ...DEFAULT_OPTIONS, ...options };
-  const { onProgress, signal } = options;
-
-  const results = [];
-
-  for (let i = 0; i < stages.length; i++) {
-    if (signal?.aborted) {
-      throw new DOMException('Download measurement aborted', 'AbortError');
-    }
-
-    const stageBytes = stages[i];
-    const downloadUrl = buildDownloadUrl(stageBytes, url);
-
-    try {
-      const result = await measureSingleDownload(downloadUrl, stageBytes, timeout, signal);
-      results.push(result);
-
-      if (onProgress) {
-        onProgress({
-          stage: i + 1,
-          totalStages: stages.length,
-          stageMbps: result.mbps,
-          stageBytes: result.bytes,
-        });
-      }
-    } catch (_err) {
-      // If the external signal caused the abort, re-throw immediately.
-      if (signal?.aborted) {
-        throw new DOMException('Download measurement aborted', 'AbortError');
-      }
-      // Individual stage failures are tolerated; we skip the stage.
-    }
-  }
-
-  if (results.length === 0) {
-    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
-      throw new SpeedTestError(ErrorCode.OFFLINE, undefined, { phase: 'download' });
-    }
-    throw new SpeedTestError(
-      ErrorCode.NETWORK_ERROR,
-      'All download stages failed. Check your network connection.',
-      { phase: 'download' },
-    );
-  }
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const { url, protocol, timeout, sampleInterval } = config;
+  const { onProgress, signal, checkpoint } = options;
+  const streams = Math.max(1, Math.floor(config.streams));
 
-  const speedMbps = computeWeightedSpeed(results);
-
-  return { speedMbps, stages: results };
+  return runStages((stageBytes, { onSample, onTransfer }) => measureStage(url, stageBytes, {
+    protocol, streams, timeout, signal, sampleInterval, onSample, onTransfer,
+  }), config, {
+    phase: 'download',
+    streams,
+    granularity: downloadGranularity(protocol),
+    onProgress,
+    signal,
+    checkpoint,
+  });
 }
 
 /**
@@ -177,6 +294,7 @@ export async function measureDownloadSpeed(options = {}) {
  *
  * Uses total bytes / total time across all stages, which naturally
  * gives more weight to larger downloads (the most accurate samples).
+ * Same as the `'weighted'` estimator; kept for existing callers.
  *
  * @param {Array<{ bytes: number, durationMs: number, mbps: number }>} stages
  * @returns {number} Weighted speed in Mbps.
@@ -190,4 +308,6 @@ export function computeWeightedSpeed(stages) {
   return bytesToMbps(totalBytes, totalMs);
 }
 
-export { bytesToMbps, DEFAULT_STAGES };
+export {
+  aggregateStreams, nextAdaptiveBytes, bytesToMbps, DEFAULT_STAGES,
+};
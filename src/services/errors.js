@@ -1,8 +1,9 @@
 /**
  * Error types and classification for speed test network errors.
  *
- * Distinguishes between timeout, offline, server-unavailable, and
- * generic network errors so the UI can display targeted messages.
+ * Distinguishes between timeout, offline, server-unavailable,
+ * rate-limited, incompatible-server and generic network errors so
+ * the UI can display targeted messages.
  */
 
 /** Enumeration of error codes used throughout the speed test. */
@@ -12,6 +13,8 @@ export const ErrorCode = {
   SERVER_UNAVAILABLE: 'SERVER_UNAVAILABLE',
   ABORTED: 'ABORTED',
   NETWORK_ERROR: 'NETWORK_ERROR',
+  INCOMPATIBLE_SERVER: 'INCOMPATIBLE_SERVER',
+  RATE_LIMITED: 'RATE_LIMITED',
 };
 
 /** Human-readable messages (Spanish) for each error code. */
@@ -21,6 +24,8 @@ const ERROR_MESSAGES = {
   [ErrorCode.SERVER_UNAVAILABLE]: 'El servidor de pruebas no está disponible. Inténtalo más tarde.',
   [ErrorCode.ABORTED]: 'La prueba fue cancelada.',
   [ErrorCode.NETWORK_ERROR]: 'Error de red. Verifica tu conexión e inténtalo de nuevo.',
+  [ErrorCode.INCOMPATIBLE_SERVER]: 'El servidor de pruebas no es compatible con esta versión de la aplicación.',
+  [ErrorCode.RATE_LIMITED]: 'Demasiadas pruebas seguidas. Espera un momento e inténtalo de nuevo.',
 };
 
 /**
@@ -36,13 +41,15 @@ export class SpeedTestError extends Error {
    * @param {object} [options]
    * @param {Error} [options.cause] - Original error for chaining.
    * @param {string} [options.phase] - Which phase failed ('ping', 'download', 'upload').
+   * @param {number} [options.retryAfter] - Seconds the server asked to wait (RATE_LIMITED).
    */
-  constructor(code, message, { cause, phase } = {}) {
+  constructor(code, message, { cause, phase, retryAfter } = {}) {
     super(message || ERROR_MESSAGES[code] || 'Error desconocido.');
     this.name = 'SpeedTestError';
     this.code = code;
     if (cause) this.cause = cause;
     if (phase) this.phase = phase;
+    if (retryAfter !== undefined) this.retryAfter = retryAfter;
   }
 }
 
@@ -87,6 +94,17 @@ export function classifyError(error, phase) {
 export function assertResponseOk(response, phase) {
   if (response.ok) return;
 
+  if (response.status === 429) {
+    const retryAfter = parseRetryAfter(response.headers?.get?.('Retry-After'));
+    throw new SpeedTestError(
+      ErrorCode.RATE_LIMITED,
+      retryAfter === undefined
+        ? undefined
+        : `Demasiadas pruebas seguidas. Espera ${retryAfter} s e inténtalo de nuevo.`,
+      { phase, retryAfter },
+    );
+  }
+
   if (response.status >= 500) {
     throw new SpeedTestError(ErrorCode.SERVER_UNAVAILABLE, undefined, { phase });
   }
@@ -98,6 +116,23 @@ export function assertResponseOk(response, phase) {
   );
 }
 
+/**
+ * Parses a Retry-After header (delay in seconds, or an HTTP date).
+ *
+ * @param {string | null | undefined} value
+ * @returns {number | undefined} Whole seconds to wait, or undefined if absent or invalid.
+ */
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds) && seconds >= 0) return Math.ceil(seconds);
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return undefined;
+  return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
 /**
  * Determines whether a fetch error is a timeout.
  *
@@ -0,0 +1,162 @@
+/**
+ * Throughput estimators for download and upload measurements.
+ *
+ * Each estimator reduces a phase's stage results to a single Mbps
+ * figure. The weighted average (total bytes / total time) is the
+ * historical behaviour; the others work on the throughput samples
+ * recorded during each stage to limit the effect of TCP slow-start
+ * and short stalls.
+ */
+
+/** Names of the available estimators, as stored with each result. */
+export const Estimator = {
+  /** Total bytes / total time across all stages. */
+  WEIGHTED: 'weighted',
+  /** Weighted average after dropping the first `warmupMs` of transfer. */
+  WARMUP_DISCARD: 'warmup-discard',
+  /** Mean of the sampled throughput with both tails trimmed. */
+  TRIMMED_MEAN: 'trimmed-mean',
+  /** 90th percentile of the sampled throughput. */
+  P90: 'p90',
+};
+
+const DEFAULT_OPTIONS = {
+  /** Transfer time (ms) discarded from the start of the phase. */
+  warmupMs: 1_000,
+  /** Fraction of samples dropped from each end for the trimmed mean. */
+  trimFraction: 0.1,
+};
+
+/**
+ * Converts bytes transferred over a duration to megabits per second.
+ *
+ * @param {number} bytes
+ * @param {number} durationMs
+ * @returns {number} Speed in Mbps (unrounded).
+ */
+function toMbps(bytes, durationMs) {
+  if (durationMs <= 0) return 0;
+  return (bytes * 8) / (durationMs / 1000) / 1_000_000;
+}
+
+/**
+ * Rounds a number to 2 decimal places.
+ *
+ * @param {number} n
+ * @returns {number}
+ */
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Splits stage results into consecutive sampling intervals.
+ *
+ * Each stage's `samples` are cumulative `{ t, bytes }` points measured
+ * from the stage start. A stage without samples yields one interval
+ * covering the whole stage.
+ *
+ * @param {Array<{ bytes: number, durationMs: number, samples?: Array<{ t: number, bytes: number }> }>} stages
+ * @returns {Array<{ bytes: number, durationMs: number }>} Intervals in transfer order.
+ */
+export function toIntervals(stages) {
+  const intervals = [];
+
+  for (const stage of stages) {
+    const points = stage.samples?.length
+      ? stage.samples
+      : [{ t: stage.durationMs, bytes: stage.bytes }];
+
+    let prev = { t: 0, bytes: 0 };
+    for (const point of points) {
+      const durationMs = point.t - prev.t;
+      if (durationMs > 0) {
+        intervals.push({ bytes: Math.max(0, point.bytes - prev.bytes), durationMs });
+      }
+      prev = point;
+    }
+  }
+
+  return intervals;
+}
+
+/**
+ * Returns the value at the given percentile (nearest-rank method).
+ *
+ * @param {number[]} sorted - Values in ascending order.
+ * @param {number} p - Percentile in [0, 100].
+ * @returns {number}
+ */
+function percentile(sorted, p) {
+  const rank = Math.max(1, Math.ceil((p / 100) * sorted.length));
+  return sorted[rank - 1];
+}
+
+/**
+ * Estimates phase throughput from stage results.
+ *
+ * @param {Array<{ bytes: number, durationMs: number, samples?: Array<{ t: number, bytes: number }> }>} stages
+ * @param {string} [estimator] - One of {@link Estimator}.
+ * @param {object} [options]
+ * @param {number} [options.warmupMs] - Warm-up window to discard (warmup-discard).
+ * @param {number} [options.trimFraction] - Fraction trimmed from each end (trimmed-mean).
+ * @returns {number} Speed in Mbps.
+ * @throws {Error} If the estimator is unknown.
+ */
+export function estimateThroughput(stages, estimator = Estimator.WEIGHTED, options = {}) {
+  const { warmupMs, trimFraction } = { ...DEFAULT_OPTIONS, ...options };
+
+  if (stages.length === 0) return 0;
+
+  switch (estimator) {
+    case Estimator.WEIGHTED: {
+      const totalBytes = stages.reduce((sum, s) => sum + s.bytes, 0);
+      const totalMs = stages.reduce((sum, s) => sum + s.durationMs, 0);
+      return round2(toMbps(totalBytes, totalMs));
+    }
+
+    case Estimator.WARMUP_DISCARD: {
+      let skipped = 0;
+      let bytes = 0;
+      let durationMs = 0;
+
+      for (const interval of toIntervals(stages)) {
+        if (skipped < warmupMs) {
+          skipped += interval.durationMs;
+          continue;
+        }
+        bytes += interval.bytes;
+        durationMs += interval.durationMs;
+      }
+
+      // Phase shorter than the warm-up window: nothing left to discard from.
+      if (durationMs === 0) {
+        return estimateThroughput(stages, Estimator.WEIGHTED);
+      }
+      return round2(toMbps(bytes, durationMs));
+    }
+
+    case Estimator.TRIMMED_MEAN: {
+      const sorted = toIntervals(stages)
+        .map((i) => toMbps(i.bytes, i.durationMs))
+        .sort((a, b) => a - b);
+      const drop = Math.floor(sorted.length * trimFraction);
+      const kept = sorted.slice(drop, sorted.length - drop);
+
+      if (kept.length === 0) return 0;
+      return round2(kept.reduce((a, b) => a + b, 0) / kept.length);
+    }
+
+    case Estimator.P90: {
+      const sorted = toIntervals(stages)
+        .map((i) => toMbps(i.bytes, i.durationMs))
+        .sort((a, b) => a - b);
+
+      if (sorted.length === 0) return 0;
+      return round2(percentile(sorted, 90));
+    }
+
+    default:
+      throw new Error(`Unknown throughput estimator: ${estimator}`);
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * Measurement engine — main-thread facade over the measurement worker.
+ *
+ * Exposes `measureLatency`, `measureDownloadSpeed` and `measureUploadSpeed`
+ * with the same promise-based API as the services, but runs them in
+ * measurement-worker.js so payload generation and body reads don't block
+ * rendering. Callbacks and abort signals stay on the main thread and are
+ * bridged over the worker's message protocol.
+ *
+ * Where workers are unavailable (or fail to start) the services run on the
+ * main thread instead. A worker that fails before answering at all is
+ * taken to be unloadable (CSP, no module workers, missing chunk): its
+ * jobs are rerun on the main thread and no further worker is started.
+ */
+
+import { measureLatency as measureLatencyDirect } from './ping.js';
+import { measureDownloadSpeed as measureDownloadDirect } from './download.js';
+import { measureUploadSpeed as measureUploadDirect } from './upload.js';
+import { MessageType, deserializeError } from './measurement-worker.js';
+
+/** @type {Worker | null} */
+let worker = null;
+
+/** Whether the current worker has sent any message, i.e. it loaded. */
+let workerLoaded = false;
+
+/** Set once a worker failed to load; jobs then run on the main thread. */
+let workerUnusable = false;
+
+/** @type {Map<number, { onMessage: (data: object) => void, reject: (err: Error) => void, fallback: () => void }>} */
+const pending = new Map();
+
+let nextId = 1;
+
+/**
+ * Returns the shared worker, starting it on first use.
+ *
+ * @returns {Worker | null} Null if workers are unsupported or fail to start.
+ */
+function getWorker() {
+  if (worker) return worker;
+  if (workerUnusable || typeof Worker === 'undefined') return null;
+
+  try {
+    worker = new Worker(new URL('./measurement-worker.js', import.meta.url), { type: 'module' });
+  } catch (_err) {
+    return null;
+  }
+
+  workerLoaded = false;
+  worker.addEventListener('message', ({ data }) => {
+    workerLoaded = true;
+    pending.get(data.id)?.onMessage(data);
+  });
+  worker.addEventListener('error', () => {
+    const failed = [...pending.values()];
+    pending.clear();
+    worker?.terminate();
+    worker = null;
+
+    if (!workerLoaded) {
+      // It never ran: a new worker would fail the same way.
+      workerUnusable = true;
+      for (const job of failed) job.fallback();
+      return;
+    }
+    // A crashed worker fails its running jobs; the next job starts a new one.
+    for (const job of failed) job.reject(new Error('Measurement worker failed'));
+  });
+
+  return worker;
+}
+
+/**
+ * Stops the worker. Running jobs are rejected with an AbortError.
+ */
+export function terminateMeasurementWorker() {
+  const aborted = [...pending.values()];
+  pending.clear();
+  worker?.terminate();
+  worker = null;
+  for (const job of aborted) job.reject(new DOMException('Measurement aborted', 'AbortError'));
+}
+
+/**
+ * Runs a service job in the worker.
+ *
+ * @param {Worker} target
+ * @param {'ping' | 'download' | 'upload'} service
+ * @param {object} options - Service options, including callbacks and signal.
+ * @param {(options: object) => Promise<object>} direct - Main-thread implementation,
+ *   used if the worker turns out not to load.
+ * @returns {Promise<object>} The service result.
+ */
+function runInWorker(target, service, options, direct) {
+  const { onProgress, signal, checkpoint, ...cloneable } = options;
+  const id = nextId++;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => target.postMessage({ id, type: MessageType.ABORT });
+
+    const settle = () => {
+      pending.delete(id);
+      signal?.removeEventListener('abort', onAbort);
+    };
+
+    pending.set(id, {
+      reject: (err) => {
+        settle();
+        reject(err);
+      },
+      fallback: () => {
+        settle();
+        direct(options).then(resolve, reject);
+      },
+      onMessage: (data) => {
+        switch (data.type) {
+          case MessageType.PROGRESS:
+            onProgress?.(data.progress);
+            break;
+
+          case MessageType.CHECKPOINT:
+            // The worker holds until the main-thread checkpoint passes;
+            // an abort while held arrives as its own message.
+            Promise.resolve(checkpoint?.(signal))
+              .then(() => target.postMessage({ id, type: MessageType.CONTINUE }))
+              .catch(() => {});
+            break;
+
+          case MessageType.RESULT:
+            settle();
+            resolve(data.result);
+            break;
+
+          case MessageType.ERROR:
+            settle();
+            reject(deserializeError(data.error));
+            break;
+        }
+      },
+    });
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+    target.postMessage({
+      id,
+      type: MessageType.RUN,
+      service,
+      options: { ...cloneable, hasCheckpoint: typeof checkpoint === 'function' },
+    });
+    if (signal?.aborted) onAbort();
+  });
+}
+
+/**
+ * Runs a service in the worker, or on the main thread without one.
+ *
+ * @param {'ping' | 'download' | 'upload'} service
+ * @param {(options: object) => Promise<object>} direct - Main-thread implementation.
+ * @param {object} options
+ * @returns {Promise<object>}
+ */
+function measure(service, direct, options) {
+  const target = getWorker();
+  return target ? runInWorker(target, service, options, direct) : direct(options);
+}
+
+/**
+ * Measures latency in the worker. Same options and result as
+ * ping.js#measureLatency, plus `timing` when run in the worker.
+ *
+ * @param {object} [options]
+ * @returns {Promise<object>}
+ */
+export function measureLatency(options = {}) {
+  return measure('ping', measureLatencyDirect, options);
+}
+
+/**
+ * Measures download speed in the worker. Same options and result as
+ * download.js#measureDownloadSpeed, plus `timing` when run in the worker.
+ *
+ * @param {object} [options]
+ * @returns {Promise<object>}
+ */
+export function measureDownloadSpeed(options = {}) {
+  return measure('download', measureDownloadDirect, options);
+}
+
+/**
+ * Measures upload speed in the worker. Same options and result as
+ * upload.js#measureUploadSpeed, plus `timing` when run in the worker.
+ *
+ * @param {object} [options]
+ * @returns {Promise<object>}
+ */
+export function measureUploadSpeed(options = {}) {
+  return measure('upload', measureUploadDirect, options);
+}
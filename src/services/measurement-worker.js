@@ -0,0 +1,158 @@
+/**
+ * Measurement worker — runs ping, download and upload measurements off
+ * the main thread.
+ *
+ * Generating upload payloads and reading response bodies are CPU-bound
+ * enough to stutter the gauge animation on low-end phones. Loaded as a
+ * dedicated worker, this module runs the measurement services and talks
+ * to measurement-engine.js through the message protocol below; every
+ * message carries the `id` of the job it belongs to.
+ *
+ * Main thread → worker:
+ * - `run` `{ service, options }` starts a job (options must be cloneable).
+ * - `abort` cancels a job.
+ * - `continue` releases a job held at a checkpoint.
+ *
+ * Worker → main thread:
+ * - `progress` `{ progress }` forwards the service's onProgress payload.
+ * - `checkpoint` asks the main thread to await its pause checkpoint.
+ * - `result` `{ result }` settles the job; `result.timing` carries the
+ *   resource timing breakdown, which only the worker can read.
+ * - `error` `{ error }` settles the job with a serialized error.
+ */
+
+import { measureLatency } from './ping.js';
+import { measureDownloadSpeed } from './download.js';
+import { measureUploadSpeed } from './upload.js';
+import { SpeedTestError } from './errors.js';
+import { getServerConfig } from './server-config.js';
+import { ensureTimingBuffer, clearTimingBuffer, collectTimingBreakdown } from './resource-timing.js';
+
+/** Message types of the worker protocol. */
+export const MessageType = {
+  RUN: 'run',
+  ABORT: 'abort',
+  CONTINUE: 'continue',
+  PROGRESS: 'progress',
+  CHECKPOINT: 'checkpoint',
+  RESULT: 'result',
+  ERROR: 'error',
+};
+
+/** Services the worker can run, with the endpoint whose timing is collected. */
+const SERVICES = {
+  ping: { measure: measureLatency, urlKey: 'pingUrl' },
+  download: { measure: measureDownloadSpeed, urlKey: 'downloadUrl' },
+  upload: { measure: measureUploadSpeed, urlKey: 'uploadUrl' },
+};
+
+/**
+ * Converts an error into a structured-clone-safe object.
+ *
+ * @param {Error} error
+ * @returns {{ name: string, message: string, code?: string, phase?: string, retryAfter?: number }}
+ */
+export function serializeError(error) {
+  const data = { name: error.name, message: error.message };
+  if (error.code) data.code = error.code;
+  if (error.phase) data.phase = error.phase;
+  if (error.retryAfter !== undefined) data.retryAfter = error.retryAfter;
+  return data;
+}
+
+/**
+ * Rebuilds an error serialized by {@link serializeError}, keeping
+ * AbortErrors and {@link SpeedTestError} codes intact for classifyError.
+ *
+ * @param {{ name: string, message: string, code?: string, phase?: string, retryAfter?: number }} data
+ * @returns {Error}
+ */
+export function deserializeError(data) {
+  if (data.name === 'AbortError') {
+    return new DOMException(data.message, 'AbortError');
+  }
+  if (data.name === 'SpeedTestError') {
+    return new SpeedTestError(data.code, data.message, {
+      phase: data.phase,
+      retryAfter: data.retryAfter,
+    });
+  }
+
+  const error = new Error(data.message);
+  error.name = data.name;
+  return error;
+}
+
+/**
+ * Serves measurement jobs on a worker scope.
+ *
+ * @param {{ addEventListener: Function, postMessage: Function }} scope - The worker's global scope.
+ */
+export function serveMeasurements(scope) {
+  /** @type {Map<number, { controller: AbortController, release: (() => void) | null }>} */
+  const jobs = new Map();
+
+  async function run(id, { service, options = {} }) {
+    const entry = SERVICES[service];
+    const controller = new AbortController();
+    const job = { controller, release: null };
+    jobs.set(id, job);
+
+    try {
+      if (!entry) throw new Error(`Unknown measurement service: ${service}`);
+
+      const { hasCheckpoint, ...serviceOptions } = options;
+      ensureTimingBuffer();
+      const since = performance.now();
+
+      const result = await entry.measure({
+        ...serviceOptions,
+        signal: controller.signal,
+        onProgress: (progress) => scope.postMessage({ id, type: MessageType.PROGRESS, progress }),
+        checkpoint: hasCheckpoint ? () => new Promise((resolve, reject) => {
+          if (controller.signal.aborted) {
+            reject(new DOMException('Measurement aborted', 'AbortError'));
+            return;
+          }
+          job.release = resolve;
+          controller.signal.addEventListener('abort', () => {
+            reject(new DOMException('Measurement aborted', 'AbortError'));
+          }, { once: true });
+          scope.postMessage({ id, type: MessageType.CHECKPOINT });
+        }) : undefined,
+      });
+
+      const timingUrl = serviceOptions.url ?? getServerConfig()[entry.urlKey];
+      result.timing = collectTimingBreakdown(timingUrl, since);
+      clearTimingBuffer();
+      scope.postMessage({ id, type: MessageType.RESULT, result });
+    } catch (err) {
+      scope.postMessage({ id, type: MessageType.ERROR, error: serializeError(err) });
+    } finally {
+      jobs.delete(id);
+    }
+  }
+
+  scope.addEventListener('message', ({ data }) => {
+    const job = jobs.get(data.id);
+
+    switch (data.type) {
+      case MessageType.RUN:
+        run(data.id, data);
+        break;
+
+      case MessageType.ABORT:
+        job?.controller.abort();
+        break;
+
+      case MessageType.CONTINUE:
+        job?.release?.();
+        if (job) job.release = null;
+        break;
+    }
+  });
+}
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  serveMeasurements(self);
+}
@@ -55,6 +55,18 @@ export function getConnectionInfo() {
   };
 }
 
+/**
+ * Whether data on the current connection is likely metered: the user
+ * enabled data saver (`saveData`) or the connection is cellular.
+ *
+ * @returns {boolean} `false` when the Network Information API is unavailable.
+ */
+export function isMeteredConnection() {
+  const conn = getConnectionAPI();
+  if (!conn) return false;
+  return conn.saveData === true || getConnectionInfo().type === 'cellular';
+}
+
 /**
  * Subscribes to connection change events.
  *
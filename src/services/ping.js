@@ -1,17 +1,33 @@
 /**
- * Latency (ping) measurement via repeated HTTP requests.
+ * Latency (ping) measurement via repeated HTTP requests or WebSocket echoes.
  *
  * Sends a configurable number of small HEAD requests to the test server,
- * measures round-trip time for each, and computes statistics.
+ * measures round-trip time for each, and computes statistics. Probes can
+ * instead be echoed over a single WebSocket, which avoids per-request
+ * parsing and header overhead; HTTP is used when that is unavailable. A latency
+ * monitor can also keep probing in the background while a download or
+ * upload saturates the link, to measure loaded latency (bufferbloat).
  */
 
 import {
   SpeedTestError, ErrorCode, assertResponseOk, isTimeoutError,
 } from './errors.js';
 
+/** Transports available for latency probes. */
+export const LatencyMethod = {
+  /** HEAD request per probe. */
+  HTTP: 'http',
+  /** Message echoed over one WebSocket connection. */
+  WEBSOCKET: 'websocket',
+};
+
 const DEFAULT_OPTIONS = {
+  /** Probe transport (see {@link LatencyMethod}). */
+  method: LatencyMethod.HTTP,
   /** URL to ping (should respond fast with minimal payload). */
   url: '/ping',
+  /** WebSocket echo endpoint used by the 'websocket' method. */
+  wsUrl: '/ws-ping',
   /** Number of ping requests to send. */
   count: 10,
   /** Timeout per request in milliseconds. */
@@ -20,6 +36,26 @@ const DEFAULT_OPTIONS = {
   delay: 200,
 };
 
+const MONITOR_DEFAULTS = {
+  /** URL to ping while the link is under load. */
+  url: '/ping',
+  /** Delay between background probes in milliseconds. */
+  interval: 250,
+  /** Timeout per background probe in milliseconds. */
+  timeout: 3000,
+};
+
+/**
+ * Bufferbloat grades by latency increase under load (ms), best first.
+ * Anything above the last threshold is graded 'F'.
+ */
+const BUFFERBLOAT_GRADES = [
+  { maxIncrease: 30, grade: 'A' },
+  { maxIncrease: 60, grade: 'B' },
+  { maxIncrease: 200, grade: 'C' },
+  { maxIncrease: 400, grade: 'D' },
+];
+
 /**
  * Measures a single HTTP round-trip time.
  *
@@ -66,24 +102,153 @@ async function measureSinglePing(url, timeout, externalSignal) {
 }
 
 /**
- * Waits for the specified number of milliseconds.
+ * Resolves a WebSocket URL, mapping relative paths onto the page origin.
+ *
+ * @param {string | null} url - Absolute ws(s):// URL or a path such as '/ws-ping'
+ *   (null for servers without a WebSocket endpoint).
+ * @returns {string | null} The absolute URL, or null if it can't be resolved.
+ */
+export function toWebSocketUrl(url) {
+  if (!url) return null;
+  if (/^wss?:\/\//.test(url)) return url;
+  if (typeof location === 'undefined') return null;
+
+  const resolved = new URL(url, location.href);
+  resolved.protocol = resolved.protocol === 'https:' ? 'wss:' : 'ws:';
+  return resolved.href;
+}
+
+/**
+ * Opens a WebSocket to an echo endpoint for latency probes.
+ *
+ * Resolves once the connection is open. The returned `ping()` sends one
+ * message and resolves with the time until it is echoed back; probes
+ * must not overlap.
+ *
+ * @param {string} url - Absolute ws(s):// URL.
+ * @param {number} timeout - Abort opening (and each probe) after this many ms.
+ * @param {AbortSignal} [signal] - External abort signal; closes the socket.
+ * @returns {Promise<{ ping(): Promise<number>, close(): void }>}
+ * @throws {Error} If the connection can't be opened.
+ */
+function openWebSocketPinger(url, timeout, signal) {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(url);
+    let pending = null;
+    let seq = 0;
+
+    const fail = (err) => {
+      if (pending) {
+        clearTimeout(pending.timer);
+        pending.reject(err);
+        pending = null;
+      }
+    };
+
+    const close = () => {
+      signal?.removeEventListener('abort', onAbort);
+      socket.close();
+    };
+
+    const onAbort = () => {
+      fail(new DOMException('Latency measurement aborted', 'AbortError'));
+      close();
+      reject(new DOMException('Latency measurement aborted', 'AbortError'));
+    };
+
+    const openTimer = setTimeout(() => {
+      close();
+      reject(new SpeedTestError(ErrorCode.TIMEOUT, undefined, { phase: 'ping' }));
+    }, timeout);
+
+    if (signal?.aborted) {
+      clearTimeout(openTimer);
+      onAbort();
+      return;
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    socket.addEventListener('message', (event) => {
+      if (pending && event.data === pending.id) {
+        const end = performance.now();
+        clearTimeout(pending.timer);
+        pending.resolve(end - pending.start);
+        pending = null;
+      }
+    });
+
+    socket.addEventListener('close', () => {
+      clearTimeout(openTimer);
+      fail(new SpeedTestError(ErrorCode.NETWORK_ERROR, 'WebSocket connection closed.', { phase: 'ping' }));
+      reject(new SpeedTestError(ErrorCode.NETWORK_ERROR, 'WebSocket connection failed.', { phase: 'ping' }));
+    });
+
+    socket.addEventListener('open', () => {
+      clearTimeout(openTimer);
+      resolve({
+        ping() {
+          if (socket.readyState !== WebSocket.OPEN) {
+            return Promise.reject(new SpeedTestError(
+              ErrorCode.NETWORK_ERROR, 'WebSocket connection closed.', { phase: 'ping' },
+            ));
+          }
+
+          return new Promise((resolvePing, rejectPing) => {
+            const id = String(++seq);
+            const timer = setTimeout(() => {
+              fail(new SpeedTestError(ErrorCode.TIMEOUT, undefined, { phase: 'ping' }));
+            }, timeout);
+            pending = { id, timer, resolve: resolvePing, reject: rejectPing, start: performance.now() };
+            socket.send(id);
+          });
+        },
+        close,
+      });
+    });
+  });
+}
+
+/**
+ * Waits for the specified number of milliseconds, or until `signal` aborts.
  *
  * @param {number} ms
+ * @param {AbortSignal} [signal]
  * @returns {Promise<void>}
  */
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
 }
 
 /**
  * Computes ping statistics from an array of RTT samples.
  *
- * @param {number[]} samples - Array of RTT values in ms.
- * @returns {{ avg: number, min: number, max: number, jitter: number, samples: number[] }}
+ * Probes that got no answer are counted separately so the loss
+ * percentage reflects every probe sent, not just the successful ones.
+ *
+ * @param {number[]} samples - Array of RTT values in ms (successful probes).
+ * @param {object} [lost]
+ * @param {number} [lost.failed] - Probes that failed (network error, bad status).
+ * @param {number} [lost.timedOut] - Probes that got no answer within the timeout.
+ * @returns {{ avg: number, min: number, max: number, jitter: number, samples: number[],
+ *   sent: number, failed: number, timedOut: number, lossPct: number }}
  */
-export function computePingStats(samples) {
+export function computePingStats(samples, { failed = 0, timedOut = 0 } = {}) {
+  const sent = samples.length + failed + timedOut;
+  const loss = {
+    sent,
+    failed,
+    timedOut,
+    lossPct: sent === 0 ? 0 : round2(((failed + timedOut) / sent) * 100),
+  };
+
   if (samples.length === 0) {
-    return { avg: 0, min: 0, max: 0, jitter: 0, samples: [] };
+    return { avg: 0, min: 0, max: 0, jitter: 0, samples: [], ...loss };
   }
 
   const sum = samples.reduce((a, b) => a + b, 0);
@@ -104,9 +269,46 @@ export function computePingStats(samples) {
     max: round2(max),
     jitter: round2(jitter),
     samples: samples.map(round2),
+    ...loss,
+  };
+}
+
+/**
+ * Computes loaded-latency statistics from RTT samples taken under load.
+ *
+ * @param {number[]} samples - Array of RTT values in ms.
+ * @returns {{ avg: number, p90: number, samples: number[] }}
+ */
+export function computeLoadedLatencyStats(samples) {
+  if (samples.length === 0) {
+    return { avg: 0, p90: 0, samples: [] };
+  }
+
+  const avg = samples.reduce((a, b) => a + b, 0) / samples.length;
+  const sorted = [...samples].sort((a, b) => a - b);
+  // Nearest-rank 90th percentile.
+  const p90 = sorted[Math.ceil(0.9 * sorted.length) - 1];
+
+  return {
+    avg: round2(avg),
+    p90: round2(p90),
+    samples: samples.map(round2),
   };
 }
 
+/**
+ * Grades bufferbloat from the increase of loaded over idle latency.
+ *
+ * @param {number} idleMs - Idle (unloaded) average latency.
+ * @param {number} loadedMs - Average latency under load.
+ * @returns {'A' | 'B' | 'C' | 'D' | 'F'}
+ */
+export function gradeBufferbloat(idleMs, loadedMs) {
+  const increase = Math.max(0, loadedMs - idleMs);
+  const match = BUFFERBLOAT_GRADES.find(({ maxIncrease }) => increase < maxIncrease);
+  return match ? match.grade : 'F';
+}
+
 /**
  * Rounds a number to 2 decimal places.
  *
@@ -120,41 +322,114 @@ function round2(n) {
 /**
  * Runs a full latency measurement: sends `count` pings and returns statistics.
  *
+ * With the 'websocket' method, falls back to HTTP when WebSockets are not
+ * supported or the echo endpoint can't be reached. The returned `method`
+ * is the transport actually used.
+ *
  * @param {object} [options]
+ * @param {string} [options.method] - Probe transport ('http' or 'websocket').
  * @param {string} [options.url] - Endpoint to ping.
+ * @param {string} [options.wsUrl] - WebSocket echo endpoint.
  * @param {number} [options.count] - Number of requests.
  * @param {number} [options.timeout] - Per-request timeout in ms.
  * @param {number} [options.delay] - Delay between requests in ms.
  * @param {(progress: { current: number, total: number, lastPing: number }) => void} [options.onProgress]
  *   Called after each ping completes.
+ * @param {(signal?: AbortSignal) => Promise<void>} [options.checkpoint] - Awaited before
+ *   each ping; lets the caller hold the measurement between probes (pause).
  * @param {AbortSignal} [options.signal] - External abort signal to cancel the measurement.
- * @returns {Promise<{ avg: number, min: number, max: number, jitter: number, samples: number[] }>}
+ * @returns {Promise<{ avg: number, min: number, max: number, jitter: number, samples: number[],
+ *   sent: number, failed: number, timedOut: number, lossPct: number, method: string }>}
  * @throws {Error} If all pings fail or the measurement is aborted.
  */
 export async function measureLatency(options = {}) {
-  const { url, count, timeout, delay } = { ...DEFAULT_OPTIONS, ...options };
-  const { onProgress, signal } = options;
+  const {
+    method, url, wsUrl, count, timeout, delay,
+  } = { ...DEFAULT_OPTIONS, ...options };
+  const { onProgress, signal, checkpoint } = options;
+
+  let pinger = null;
+  if (method === LatencyMethod.WEBSOCKET) {
+    pinger = await connectWebSocketPinger(wsUrl, timeout, signal);
+  }
 
+  try {
+    const { samples, failed, timedOut } = await runPings(
+      pinger, { url, count, timeout, delay, onProgress, signal, checkpoint },
+    );
+    return {
+      ...computePingStats(samples, { failed, timedOut }),
+      method: pinger ? LatencyMethod.WEBSOCKET : LatencyMethod.HTTP,
+    };
+  } finally {
+    pinger?.close();
+  }
+}
+
+/**
+ * Opens a WebSocket pinger, or returns null when HTTP should be used instead.
+ *
+ * @param {string} wsUrl - WebSocket echo endpoint.
+ * @param {number} timeout - Connection timeout in ms.
+ * @param {AbortSignal} [signal] - External abort signal.
+ * @returns {Promise<{ ping(): Promise<number>, close(): void } | null>}
+ * @throws {DOMException} If the measurement is aborted while connecting.
+ */
+async function connectWebSocketPinger(wsUrl, timeout, signal) {
+  const url = typeof WebSocket === 'undefined' ? null : toWebSocketUrl(wsUrl);
+  if (!url) return null;
+
+  try {
+    return await openWebSocketPinger(url, timeout, signal);
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    // Echo endpoint unreachable (proxy, server without /ws-ping): use HTTP.
+    return null;
+  }
+}
+
+/**
+ * Sends `count` probes one after another and collects their RTTs.
+ *
+ * @param {{ ping(): Promise<number> } | null} pinger - WebSocket pinger, or null for HTTP.
+ * @param {object} options - See {@link measureLatency}.
+ * @returns {Promise<{ samples: number[], failed: number, timedOut: number }>}
+ *   RTT samples in ms and the number of lost probes.
+ * @throws {Error} If all pings fail or the measurement is aborted.
+ */
+async function runPings(pinger, {
+  url, count, timeout, delay, onProgress, signal, checkpoint,
+}) {
   const samples = [];
+  let failed = 0;
+  let timedOut = 0;
 
   for (let i = 0; i < count; i++) {
+    await checkpoint?.(signal);
     if (signal?.aborted) {
       throw new DOMException('Latency measurement aborted', 'AbortError');
     }
 
     try {
-      const rtt = await measureSinglePing(url, timeout, signal);
+      const rtt = pinger
+        ? await pinger.ping()
+        : await measureSinglePing(url, timeout, signal);
       samples.push(rtt);
 
       if (onProgress) {
         onProgress({ current: i + 1, total: count, lastPing: round2(rtt) });
       }
-    } catch (_err) {
+    } catch (err) {
       // If the external signal caused the abort, re-throw immediately.
       if (signal?.aborted) {
         throw new DOMException('Latency measurement aborted', 'AbortError');
       }
-      // Individual ping failures are tolerated; we just skip the sample.
+      // Individual ping failures are tolerated but counted as lost probes.
+      if (err instanceof SpeedTestError && err.code === ErrorCode.TIMEOUT) {
+        timedOut++;
+      } else {
+        failed++;
+      }
     }
 
     // Wait between pings (skip delay after the last one).
@@ -174,5 +449,58 @@ export async function measureLatency(options = {}) {
     );
   }
 
-  return computePingStats(samples);
+  return { samples, failed, timedOut };
+}
+
+/**
+ * Starts probing latency in the background until stopped.
+ *
+ * Intended to run alongside a download or upload phase. Probes are sent
+ * one at a time, `interval` ms apart; failed probes are skipped. Calling
+ * `stop()` aborts any in-flight probe and resolves with the statistics
+ * collected so far.
+ *
+ * @param {object} [options]
+ * @param {string} [options.url] - Endpoint to ping.
+ * @param {number} [options.interval] - Delay between probes in ms.
+ * @param {number} [options.timeout] - Per-probe timeout in ms.
+ * @param {AbortSignal} [options.signal] - External abort signal; stops probing.
+ * @param {(signal: AbortSignal) => Promise<void>} [options.hold] - Awaited before each
+ *   probe; lets the caller suspend probing while the measurement is paused.
+ * @returns {{ stop(): Promise<{ avg: number, p90: number, samples: number[] }> }}
+ */
+export function startLatencyMonitor(options = {}) {
+  const { url, interval, timeout } = { ...MONITOR_DEFAULTS, ...options };
+  const { signal, hold } = options;
+
+  const controller = new AbortController();
+  if (signal) {
+    if (signal.aborted) {
+      controller.abort();
+    } else {
+      signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+  }
+
+  const samples = [];
+
+  const loop = (async () => {
+    while (!controller.signal.aborted) {
+      try {
+        await hold?.(controller.signal);
+        samples.push(await measureSinglePing(url, timeout, controller.signal));
+      } catch (_err) {
+        // Probes cut short by stop() or lost under load are skipped.
+      }
+      await sleep(interval, controller.signal);
+    }
+  })();
+
+  return {
+    async stop() {
+      controller.abort();
+      await loop;
+      return computeLoadedLatencyStats(samples);
+    },
+  };
 }
@@ -0,0 +1,134 @@
+/**
+ * Request timing breakdown via the Resource Timing API.
+ *
+ * The measurement services time whole `fetch` calls. The browser also
+ * records a `PerformanceResourceTiming` entry per request, which splits
+ * that time into DNS lookup, TCP connect, TLS handshake, time to first
+ * byte and transfer, and reports the negotiated protocol. This module
+ * reads those entries back after each phase, then clears them: once the
+ * buffer is full the browser drops new entries, and probes, pings and app
+ * assets would fill it within a session.
+ */
+
+/** Entries the browser keeps by default (250) run out during long tests. */
+const TIMING_BUFFER_SIZE = 1_000;
+
+/**
+ * Raises the resource timing buffer so a full test fits in it.
+ * Safe to call repeatedly and where the API is missing.
+ */
+export function ensureTimingBuffer() {
+  if (typeof performance !== 'undefined') {
+    performance.setResourceTimingBufferSize?.(TIMING_BUFFER_SIZE);
+  }
+}
+
+/**
+ * Empties the resource timing buffer so the next phase's entries fit in it.
+ * Call once a phase's breakdown has been collected. Safe where the API is missing.
+ */
+export function clearTimingBuffer() {
+  if (typeof performance !== 'undefined') {
+    performance.clearResourceTimings?.();
+  }
+}
+
+/**
+ * Splits one resource timing entry into its phases.
+ *
+ * Reused connections report zero DNS, connect and TLS time. TLS is
+ * zero over plain HTTP (`secureConnectionStart` is 0). Cross-origin
+ * responses without Timing-Allow-Origin have every phase zeroed
+ * (`responseStart` is 0) and cannot be broken down.
+ *
+ * @param {PerformanceResourceTiming} entry
+ * @returns {{ dns: number, connect: number, tls: number, ttfb: number, transfer: number, protocol: string } | null}
+ *   Durations in ms and the `nextHopProtocol` ('http/1.1', 'h2', 'h3', or '' if unknown);
+ *   null if the entry's timing is restricted.
+ */
+export function breakdownEntry(entry) {
+  if (!(entry.responseStart > 0)) return null;
+
+  const tlsStart = entry.secureConnectionStart > 0 ? entry.secureConnectionStart : entry.connectEnd;
+
+  return {
+    dns: round2(Math.max(0, entry.domainLookupEnd - entry.domainLookupStart)),
+    connect: round2(Math.max(0, tlsStart - entry.connectStart)),
+    tls: round2(Math.max(0, entry.connectEnd - tlsStart)),
+    ttfb: round2(Math.max(0, entry.responseStart - entry.requestStart)),
+    transfer: round2(Math.max(0, entry.responseEnd - entry.responseStart)),
+    protocol: entry.nextHopProtocol ?? '',
+  };
+}
+
+/**
+ * Averages per-request breakdowns into one summary for a phase.
+ *
+ * The protocol is the one used by most requests.
+ *
+ * @param {Array<NonNullable<ReturnType<typeof breakdownEntry>>>} breakdowns
+ * @returns {{ dns: number, connect: number, tls: number, ttfb: number, transfer: number,
+ *   protocol: string, requests: number } | null} Null if there are no breakdowns.
+ */
+export function summarizeBreakdowns(breakdowns) {
+  if (breakdowns.length === 0) return null;
+
+  const avg = (key) => round2(breakdowns.reduce((sum, b) => sum + b[key], 0) / breakdowns.length);
+
+  const protocolCounts = new Map();
+  for (const { protocol } of breakdowns) {
+    protocolCounts.set(protocol, (protocolCounts.get(protocol) ?? 0) + 1);
+  }
+  const [protocol] = [...protocolCounts].sort((a, b) => b[1] - a[1])[0];
+
+  return {
+    dns: avg('dns'),
+    connect: avg('connect'),
+    tls: avg('tls'),
+    ttfb: avg('ttfb'),
+    transfer: avg('transfer'),
+    protocol,
+    requests: breakdowns.length,
+  };
+}
+
+/**
+ * Collects the timing breakdown of requests to an endpoint since a point in time.
+ *
+ * @param {string} url - Endpoint the phase requested (query strings are ignored).
+ * @param {number} since - `performance.now()` value taken when the phase started.
+ * @returns {ReturnType<typeof summarizeBreakdowns>} Null if the API is
+ *   unavailable or no matching requests with readable timing were recorded.
+ */
+export function collectTimingBreakdown(url, since) {
+  if (typeof performance === 'undefined' || typeof performance.getEntriesByType !== 'function') {
+    return null;
+  }
+
+  const pathname = toPathname(url);
+  const entries = performance.getEntriesByType('resource').filter((entry) => (
+    entry.startTime >= since && toPathname(entry.name) === pathname
+  ));
+
+  return summarizeBreakdowns(entries.map(breakdownEntry).filter(Boolean));
+}
+
+/**
+ * Returns the pathname of an absolute or relative URL.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+function toPathname(url) {
+  return new URL(url, 'http://localhost').pathname;
+}
+
+/**
+ * Rounds a number to 2 decimal places.
+ *
+ * @param {number} n
+ * @returns {number}
+ */
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
@@ -0,0 +1,124 @@
+/**
+ * Retry policy for download and upload stages.
+ *
+ * A stage that fails with a retryable error is attempted again after an
+ * exponential backoff with random jitter, up to `maxAttempts` times.
+ * The number of attempts is kept with each stage result so measurements
+ * taken on a flaky link can be flagged as degraded. A rate-limited stage
+ * waits for the server's Retry-After instead of the backoff.
+ */
+
+import { ErrorCode, classifyError } from './errors.js';
+
+/**
+ * @typedef {object} RetryPolicy
+ * @property {number} maxAttempts - Attempts per stage, including the first (1 disables retries).
+ * @property {number} baseDelay - Backoff before the first retry in ms; doubles on each retry.
+ * @property {number} maxDelay - Upper bound for a single backoff in ms.
+ * @property {number} jitter - Fraction in [0, 1] of each backoff that is randomized.
+ * @property {string[]} retryOn - {@link ErrorCode}s worth another attempt.
+ * @property {number} maxRetryAfter - Longest Retry-After worth waiting for, in ms;
+ *   a rate-limited stage asked to wait longer is not retried.
+ */
+
+/**
+ * Default policy. Timeouts are not retried: a stage that did not finish
+ * in time would most likely time out again and triple the phase length.
+ *
+ * @type {RetryPolicy}
+ */
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelay: 500,
+  maxDelay: 5_000,
+  jitter: 0.5,
+  retryOn: [ErrorCode.NETWORK_ERROR, ErrorCode.SERVER_UNAVAILABLE, ErrorCode.RATE_LIMITED],
+  maxRetryAfter: 10_000,
+};
+
+/**
+ * Computes the wait before the next attempt.
+ *
+ * @param {number} attempt - Attempt that just failed (1-based).
+ * @param {RetryPolicy} policy
+ * @param {() => number} [random] - Source of randomness in [0, 1).
+ * @returns {number} Delay in ms.
+ */
+export function backoffDelay(attempt, policy, random = Math.random) {
+  const exponential = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+  return Math.round(exponential * (1 - policy.jitter * random()));
+}
+
+/**
+ * Whether an error is worth another attempt under a policy.
+ *
+ * @param {Error} error
+ * @param {RetryPolicy} policy
+ * @returns {boolean}
+ */
+export function isRetryable(error, policy) {
+  const { code, retryAfter = 0 } = classifyError(error);
+  return policy.retryOn.includes(code) && retryAfter * 1000 <= policy.maxRetryAfter;
+}
+
+/**
+ * Runs a task, retrying it according to the policy.
+ *
+ * Errors caused by the external signal are rethrown at once. When the
+ * attempts run out, the last error is thrown with an `attempts` property.
+ *
+ * @template T
+ * @param {(attempt: number) => Promise<T>} task - Called with the 1-based attempt number.
+ * @param {Partial<RetryPolicy>} [policy] - Overrides for {@link DEFAULT_RETRY_POLICY}.
+ * @param {AbortSignal} [signal] - External abort signal; also cuts a backoff short.
+ * @param {(error: Error, attempt: number) => boolean} [canRetry] - Extra check before
+ *   each retry the policy allows; returning false gives up with the error.
+ * @returns {Promise<{ value: T, attempts: number }>}
+ */
+export async function withRetry(task, policy = {}, signal, canRetry) {
+  const config = { ...DEFAULT_RETRY_POLICY, ...policy };
+  const maxAttempts = Math.max(1, Math.floor(config.maxAttempts));
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return { value: await task(attempt), attempts: attempt };
+    } catch (err) {
+      if (
+        signal?.aborted
+        || attempt >= maxAttempts
+        || !isRetryable(err, config)
+        || canRetry?.(err, attempt) === false
+      ) {
+        err.attempts = attempt;
+        throw err;
+      }
+      const { retryAfter } = classifyError(err);
+      await sleep(
+        retryAfter === undefined ? backoffDelay(attempt, config) : retryAfter * 1000,
+        signal,
+      );
+      if (signal?.aborted) {
+        err.attempts = attempt;
+        throw err;
+      }
+    }
+  }
+}
+
+/**
+ * Returns a promise that resolves after `ms` milliseconds, or early if
+ * the signal aborts.
+ *
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
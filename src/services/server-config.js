@@ -1,37 +1,245 @@
 /**
  * Server endpoint configuration for speed-test measurements.
  *
- * All test traffic is routed to the local Vite dev server plugin
- * (vite-plugin-test-server.js) which provides /ping, /download,
- * and /upload endpoints — removing any external dependency.
+ * By default all test traffic is routed to the local Vite dev server plugin
+ * (vite-plugin-test-server.js) which provides /info, /ping, /ws-ping,
+ * /download, /upload and /whoami endpoints — removing any external dependency.
+ *
+ * Further test servers (e.g. one per office) can be listed as JSON in the
+ * `VITE_TEST_SERVERS` build variable or set at runtime with
+ * {@link setServers}; server-selection.js picks the nearest one.
+ *
+ * Servers speak either this app's protocol or LibreSpeed's
+ * (`garbage.php`, `empty.php`, `getIP.php`), see {@link ServerProtocol}.
  */
 
+/** URL layouts a test server can use. */
+export const ServerProtocol = {
+  /** This app's endpoints (vite-plugin-test-server.js, server.js). */
+  NATIVE: 'native',
+  /** A LibreSpeed backend; it has no handshake or WebSocket endpoint. */
+  LIBRESPEED: 'librespeed',
+};
+
 const DEFAULT_CONFIG = {
+  /** Handshake endpoint describing the server's version and limits. */
+  infoUrl: '/info',
   /** Endpoint for latency (ping) measurement. HEAD requests return 204. */
   pingUrl: '/ping',
+  /** WebSocket echo endpoint for low-overhead latency measurement. */
+  wsPingUrl: '/ws-ping',
   /** Endpoint for download speed measurement. Streams random bytes. */
   downloadUrl: '/download',
   /** Endpoint for upload speed measurement. Accepts POST body. */
   uploadUrl: '/upload',
+  /** Endpoint reporting the client's IP and ISP. */
+  whoamiUrl: '/whoami',
 };
 
+/** Endpoint defaults per protocol, used to derive a server's URLs from its `baseUrl`. */
+const PROTOCOL_ENDPOINTS = {
+  [ServerProtocol.NATIVE]: DEFAULT_CONFIG,
+  [ServerProtocol.LIBRESPEED]: {
+    infoUrl: null,
+    pingUrl: '/empty.php',
+    wsPingUrl: null,
+    downloadUrl: '/garbage.php',
+    uploadUrl: '/empty.php',
+    whoamiUrl: '/getIP.php',
+  },
+};
+
+/** LibreSpeed's garbage.php sends `ckSize` chunks of this size. */
+const LIBRESPEED_CHUNK_BYTES = 1_048_576; // 1 MB
+
 /**
  * Returns the current server endpoint configuration.
  *
  * @param {object} [overrides] - Optional partial overrides.
- * @returns {{ pingUrl: string, downloadUrl: string, uploadUrl: string }}
+ * @returns {{ infoUrl: string, pingUrl: string, wsPingUrl: string, downloadUrl: string, uploadUrl: string, whoamiUrl: string }}
  */
 export function getServerConfig(overrides = {}) {
   return { ...DEFAULT_CONFIG, ...overrides };
 }
 
+/**
+ * Returns the step download sizes come in on a server: LibreSpeed
+ * backends only serve whole 1 MB chunks, native ones any byte count.
+ *
+ * @param {string} [protocol] - The server's {@link ServerProtocol}.
+ * @returns {number} Step in bytes.
+ */
+export function downloadGranularity(protocol = ServerProtocol.NATIVE) {
+  return protocol === ServerProtocol.LIBRESPEED ? LIBRESPEED_CHUNK_BYTES : 1;
+}
+
 /**
  * Builds a download URL with the requested byte size as a query parameter.
  *
+ * LibreSpeed backends only serve whole 1 MB chunks, so the size is
+ * rounded up to the next megabyte there.
+ *
  * @param {number} bytes - Number of bytes to download.
  * @param {string} [baseUrl] - Base download endpoint.
+ * @param {string} [protocol] - The server's {@link ServerProtocol}.
  * @returns {string}
  */
-export function buildDownloadUrl(bytes, baseUrl = DEFAULT_CONFIG.downloadUrl) {
+export function buildDownloadUrl(
+  bytes,
+  baseUrl = DEFAULT_CONFIG.downloadUrl,
+  protocol = ServerProtocol.NATIVE,
+) {
+  if (protocol === ServerProtocol.LIBRESPEED) {
+    return `${baseUrl}?ckSize=${Math.max(1, Math.ceil(bytes / LIBRESPEED_CHUNK_BYTES))}`;
+  }
   return `${baseUrl}?bytes=${bytes}`;
 }
+
+/**
+ * @typedef {object} TestServer
+ * @property {string} id - Unique identifier, stored as `server_used` with each result.
+ * @property {string} name - Display name.
+ * @property {string} location - Where the server runs (city, office).
+ * @property {string} protocol - URL layout the server uses (see {@link ServerProtocol}).
+ * @property {string | null} infoUrl - Handshake endpoint (null skips the handshake).
+ * @property {string} pingUrl - Latency endpoint.
+ * @property {string | null} wsPingUrl - WebSocket echo endpoint (null if the server has none).
+ * @property {string} downloadUrl - Download endpoint.
+ * @property {string} uploadUrl - Upload endpoint.
+ * @property {string | null} whoamiUrl - Client IP/ISP endpoint (null if the server has none).
+ */
+
+/** The test server built into the app's own origin. */
+export const LOCAL_SERVER = {
+  id: 'local',
+  name: 'Servidor local',
+  location: 'Este sitio',
+  protocol: ServerProtocol.NATIVE,
+  ...DEFAULT_CONFIG,
+};
+
+/**
+ * Completes a server entry. Endpoints left out are derived from
+ * `baseUrl` and the server's protocol (e.g. 'https://mad.example.com'
+ * → '.../ping', or '.../empty.php' for a LibreSpeed backend).
+ *
+ * @param {Partial<TestServer> & { baseUrl?: string }} entry
+ * @returns {TestServer}
+ * @throws {Error} If the entry has no id, lacks an endpoint or names an unknown protocol.
+ */
+export function normalizeServer(entry) {
+  const { baseUrl, ...fields } = entry ?? {};
+  const protocol = fields.protocol ?? ServerProtocol.NATIVE;
+  const defaults = PROTOCOL_ENDPOINTS[protocol];
+  if (!defaults) {
+    throw new Error(`Unknown test server protocol: ${protocol}`);
+  }
+
+  const base = baseUrl?.replace(/\/+$/, '');
+  const endpoint = (key) => fields[key]
+    ?? (base && defaults[key] ? `${base}${defaults[key]}` : undefined);
+
+  const server = {
+    id: fields.id,
+    name: fields.name ?? fields.id,
+    location: fields.location ?? '',
+    protocol,
+    infoUrl: endpoint('infoUrl') ?? null,
+    pingUrl: endpoint('pingUrl'),
+    wsPingUrl: endpoint('wsPingUrl') ?? null,
+    downloadUrl: endpoint('downloadUrl'),
+    uploadUrl: endpoint('uploadUrl'),
+    whoamiUrl: endpoint('whoamiUrl') ?? null,
+  };
+
+  if (!server.id || !server.pingUrl || !server.downloadUrl || !server.uploadUrl) {
+    throw new Error('A test server needs an id and ping, download and upload URLs');
+  }
+  return server;
+}
+
+/**
+ * Parses a JSON list of server entries (the `VITE_TEST_SERVERS` format).
+ *
+ * @param {string} json - JSON array of entries accepted by {@link normalizeServer}.
+ * @returns {TestServer[]}
+ * @throws {Error} If the JSON is invalid, not a non-empty array, or has duplicate ids.
+ */
+export function parseServerList(json) {
+  return normalizeServerList(JSON.parse(json));
+}
+
+/**
+ * Normalizes a list of server entries.
+ *
+ * @param {unknown} entries
+ * @returns {TestServer[]}
+ * @throws {Error} If the list is empty, an entry is invalid, or ids repeat.
+ */
+function normalizeServerList(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('The test server list must be a non-empty array');
+  }
+
+  const list = entries.map(normalizeServer);
+  const ids = new Set(list.map((server) => server.id));
+  if (ids.size !== list.length) {
+    throw new Error('Test server ids must be unique');
+  }
+  return list;
+}
+
+/**
+ * Reads the servers configured at build time, falling back to the local one.
+ *
+ * @returns {TestServer[]}
+ */
+function loadConfiguredServers() {
+  const configured = import.meta.env?.VITE_TEST_SERVERS;
+  if (!configured) return [LOCAL_SERVER];
+
+  try {
+    return parseServerList(configured);
+  } catch (err) {
+    console.warn('Ignoring invalid VITE_TEST_SERVERS:', err.message);
+    return [LOCAL_SERVER];
+  }
+}
+
+/** Servers a test can run against. */
+let servers = loadConfiguredServers();
+
+/**
+ * Returns the available test servers.
+ *
+ * @returns {TestServer[]}
+ */
+export function getServers() {
+  return [...servers];
+}
+
+/**
+ * Replaces the available test servers.
+ *
+ * @param {Array<Partial<TestServer> & { baseUrl?: string }>} list - Entries accepted
+ *   by {@link normalizeServer}; an empty list restores the local server.
+ * @throws {Error} If an entry is invalid or ids repeat.
+ */
+export function setServers(list) {
+  servers = list.length === 0 ? [LOCAL_SERVER] : normalizeServerList(list);
+}
+
+/**
+ * Returns a server by id.
+ *
+ * @param {string} id
+ * @returns {TestServer}
+ * @throws {Error} If the server is unknown.
+ */
+export function getServer(id) {
+  const server = servers.find((s) => s.id === id);
+  if (!server) {
+    throw new Error(`Unknown test server: ${id}`);
+  }
+  return server;
+}
@@ -0,0 +1,166 @@
+/**
+ * Pre-test handshake with the test server.
+ *
+ * Fetches the server's /info description (see vite-plugin-test-server.js)
+ * to check that it speaks the protocol this client understands, and to
+ * learn its limits so stage sizes can be kept within them. Incompatibility
+ * messages are shown to the user as they are, so they are in Spanish.
+ */
+
+import {
+  SpeedTestError, ErrorCode, assertResponseOk, isTimeoutError,
+} from './errors.js';
+
+/** Protocol version this client understands. */
+export const PROTOCOL_VERSION = 1;
+
+/** Endpoints a server must offer for a test to run. */
+const REQUIRED_ENDPOINTS = ['/ping', '/download', '/upload'];
+
+const DEFAULT_OPTIONS = {
+  /** Timeout for the /info request in milliseconds. */
+  timeout: 5_000,
+};
+
+/**
+ * @typedef {object} ServerInfo
+ * @property {number} version - Protocol version.
+ * @property {string | null} name - Server name, if configured.
+ * @property {string | null} location - Server location, if configured.
+ * @property {{ maxDownloadBytes?: number | null, maxUploadBytes?: number | null, maxWebSocketPayload?: number | null }} limits
+ *   Per-request limits; null or missing means unlimited.
+ * @property {string[]} endpoints - Paths the server serves.
+ */
+
+/**
+ * @typedef {object} ServerLimits
+ * @property {number} downloadBytes - Largest download request in bytes.
+ * @property {number} uploadBytes - Largest upload payload in bytes.
+ * @property {boolean} webSocket - Whether the WebSocket echo endpoint is available.
+ */
+
+/**
+ * Fetches a server's /info description.
+ *
+ * @param {string} url - Handshake endpoint.
+ * @param {object} [options]
+ * @param {number} [options.timeout] - Abort after this many ms.
+ * @param {AbortSignal} [options.signal] - External abort signal.
+ * @returns {Promise<object>} The parsed description (unchecked).
+ * @throws {SpeedTestError} INCOMPATIBLE_SERVER if the server has no /info
+ *   endpoint or answers with something other than JSON; TIMEOUT or
+ *   SERVER_UNAVAILABLE if it does not answer properly.
+ */
+export async function fetchServerInfo(url, options = {}) {
+  const { timeout } = { ...DEFAULT_OPTIONS, ...options };
+  const { signal } = options;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  if (signal) {
+    if (signal.aborted) {
+      clearTimeout(timer);
+      controller.abort();
+    } else {
+      signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+  }
+
+  try {
+    const response = await fetch(url, {
+      cache: 'no-store',
+      signal: controller.signal,
+    });
+
+    if (response.status === 404) {
+      throw new SpeedTestError(
+        ErrorCode.INCOMPATIBLE_SERVER,
+        'El servidor de pruebas no tiene el endpoint /info; puede ser demasiado antiguo para esta aplicación.',
+      );
+    }
+    assertResponseOk(response);
+
+    try {
+      return await response.json();
+    } catch (err) {
+      throw new SpeedTestError(
+        ErrorCode.INCOMPATIBLE_SERVER,
+        'El servidor de pruebas ha enviado una descripción /info ilegible.',
+        { cause: err },
+      );
+    }
+  } catch (err) {
+    if (isTimeoutError(err, signal)) {
+      throw new SpeedTestError(ErrorCode.TIMEOUT, undefined, { cause: err });
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Checks that a server description is one this client can test against.
+ *
+ * @param {object} info - Parsed /info response.
+ * @returns {ServerInfo} The same description.
+ * @throws {SpeedTestError} INCOMPATIBLE_SERVER if the protocol version
+ *   differs or a required endpoint is missing.
+ */
+export function checkCompatibility(info) {
+  if (info === null || typeof info !== 'object' || !Number.isInteger(info.version)) {
+    throw new SpeedTestError(
+      ErrorCode.INCOMPATIBLE_SERVER,
+      'El servidor de pruebas ha enviado una descripción /info no válida.',
+    );
+  }
+
+  if (info.version !== PROTOCOL_VERSION) {
+    throw new SpeedTestError(
+      ErrorCode.INCOMPATIBLE_SERVER,
+      `El servidor de pruebas usa la versión ${info.version} del protocolo; esta aplicación solo admite la versión ${PROTOCOL_VERSION}.`,
+    );
+  }
+
+  const endpoints = Array.isArray(info.endpoints) ? info.endpoints : [];
+  const missing = REQUIRED_ENDPOINTS.filter((path) => !endpoints.includes(path));
+  if (missing.length > 0) {
+    throw new SpeedTestError(
+      ErrorCode.INCOMPATIBLE_SERVER,
+      `El servidor de pruebas no ofrece ${missing.join(', ')}.`,
+    );
+  }
+
+  return info;
+}
+
+/**
+ * Derives the limits a test must respect from a server description.
+ *
+ * @param {ServerInfo | null} info - Null when no handshake took place.
+ * @returns {ServerLimits}
+ */
+export function getServerLimits(info) {
+  const limit = (value) => (Number.isFinite(value) && value > 0 ? value : Infinity);
+
+  return {
+    downloadBytes: limit(info?.limits?.maxDownloadBytes),
+    uploadBytes: limit(info?.limits?.maxUploadBytes),
+    webSocket: info ? info.endpoints.includes('/ws-ping') : true,
+  };
+}
+
+/**
+ * Performs the handshake with a test server.
+ *
+ * Servers configured without an `infoUrl` are trusted as they are.
+ *
+ * @param {import('./server-config.js').TestServer} server
+ * @param {object} [options] - See {@link fetchServerInfo}.
+ * @returns {Promise<ServerInfo | null>} The checked description, or null if skipped.
+ * @throws {SpeedTestError} If the server cannot be reached or is incompatible.
+ */
+export async function handshake(server, options = {}) {
+  if (!server.infoUrl) return null;
+  return checkCompatibility(await fetchServerInfo(server.infoUrl, options));
+}
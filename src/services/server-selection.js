@@ -0,0 +1,84 @@
+/**
+ * Test server selection.
+ *
+ * Before a test, each configured server gets a few latency probes and the
+ * one with the lowest average latency is used, unless the user picked a
+ * server by hand.
+ */
+
+import { measureLatency } from './ping.js';
+import { getServers, getServer } from './server-config.js';
+import { SpeedTestError, ErrorCode } from './errors.js';
+
+/** Server choice that selects the nearest server automatically. */
+export const AUTO_SERVER = 'auto';
+
+const PROBE_DEFAULTS = {
+  /** Probes per server. */
+  count: 3,
+  /** Per-probe timeout in ms. */
+  timeout: 2_000,
+};
+
+/**
+ * Measures the latency to each server, one server at a time so probes
+ * don't compete with each other.
+ *
+ * @param {import('./server-config.js').TestServer[]} servers
+ * @param {object} [options]
+ * @param {number} [options.count] - Probes per server.
+ * @param {number} [options.timeout] - Per-probe timeout in ms.
+ * @param {AbortSignal} [options.signal] - External abort signal.
+ * @returns {Promise<Array<{ server: import('./server-config.js').TestServer, latency: number | null }>>}
+ *   Average latency per server in ms; null if the server did not answer.
+ * @throws {DOMException} If the signal aborts.
+ */
+export async function probeServers(servers, options = {}) {
+  const { count, timeout } = { ...PROBE_DEFAULTS, ...options };
+  const { signal } = options;
+  const probes = [];
+
+  for (const server of servers) {
+    try {
+      const { avg } = await measureLatency({
+        url: server.pingUrl, count, timeout, delay: 0, signal,
+      });
+      probes.push({ server, latency: avg });
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      probes.push({ server, latency: null });
+    }
+  }
+
+  return probes;
+}
+
+/**
+ * Resolves the server a test runs against.
+ *
+ * @param {string} [choice] - A server id, or {@link AUTO_SERVER} for the nearest one.
+ * @param {object} [options] - Probe options, see {@link probeServers}.
+ * @returns {Promise<{ server: import('./server-config.js').TestServer, probes: Array<{ server: object, latency: number | null }> }>}
+ *   The chosen server and the pre-probe results (empty when nothing was probed).
+ * @throws {Error} If the chosen id is unknown.
+ * @throws {SpeedTestError} SERVER_UNAVAILABLE if no server answered the pre-probe.
+ */
+export async function selectServer(choice = AUTO_SERVER, options = {}) {
+  if (choice !== AUTO_SERVER) {
+    return { server: getServer(choice), probes: [] };
+  }
+
+  const servers = getServers();
+  if (servers.length === 1) {
+    return { server: servers[0], probes: [] };
+  }
+
+  const probes = await probeServers(servers, options);
+  const reachable = probes.filter((p) => p.latency !== null);
+  if (reachable.length === 0) {
+    throw new SpeedTestError(ErrorCode.SERVER_UNAVAILABLE);
+  }
+
+  const nearest = reachable.reduce((best, p) => (p.latency < best.latency ? p : best));
+  return { server: nearest.server, probes };
+}
@@ -0,0 +1,312 @@
+/**
+ * Stage scheduling shared by the download and upload measurements.
+ *
+ * Both phases transfer a series of stages — a fixed list of sizes, or
+ * rounds sized to fill a target duration — within an optional byte
+ * budget, retrying failed stages per the retry policy. The services only
+ * supply how a single stage is measured; everything around it lives here.
+ */
+
+import { estimateThroughput } from './estimators.js';
+import { SpeedTestError, ErrorCode, classifyError } from './errors.js';
+import { withRetry } from './retry.js';
+
+/** Maximum factor by which a duration-mode request may grow per round. */
+export const MAX_GROWTH_FACTOR = 8;
+
+/** Duration mode gives up after this many failed rounds in a row. */
+export const MAX_CONSECUTIVE_FAILURES = 3;
+
+/** Smallest per-stream request worth making when the byte budget runs low. */
+export const MIN_BUDGET_REQUEST_BYTES = 65_536;
+
+/**
+ * Converts bytes transferred over a duration to megabits per second.
+ *
+ * @param {number} bytes
+ * @param {number} durationMs
+ * @returns {number} Speed in Mbps.
+ */
+export function bytesToMbps(bytes, durationMs) {
+  if (durationMs <= 0) return 0;
+  const bits = bytes * 8;
+  const seconds = durationMs / 1000;
+  return round2(bits / seconds / 1_000_000);
+}
+
+/**
+ * Rounds a number to 2 decimal places.
+ *
+ * @param {number} n
+ * @returns {number}
+ */
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Combines concurrent stream results into a single stage result.
+ *
+ * Throughput is total bytes over the window from the earliest stream
+ * start to the latest stream end, so overlapping transfers are measured
+ * together rather than by summing their individual durations.
+ *
+ * @param {Array<{ bytes: number, durationMs: number, mbps: number, start: number, end: number }>} streamResults
+ * @returns {{ bytes: number, durationMs: number, mbps: number, streams: Array<{ bytes: number, durationMs: number, mbps: number }> }}
+ */
+export function aggregateStreams(streamResults) {
+  const start = Math.min(...streamResults.map((s) => s.start));
+  const end = Math.max(...streamResults.map((s) => s.end));
+
+  const bytes = streamResults.reduce((sum, s) => sum + s.bytes, 0);
+  const durationMs = end - start;
+
+  return {
+    bytes,
+    durationMs,
+    mbps: bytesToMbps(bytes, durationMs),
+    streams: streamResults.map(({ bytes, durationMs, mbps }) => ({ bytes, durationMs, mbps })),
+  };
+}
+
+/**
+ * Picks the per-stream request size for the next duration-mode round.
+ *
+ * Sizes the request so that, at the throughput seen in the previous
+ * round, it takes about `targetMs` to complete. Growth is capped per
+ * round so a noisy early estimate cannot overshoot the phase budget.
+ *
+ * @param {{ bytes: number, durationMs: number }} previous - Last round's aggregate result.
+ * @param {number} previousBytes - Per-stream size used in the last round.
+ * @param {number} streams - Concurrent streams per round.
+ * @param {number} targetMs - Desired duration of the next round.
+ * @param {{ minBytes: number, maxBytes: number }} limits
+ * @returns {number} Per-stream byte size.
+ */
+export function nextAdaptiveBytes(previous, previousBytes, streams, targetMs, { minBytes, maxBytes }) {
+  const grown = previousBytes * MAX_GROWTH_FACTOR;
+
+  const ideal = previous.bytes > 0 && previous.durationMs > 0
+    ? (previous.bytes / previous.durationMs) * targetMs / streams
+    : grown;
+
+  return Math.round(Math.min(Math.max(ideal, minBytes), grown, maxBytes));
+}
+
+/**
+ * Tracks how much of a phase's byte budget is left.
+ *
+ * Requests are charged as whole multiples of `granularity`, since that
+ * is what a server rounding sizes up actually sends.
+ *
+ * @param {number} byteBudget - Most bytes the phase may transfer.
+ * @param {number} streams - Concurrent streams per stage; every request is made once per stream.
+ * @param {number} [granularity] - Step request sizes come in, in bytes.
+ * @returns {{ take: (requestBytes: number, isFirst: boolean) => number, fits: (requestBytes: number) => boolean, charge: (requestBytes: number) => void }}
+ */
+export function createByteBudget(byteBudget, streams, granularity = 1) {
+  let left = byteBudget;
+  const minBytes = roundUp(MIN_BUDGET_REQUEST_BYTES, granularity);
+
+  return {
+    /**
+     * Fits a per-stream request size to the remaining budget and charges
+     * it. Returns 0 when the budget is spent; the first request always
+     * runs (at least at the minimum size) so the phase has a result.
+     */
+    take(requestBytes, isFirst) {
+      const requested = roundUp(requestBytes, granularity);
+      let fitted = Math.min(requested, Math.floor(left / streams / granularity) * granularity);
+      if (fitted < requested && fitted < minBytes) {
+        if (!isFirst) return 0;
+        fitted = Math.min(requested, minBytes);
+      }
+      left -= fitted * streams;
+      return fitted;
+    },
+
+    /** Whether a request of this per-stream size still fits, as is. */
+    fits(requestBytes) {
+      return requestBytes * streams <= left;
+    },
+
+    /** Charges a request of this per-stream size, e.g. a retry. */
+    charge(requestBytes) {
+      left -= requestBytes * streams;
+    },
+  };
+}
+
+/**
+ * Rounds a byte count up to a whole multiple of `step`.
+ *
+ * @param {number} bytes
+ * @param {number} step
+ * @returns {number}
+ */
+function roundUp(bytes, step) {
+  return Math.ceil(bytes / step) * step;
+}
+
+/**
+ * @callback MeasureStage
+ * @param {number} stageBytes - Payload size per stream in bytes.
+ * @param {object} options
+ * @param {(sample: { bytes: number, mbps: number }) => void} [options.onSample]
+ * @param {(bytes: number) => void} options.onTransfer - Called with the bytes moved by
+ *   every stream, those that fail included, so the phase's data use is exact.
+ * @returns {Promise<{ bytes: number, durationMs: number, mbps: number }>} The stage result.
+ */
+
+/**
+ * Runs a phase's stages and reduces them to a single speed.
+ *
+ * In `'stages'` mode, runs the fixed `stages` list in order. In
+ * `'duration'` mode, keeps going until `duration` ms of transfer time
+ * have elapsed, sizing each round from the throughput of the previous
+ * one (see {@link nextAdaptiveBytes}). Either way requests are capped to
+ * `requestLimit` and fitted to `byteBudget`, and each stage is retried
+ * per `retry` before being skipped. Retries transfer the stage again, so
+ * each one is charged to the budget and none runs once it is spent. A
+ * stage still rate limited after its retries ends the phase: the next
+ * ones would only be refused too.
+ *
+ * @param {MeasureStage} measureStage - Measures one stage over all streams.
+ * @param {object} config - The service's resolved options (see download.js and upload.js).
+ * @param {object} context
+ * @param {'download' | 'upload'} context.phase - For error messages.
+ * @param {number} context.streams - Concurrent streams per stage.
+ * @param {number} [context.granularity] - Step the server rounds request sizes up to;
+ *   stages are sized, charged and adapted in whole steps.
+ * @param {Function} [context.onProgress] - The service's `onProgress` option.
+ * @param {AbortSignal} [context.signal] - External abort signal.
+ * @param {(signal?: AbortSignal) => Promise<void>} [context.checkpoint] - Awaited before each stage.
+ * @returns {Promise<{ speedMbps: number, estimator: string, bytesUsed: number, stages: object[], failedStages: number }>}
+ *   `bytesUsed` counts every byte transferred, failed attempts included.
+ * @throws {SpeedTestError} RATE_LIMITED, with the server's `retryAfter`, if the
+ *   server refused every stage; NETWORK_ERROR if all stages failed otherwise.
+ * @throws {DOMException} If the measurement is aborted.
+ */
+export async function runStages(measureStage, config, {
+  phase, streams, granularity = 1, onProgress, signal, checkpoint,
+}) {
+  const results = [];
+  let failedStages = 0;
+  let bytesUsed = 0;
+  /** Why the last skipped stage failed. */
+  let lastError = null;
+  const budget = createByteBudget(config.byteBudget, streams, granularity);
+
+  const aborted = () => new DOMException(
+    `${phase[0].toUpperCase()}${phase.slice(1)} measurement aborted`,
+    'AbortError',
+  );
+
+  /**
+   * Runs one stage, retrying it per the retry policy, and reports
+   * progress. Returns null if every attempt failed in a tolerable way.
+   */
+  async function runStage(index, stageBytes, totalStages) {
+    await checkpoint?.(signal);
+    if (signal?.aborted) throw aborted();
+
+    try {
+      const { value: measured, attempts } = await withRetry((attempt) => {
+        if (attempt > 1) budget.charge(stageBytes);
+
+        return measureStage(stageBytes, {
+          onSample: onProgress && (({ bytes, mbps }) => {
+            onProgress({
+              stage: index + 1,
+              totalStages,
+              stageMbps: mbps,
+              stageBytes: bytes,
+              interim: true,
+            });
+          }),
+          onTransfer: (bytes) => { bytesUsed += bytes; },
+        });
+      }, config.retry, signal, () => budget.fits(stageBytes));
+      const result = { ...measured, attempts };
+      results.push(result);
+
+      onProgress?.({
+        stage: index + 1,
+        totalStages,
+        stageMbps: result.mbps,
+        stageBytes: result.bytes,
+        interim: false,
+      });
+
+      return result;
+    } catch (err) {
+      // If the external signal caused the abort, re-throw immediately.
+      if (signal?.aborted) throw aborted();
+      // Individual stage failures are tolerated; we skip the stage.
+      failedStages++;
+      lastError = classifyError(err, phase);
+      return null;
+    }
+  }
+
+  const rateLimited = () => lastError?.code === ErrorCode.RATE_LIMITED;
+
+  if (config.mode === 'duration') {
+    const { duration, roundDuration } = config;
+    const maxBytes = Math.min(config.maxBytes, config.requestLimit);
+    const initialBytes = Math.min(config.initialBytes, maxBytes);
+    const limits = { minBytes: initialBytes, maxBytes };
+
+    let elapsed = 0;
+    let failures = 0;
+    let requestBytes = roundUp(initialBytes, granularity);
+
+    for (let i = 0; elapsed < duration && failures < MAX_CONSECUTIVE_FAILURES; i++) {
+      const fitted = budget.take(requestBytes, i === 0);
+      if (fitted === 0) break;
+
+      const result = await runStage(i, fitted, null);
+
+      if (!result) {
+        if (rateLimited()) break;
+        failures++;
+        continue;
+      }
+
+      failures = 0;
+      elapsed += result.durationMs;
+
+      const targetMs = Math.min(roundDuration, duration - elapsed);
+      requestBytes = roundUp(
+        nextAdaptiveBytes(result, requestBytes, streams, targetMs, limits),
+        granularity,
+      );
+    }
+  } else {
+    const { stages } = config;
+    for (let i = 0; i < stages.length; i++) {
+      const fitted = budget.take(Math.min(stages[i], config.requestLimit), i === 0);
+      if (fitted === 0) break;
+
+      const result = await runStage(i, fitted, stages.length);
+      if (!result && rateLimited()) break;
+    }
+  }
+
+  if (results.length === 0) {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      throw new SpeedTestError(ErrorCode.OFFLINE, undefined, { phase });
+    }
+    if (rateLimited()) throw lastError;
+    throw new SpeedTestError(
+      ErrorCode.NETWORK_ERROR,
+      `All ${phase} stages failed. Check your network connection.`,
+      { phase, cause: lastError },
+    );
+  }
+
+  const { estimator, estimatorOptions } = config;
+  const speedMbps = estimateThroughput(results, estimator, estimatorOptions);
+
+  return { speedMbps, estimator, bytesUsed, stages: results, failedStages };
+}
@@ -0,0 +1,91 @@
+/**
+ * Named test profiles.
+ *
+ * A profile bundles the phases to run and the options passed to
+ * `measureLatency`, `measureDownloadSpeed` and `measureUploadSpeed`, so
+ * users on metered connections can trade accuracy for data usage.
+ * 'standard' matches the services' own defaults.
+ */
+
+/** Profile identifiers, as stored with each result. */
+export const TestProfile = {
+  QUICK: 'quick',
+  STANDARD: 'standard',
+  THOROUGH: 'thorough',
+  LATENCY_ONLY: 'latency-only',
+};
+
+/** Profile used when none is selected. */
+export const DEFAULT_PROFILE = TestProfile.STANDARD;
+
+const MB = 1_048_576;
+
+/**
+ * @typedef {object} ProfileConfig
+ * @property {string} id - One of {@link TestProfile}.
+ * @property {string} label - Display name (Spanish).
+ * @property {string[]} [phases] - Phase ids to run, in order (default: all registered phases).
+ * @property {{ count: number, timeout: number }} ping - measureLatency options.
+ * @property {{ stages: number[], streams: number, timeout: number }} [download] - measureDownloadSpeed options.
+ * @property {{ stages: number[], streams: number, timeout: number }} [upload] - measureUploadSpeed options.
+ */
+
+/** @type {Record<string, ProfileConfig>} */
+export const PROFILES = {
+  [TestProfile.QUICK]: {
+    id: TestProfile.QUICK,
+    label: 'Rápido',
+    ping: { count: 5, timeout: 3_000 },
+    download: { stages: [0.5 * MB, 2 * MB], streams: 1, timeout: 15_000 },
+    upload: { stages: [0.25 * MB, 1 * MB], streams: 1, timeout: 15_000 },
+  },
+  [TestProfile.STANDARD]: {
+    id: TestProfile.STANDARD,
+    label: 'Estándar',
+    ping: { count: 10, timeout: 5_000 },
+    download: { stages: [1 * MB, 10 * MB, 25 * MB], streams: 1, timeout: 30_000 },
+    upload: { stages: [0.5 * MB, 2 * MB, 5 * MB], streams: 1, timeout: 30_000 },
+  },
+  [TestProfile.THOROUGH]: {
+    id: TestProfile.THOROUGH,
+    label: 'Completo',
+    ping: { count: 20, timeout: 5_000 },
+    download: { stages: [1 * MB, 10 * MB, 25 * MB], streams: 4, timeout: 60_000 },
+    upload: { stages: [0.5 * MB, 2 * MB, 5 * MB], streams: 4, timeout: 60_000 },
+  },
+  [TestProfile.LATENCY_ONLY]: {
+    id: TestProfile.LATENCY_ONLY,
+    label: 'Solo latencia',
+    phases: ['ping'],
+    ping: { count: 30, timeout: 5_000 },
+  },
+};
+
+/**
+ * Returns a profile by id.
+ *
+ * @param {string} [id] - One of {@link TestProfile} (defaults to {@link DEFAULT_PROFILE}).
+ * @returns {ProfileConfig}
+ * @throws {Error} If the profile is unknown.
+ */
+export function getProfile(id = DEFAULT_PROFILE) {
+  const profile = PROFILES[id];
+  if (!profile) {
+    throw new Error(`Unknown test profile: ${id}`);
+  }
+  return profile;
+}
+
+/**
+ * Estimates the bytes a profile transfers in 'stages' mode. Each stream
+ * transfers the full stage size; ping traffic is negligible.
+ *
+ * @param {ProfileConfig} profile
+ * @returns {number} Approximate bytes downloaded plus uploaded.
+ */
+export function estimateDataUsage(profile) {
+  const phaseBytes = (config) => (
+    config ? config.stages.reduce((sum, bytes) => sum + bytes, 0) * config.streams : 0
+  );
+  return phaseBytes(profile.download) + phaseBytes(profile.upload);
+}
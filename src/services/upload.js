@@ -3,12 +3,26 @@
  *
  * Sends payloads of increasing size (512 KB → 2 MB → 5 MB) to the
  * local test server, measures throughput for each stage, and returns
- * the final speed estimate in Mbps.
+ * the final speed estimate in Mbps. Each stage can be spread over
+ * several concurrent POSTs so uploads are not capped by a single
+ * connection's congestion window.
+ *
+ * When live progress is requested the payload is sent as a streaming
+ * request body where the browser supports it, falling back to
+ * XMLHttpRequest `upload.onprogress` elsewhere.
+ *
+ * The server reports the bytes it received and the window between the
+ * first and last body byte. Uploads the server did not fully receive
+ * fail, and the server window replaces the client-side timing when present.
  */
 
 import {
   SpeedTestError, ErrorCode, assertResponseOk, isTimeoutError,
 } from './errors.js';
+import { Estimator } from './estimators.js';
+import {
+  runStages, aggregateStreams, nextAdaptiveBytes, bytesToMbps,
+} from './stage-runner.js';
 
 /** Default progressive upload stages (bytes). */
 const DEFAULT_STAGES = [
@@ -24,8 +38,41 @@ const DEFAULT_OPTIONS = {
   timeout: 30_000,
   /** Ordered list of byte sizes for each upload stage. */
   stages: DEFAULT_STAGES,
+  /** Number of concurrent streams (POST requests) per stage. */
+  streams: 1,
+  /** Minimum interval between live throughput samples in milliseconds. */
+  sampleInterval: 200,
+  /** 'stages' runs the fixed `stages` list; 'duration' sizes payloads to fill `duration`. */
+  mode: 'stages',
+  /** Target phase length in milliseconds (duration mode). */
+  duration: 10_000,
+  /** First payload size per stream in bytes (duration mode). */
+  initialBytes: 131_072, // 128 KB
+  /** Largest payload size per stream in bytes (duration mode). */
+  maxBytes: 26_214_400, // 25 MB, generated in memory per round
+  /** Target length of each adaptive round in milliseconds (duration mode). */
+  roundDuration: 2_000,
+  /** How the final speed is derived from the stages (see estimators.js). */
+  estimator: Estimator.WEIGHTED,
+  /** Most bytes the phase may transfer across all stages and streams. */
+  byteBudget: Infinity,
+  /** Retry policy overrides for failed stages (see retry.js). */
+  retry: {},
+  /** Largest payload the server accepts, as announced by its /info endpoint. */
+  requestLimit: Infinity,
 };
 
+/** Slice size used when feeding a streaming request body. */
+const BODY_CHUNK_SIZE = 65_536;
+
+/**
+ * Whether fetch accepts a ReadableStream request body. Detected lazily
+ * and switched off if a streaming request is rejected (e.g. Chrome over
+ * HTTP/1.1, which only allows streaming uploads on HTTP/2+).
+ * @type {boolean | null}
+ */
+let requestStreamsSupported = null;
+
 /**
  * Generates a Uint8Array filled with random values.
  *
@@ -45,15 +92,196 @@ function generatePayload(size) {
 }
 
 /**
- * Measures upload speed for a single stage.
+ * Detects support for streaming request bodies (`duplex: 'half'`).
+ *
+ * A browser that understands streaming bodies reads the `duplex` option
+ * and does not stringify the stream into a text/plain body.
+ *
+ * @returns {boolean}
+ */
+function detectRequestStreams() {
+  if (typeof ReadableStream === 'undefined' || typeof Request === 'undefined') {
+    return false;
+  }
+
+  try {
+    let duplexAccessed = false;
+    const hasContentType = new Request('http://localhost/', {
+      body: new ReadableStream(),
+      method: 'POST',
+      get duplex() {
+        duplexAccessed = true;
+        return 'half';
+      },
+    }).headers.has('Content-Type');
+
+    return duplexAccessed && !hasContentType;
+  } catch (_err) {
+    return false;
+  }
+}
+
+/**
+ * Wraps a payload in a ReadableStream that reports each slice as it is
+ * pulled by the network layer.
+ *
+ * With a zero high-water mark the stream is only pulled when the request
+ * can take more data, so pulled bytes closely track bytes sent.
+ *
+ * @param {Uint8Array} payload
+ * @param {(chunkBytes: number, now: number) => void} onChunk
+ * @returns {ReadableStream<Uint8Array>}
+ */
+function createProgressStream(payload, onChunk) {
+  let offset = 0;
+
+  return new ReadableStream({
+    pull(controller) {
+      if (offset >= payload.byteLength) {
+        controller.close();
+        return;
+      }
+
+      const end = Math.min(offset + BODY_CHUNK_SIZE, payload.byteLength);
+      controller.enqueue(payload.subarray(offset, end));
+      onChunk(end - offset, performance.now());
+      offset = end;
+    },
+  }, { highWaterMark: 0 });
+}
+
+/**
+ * POSTs a payload with XMLHttpRequest, reporting `upload.onprogress`.
+ *
+ * Resolves with a minimal Response-like object so callers can use
+ * {@link assertResponseOk} and read the JSON body as with fetch.
+ *
+ * @param {string} url
+ * @param {Uint8Array} payload
+ * @param {AbortSignal} signal
+ * @param {(chunkBytes: number, now: number) => void} onChunk
+ * @returns {Promise<{ ok: boolean, status: number, statusText: string, json(): Promise<any> }>}
+ */
+function sendWithXhr(url, payload, signal, onChunk) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(new DOMException('Upload aborted', 'AbortError'));
+      return;
+    }
+
+    const xhr = new XMLHttpRequest();
+    let reported = 0;
+
+    xhr.open('POST', url);
+    xhr.upload.onprogress = (event) => {
+      const delta = event.loaded - reported;
+      reported = event.loaded;
+      if (delta > 0) onChunk(delta, performance.now());
+    };
+    xhr.onload = () => {
+      resolve({
+        ok: xhr.status >= 200 && xhr.status < 300,
+        status: xhr.status,
+        statusText: xhr.statusText,
+        headers: { get: (name) => xhr.getResponseHeader(name) },
+        json: async () => JSON.parse(xhr.responseText),
+      });
+    };
+    xhr.onerror = () => reject(new TypeError('Network request failed'));
+    xhr.onabort = () => reject(new DOMException('Upload aborted', 'AbortError'));
+
+    signal.addEventListener('abort', () => xhr.abort(), { once: true });
+    xhr.send(payload);
+  });
+}
+
+/**
+ * Sends the upload request using the best transport for progress.
+ *
+ * Without `onChunk` this is a plain fetch. With it, a streaming request
+ * body is preferred, then XMLHttpRequest, then a plain fetch where
+ * neither is available.
+ *
+ * @param {string} url
+ * @param {Uint8Array} payload
+ * @param {AbortSignal} signal
+ * @param {(chunkBytes: number, now: number) => void} [onChunk]
+ * @returns {Promise<Response | { ok: boolean, status: number, statusText: string }>}
+ */
+async function sendPayload(url, payload, signal, onChunk) {
+  const init = { method: 'POST', cache: 'no-store', signal };
+
+  if (!onChunk) {
+    return fetch(url, { ...init, body: payload });
+  }
+
+  if (requestStreamsSupported === null) {
+    requestStreamsSupported = detectRequestStreams();
+  }
+
+  if (requestStreamsSupported) {
+    try {
+      return await fetch(url, {
+        ...init,
+        body: createProgressStream(payload, onChunk),
+        duplex: 'half',
+      });
+    } catch (err) {
+      if (err.name === 'AbortError' || typeof XMLHttpRequest === 'undefined') throw err;
+      // Streaming bodies can be refused at request time (HTTP/1.1);
+      // stop trying and fall through to XMLHttpRequest.
+      requestStreamsSupported = false;
+    }
+  }
+
+  if (typeof XMLHttpRequest !== 'undefined') {
+    return sendWithXhr(url, payload, signal, onChunk);
+  }
+
+  return fetch(url, { ...init, body: payload });
+}
+
+/**
+ * Reads the upload report from the response body.
+ *
+ * @param {{ json?: () => Promise<any> }} response
+ * @returns {Promise<{ bytesReceived?: number, windowBytes?: number, receiveMs?: number } | null>}
+ *   Null if the body is not a JSON object.
+ */
+async function readUploadReport(response) {
+  if (typeof response.json !== 'function') return null;
+
+  try {
+    const report = await response.json();
+    return report && typeof report === 'object' ? report : null;
+  } catch (_err) {
+    return null;
+  }
+}
+
+/**
+ * Measures upload speed for a single request.
+ *
+ * Timing spans request start to response, whichever transport is used,
+ * unless the server reports its receive window: that excludes response
+ * latency and server buffering, so it is preferred. The window starts
+ * once the first chunk is in, so the rate is taken from the bytes that
+ * arrived after it (`windowBytes`) and extrapolated to the whole payload;
+ * counting that first chunk, which can be a socket buffer's worth, as
+ * instantaneous would inflate small stages. The server window is anchored
+ * at the response time so concurrent streams can still be combined on
+ * the client clock.
  *
  * @param {string} url - Upload endpoint URL.
- * @param {number} bytes - Number of bytes to upload.
+ * @param {Uint8Array} payload - Bytes to upload.
  * @param {number} timeout - Abort after this many ms.
  * @param {AbortSignal} [signal] - External abort signal.
- * @returns {Promise<{ bytes: number, durationMs: number, mbps: number }>}
+ * @param {(chunkBytes: number, now: number, start: number) => void} [onChunk]
+ *   Called as upload progress is reported.
+ * @returns {Promise<{ bytes: number, durationMs: number, mbps: number, start: number, end: number, timingSource: 'server' | 'client' }>}
+ * @throws {SpeedTestError} NETWORK_ERROR if the server received a different number of bytes.
  */
-async function measureSingleUpload(url, bytes, timeout, signal) {
+async function measureSingleUpload(url, payload, timeout, signal, onChunk) {
   const controller = new AbortController();
   const timer = setTimeout(() => controller.abort(), timeout);
 
@@ -67,25 +295,39 @@ async function measureSingleUpload(url, bytes, timeout, signal) {
   }
 
   const bustUrl = `${url}${url.includes('?') ? '&' : '?'}t=${Date.now()}`;
-  const payload = generatePayload(bytes);
+  const bytes = payload.byteLength;
 
   const start = performance.now();
   try {
-    const response = await fetch(bustUrl, {
-      method: 'POST',
-      cache: 'no-store',
-      body: payload,
-      signal: controller.signal,
-    });
+    const response = await sendPayload(
+      bustUrl,
+      payload,
+      controller.signal,
+      onChunk && ((chunkBytes, now) => onChunk(chunkBytes, now, start)),
+    );
 
     assertResponseOk(response, 'upload');
 
     const end = performance.now();
+    const report = await readUploadReport(response);
+
+    if (typeof report?.bytesReceived === 'number' && report.bytesReceived !== bytes) {
+      throw new SpeedTestError(
+        ErrorCode.NETWORK_ERROR,
+        `Upload incomplete: sent ${bytes} bytes, server received ${report.bytesReceived}.`,
+        { phase: 'upload' },
+      );
+    }
 
-    const durationMs = end - start;
+    const clientMs = end - start;
+    const serverMs = report?.receiveMs > 0 && report?.windowBytes > 0
+      ? report.receiveMs * (bytes / report.windowBytes)
+      : null;
+    const timingSource = serverMs !== null && serverMs <= clientMs ? 'server' : 'client';
+    const durationMs = timingSource === 'server' ? serverMs : clientMs;
     const mbps = bytesToMbps(bytes, durationMs);
 
-    return { bytes, durationMs, mbps };
+    return { bytes, durationMs, mbps, start: end - durationMs, end, timingSource };
   } catch (err) {
     if (isTimeoutError(err, signal)) {
       throw new SpeedTestError(ErrorCode.TIMEOUT, undefined, { cause: err, phase: 'upload' });
@@ -97,92 +339,144 @@ async function measureSingleUpload(url, bytes, timeout, signal) {
 }
 
 /**
- * Converts bytes transferred over a duration to megabits per second.
+ * Measures a single stage over `streams` concurrent uploads.
  *
- * @param {number} bytes
- * @param {number} durationMs
- * @returns {number} Speed in Mbps.
- */
-function bytesToMbps(bytes, durationMs) {
-  if (durationMs <= 0) return 0;
-  const bits = bytes * 8;
-  const seconds = durationMs / 1000;
-  return round2(bits / seconds / 1_000_000);
-}
-
-/**
- * Rounds a number to 2 decimal places.
+ * All streams POST the same `stageBytes` payload, generated once per
+ * stage, and honour the per-stage timeout and the external signal
+ * independently. Streams that fail are left out of the aggregate; the
+ * stage only fails when all of them do.
  *
- * @param {number} n
- * @returns {number}
+ * While the stage runs, `onSample` receives the aggregate throughput of
+ * all streams since the stage started, at most once per `sampleInterval`.
+ * The same points are kept in the result's `samples` for the throughput
+ * estimators.
+ *
+ * @param {string} url - Upload endpoint.
+ * @param {number} stageBytes - Payload size per stream in bytes.
+ * @param {object} options
+ * @param {number} options.streams - Number of concurrent streams.
+ * @param {number} options.timeout - Per-stream timeout in ms.
+ * @param {AbortSignal} [options.signal] - External abort signal.
+ * @param {number} options.sampleInterval - Minimum ms between samples.
+ * @param {(sample: { bytes: number, mbps: number }) => void} [options.onSample]
+ * @param {(bytes: number) => void} [options.onTransfer] - Called with each stream's
+ *   bytes once it settles. Failed streams count their whole payload, since
+ *   how much of it left is unknown.
+ * @returns {Promise<{ bytes: number, durationMs: number, mbps: number, streams: Array<{ bytes: number, durationMs: number, mbps: number }>, samples: Array<{ t: number, bytes: number }>, timingSource: 'server' | 'client' }>}
+ *   `samples` are cumulative bytes at ms offsets from the stage start.
+ *   `timingSource` tells whether the durations come from the server's receive window.
  */
-function round2(n) {
-  return Math.round(n * 100) / 100;
+async function measureStage(url, stageBytes, {
+  streams, timeout, signal, sampleInterval, onSample, onTransfer,
+}) {
+  const payload = generatePayload(stageBytes);
+
+  let sent = 0;
+  let stageStart = Infinity;
+  let lastSampleAt = null;
+  const samples = [];
+
+  // Progress is only tracked when requested, since it changes transport.
+  const onChunk = onSample && ((chunkBytes, now, start) => {
+    sent += chunkBytes;
+    stageStart = Math.min(stageStart, start);
+
+    if (now - (lastSampleAt ?? stageStart) >= sampleInterval) {
+      lastSampleAt = now;
+      samples.push({ t: now - stageStart, bytes: sent });
+      onSample({ bytes: sent, mbps: bytesToMbps(sent, now - stageStart) });
+    }
+  });
+
+  const settled = await Promise.allSettled(
+    Array.from({ length: streams }, (_, i) => {
+      const streamUrl = streams > 1 ? `${url}${url.includes('?') ? '&' : '?'}stream=${i}` : url;
+      return measureSingleUpload(streamUrl, payload, timeout, signal, onChunk);
+    }),
+  );
+
+  for (const s of settled) {
+    onTransfer?.(s.status === 'fulfilled' ? s.value.bytes : payload.byteLength);
+  }
+
+  const completed = settled
+    .filter((s) => s.status === 'fulfilled')
+    .map((s) => s.value);
+
+  if (completed.length === 0) {
+    throw settled[0].reason;
+  }
+
+  const result = aggregateStreams(completed);
+
+  // Close the sample timeline at the stage end so the tail is counted.
+  if ((samples.at(-1)?.t ?? 0) < result.durationMs) {
+    samples.push({ t: result.durationMs, bytes: result.bytes });
+  }
+
+  // The stage only counts as server-timed when every stream was.
+  const timingSource = completed.every((s) => s.timingSource === 'server') ? 'server' : 'client';
+
+  return { ...result, samples, timingSource };
 }
 
 /**
- * Runs a full upload speed measurement with progressive stages.
+ * Runs a full upload speed measurement.
  *
- * Uploads payloads of increasing size and computes the weighted average
- * speed across all stages. Early stages act as warm-up; later stages
+ * In `'stages'` mode, uploads payloads of increasing size and computes
+ * the final speed across all stages (weighted average unless another
+ * `estimator` is chosen). Early stages act as warm-up; later stages
  * with larger payloads provide more accurate measurements.
  *
+ * In `'duration'` mode, keeps uploading until `duration` ms of transfer
+ * time have elapsed, sizing each round from the throughput of the
+ * previous one (see stage-runner.js#nextAdaptiveBytes).
+ *
  * @param {object} [options]
  * @param {string} [options.url] - Upload endpoint.
  * @param {number} [options.timeout] - Per-stage timeout in ms.
- * @param {number[]} [options.stages] - Array of byte sizes for each stage.
- * @param {(progress: { stage: number, totalStages: number, stageMbps: number, stageBytes: number }) => void} [options.onProgress]
- *   Called after each stage completes.
+ * @param {'stages' | 'duration'} [options.mode] - Fixed stage list or duration-based adaptive sizing.
+ * @param {number[]} [options.stages] - Array of byte sizes for each stage (stages mode).
+ * @param {number} [options.duration] - Target phase length in ms (duration mode).
+ * @param {number} [options.initialBytes] - First request size per stream (duration mode).
+ * @param {number} [options.maxBytes] - Largest request size per stream (duration mode).
+ * @param {number} [options.roundDuration] - Target length of each round in ms (duration mode).
+ * @param {number} [options.streams] - Concurrent streams per stage (each uploads the full stage size).
+ * @param {number} [options.sampleInterval] - Minimum ms between live throughput samples.
+ * @param {string} [options.estimator] - Throughput estimator (see {@link Estimator}).
+ * @param {{ warmupMs?: number, trimFraction?: number }} [options.estimatorOptions] - Estimator tuning.
+ * @param {(signal?: AbortSignal) => Promise<void>} [options.checkpoint] - Awaited before
+ *   each stage; lets the caller hold the measurement between requests (pause).
+ * @param {Partial<import('./retry.js').RetryPolicy>} [options.retry] - Retry policy
+ *   overrides; failed stages are retried with backoff before being skipped.
+ * @param {number} [options.requestLimit] - Largest payload per stream the server accepts
+ *   (see server-info.js); stage sizes and `maxBytes` are capped to it.
+ * @param {number} [options.byteBudget] - Most bytes to transfer in total. Stages that
+ *   would exceed it are shrunk to fit, or skipped once too little is left; retries
+ *   are charged too and stop once it is spent.
+ * @param {(progress: { stage: number, totalStages: number | null, stageMbps: number, stageBytes: number, interim: boolean }) => void} [options.onProgress]
+ *   Called with live samples while a stage runs (`interim: true`) and
+ *   once after each stage completes (`interim: false`). `totalStages`
+ *   is `null` in duration mode.
  * @param {AbortSignal} [options.signal] - External abort signal to cancel the measurement.
- * @returns {Promise<{ speedMbps: number, stages: Array<{ bytes: number, durationMs: number, mbps: number }> }>}
+ * @returns {Promise<{ speedMbps: number, estimator: string, bytesUsed: number, stages: Array<{ bytes: number, durationMs: number, mbps: number, streams: Array<{ bytes: number, durationMs: number, mbps: number }>, samples: Array<{ t: number, bytes: number }>, timingSource: 'server' | 'client', attempts: number }>, failedStages: number, timingSource: 'server' | 'client' }>}
+ *   `bytesUsed` counts every byte sent, failed attempts included. Each stage records the
+ *   `attempts` it took; `failedStages` counts stages skipped after all attempts failed.
+ *   `timingSource` is 'server' only when every measured stage was timed by the server.
  * @throws {Error} If all stages fail or the measurement is aborted.
  */
 export async function measureUploadSpeed(options = {}) {
-  const { url, timeout, stages } = { ...DEFAULT_OPTIONS, ...options };
-  const { onProgress, signal } = options;
-
-  const results = [];
-
-  for (let i = 0; i < stages.length; i++) {
-    if (signal?.aborted) {
-      throw new DOMException('Upload measurement aborted', 'AbortError');
-    }
-
-    const stageBytes = stages[i];
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const { url, timeout, sampleInterval } = config;
+  const { onProgress, signal, checkpoint } = options;
+  const streams = Math.max(1, Math.floor(config.streams));
 
-    try {
-      const result = await measureSingleUpload(url, stageBytes, timeout, signal);
-      results.push(result);
-
-      if (onProgress) {
-        onProgress({
-          stage: i + 1,
-          totalStages: stages.length,
-          stageMbps: result.mbps,
-          stageBytes: result.bytes,
-        });
-      }
-    } catch (_err) {
-      if (signal?.aborted) {
-        throw new DOMException('Upload measurement aborted', 'AbortError');
-      }
-    }
-  }
+  const result = await runStages((stageBytes, { onSample, onTransfer }) => measureStage(url, stageBytes, {
+    streams, timeout, signal, sampleInterval, onSample, onTransfer,
+  }), config, { phase: 'upload', streams, onProgress, signal, checkpoint });
 
-  if (results.length === 0) {
-    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
-      throw new SpeedTestError(ErrorCode.OFFLINE, undefined, { phase: 'upload' });
-    }
-    throw new SpeedTestError(
-      ErrorCode.NETWORK_ERROR,
-      'All upload stages failed. Check your network connection.',
-      { phase: 'upload' },
-    );
-  }
-
-  const speedMbps = computeWeightedSpeed(results);
-
-  return { speedMbps, stages: results };
+  const timingSource = result.stages.every((s) => s.timingSource === 'server') ? 'server' : 'client';
+  return { ...result, timingSource };
 }
 
 /**
@@ -190,6 +484,7 @@ export async function measureUploadSpeed(options = {}) {
  *
  * Uses total bytes / total time across all stages, which naturally
  * gives more weight to larger uploads (the most accurate samples).
+ * Same as the `'weighted'` estimator; kept for existing callers.
  *
  * @param {Array<{ bytes: number, durationMs: number, mbps: number }>} stages
  * @returns {number} Weighted speed in Mbps.
@@ -203,4 +498,6 @@ export function computeWeightedSpeed(stages) {
   return bytesToMbps(totalBytes, totalMs);
 }
 
-export { bytesToMbps, DEFAULT_STAGES };
+export {
+  aggregateStreams, nextAdaptiveBytes, bytesToMbps, DEFAULT_STAGES,
+};
@@ -0,0 +1,120 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  IpPrivacy, DEFAULT_IP_PRIVACY, getIpPrivacy, setIpPrivacy, applyIpPrivacy, fetchClientInfo,
+} from '../src/services/client-info.js';
+import { normalizeServer } from '../src/services/server-config.js';
+
+const SERVER = normalizeServer({ id: 'mad', baseUrl: 'https://mad.example.com' });
+const LIBRESPEED = normalizeServer({
+  id: 'ls', protocol: 'librespeed', baseUrl: 'https://ls.example.com',
+});
+
+/** In-memory stand-in for localStorage. */
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('IP privacy setting', () => {
+  it('defaults to truncated', () => {
+    vi.stubGlobal('localStorage', createStorage());
+    expect(getIpPrivacy()).toBe(DEFAULT_IP_PRIVACY);
+    expect(DEFAULT_IP_PRIVACY).toBe(IpPrivacy.TRUNCATED);
+  });
+
+  it('stores the chosen setting', () => {
+    vi.stubGlobal('localStorage', createStorage());
+
+    setIpPrivacy(IpPrivacy.FULL);
+
+    expect(getIpPrivacy()).toBe('full');
+  });
+
+  it('rejects unknown settings', () => {
+    expect(() => setIpPrivacy('partial')).toThrow('Unknown IP privacy setting: partial');
+  });
+
+  it('falls back to the default without storage', () => {
+    vi.stubGlobal('localStorage', {
+      getItem: () => { throw new Error('SecurityError'); },
+      setItem: () => { throw new Error('SecurityError'); },
+    });
+
+    expect(() => setIpPrivacy(IpPrivacy.FULL)).not.toThrow();
+    expect(getIpPrivacy()).toBe(DEFAULT_IP_PRIVACY);
+  });
+});
+
+describe('applyIpPrivacy', () => {
+  it('keeps the full address when allowed', () => {
+    expect(applyIpPrivacy('203.0.113.7', IpPrivacy.FULL)).toBe('203.0.113.7');
+  });
+
+  it('truncates IPv4 to /24 and IPv6 to /48', () => {
+    expect(applyIpPrivacy('203.0.113.7', IpPrivacy.TRUNCATED)).toBe('203.0.113.0/24');
+    expect(applyIpPrivacy('2001:db8:1:2::7', IpPrivacy.TRUNCATED)).toBe('2001:db8:1::/48');
+    expect(applyIpPrivacy('2001:db8::7', IpPrivacy.TRUNCATED)).toBe('2001:db8:0::/48');
+  });
+
+  it('redacts the address', () => {
+    expect(applyIpPrivacy('203.0.113.7', IpPrivacy.REDACTED)).toBe('redacted');
+  });
+
+  it('redacts addresses it cannot truncate', () => {
+    expect(applyIpPrivacy('unknown', IpPrivacy.TRUNCATED)).toBe('redacted');
+  });
+
+  it('returns null for an unknown IP', () => {
+    expect(applyIpPrivacy(null, IpPrivacy.FULL)).toBeNull();
+  });
+});
+
+describe('fetchClientInfo', () => {
+  it('reads the IP, ISP and ASN from /whoami', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(new Response(JSON.stringify({
+      ip: '203.0.113.7', isp: 'Ejemplo Telecom', asn: 64500,
+    })));
+    vi.stubGlobal('fetch', fetchMock);
+
+    await expect(fetchClientInfo(SERVER)).resolves.toEqual({
+      ip: '203.0.113.7', isp: 'Ejemplo Telecom', asn: 64500,
+    });
+    expect(fetchMock).toHaveBeenCalledWith('https://mad.example.com/whoami', expect.anything());
+  });
+
+  it('reads LibreSpeed getIP.php answers', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(new Response(JSON.stringify({
+      processedString: '203.0.113.7 - Ejemplo Telecom, ES', rawIspInfo: '',
+    }))));
+
+    await expect(fetchClientInfo(LIBRESPEED)).resolves.toEqual({
+      ip: '203.0.113.7', isp: 'Ejemplo Telecom, ES', asn: null,
+    });
+  });
+
+  it('returns null when the server cannot tell', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(new Response('', { status: 404 })));
+    await expect(fetchClientInfo(SERVER)).resolves.toBeNull();
+
+    vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new TypeError('Failed to fetch')));
+    await expect(fetchClientInfo(SERVER)).resolves.toBeNull();
+
+    await expect(fetchClientInfo({ ...SERVER, whoamiUrl: null })).resolves.toBeNull();
+  });
+
+  it('rethrows when the test is aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new DOMException('Aborted', 'AbortError')));
+
+    await expect(fetchClientInfo(SERVER, { signal: controller.signal }))
+      .rejects.toThrow('Aborted');
+  });
+});
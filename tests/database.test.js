@@ -333,6 +333,35 @@ describe('Database Configuration', () => {
         expect(results[0].upload_mbps).toBe(100);
       });
 
+      it('should keep how the upload speed was timed', async () => {
+        const base = {
+          timestamp: '2026-02-24T10:00:00Z',
+          download_mbps: 100,
+          upload_mbps: 50,
+          ping_ms: 10,
+          jitter_ms: 2,
+          connection_type: 'wifi',
+          effective_type: '4g',
+          downlink_mbps: 10,
+          rtt_ms: 50,
+          server_used: 'auto',
+          ip_address: 'redacted',
+          user_agent: 'Mozilla/5.0...'
+        };
+
+        await saveResult({ ...base, id: 'server-timed', upload_timing: 'server' });
+        await saveResult({ ...base, id: 'client-timed', upload_timing: 'client' });
+        await saveResult({ ...base, id: 'older-record' });
+
+        const results = await getAllResults();
+        const timingById = Object.fromEntries(results.map((r) => [r.id, r.upload_timing]));
+        expect(timingById).toEqual({
+          'server-timed': 'server',
+          'client-timed': 'client',
+          'older-record': undefined
+        });
+      });
+
       it('should throw error for null or undefined result', async () => {
         await expect(saveResult(null)).rejects.toThrow('Invalid result: must be an object');
         await expect(saveResult(undefined)).rejects.toThrow('Invalid result: must be an object');
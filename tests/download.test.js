@@ -1,5 +1,8 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { measureDownloadSpeed, computeWeightedSpeed, bytesToMbps, DEFAULT_STAGES } from '../src/services/download.js';
+import {
+  measureDownloadSpeed, computeWeightedSpeed, aggregateStreams, nextAdaptiveBytes, bytesToMbps,
+  DEFAULT_STAGES,
+} from '../src/services/download.js';
 
 // ---------------------------------------------------------------------------
 // bytesToMbps – pure function tests
@@ -62,6 +65,69 @@ describe('computeWeightedSpeed', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// aggregateStreams – pure function tests
+// ---------------------------------------------------------------------------
+
+describe('aggregateStreams', () => {
+  it('measures overlapping streams over their combined window', () => {
+    // Two 1 MB streams: 0–1000ms and 200–1000ms → 2 MB in 1000ms.
+    const result = aggregateStreams([
+      { bytes: 1_048_576, durationMs: 1000, mbps: 8.39, start: 0, end: 1000 },
+      { bytes: 1_048_576, durationMs: 800, mbps: 10.49, start: 200, end: 1000 },
+    ]);
+
+    expect(result.bytes).toBe(2_097_152);
+    expect(result.durationMs).toBe(1000);
+    expect(result.mbps).toBe(16.78);
+  });
+
+  it('keeps a per-stream breakdown without timestamps', () => {
+    const result = aggregateStreams([
+      { bytes: 1024, durationMs: 100, mbps: 0.08, start: 0, end: 100 },
+      { bytes: 1024, durationMs: 50, mbps: 0.16, start: 10, end: 60 },
+    ]);
+
+    expect(result.streams).toEqual([
+      { bytes: 1024, durationMs: 100, mbps: 0.08 },
+      { bytes: 1024, durationMs: 50, mbps: 0.16 },
+    ]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// nextAdaptiveBytes – pure function tests
+// ---------------------------------------------------------------------------
+
+describe('nextAdaptiveBytes', () => {
+  const limits = { minBytes: 262_144, maxBytes: 104_857_600 };
+
+  it('sizes the next request to last roughly targetMs at the observed speed', () => {
+    // 1000 bytes/ms → 2000 ms ≈ 2 MB.
+    const next = nextAdaptiveBytes({ bytes: 1_000_000, durationMs: 1000 }, 1_000_000, 1, 2000, limits);
+    expect(next).toBe(2_000_000);
+  });
+
+  it('splits the target across concurrent streams', () => {
+    const next = nextAdaptiveBytes({ bytes: 4_000_000, durationMs: 4000 }, 1_000_000, 4, 2000, limits);
+    expect(next).toBe(500_000);
+  });
+
+  it('caps growth per round', () => {
+    const next = nextAdaptiveBytes({ bytes: 262_144, durationMs: 2 }, 262_144, 1, 2000, limits);
+    expect(next).toBe(262_144 * 8);
+  });
+
+  it('never goes below minBytes or above maxBytes', () => {
+    expect(nextAdaptiveBytes({ bytes: 1, durationMs: 1000 }, 262_144, 1, 2000, limits)).toBe(262_144);
+    expect(nextAdaptiveBytes({ bytes: 100_000_000, durationMs: 10 }, 100_000_000, 1, 2000, limits)).toBe(104_857_600);
+  });
+
+  it('grows by the maximum factor when no speed was measured', () => {
+    expect(nextAdaptiveBytes({ bytes: 0, durationMs: 0 }, 300_000, 1, 2000, limits)).toBe(2_400_000);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // DEFAULT_STAGES – constant verification
 // ---------------------------------------------------------------------------
@@ -186,21 +252,67 @@ describe('measureDownloadSpeed', () => {
     const result = await measureDownloadSpeed({
       stages: [1024, 2048, 4096],
       timeout: 60000,
+      retry: { maxAttempts: 1 },
     });
 
     expect(result.stages).toHaveLength(2);
+    expect(result.failedStages).toBe(1);
     expect(result.speedMbps).toBeGreaterThan(0);
   });
 
+  it('retries a failed stage and records its attempts', async () => {
+    let callNum = 0;
+    let perfCount = 0;
+    vi.spyOn(globalThis.performance, 'now').mockImplementation(() => (perfCount++) * 100);
+    const fetchMock = vi.fn().mockImplementation(() => {
+      callNum++;
+      if (callNum === 2) return Promise.reject(new TypeError('Failed to fetch'));
+      return Promise.resolve(new Response(new ArrayBuffer(1024)));
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await measureDownloadSpeed({
+      stages: [1024, 2048],
+      timeout: 60000,
+      retry: { baseDelay: 0 },
+    });
+
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect(result.stages.map((s) => s.attempts)).toEqual([1, 2]);
+    expect(result.failedStages).toBe(0);
+  });
+
+  it('does not retry errors outside the policy', async () => {
+    const fetchMock = vi.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+    vi.stubGlobal('fetch', fetchMock);
+
+    await expect(
+      measureDownloadSpeed({ stages: [1024], timeout: 60000, retry: { retryOn: [] } })
+    ).rejects.toThrow();
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
   it('throws when all stages fail', async () => {
     const fetchMock = vi.fn().mockRejectedValue(new Error('Network error'));
     vi.stubGlobal('fetch', fetchMock);
 
     await expect(
-      measureDownloadSpeed({ stages: [1024, 2048], timeout: 60000 })
+      measureDownloadSpeed({ stages: [1024, 2048], timeout: 60000, retry: { baseDelay: 0 } })
     ).rejects.toThrow('All download stages failed');
   });
 
+  it('reports a 429 from the server as RATE_LIMITED', async () => {
+    const fetchMock = vi.fn().mockImplementation(() => Promise.resolve(
+      new Response('', { status: 429, headers: { 'Retry-After': '45' } }),
+    ));
+    vi.stubGlobal('fetch', fetchMock);
+
+    await expect(
+      measureDownloadSpeed({ stages: [1024, 2048], timeout: 60000 }),
+    ).rejects.toMatchObject({ code: 'RATE_LIMITED', retryAfter: 45 });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
   it('respects external abort signal (already aborted)', async () => {
     const controller = new AbortController();
     controller.abort();
@@ -311,6 +423,46 @@ describe('measureDownloadSpeed', () => {
     expect(fetchMock.mock.calls[1][0]).toMatch(/^\/download\?bytes=10485760&t=\d+$/);
   });
 
+  it('uses the LibreSpeed URL layout for LibreSpeed backends', async () => {
+    let perfCount = 0;
+    vi.spyOn(performance, 'now').mockImplementation(() => (perfCount++) * 100);
+
+    const fetchMock = vi.fn().mockImplementation(() => (
+      Promise.resolve(new Response(new ArrayBuffer(1024)))
+    ));
+    vi.stubGlobal('fetch', fetchMock);
+
+    await measureDownloadSpeed({
+      url: '/backend/garbage.php',
+      protocol: 'librespeed',
+      stages: [1_048_576, 10_485_760],
+    });
+
+    expect(fetchMock.mock.calls[0][0]).toMatch(/^\/backend\/garbage\.php\?ckSize=1&t=\d+$/);
+    expect(fetchMock.mock.calls[1][0]).toMatch(/^\/backend\/garbage\.php\?ckSize=10&t=\d+$/);
+  });
+
+  it('charges LibreSpeed stages to the budget in whole megabytes', async () => {
+    let perfCount = 0;
+    vi.spyOn(performance, 'now').mockImplementation(() => (perfCount++) * 100);
+
+    const fetchMock = vi.fn().mockImplementation(() => (
+      Promise.resolve(new Response(new ArrayBuffer(1024)))
+    ));
+    vi.stubGlobal('fetch', fetchMock);
+
+    await measureDownloadSpeed({
+      url: '/garbage.php',
+      protocol: 'librespeed',
+      stages: [524_288, 524_288, 3_145_728],
+      byteBudget: 3_000_000,
+    });
+
+    // Each 512 KB stage costs a whole megabyte, leaving too little for the last one.
+    expect(fetchMock.mock.calls.map(([url]) => url.match(/ckSize=(\d+)/)[1]))
+      .toEqual(['1', '1']);
+  });
+
   it('each stage result contains bytes, durationMs, and mbps', async () => {
     const timings = [0, 1000]; // 1 second
     const fetchMock = createFetchMock(timings);
@@ -351,4 +503,346 @@ describe('measureDownloadSpeed', () => {
 
     expect(result.speedMbps).toBe(expectedMbps);
   });
+
+  it('opens the configured number of concurrent streams per stage', async () => {
+    // Both streams start before either finishes: starts 0, 0; ends 1000, 1000.
+    const timings = [0, 0, 1000, 1000];
+    const fetchMock = createFetchMock(timings);
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await measureDownloadSpeed({
+      stages: [1_048_576],
+      streams: 2,
+      timeout: 60000,
+    });
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(fetchMock.mock.calls[0][0]).not.toBe(fetchMock.mock.calls[1][0]);
+    expect(result.stages[0].bytes).toBe(2_097_152);
+    expect(result.stages[0].durationMs).toBe(1000);
+    expect(result.stages[0].streams).toHaveLength(2);
+    expect(result.speedMbps).toBe(16.78);
+  });
+
+  it('keeps a stage when only some of its streams fail', async () => {
+    let callNum = 0;
+    let perfCount = 0;
+    vi.spyOn(globalThis.performance, 'now').mockImplementation(() => {
+      return (perfCount++) * 100;
+    });
+
+    const fetchMock = vi.fn().mockImplementation(() => {
+      callNum++;
+      if (callNum === 1) return Promise.reject(new Error('Network error'));
+      return Promise.resolve(new Response(new ArrayBuffer(1024)));
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await measureDownloadSpeed({
+      stages: [1024],
+      streams: 3,
+      timeout: 60000,
+    });
+
+    expect(result.stages).toHaveLength(1);
+    expect(result.stages[0].streams).toHaveLength(2);
+  });
+
+  it('charges retried stages against the byte budget', async () => {
+    let perfCount = 0;
+    vi.spyOn(globalThis.performance, 'now').mockImplementation(() => (perfCount++) * 100);
+    const fetchMock = vi.fn()
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockImplementation((url) => {
+        const bytes = parseInt(new URL(url, 'http://localhost').searchParams.get('bytes'), 10);
+        return Promise.resolve(new Response(new ArrayBuffer(bytes)));
+      });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await measureDownloadSpeed({
+      stages: [100_000, 200_000],
+      byteBudget: 300_000,
+      retry: { baseDelay: 0 },
+      timeout: 60000,
+    });
+
+    const sizes = fetchMock.mock.calls.map(([url]) => (
+      parseInt(new URL(url, 'http://localhost').searchParams.get('bytes'), 10)
+    ));
+    // The retry used 100 KB of the budget, so the last stage is shrunk to fit.
+    expect(sizes).toEqual([100_000, 100_000, 100_000]);
+    expect(result.bytesUsed).toBe(200_000);
+  });
+
+  /**
+   * Helper to build a Response whose body arrives in the given chunks.
+   */
+  function createChunkedResponse(chunkSizes) {
+    let index = 0;
+    const body = new ReadableStream({
+      pull(controller) {
+        if (index < chunkSizes.length) {
+          controller.enqueue(new Uint8Array(chunkSizes[index++]));
+        } else {
+          controller.close();
+        }
+      },
+    });
+    return new Response(body);
+  }
+
+  it('emits interim throughput samples while a stage downloads', async () => {
+    // start, then one timestamp per chunk.
+    const timings = [0, 100, 250, 400, 500];
+    vi.spyOn(globalThis.performance, 'now').mockImplementation(() => timings.shift() ?? 500);
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(createChunkedResponse([1000, 1000, 1000, 1000])));
+
+    const onProgress = vi.fn();
+    const result = await measureDownloadSpeed({
+      stages: [4000],
+      timeout: 60000,
+      sampleInterval: 200,
+      onProgress,
+    });
+
+    const interim = onProgress.mock.calls.map(([p]) => p).filter((p) => p.interim);
+    // Samples at 250ms (2000 B) and 500ms (4000 B); 100ms and 400ms are too close.
+    expect(interim).toHaveLength(2);
+    expect(interim[0]).toMatchObject({ stage: 1, totalStages: 1, stageBytes: 2000, stageMbps: 0.06 });
+    expect(interim[1]).toMatchObject({ stageBytes: 4000, stageMbps: 0.06 });
+
+    const final = onProgress.mock.calls.at(-1)[0];
+    expect(final).toMatchObject({ interim: false, stageBytes: 4000 });
+    expect(result.stages[0].durationMs).toBe(500);
+  });
+
+  it('aggregates interim samples across concurrent streams', async () => {
+    // Two stream starts, then chunks alternating between streams.
+    const timings = [0, 0, 100, 200, 300, 400];
+    vi.spyOn(globalThis.performance, 'now').mockImplementation(() => timings.shift() ?? 400);
+    vi.stubGlobal('fetch', vi.fn().mockImplementation(() => Promise.resolve(createChunkedResponse([5000, 5000]))));
+
+    const onProgress = vi.fn();
+    await measureDownloadSpeed({
+      stages: [10_000],
+      streams: 2,
+      timeout: 60000,
+      sampleInterval: 200,
+      onProgress,
+    });
+
+    const interim = onProgress.mock.calls.map(([p]) => p).filter((p) => p.interim);
+    expect(interim.map((p) => p.stageBytes)).toEqual([10_000, 20_000]);
+  });
+
+  it('keeps requesting adaptively sized files until the duration is filled (duration mode)', async () => {
+    // Every request takes 1000ms regardless of size.
+    let perfCount = 0;
+    vi.spyOn(globalThis.performance, 'now').mockImplementation(() => (perfCount++) * 1000);
+
+    const fetchMock = vi.fn().mockImplementation((url) => {
+      const bytes = parseInt(new URL(url, 'http://localhost').searchParams.get('bytes'), 10);
+      return Promise.resolve(new Response(new ArrayBuffer(bytes)));
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const onProgress = vi.fn();
+    const result = await measureDownloadSpeed({
+      mode: 'duration',
+      duration: 3000,
+      initialBytes: 1000,
+      roundDuration: 2000,
+      timeout: 60000,
+      onProgress,
+    });
+
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    const sizes = fetchMock.mock.calls.map(([url]) => (
+      parseInt(new URL(url, 'http://localhost').searchParams.get('bytes'), 10)
+    ));
+    // 1000 B/s → 2000 B for a 2000ms round; then 1000ms remain → 2000 B again.
+    expect(sizes).toEqual([1000, 2000, 2000]);
+    expect(result.stages).toHaveLength(3);
+    expect(onProgress.mock.calls[0][0].totalStages).toBeNull();
+  });
+
+  it('stops duration mode after repeated failures', async () => {
+    const fetchMock = vi.fn().mockRejectedValue(new Error('Network error'));
+    vi.stubGlobal('fetch', fetchMock);
+
+    await expect(
+      measureDownloadSpeed({
+        mode: 'duration', duration: 10000, timeout: 60000, retry: { maxAttempts: 1 },
+      }),
+    ).rejects.toThrow('All download stages failed');
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it('records stage samples and applies the chosen estimator', async () => {
+    // Slow first 200ms (1000 B), then 3000 B in the next 200ms.
+    const timings = [0, 200, 400];
+    vi.spyOn(globalThis.performance, 'now').mockImplementation(() => timings.shift() ?? 400);
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(createChunkedResponse([1000, 3000])));
+
+    const result = await measureDownloadSpeed({
+      stages: [4000],
+      timeout: 60000,
+      sampleInterval: 200,
+      estimator: 'warmup-discard',
+      estimatorOptions: { warmupMs: 200 },
+    });
+
+    expect(result.estimator).toBe('warmup-discard');
+    expect(result.stages[0].samples).toEqual([{ t: 200, bytes: 1000 }, { t: 400, bytes: 4000 }]);
+    // Only the 3000 B over the last 200ms count.
+    expect(result.speedMbps).toBe(0.12);
+  });
+
+  it('awaits the checkpoint before each stage and keeps finished stages', async () => {
+    let perfCount = 0;
+    vi.spyOn(globalThis.performance, 'now').mockImplementation(() => (perfCount++) * 100);
+    const fetchMock = vi.fn().mockImplementation(() => Promise.resolve(new Response(new ArrayBuffer(1000))));
+    vi.stubGlobal('fetch', fetchMock);
+
+    let release;
+    const checkpoint = vi.fn()
+      .mockResolvedValueOnce()
+      .mockImplementationOnce(() => new Promise((resolve) => { release = resolve; }))
+      .mockResolvedValue();
+    const measuring = measureDownloadSpeed({ stages: [1000, 1000], timeout: 60000, checkpoint });
+
+    await vi.waitFor(() => expect(checkpoint).toHaveBeenCalledTimes(2));
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+
+    release();
+    const result = await measuring;
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(result.stages).toHaveLength(2);
+  });
+
+  it('shrinks and skips stages to stay within the byte budget', async () => {
+    let perfCount = 0;
+    vi.spyOn(globalThis.performance, 'now').mockImplementation(() => (perfCount++) * 100);
+    const fetchMock = vi.fn().mockImplementation((url) => {
+      const bytes = parseInt(new URL(url, 'http://localhost').searchParams.get('bytes'), 10);
+      return Promise.resolve(new Response(new ArrayBuffer(bytes)));
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await measureDownloadSpeed({
+      stages: [100_000, 200_000, 400_000],
+      byteBudget: 400_000,
+      timeout: 60000,
+    });
+
+    const sizes = fetchMock.mock.calls.map(([url]) => (
+      parseInt(new URL(url, 'http://localhost').searchParams.get('bytes'), 10)
+    ));
+    // 100 KB left for the last stage: shrunk rather than skipped.
+    expect(sizes).toEqual([100_000, 200_000, 100_000]);
+    expect(result.bytesUsed).toBe(400_000);
+  });
+
+  it('caps stages and duration-mode requests at the server\'s request limit', async () => {
+    let perfCount = 0;
+    vi.spyOn(globalThis.performance, 'now').mockImplementation(() => (perfCount++) * 100);
+    const fetchMock = vi.fn().mockImplementation((url) => {
+      const bytes = parseInt(new URL(url, 'http://localhost').searchParams.get('bytes'), 10);
+      return Promise.resolve(new Response(new ArrayBuffer(bytes)));
+    });
+    vi.stubGlobal('fetch', fetchMock);
+    const sizes = () => fetchMock.mock.calls.map(([url]) => (
+      parseInt(new URL(url, 'http://localhost').searchParams.get('bytes'), 10)
+    ));
+
+    await measureDownloadSpeed({
+      stages: [100_000, 400_000],
+      requestLimit: 200_000,
+      timeout: 60000,
+    });
+    expect(sizes()).toEqual([100_000, 200_000]);
+
+    fetchMock.mockClear();
+    await measureDownloadSpeed({
+      mode: 'duration',
+      duration: 1000,
+      initialBytes: 262_144,
+      requestLimit: 200_000,
+      timeout: 60000,
+    });
+    expect(Math.max(...sizes())).toBeLessThanOrEqual(200_000);
+  });
+
+  it('skips stages once too little budget is left', async () => {
+    let perfCount = 0;
+    vi.spyOn(globalThis.performance, 'now').mockImplementation(() => (perfCount++) * 100);
+    const fetchMock = vi.fn().mockImplementation((url) => {
+      const bytes = parseInt(new URL(url, 'http://localhost').searchParams.get('bytes'), 10);
+      return Promise.resolve(new Response(new ArrayBuffer(bytes)));
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await measureDownloadSpeed({
+      stages: [100_000, 200_000],
+      byteBudget: 120_000,
+      timeout: 60000,
+    });
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(result.bytesUsed).toBe(100_000);
+  });
+
+  it('charges every stream against the budget and always runs one stage', async () => {
+    let perfCount = 0;
+    vi.spyOn(globalThis.performance, 'now').mockImplementation(() => (perfCount++) * 100);
+    const fetchMock = vi.fn().mockImplementation((url) => {
+      const bytes = parseInt(new URL(url, 'http://localhost').searchParams.get('bytes'), 10);
+      return Promise.resolve(new Response(new ArrayBuffer(bytes)));
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await measureDownloadSpeed({
+      stages: [1_048_576, 10_485_760],
+      streams: 2,
+      byteBudget: 1_000,
+      timeout: 60000,
+    });
+
+    // Budget too small for anything: one minimum-size stage on each stream.
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(fetchMock.mock.calls[0][0]).toContain('bytes=65536');
+    expect(result.bytesUsed).toBe(131_072);
+  });
+
+  it('stops duration mode when the byte budget is spent', async () => {
+    let perfCount = 0;
+    vi.spyOn(globalThis.performance, 'now').mockImplementation(() => (perfCount++) * 1000);
+    const fetchMock = vi.fn().mockImplementation((url) => {
+      const bytes = parseInt(new URL(url, 'http://localhost').searchParams.get('bytes'), 10);
+      return Promise.resolve(new Response(new ArrayBuffer(bytes)));
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await measureDownloadSpeed({
+      mode: 'duration',
+      duration: 60000,
+      initialBytes: 262_144,
+      byteBudget: 300_000,
+      timeout: 60000,
+    });
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(result.bytesUsed).toBe(262_144);
+  });
+
+  it('reports the weighted estimator by default', async () => {
+    const fetchMock = createFetchMock([0, 1000]);
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await measureDownloadSpeed({ stages: [1_048_576], timeout: 60000 });
+
+    expect(result.estimator).toBe('weighted');
+    expect(result.speedMbps).toBe(8.39);
+  });
 });
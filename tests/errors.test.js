@@ -18,6 +18,8 @@ describe('ErrorCode', () => {
     expect(ErrorCode.SERVER_UNAVAILABLE).toBe('SERVER_UNAVAILABLE');
     expect(ErrorCode.ABORTED).toBe('ABORTED');
     expect(ErrorCode.NETWORK_ERROR).toBe('NETWORK_ERROR');
+    expect(ErrorCode.INCOMPATIBLE_SERVER).toBe('INCOMPATIBLE_SERVER');
+    expect(ErrorCode.RATE_LIMITED).toBe('RATE_LIMITED');
   });
 });
 
@@ -60,6 +62,7 @@ describe('SpeedTestError', () => {
     expect(new SpeedTestError(ErrorCode.SERVER_UNAVAILABLE).message).toMatch(/servidor/);
     expect(new SpeedTestError(ErrorCode.ABORTED).message).toMatch(/cancelada/);
     expect(new SpeedTestError(ErrorCode.NETWORK_ERROR).message).toMatch(/Error de red/);
+    expect(new SpeedTestError(ErrorCode.RATE_LIMITED).message).toMatch(/Espera un momento/);
   });
 });
 
@@ -156,13 +159,51 @@ describe('assertResponseOk', () => {
   });
 
   it('handles missing statusText', () => {
-    const response = { ok: false, status: 429, statusText: '' };
+    const response = { ok: false, status: 418, statusText: '' };
     try {
       assertResponseOk(response);
     } catch (err) {
-      expect(err.message).toMatch(/HTTP 429/);
+      expect(err.message).toMatch(/HTTP 418/);
     }
   });
+
+  it('throws RATE_LIMITED for 429 status with the Retry-After delay', () => {
+    const response = new Response('', { status: 429, headers: { 'Retry-After': '30' } });
+
+    const err = (() => {
+      try {
+        assertResponseOk(response, 'download');
+      } catch (e) {
+        return e;
+      }
+    })();
+
+    expect(err.code).toBe(ErrorCode.RATE_LIMITED);
+    expect(err.retryAfter).toBe(30);
+    expect(err.phase).toBe('download');
+    expect(err.message).toMatch(/Espera 30 s/);
+  });
+
+  it('reads Retry-After given as an HTTP date', () => {
+    vi.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const response = {
+      ok: false,
+      status: 429,
+      headers: new Headers({ 'Retry-After': 'Thu, 01 Jan 2026 00:01:00 GMT' }),
+    };
+
+    try {
+      expect(() => assertResponseOk(response)).toThrow(expect.objectContaining({ retryAfter: 60 }));
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('uses the default wait message without Retry-After', () => {
+    const response = { ok: false, status: 429, statusText: 'Too Many Requests' };
+
+    expect(() => assertResponseOk(response)).toThrow(new SpeedTestError(ErrorCode.RATE_LIMITED).message);
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { estimateThroughput, toIntervals, Estimator } from '../src/services/estimators.js';
+
+// 1 MB stage with slow-start: 1000 B/ms would be 8 Mbps; first 500ms crawl.
+const slowStartStage = {
+  bytes: 1_050_000,
+  durationMs: 1500,
+  samples: [
+    { t: 250, bytes: 25_000 },   // 0.8 Mbps
+    { t: 500, bytes: 50_000 },   // 0.8 Mbps
+    { t: 750, bytes: 300_000 },  // 8 Mbps
+    { t: 1000, bytes: 550_000 }, // 8 Mbps
+    { t: 1250, bytes: 800_000 }, // 8 Mbps
+    { t: 1500, bytes: 1_050_000 }, // 8 Mbps
+  ],
+};
+
+// ---------------------------------------------------------------------------
+// toIntervals
+// ---------------------------------------------------------------------------
+
+describe('toIntervals', () => {
+  it('converts cumulative samples into per-interval deltas', () => {
+    const intervals = toIntervals([slowStartStage]);
+
+    expect(intervals).toHaveLength(6);
+    expect(intervals[0]).toEqual({ bytes: 25_000, durationMs: 250 });
+    expect(intervals[2]).toEqual({ bytes: 250_000, durationMs: 250 });
+  });
+
+  it('treats a stage without samples as a single interval', () => {
+    expect(toIntervals([{ bytes: 1000, durationMs: 100 }])).toEqual([
+      { bytes: 1000, durationMs: 100 },
+    ]);
+  });
+
+  it('concatenates stages in order', () => {
+    const intervals = toIntervals([
+      { bytes: 1000, durationMs: 100 },
+      { bytes: 2000, durationMs: 100, samples: [{ t: 50, bytes: 500 }, { t: 100, bytes: 2000 }] },
+    ]);
+
+    expect(intervals.map((i) => i.bytes)).toEqual([1000, 500, 1500]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// estimateThroughput
+// ---------------------------------------------------------------------------
+
+describe('estimateThroughput', () => {
+  it('returns 0 for no stages', () => {
+    expect(estimateThroughput([], Estimator.P90)).toBe(0);
+  });
+
+  it('defaults to the weighted average (total bytes / total time)', () => {
+    expect(estimateThroughput([slowStartStage])).toBe(5.6);
+  });
+
+  it('discards the warm-up window', () => {
+    const mbps = estimateThroughput([slowStartStage], Estimator.WARMUP_DISCARD, { warmupMs: 500 });
+    expect(mbps).toBe(8);
+  });
+
+  it('falls back to the weighted average when the phase is shorter than the warm-up', () => {
+    const mbps = estimateThroughput([slowStartStage], Estimator.WARMUP_DISCARD, { warmupMs: 5000 });
+    expect(mbps).toBe(5.6);
+  });
+
+  it('computes a trimmed mean of sampled throughput', () => {
+    // Samples: 0.8, 0.8, 8, 8, 8, 8 → trimming 1 from each end → mean of 0.8, 8, 8, 8.
+    const mbps = estimateThroughput([slowStartStage], Estimator.TRIMMED_MEAN, { trimFraction: 0.2 });
+    expect(mbps).toBe(6.2);
+  });
+
+  it('computes the 90th percentile of sampled throughput', () => {
+    const stage = {
+      bytes: 0,
+      durationMs: 1000,
+      samples: Array.from({ length: 10 }, (_, i) => ({ t: (i + 1) * 100, bytes: 0 })),
+    };
+    // Ten intervals of 100ms at 1..10 Mbps (12_500 B per Mbps per 100ms).
+    let cumulative = 0;
+    stage.samples.forEach((s, i) => {
+      cumulative += (i + 1) * 12_500;
+      s.bytes = cumulative;
+    });
+    stage.bytes = cumulative;
+
+    expect(estimateThroughput([stage], Estimator.P90)).toBe(9);
+  });
+
+  it('throws for an unknown estimator', () => {
+    expect(() => estimateThroughput([slowStartStage], 'median')).toThrow('Unknown throughput estimator');
+  });
+});
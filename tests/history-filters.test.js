@@ -277,6 +277,40 @@ describe('history-filters component', () => {
     });
   });
 
+  // ===========================================================================
+  // ISP filter
+  // ===========================================================================
+
+  describe('ISP filter', () => {
+    it('is hidden until the history knows some ISP', () => {
+      const filters = createHistoryFilters(container);
+      const select = container.querySelector('.history-filters__select');
+      expect(select.closest('.history-filters__section').style.display).toBe('none');
+
+      filters.setIspOptions(['Vodafone', null, 'Movistar', 'Vodafone']);
+
+      const options = Array.from(container.querySelectorAll('.history-filters__select option'))
+        .map(option => option.value);
+      expect(options).toEqual(['', 'Movistar', 'Vodafone']);
+      expect(
+        container.querySelector('.history-filters__select').closest('.history-filters__section').style.display
+      ).toBe('');
+    });
+
+    it('calls onFilterChange with the selected ISP', () => {
+      const onFilterChange = vi.fn();
+      const filters = createHistoryFilters(container, { onFilterChange });
+      filters.setIspOptions(['Movistar']);
+
+      const select = container.querySelector('.history-filters__select');
+      select.value = 'Movistar';
+      select.dispatchEvent(new Event('change'));
+
+      expect(onFilterChange).toHaveBeenCalledWith(expect.objectContaining({ isp: 'Movistar' }));
+      expect(filters.hasActiveFilters()).toBe(true);
+    });
+  });
+
   // ===========================================================================
   // Clear filters
   // ===========================================================================
@@ -331,6 +365,7 @@ describe('history-filters component', () => {
 
       expect(onFilterChange).toHaveBeenCalledWith({
         connectionTypes: [],
+        isp: null,
         dateFrom: null,
         dateTo: null
       });
@@ -369,6 +404,7 @@ describe('history-filters component', () => {
       const initialFilters = filters.getFilters();
       expect(initialFilters).toEqual({
         connectionTypes: [],
+        isp: null,
         dateFrom: null,
         dateTo: null
       });
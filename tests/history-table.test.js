@@ -177,13 +177,14 @@ describe('history-table component', () => {
       await new Promise(resolve => setTimeout(resolve, 100));
 
       const headerCells = container.querySelectorAll('.history-table__header-cell');
-      expect(headerCells.length).toBe(6);
+      expect(headerCells.length).toBe(7);
       expect(headerCells[0].textContent).toBe('Fecha');
       expect(headerCells[1].textContent).toBe('Red');
       expect(headerCells[2].textContent).toBe('Descarga');
       expect(headerCells[3].textContent).toBe('Subida');
       expect(headerCells[4].textContent).toBe('Ping');
-      expect(headerCells[5].textContent).toBe('Acciones');
+      expect(headerCells[5].textContent).toBe('Pérdida');
+      expect(headerCells[6].textContent).toBe('Acciones');
     });
   });
 
@@ -264,6 +265,31 @@ describe('history-table component', () => {
       expect(pingCell.textContent).toBe('13 ms');
     });
 
+    it('formats packet loss as a percentage', async () => {
+      await saveResult({
+        id: 'test-1',
+        timestamp: '2026-02-24T10:30:00Z',
+        download_mbps: 95.4,
+        upload_mbps: 42.1,
+        ping_ms: 12,
+        jitter_ms: 3.2,
+        loss_pct: 30,
+        connection_type: 'wifi',
+        effective_type: '4g',
+        downlink_mbps: 10,
+        rtt_ms: 50,
+        server_used: 'auto',
+        ip_address: 'redacted',
+        user_agent: 'Mozilla/5.0'
+      });
+
+      createHistoryTable(container);
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      const lossCell = container.querySelector('.history-table__cell--loss');
+      expect(lossCell.textContent).toBe('30 %');
+    });
+
     it('handles null or undefined values gracefully', async () => {
       await saveResult({
         id: 'test-1',
@@ -291,6 +317,8 @@ describe('history-table component', () => {
       expect(downloadCell.textContent).toBe('—');
       expect(uploadCell.textContent).toBe('—');
       expect(pingCell.textContent).toBe('—');
+      // Results saved before packet loss was tracked have no loss_pct.
+      expect(container.querySelector('.history-table__cell--loss').textContent).toBe('—');
     });
   });
 
@@ -570,6 +598,7 @@ describe('history-table component', () => {
         rtt_ms: 50,
         server_used: 'auto',
         ip_address: 'redacted',
+        isp: 'Movistar',
         user_agent: 'Mozilla/5.0'
       });
 
@@ -602,10 +631,36 @@ describe('history-table component', () => {
         rtt_ms: 50,
         server_used: 'auto',
         ip_address: 'redacted',
+        isp: 'Movistar',
         user_agent: 'Mozilla/5.0'
       });
     });
 
+    it('filters by ISP', async () => {
+      const table = createHistoryTable(container);
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      await table.setFilters({ isp: 'Movistar' });
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const ids = Array.from(container.querySelectorAll('.history-table__row'))
+        .map(row => row.getAttribute('data-id'));
+      expect(ids).toHaveLength(2);
+      expect(ids).not.toContain('cellular-1');
+    });
+
+    it('passes all results to the onLoad callback on every load', async () => {
+      const table = createHistoryTable(container);
+      const onLoad = vi.fn();
+      table.onLoad(onLoad);
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      await table.setFilters({ connectionTypes: ['wifi'] });
+
+      expect(onLoad).toHaveBeenCalled();
+      expect(onLoad.mock.calls.at(-1)[0]).toHaveLength(3);
+    });
+
     it('filters by single connection type', async () => {
       const table = createHistoryTable(container);
       await new Promise(resolve => setTimeout(resolve, 100));
@@ -760,6 +815,7 @@ describe('history-table component', () => {
       const initialFilters = table.getFilters();
       expect(initialFilters).toEqual({
         connectionTypes: [],
+        isp: null,
         dateFrom: null,
         dateTo: null
       });
@@ -0,0 +1,192 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { serveMeasurements } from '../src/services/measurement-worker.js';
+
+vi.mock('../src/services/ping.js', () => ({
+  measureLatency: vi.fn(),
+}));
+vi.mock('../src/services/download.js', () => ({
+  measureDownloadSpeed: vi.fn(),
+}));
+vi.mock('../src/services/upload.js', () => ({
+  measureUploadSpeed: vi.fn(),
+}));
+vi.mock('../src/services/resource-timing.js', () => ({
+  ensureTimingBuffer: vi.fn(),
+  clearTimingBuffer: vi.fn(),
+  collectTimingBreakdown: vi.fn().mockReturnValue(null),
+}));
+
+import { measureLatency as measureLatencyDirect } from '../src/services/ping.js';
+import { measureDownloadSpeed as measureDownloadDirect } from '../src/services/download.js';
+
+/**
+ * In-process stand-in for a module Worker: messages cross between the
+ * engine and serveMeasurements asynchronously, like the real thing.
+ */
+class FakeWorker {
+  static instances = [];
+
+  constructor() {
+    this.listeners = { message: [], error: [] };
+    this.terminated = false;
+    this.inbox = [];
+
+    const scopeListeners = [];
+    serveMeasurements({
+      addEventListener: (_type, fn) => scopeListeners.push(fn),
+      postMessage: (data) => queueMicrotask(() => {
+        for (const fn of this.listeners.message) fn({ data: structuredClone(data) });
+      }),
+    });
+    this.deliver = (data) => queueMicrotask(() => {
+      for (const fn of scopeListeners) fn({ data: structuredClone(data) });
+    });
+
+    FakeWorker.instances.push(this);
+  }
+
+  addEventListener(type, fn) {
+    this.listeners[type].push(fn);
+  }
+
+  postMessage(data) {
+    this.inbox.push(data);
+    this.deliver(data);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+describe('measurement engine', () => {
+  let engine;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    FakeWorker.instances = [];
+    vi.resetModules();
+  });
+
+  afterEach(() => {
+    engine?.terminateMeasurementWorker();
+    vi.unstubAllGlobals();
+  });
+
+  async function loadEngine() {
+    engine = await import('../src/services/measurement-engine.js');
+    return engine;
+  }
+
+  it('runs on the main thread when workers are unavailable', async () => {
+    vi.stubGlobal('Worker', undefined);
+    measureLatencyDirect.mockResolvedValue({ avg: 12 });
+    const { measureLatency } = await loadEngine();
+
+    await expect(measureLatency({ count: 3 })).resolves.toEqual({ avg: 12 });
+    expect(measureLatencyDirect).toHaveBeenCalledWith({ count: 3 });
+  });
+
+  it('runs jobs in one shared worker and forwards progress', async () => {
+    vi.stubGlobal('Worker', FakeWorker);
+    measureDownloadDirect.mockImplementation(async ({ onProgress }) => {
+      onProgress({ stage: 1, stageMbps: 80 });
+      return { speedMbps: 80, stages: [] };
+    });
+    const { measureDownloadSpeed } = await loadEngine();
+    const onProgress = vi.fn();
+
+    const first = await measureDownloadSpeed({ streams: 4, onProgress });
+    await measureDownloadSpeed({});
+
+    expect(first).toEqual({ speedMbps: 80, stages: [], timing: null });
+    expect(onProgress).toHaveBeenCalledWith({ stage: 1, stageMbps: 80 });
+    expect(FakeWorker.instances).toHaveLength(1);
+    expect(FakeWorker.instances[0].inbox[0].options).toEqual({ streams: 4, hasCheckpoint: false });
+  });
+
+  it('rejects with the worker error, keeping its code', async () => {
+    vi.stubGlobal('Worker', FakeWorker);
+    const { SpeedTestError, ErrorCode } = await import('../src/services/errors.js');
+    measureDownloadDirect.mockRejectedValue(new SpeedTestError(ErrorCode.TIMEOUT));
+    const { measureDownloadSpeed } = await loadEngine();
+
+    await expect(measureDownloadSpeed({})).rejects.toMatchObject({
+      name: 'SpeedTestError',
+      code: ErrorCode.TIMEOUT,
+    });
+  });
+
+  it('forwards the abort signal to the worker', async () => {
+    vi.stubGlobal('Worker', FakeWorker);
+    measureDownloadDirect.mockImplementation(({ signal }) => new Promise((_resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }));
+    const { measureDownloadSpeed } = await loadEngine();
+    const controller = new AbortController();
+
+    const running = measureDownloadSpeed({ signal: controller.signal });
+    controller.abort();
+
+    await expect(running).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  it('bridges worker checkpoints to the caller\'s pause checkpoint', async () => {
+    vi.stubGlobal('Worker', FakeWorker);
+    measureDownloadDirect.mockImplementation(async ({ checkpoint }) => {
+      await checkpoint();
+      return { speedMbps: 1, stages: [] };
+    });
+    const { measureDownloadSpeed } = await loadEngine();
+    let release;
+    const checkpoint = vi.fn(() => new Promise((resolve) => { release = resolve; }));
+
+    let done = false;
+    const running = measureDownloadSpeed({ checkpoint }).then(() => { done = true; });
+    await vi.waitFor(() => expect(checkpoint).toHaveBeenCalled());
+    expect(done).toBe(false);
+
+    release();
+    await running;
+    expect(done).toBe(true);
+  });
+
+  it('fails running jobs when the worker crashes', async () => {
+    vi.stubGlobal('Worker', FakeWorker);
+    measureDownloadDirect.mockImplementation(({ onProgress }) => {
+      onProgress({ stage: 1 });
+      return new Promise(() => {});
+    });
+    const { measureDownloadSpeed } = await loadEngine();
+
+    const onProgress = vi.fn();
+    const running = measureDownloadSpeed({ onProgress });
+    await vi.waitFor(() => expect(onProgress).toHaveBeenCalled());
+    for (const fn of FakeWorker.instances[0].listeners.error) fn(new Event('error'));
+
+    await expect(running).rejects.toThrow('Measurement worker failed');
+    expect(FakeWorker.instances[0].terminated).toBe(true);
+  });
+
+  it('falls back to the main thread when the worker fails to load', async () => {
+    /** A worker whose script never loads: it only ever reports an error. */
+    class BrokenWorker extends FakeWorker {
+      postMessage(data) {
+        this.inbox.push(data);
+      }
+    }
+    vi.stubGlobal('Worker', BrokenWorker);
+    measureLatencyDirect.mockResolvedValue({ avg: 12 });
+    const { measureLatency } = await loadEngine();
+
+    const running = measureLatency({ count: 3 });
+    for (const fn of FakeWorker.instances[0].listeners.error) fn(new Event('error'));
+
+    await expect(running).resolves.toEqual({ avg: 12 });
+    expect(measureLatencyDirect).toHaveBeenCalledWith({ count: 3 });
+
+    // Later jobs skip the worker altogether.
+    await expect(measureLatency({ count: 1 })).resolves.toEqual({ avg: 12 });
+    expect(FakeWorker.instances).toHaveLength(1);
+  });
+});
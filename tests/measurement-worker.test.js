@@ -0,0 +1,172 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  MessageType, serializeError, deserializeError, serveMeasurements,
+} from '../src/services/measurement-worker.js';
+import { SpeedTestError, ErrorCode } from '../src/services/errors.js';
+
+vi.mock('../src/services/ping.js', () => ({
+  measureLatency: vi.fn(),
+}));
+vi.mock('../src/services/download.js', () => ({
+  measureDownloadSpeed: vi.fn(),
+}));
+vi.mock('../src/services/upload.js', () => ({
+  measureUploadSpeed: vi.fn(),
+}));
+vi.mock('../src/services/resource-timing.js', () => ({
+  ensureTimingBuffer: vi.fn(),
+  clearTimingBuffer: vi.fn(),
+  collectTimingBreakdown: vi.fn().mockReturnValue(null),
+}));
+
+import { measureDownloadSpeed } from '../src/services/download.js';
+import { measureUploadSpeed } from '../src/services/upload.js';
+import { collectTimingBreakdown, clearTimingBuffer } from '../src/services/resource-timing.js';
+
+/**
+ * Creates a fake worker scope that records posted messages and lets the
+ * test deliver messages to the served handler.
+ */
+function createScope() {
+  let listener;
+  const posted = [];
+  const scope = {
+    addEventListener: (_type, fn) => { listener = fn; },
+    postMessage: (data) => posted.push(data),
+  };
+  serveMeasurements(scope);
+  return { posted, send: (data) => listener({ data }) };
+}
+
+// ---------------------------------------------------------------------------
+// Error serialization
+// ---------------------------------------------------------------------------
+
+describe('serializeError / deserializeError', () => {
+  it('round-trips SpeedTestErrors with their code and phase', () => {
+    const original = new SpeedTestError(ErrorCode.TIMEOUT, undefined, { phase: 'download' });
+    const restored = deserializeError(serializeError(original));
+
+    expect(restored).toBeInstanceOf(SpeedTestError);
+    expect(restored.code).toBe(ErrorCode.TIMEOUT);
+    expect(restored.phase).toBe('download');
+    expect(restored.message).toBe(original.message);
+  });
+
+  it('keeps the Retry-After delay of rate-limit errors', () => {
+    const original = new SpeedTestError(ErrorCode.RATE_LIMITED, undefined, { retryAfter: 30 });
+    const restored = deserializeError(serializeError(original));
+
+    expect(restored.code).toBe(ErrorCode.RATE_LIMITED);
+    expect(restored.retryAfter).toBe(30);
+  });
+
+  it('restores AbortErrors as DOMExceptions', () => {
+    const restored = deserializeError(serializeError(new DOMException('Aborted', 'AbortError')));
+
+    expect(restored).toBeInstanceOf(DOMException);
+    expect(restored.name).toBe('AbortError');
+  });
+
+  it('keeps the name and message of other errors', () => {
+    const restored = deserializeError(serializeError(new TypeError('Failed to fetch')));
+
+    expect(restored.name).toBe('TypeError');
+    expect(restored.message).toBe('Failed to fetch');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// serveMeasurements
+// ---------------------------------------------------------------------------
+
+describe('serveMeasurements', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('runs the requested service and posts progress and the result', async () => {
+    const timing = { dns: 1, connect: 2, tls: 0, ttfb: 5, transfer: 40, protocol: 'h2', requests: 1 };
+    collectTimingBreakdown.mockReturnValueOnce(timing);
+    measureDownloadSpeed.mockImplementation(async ({ onProgress }) => {
+      onProgress({ stage: 1, stageMbps: 50 });
+      return { speedMbps: 50, stages: [] };
+    });
+    const { posted, send } = createScope();
+
+    send({ id: 1, type: MessageType.RUN, service: 'download', options: { streams: 2 } });
+    await vi.waitFor(() => expect(posted.at(-1)?.type).toBe(MessageType.RESULT));
+
+    expect(measureDownloadSpeed).toHaveBeenCalledWith(expect.objectContaining({ streams: 2 }));
+    expect(collectTimingBreakdown).toHaveBeenCalledWith('/download', expect.any(Number));
+    expect(clearTimingBuffer).toHaveBeenCalledTimes(1);
+    expect(posted).toEqual([
+      { id: 1, type: MessageType.PROGRESS, progress: { stage: 1, stageMbps: 50 } },
+      { id: 1, type: MessageType.RESULT, result: { speedMbps: 50, stages: [], timing } },
+    ]);
+  });
+
+  it('posts serialized errors', async () => {
+    measureUploadSpeed.mockRejectedValue(new SpeedTestError(ErrorCode.SERVER_UNAVAILABLE));
+    const { posted, send } = createScope();
+
+    send({ id: 2, type: MessageType.RUN, service: 'upload', options: {} });
+    await vi.waitFor(() => expect(posted).toHaveLength(1));
+
+    expect(posted[0]).toMatchObject({
+      id: 2,
+      type: MessageType.ERROR,
+      error: { name: 'SpeedTestError', code: ErrorCode.SERVER_UNAVAILABLE },
+    });
+  });
+
+  it('rejects unknown services', async () => {
+    const { posted, send } = createScope();
+
+    send({ id: 3, type: MessageType.RUN, service: 'jitter', options: {} });
+    await vi.waitFor(() => expect(posted).toHaveLength(1));
+
+    expect(posted[0].error.message).toBe('Unknown measurement service: jitter');
+  });
+
+  it('aborts a running job', async () => {
+    measureDownloadSpeed.mockImplementation(({ signal }) => new Promise((_resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }));
+    const { posted, send } = createScope();
+
+    send({ id: 4, type: MessageType.RUN, service: 'download', options: {} });
+    send({ id: 4, type: MessageType.ABORT });
+    await vi.waitFor(() => expect(posted).toHaveLength(1));
+
+    expect(posted[0]).toMatchObject({ id: 4, type: MessageType.ERROR, error: { name: 'AbortError' } });
+  });
+
+  it('holds at checkpoints until the main thread lets the job continue', async () => {
+    let passed = false;
+    measureDownloadSpeed.mockImplementation(async ({ checkpoint }) => {
+      await checkpoint();
+      passed = true;
+      return { speedMbps: 1, stages: [] };
+    });
+    const { posted, send } = createScope();
+
+    send({ id: 5, type: MessageType.RUN, service: 'download', options: { hasCheckpoint: true } });
+    await vi.waitFor(() => expect(posted).toEqual([{ id: 5, type: MessageType.CHECKPOINT }]));
+    expect(passed).toBe(false);
+
+    send({ id: 5, type: MessageType.CONTINUE });
+    await vi.waitFor(() => expect(posted.at(-1).type).toBe(MessageType.RESULT));
+    expect(passed).toBe(true);
+  });
+
+  it('passes no checkpoint when the caller has none', async () => {
+    measureDownloadSpeed.mockResolvedValue({ speedMbps: 1, stages: [] });
+    const { posted, send } = createScope();
+
+    send({ id: 6, type: MessageType.RUN, service: 'download', options: {} });
+    await vi.waitFor(() => expect(posted).toHaveLength(1));
+
+    expect(measureDownloadSpeed.mock.calls[0][0].checkpoint).toBeUndefined();
+  });
+});
@@ -2,6 +2,7 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import {
   getConnectionAPI,
   getConnectionInfo,
+  isMeteredConnection,
   onConnectionChange,
 } from '../src/services/network-detection.js';
 
@@ -329,3 +330,33 @@ describe('onConnectionChange', () => {
     });
   });
 });
+
+// ---------------------------------------------------------------------------
+// isMeteredConnection
+// ---------------------------------------------------------------------------
+
+describe('isMeteredConnection', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('returns false when the API is not available', () => {
+    vi.stubGlobal('navigator', {});
+    expect(isMeteredConnection()).toBe(false);
+  });
+
+  it('returns true on cellular connections', () => {
+    vi.stubGlobal('navigator', { connection: createMockConnection({ type: 'cellular' }) });
+    expect(isMeteredConnection()).toBe(true);
+  });
+
+  it('returns true when data saver is on', () => {
+    vi.stubGlobal('navigator', { connection: { ...createMockConnection(), saveData: true } });
+    expect(isMeteredConnection()).toBe(true);
+  });
+
+  it('returns false on unmetered connections without data saver', () => {
+    vi.stubGlobal('navigator', { connection: createMockConnection({ type: 'wifi' }) });
+    expect(isMeteredConnection()).toBe(false);
+  });
+});
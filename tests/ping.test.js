@@ -1,5 +1,8 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { computePingStats, measureLatency } from '../src/services/ping.js';
+import {
+  computePingStats, measureLatency, computeLoadedLatencyStats, gradeBufferbloat, startLatencyMonitor,
+  toWebSocketUrl,
+} from '../src/services/ping.js';
 
 // ---------------------------------------------------------------------------
 // computePingStats – pure function tests
@@ -8,7 +11,30 @@ import { computePingStats, measureLatency } from '../src/services/ping.js';
 describe('computePingStats', () => {
   it('returns zeroes for empty samples', () => {
     const result = computePingStats([]);
-    expect(result).toEqual({ avg: 0, min: 0, max: 0, jitter: 0, samples: [] });
+    expect(result).toEqual({
+      avg: 0, min: 0, max: 0, jitter: 0, samples: [], sent: 0, failed: 0, timedOut: 0, lossPct: 0,
+    });
+  });
+
+  it('reports no loss when every probe answered', () => {
+    const result = computePingStats([10, 20]);
+    expect(result.sent).toBe(2);
+    expect(result.lossPct).toBe(0);
+  });
+
+  it('computes loss from failed and timed-out probes', () => {
+    const result = computePingStats([10, 20, 30, 40, 50, 60, 70], { failed: 2, timedOut: 1 });
+    expect(result.sent).toBe(10);
+    expect(result.failed).toBe(2);
+    expect(result.timedOut).toBe(1);
+    expect(result.lossPct).toBe(30);
+    expect(result.avg).toBe(40);
+  });
+
+  it('reports 100% loss when no probe answered', () => {
+    const result = computePingStats([], { failed: 3 });
+    expect(result.lossPct).toBe(100);
+    expect(result.avg).toBe(0);
   });
 
   it('computes correct stats for a single sample', () => {
@@ -139,6 +165,27 @@ describe('measureLatency', () => {
 
     // 2 successful out of 3
     expect(result.samples).toHaveLength(2);
+    expect(result.sent).toBe(3);
+    expect(result.failed).toBe(1);
+    expect(result.lossPct).toBe(33.33);
+  });
+
+  it('counts probes that exceed the timeout separately', async () => {
+    let callNum = 0;
+    const fetchMock = vi.fn().mockImplementation((_url, { signal }) => {
+      callNum++;
+      if (callNum !== 2) return Promise.resolve(new Response());
+      return new Promise((_resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+      });
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await measureLatency({ url: '/ping', count: 4, delay: 0, timeout: 10 });
+
+    expect(result.timedOut).toBe(1);
+    expect(result.failed).toBe(0);
+    expect(result.lossPct).toBe(25);
   });
 
   it('throws when all pings fail', async () => {
@@ -179,6 +226,20 @@ describe('measureLatency', () => {
     ).rejects.toSatisfy((err) => err.name === 'AbortError');
   });
 
+  it('awaits the checkpoint before each ping', async () => {
+    const order = [];
+    const fetchMock = vi.fn().mockImplementation(async () => {
+      order.push('ping');
+      return new Response();
+    });
+    vi.stubGlobal('fetch', fetchMock);
+    const checkpoint = vi.fn(async () => { order.push('checkpoint'); });
+
+    await measureLatency({ url: '/ping', count: 2, delay: 0, checkpoint });
+
+    expect(order).toEqual(['checkpoint', 'ping', 'checkpoint', 'ping']);
+  });
+
   it('uses default options when none provided', async () => {
     const fetchMock = vi.fn().mockResolvedValue(new Response());
     vi.stubGlobal('fetch', fetchMock);
@@ -191,3 +252,226 @@ describe('measureLatency', () => {
     expect(result.samples).toHaveLength(10);
   });
 });
+
+// ---------------------------------------------------------------------------
+// WebSocket latency method
+// ---------------------------------------------------------------------------
+
+/**
+ * Minimal WebSocket stand-in: opens (or fails) on the next tick and
+ * echoes every message back asynchronously.
+ */
+function createFakeWebSocket({ failToOpen = false } = {}) {
+  return class FakeWebSocket extends EventTarget {
+    static OPEN = 1;
+    static instances = [];
+
+    constructor(url) {
+      super();
+      this.url = url;
+      this.readyState = 0;
+      this.sent = [];
+      FakeWebSocket.instances.push(this);
+      setTimeout(() => {
+        if (failToOpen) {
+          this.readyState = 3;
+          this.dispatchEvent(new Event('close'));
+        } else {
+          this.readyState = 1;
+          this.dispatchEvent(new Event('open'));
+        }
+      }, 0);
+    }
+
+    send(data) {
+      this.sent.push(data);
+      setTimeout(() => this.dispatchEvent(new MessageEvent('message', { data })), 0);
+    }
+
+    close() {
+      this.readyState = 3;
+    }
+  };
+}
+
+describe('measureLatency (websocket method)', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+    let callCount = 0;
+    vi.spyOn(globalThis.performance, 'now').mockImplementation(() => (callCount++) * 15);
+  });
+
+  it('echoes probes over one WebSocket instead of HTTP', async () => {
+    const FakeWebSocket = createFakeWebSocket();
+    vi.stubGlobal('WebSocket', FakeWebSocket);
+    const fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await measureLatency({
+      method: 'websocket', wsUrl: 'ws://localhost/ws-ping', count: 3, delay: 0,
+    });
+
+    expect(result.method).toBe('websocket');
+    expect(result.samples).toEqual([15, 15, 15]);
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(FakeWebSocket.instances).toHaveLength(1);
+    expect(FakeWebSocket.instances[0].sent).toEqual(['1', '2', '3']);
+    expect(FakeWebSocket.instances[0].readyState).toBe(3);
+  });
+
+  it('falls back to HTTP when WebSocket is not supported', async () => {
+    vi.stubGlobal('WebSocket', undefined);
+    const fetchMock = vi.fn().mockResolvedValue(new Response());
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await measureLatency({
+      method: 'websocket', wsUrl: 'ws://localhost/ws-ping', count: 2, delay: 0,
+    });
+
+    expect(result.method).toBe('http');
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('falls back to HTTP when the echo endpoint is unreachable', async () => {
+    vi.stubGlobal('WebSocket', createFakeWebSocket({ failToOpen: true }));
+    const fetchMock = vi.fn().mockResolvedValue(new Response());
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await measureLatency({
+      method: 'websocket', wsUrl: 'ws://localhost/ws-ping', count: 2, delay: 0,
+    });
+
+    expect(result.method).toBe('http');
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('reports the HTTP method by default', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(new Response()));
+
+    const result = await measureLatency({ count: 1, delay: 0 });
+
+    expect(result.method).toBe('http');
+  });
+});
+
+describe('toWebSocketUrl', () => {
+  it('keeps absolute ws(s) URLs', () => {
+    expect(toWebSocketUrl('wss://example.com/ws-ping')).toBe('wss://example.com/ws-ping');
+  });
+
+  it('resolves paths against the page origin', () => {
+    vi.stubGlobal('location', { href: 'https://speed.example.com/app/' });
+    expect(toWebSocketUrl('/ws-ping')).toBe('wss://speed.example.com/ws-ping');
+
+    vi.stubGlobal('location', { href: 'http://localhost:5173/' });
+    expect(toWebSocketUrl('/ws-ping')).toBe('ws://localhost:5173/ws-ping');
+    vi.unstubAllGlobals();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// computeLoadedLatencyStats / gradeBufferbloat – pure function tests
+// ---------------------------------------------------------------------------
+
+describe('computeLoadedLatencyStats', () => {
+  it('returns zeroes for empty samples', () => {
+    expect(computeLoadedLatencyStats([])).toEqual({ avg: 0, p90: 0, samples: [] });
+  });
+
+  it('computes average and nearest-rank 90th percentile', () => {
+    const result = computeLoadedLatencyStats([10, 20, 30, 40, 50, 60, 70, 80, 90, 100]);
+    expect(result.avg).toBe(55);
+    expect(result.p90).toBe(90);
+  });
+
+  it('does not reorder the returned samples', () => {
+    expect(computeLoadedLatencyStats([30, 10, 20]).samples).toEqual([30, 10, 20]);
+  });
+});
+
+describe('gradeBufferbloat', () => {
+  it.each([
+    [20, 25, 'A'],
+    [20, 70, 'B'],
+    [20, 150, 'C'],
+    [20, 400, 'D'],
+    [20, 500, 'F'],
+  ])('idle %ims, loaded %ims → %s', (idle, loaded, grade) => {
+    expect(gradeBufferbloat(idle, loaded)).toBe(grade);
+  });
+
+  it('treats loaded latency below idle as no increase', () => {
+    expect(gradeBufferbloat(50, 40)).toBe('A');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// startLatencyMonitor – background probing
+// ---------------------------------------------------------------------------
+
+describe('startLatencyMonitor', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    let callCount = 0;
+    vi.spyOn(globalThis.performance, 'now').mockImplementation(() => (callCount++) * 40);
+  });
+
+  it('keeps probing until stopped and returns loaded stats', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(new Response());
+    vi.stubGlobal('fetch', fetchMock);
+
+    const monitor = startLatencyMonitor({ interval: 1 });
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    const stats = await monitor.stop();
+
+    expect(fetchMock.mock.calls.length).toBeGreaterThan(1);
+    expect(stats.samples.length).toBe(fetchMock.mock.calls.length);
+    expect(stats.avg).toBe(40);
+    expect(stats.p90).toBe(40);
+  });
+
+  it('skips failed probes', async () => {
+    let call = 0;
+    const fetchMock = vi.fn().mockImplementation(() => (
+      ++call % 2 === 0 ? Promise.reject(new TypeError('Failed to fetch')) : Promise.resolve(new Response())
+    ));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const monitor = startLatencyMonitor({ interval: 1 });
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    const stats = await monitor.stop();
+
+    expect(stats.samples.length).toBe(Math.ceil(call / 2));
+  });
+
+  it('waits on the hold before each probe', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(new Response());
+    vi.stubGlobal('fetch', fetchMock);
+    const hold = vi.fn((signal) => new Promise((_resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }));
+
+    const monitor = startLatencyMonitor({ interval: 1, hold });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    const stats = await monitor.stop();
+
+    expect(hold).toHaveBeenCalled();
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(stats.samples).toEqual([]);
+  });
+
+  it('stops probing when the external signal aborts', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(new Response());
+    vi.stubGlobal('fetch', fetchMock);
+    const controller = new AbortController();
+
+    const monitor = startLatencyMonitor({ interval: 1, signal: controller.signal });
+    controller.abort();
+    await monitor.stop();
+    const calls = fetchMock.mock.calls.length;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    expect(fetchMock.mock.calls.length).toBe(calls);
+  });
+});
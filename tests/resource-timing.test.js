@@ -0,0 +1,163 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  breakdownEntry, summarizeBreakdowns, collectTimingBreakdown, ensureTimingBuffer, clearTimingBuffer,
+} from '../src/services/resource-timing.js';
+
+/**
+ * Builds a resource timing entry for a fresh HTTPS connection:
+ * DNS 10 ms, TCP 20 ms, TLS 30 ms, TTFB 15 ms, transfer 100 ms.
+ */
+function createEntry(overrides = {}) {
+  return {
+    name: 'http://localhost:5173/download?bytes=1048576',
+    startTime: 100,
+    domainLookupStart: 100,
+    domainLookupEnd: 110,
+    connectStart: 110,
+    secureConnectionStart: 130,
+    connectEnd: 160,
+    requestStart: 160,
+    responseStart: 175,
+    responseEnd: 275,
+    nextHopProtocol: 'h2',
+    ...overrides,
+  };
+}
+
+describe('breakdownEntry', () => {
+  it('splits a request into DNS, connect, TLS, TTFB and transfer', () => {
+    expect(breakdownEntry(createEntry())).toEqual({
+      dns: 10, connect: 20, tls: 30, ttfb: 15, transfer: 100, protocol: 'h2',
+    });
+  });
+
+  it('reports no TLS time over plain HTTP', () => {
+    const result = breakdownEntry(createEntry({ secureConnectionStart: 0, nextHopProtocol: 'http/1.1' }));
+
+    expect(result.connect).toBe(50);
+    expect(result.tls).toBe(0);
+    expect(result.protocol).toBe('http/1.1');
+  });
+
+  it('reports zero setup time for a reused connection', () => {
+    const result = breakdownEntry(createEntry({
+      domainLookupStart: 160, domainLookupEnd: 160,
+      connectStart: 160, secureConnectionStart: 160, connectEnd: 160,
+    }));
+
+    expect(result).toMatchObject({ dns: 0, connect: 0, tls: 0, ttfb: 15 });
+  });
+
+  it('returns null for cross-origin entries without Timing-Allow-Origin', () => {
+    expect(breakdownEntry(createEntry({
+      domainLookupStart: 0, domainLookupEnd: 0, connectStart: 0, secureConnectionStart: 0,
+      connectEnd: 0, requestStart: 0, responseStart: 0, responseEnd: 15420, nextHopProtocol: '',
+    }))).toBeNull();
+  });
+});
+
+describe('summarizeBreakdowns', () => {
+  it('returns null without breakdowns', () => {
+    expect(summarizeBreakdowns([])).toBeNull();
+  });
+
+  it('averages durations and picks the most common protocol', () => {
+    const summary = summarizeBreakdowns([
+      { dns: 10, connect: 20, tls: 30, ttfb: 10, transfer: 100, protocol: 'h2' },
+      { dns: 0, connect: 0, tls: 0, ttfb: 20, transfer: 200, protocol: 'h2' },
+      { dns: 0, connect: 0, tls: 0, ttfb: 30, transfer: 300, protocol: 'http/1.1' },
+    ]);
+
+    expect(summary).toEqual({
+      dns: 3.33, connect: 6.67, tls: 10, ttfb: 20, transfer: 200, protocol: 'h2', requests: 3,
+    });
+  });
+});
+
+describe('collectTimingBreakdown', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('summarizes entries for the endpoint recorded since the phase started', () => {
+    vi.spyOn(performance, 'getEntriesByType').mockReturnValue([
+      createEntry({ startTime: 50 }),
+      createEntry(),
+      createEntry({ name: 'http://localhost:5173/ping?t=1' }),
+    ]);
+
+    const summary = collectTimingBreakdown('/download', 100);
+
+    expect(performance.getEntriesByType).toHaveBeenCalledWith('resource');
+    expect(summary).toMatchObject({ ttfb: 15, transfer: 100, requests: 1 });
+  });
+
+  it('leaves out entries whose timing is restricted', () => {
+    vi.spyOn(performance, 'getEntriesByType').mockReturnValue([
+      createEntry(),
+      createEntry({
+        domainLookupStart: 0, domainLookupEnd: 0, connectStart: 0, secureConnectionStart: 0,
+        connectEnd: 0, requestStart: 0, responseStart: 0, responseEnd: 15420, nextHopProtocol: '',
+      }),
+    ]);
+
+    expect(collectTimingBreakdown('/download', 0)).toMatchObject({ transfer: 100, requests: 1 });
+  });
+
+  it('returns null when no requests match', () => {
+    vi.spyOn(performance, 'getEntriesByType').mockReturnValue([]);
+
+    expect(collectTimingBreakdown('/upload', 0)).toBeNull();
+  });
+});
+
+describe('ensureTimingBuffer', () => {
+  it('raises the resource timing buffer size', () => {
+    const spy = vi.fn();
+    vi.stubGlobal('performance', { setResourceTimingBufferSize: spy });
+
+    ensureTimingBuffer();
+
+    expect(spy).toHaveBeenCalledWith(1000);
+    vi.unstubAllGlobals();
+  });
+});
+
+describe('clearTimingBuffer', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  /** A performance timeline whose buffer, like the browser's, drops entries once full. */
+  function stubTimeline(size) {
+    const buffer = [];
+    vi.stubGlobal('performance', {
+      record: (entry) => { if (buffer.length < size) buffer.push(entry); },
+      getEntriesByType: () => [...buffer],
+      clearResourceTimings: () => { buffer.length = 0; },
+    });
+  }
+
+  it('keeps room in the buffer for phases run back to back', () => {
+    stubTimeline(4);
+
+    for (let phase = 0; phase < 5; phase++) {
+      const start = phase * 1_000;
+      for (let i = 0; i < 3; i++) {
+        performance.record(createEntry({
+          name: 'http://localhost:5173/ping?t=1', startTime: start + i,
+        }));
+      }
+      performance.record(createEntry({ startTime: start + 10 }));
+
+      expect(collectTimingBreakdown('/download', start)).toMatchObject({ requests: 1 });
+      clearTimingBuffer();
+    }
+  });
+
+  it('does nothing where the API is missing', () => {
+    vi.stubGlobal('performance', {});
+
+    expect(() => clearTimingBuffer()).not.toThrow();
+  });
+});
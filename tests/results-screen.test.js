@@ -1,8 +1,14 @@
 import { describe, it, expect } from 'vitest';
 import {
   METRICS,
+  LOADED_METRICS,
+  LOSS_METRIC,
+  DATA_METRIC,
+  TIMING_COLUMNS,
+  buildTimingRows,
   formatValue,
   buildMetricDisplayData,
+  buildDegradedNotice,
 } from '../src/components/results-screen.js';
 
 // ---------------------------------------------------------------------------
@@ -132,6 +138,13 @@ describe('buildMetricDisplayData', () => {
     }
   });
 
+  it('shows a dash for metrics that were not measured', () => {
+    const data = buildMetricDisplayData({ download: null, upload: null, ping: 12, jitter: 1.5 });
+    expect(data[0].value).toBe('—');
+    expect(data[1].value).toBe('—');
+    expect(data[2].value).toBe('12');
+  });
+
   it('handles missing properties gracefully', () => {
     const data = buildMetricDisplayData({});
     for (const item of data) {
@@ -163,3 +176,148 @@ describe('buildMetricDisplayData', () => {
     }
   });
 });
+
+// ---------------------------------------------------------------------------
+// buildMetricDisplayData – loaded latency cards
+// ---------------------------------------------------------------------------
+
+describe('buildMetricDisplayData with packet loss', () => {
+  const base = { download: 95.4, upload: 42.1, ping: 12.5, jitter: 1.8 };
+
+  it('appends a loss card after the core four', () => {
+    const data = buildMetricDisplayData({ ...base, lossPct: 12.5 });
+    expect(data).toHaveLength(METRICS.length + 1);
+    expect(data[4]).toEqual({ label: LOSS_METRIC.label, value: '13', unit: '%', icon: 'loss' });
+  });
+
+  it('shows 0% loss', () => {
+    const data = buildMetricDisplayData({ ...base, lossPct: 0 });
+    expect(data[4].value).toBe('0');
+  });
+
+  it('omits the loss card for results without it', () => {
+    expect(buildMetricDisplayData(base)).toHaveLength(METRICS.length);
+  });
+
+  it('places the loss card before the loaded latency metrics', () => {
+    const data = buildMetricDisplayData({ ...base, lossPct: 5, bufferbloatGrade: 'A' });
+    expect(data.slice(4).map((d) => d.icon)).toEqual(['loss', 'loaded-download', 'loaded-upload', 'bufferbloat']);
+  });
+});
+
+describe('buildMetricDisplayData with data usage', () => {
+  const base = { download: 95.4, upload: 42.1, ping: 12.5, jitter: 1.8 };
+
+  it('shows the bytes used in MB', () => {
+    const data = buildMetricDisplayData({ ...base, bytesUsed: 45_613_056 });
+    expect(data[4]).toEqual({ label: DATA_METRIC.label, value: '44', unit: 'MB', icon: 'data' });
+  });
+
+  it('shows the budget as a detail line when one applied', () => {
+    const data = buildMetricDisplayData({ ...base, bytesUsed: 9_961_472, dataBudget: 10_485_760 });
+    expect(data[4].value).toBe('9.5');
+    expect(data[4].detail).toBe('límite 10 MB');
+  });
+});
+
+describe('buildMetricDisplayData with loaded latency', () => {
+  const loadedResult = {
+    download: 95.4,
+    upload: 42.1,
+    ping: 12.5,
+    jitter: 1.8,
+    downloadLatency: 48.2,
+    downloadLatencyP90: 61.5,
+    uploadLatency: null,
+    uploadLatencyP90: null,
+    bufferbloatGrade: 'B',
+  };
+
+  it('appends the loaded latency metrics after the core four', () => {
+    const data = buildMetricDisplayData(loadedResult);
+    expect(data).toHaveLength(METRICS.length + LOADED_METRICS.length);
+    expect(data.slice(4).map((d) => d.icon)).toEqual(['loaded-download', 'loaded-upload', 'bufferbloat']);
+  });
+
+  it('shows the p90 as a detail line', () => {
+    const data = buildMetricDisplayData(loadedResult);
+    expect(data[4].value).toBe('48');
+    expect(data[4].detail).toBe('p90 62 ms');
+  });
+
+  it('shows a dash for a direction that was not measured', () => {
+    const data = buildMetricDisplayData(loadedResult);
+    expect(data[5].value).toBe('—');
+    expect(data[5]).not.toHaveProperty('detail');
+  });
+
+  it('shows the bufferbloat grade as-is', () => {
+    const data = buildMetricDisplayData(loadedResult);
+    expect(data[6].value).toBe('B');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// buildDegradedNotice – retried or skipped stages
+// ---------------------------------------------------------------------------
+
+describe('buildDegradedNotice', () => {
+  it('returns null for measurements that were not degraded', () => {
+    expect(buildDegradedNotice({ ping: 10, jitter: 1, download: 50, upload: 20 })).toBeNull();
+    expect(buildDegradedNotice({
+      degraded: false, stageAttempts: { download: [1, 1] }, failedStages: 0,
+    })).toBeNull();
+  });
+
+  it('counts retries across phases', () => {
+    const notice = buildDegradedNotice({
+      degraded: true, stageAttempts: { download: [1, 3], upload: [2] }, failedStages: 0,
+    });
+    expect(notice).toBe('Medición degradada (3 reintentos): los resultados pueden ser menos precisos.');
+  });
+
+  it('mentions skipped stages', () => {
+    const notice = buildDegradedNotice({
+      degraded: true, stageAttempts: { download: [2] }, failedStages: 1,
+    });
+    expect(notice).toBe(
+      'Medición degradada (1 reintento, 1 etapa fallida): los resultados pueden ser menos precisos.',
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// buildTimingRows – timing details view
+// ---------------------------------------------------------------------------
+
+describe('buildTimingRows', () => {
+  const phaseTiming = {
+    dns: 12.4, connect: 20, tls: 31.2, ttfb: 8.5, transfer: 950, protocol: 'h2', requests: 3,
+  };
+
+  it('returns no rows without timing data', () => {
+    expect(buildTimingRows(undefined)).toEqual([]);
+    expect(buildTimingRows({ ping: null, download: null, upload: null })).toEqual([]);
+  });
+
+  it('formats one row per measured phase in column order', () => {
+    const rows = buildTimingRows({ ping: null, download: phaseTiming, upload: null });
+
+    expect(rows).toEqual([{
+      label: 'Descarga',
+      cells: ['12 ms', '20 ms', '31 ms', '8.5 ms', '950 ms'],
+      protocol: 'h2',
+    }]);
+    expect(rows[0].cells).toHaveLength(TIMING_COLUMNS.length);
+  });
+
+  it('keeps phase order and shows a dash for an unknown protocol', () => {
+    const rows = buildTimingRows({
+      upload: { ...phaseTiming, protocol: '' },
+      ping: phaseTiming,
+    });
+
+    expect(rows.map((r) => r.label)).toEqual(['Ping', 'Subida']);
+    expect(rows[1].protocol).toBe('—');
+  });
+});
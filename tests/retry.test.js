@@ -0,0 +1,119 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  DEFAULT_RETRY_POLICY, backoffDelay, isRetryable, withRetry,
+} from '../src/services/retry.js';
+import { SpeedTestError, ErrorCode } from '../src/services/errors.js';
+
+// ---------------------------------------------------------------------------
+// backoffDelay
+// ---------------------------------------------------------------------------
+
+describe('backoffDelay', () => {
+  const policy = { ...DEFAULT_RETRY_POLICY, baseDelay: 100, maxDelay: 1000, jitter: 0.5 };
+
+  it('doubles the delay on each attempt', () => {
+    const noJitter = () => 0;
+    expect([1, 2, 3].map((n) => backoffDelay(n, policy, noJitter))).toEqual([100, 200, 400]);
+  });
+
+  it('caps the delay at maxDelay', () => {
+    expect(backoffDelay(10, policy, () => 0)).toBe(1000);
+  });
+
+  it('shortens the delay by up to the jitter fraction', () => {
+    expect(backoffDelay(2, policy, () => 1)).toBe(100);
+    expect(backoffDelay(2, policy, () => 0.5)).toBe(150);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// isRetryable
+// ---------------------------------------------------------------------------
+
+describe('isRetryable', () => {
+  it('retries network and server errors by default', () => {
+    expect(isRetryable(new TypeError('Failed to fetch'), DEFAULT_RETRY_POLICY)).toBe(true);
+    expect(isRetryable(new SpeedTestError(ErrorCode.SERVER_UNAVAILABLE), DEFAULT_RETRY_POLICY)).toBe(true);
+  });
+
+  it('retries rate-limited stages unless asked to wait too long', () => {
+    const rateLimited = (retryAfter) => new SpeedTestError(ErrorCode.RATE_LIMITED, undefined, { retryAfter });
+
+    expect(isRetryable(rateLimited(2), DEFAULT_RETRY_POLICY)).toBe(true);
+    expect(isRetryable(rateLimited(undefined), DEFAULT_RETRY_POLICY)).toBe(true);
+    expect(isRetryable(rateLimited(60), DEFAULT_RETRY_POLICY)).toBe(false);
+  });
+
+  it('does not retry timeouts or aborts by default', () => {
+    expect(isRetryable(new SpeedTestError(ErrorCode.TIMEOUT), DEFAULT_RETRY_POLICY)).toBe(false);
+    expect(isRetryable(new DOMException('Aborted', 'AbortError'), DEFAULT_RETRY_POLICY)).toBe(false);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// withRetry
+// ---------------------------------------------------------------------------
+
+describe('withRetry', () => {
+  it('returns the value and the attempts it took', async () => {
+    const task = vi.fn()
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValue('ok');
+
+    await expect(withRetry(task, { baseDelay: 0 })).resolves.toEqual({ value: 'ok', attempts: 2 });
+    expect(task).toHaveBeenNthCalledWith(2, 2);
+  });
+
+  it('throws the last error with its attempt count when attempts run out', async () => {
+    const task = vi.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+
+    await expect(withRetry(task, { baseDelay: 0, maxAttempts: 3 }))
+      .rejects.toMatchObject({ message: 'Failed to fetch', attempts: 3 });
+    expect(task).toHaveBeenCalledTimes(3);
+  });
+
+  it('gives up when canRetry refuses another attempt', async () => {
+    const task = vi.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+    const canRetry = vi.fn().mockReturnValueOnce(true).mockReturnValue(false);
+
+    await expect(withRetry(task, { baseDelay: 0 }, undefined, canRetry))
+      .rejects.toMatchObject({ attempts: 2 });
+    expect(canRetry).toHaveBeenLastCalledWith(expect.any(TypeError), 2);
+  });
+
+  it('gives up at once on errors outside the policy', async () => {
+    const task = vi.fn().mockRejectedValue(new SpeedTestError(ErrorCode.TIMEOUT));
+
+    await expect(withRetry(task, { baseDelay: 0 })).rejects.toMatchObject({ attempts: 1 });
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+
+  it('waits for Retry-After instead of the backoff', async () => {
+    vi.useFakeTimers();
+    try {
+      const task = vi.fn()
+        .mockRejectedValueOnce(new SpeedTestError(ErrorCode.RATE_LIMITED, undefined, { retryAfter: 3 }))
+        .mockResolvedValue('ok');
+
+      const running = withRetry(task, { baseDelay: 0 });
+      await vi.advanceTimersByTimeAsync(2_999);
+      expect(task).toHaveBeenCalledTimes(1);
+
+      await vi.advanceTimersByTimeAsync(1);
+      await expect(running).resolves.toEqual({ value: 'ok', attempts: 2 });
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('stops retrying when the signal aborts during the backoff', async () => {
+    const controller = new AbortController();
+    const task = vi.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+
+    const running = withRetry(task, { baseDelay: 60_000 }, controller.signal);
+    controller.abort();
+
+    await expect(running).rejects.toMatchObject({ attempts: 1 });
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+});
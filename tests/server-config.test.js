@@ -1,13 +1,19 @@
-import { describe, it, expect } from 'vitest';
-import { getServerConfig, buildDownloadUrl } from '../src/services/server-config.js';
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  getServerConfig, buildDownloadUrl, downloadGranularity, LOCAL_SERVER, normalizeServer, parseServerList,
+  getServers, setServers, getServer, ServerProtocol,
+} from '../src/services/server-config.js';
 
 describe('getServerConfig', () => {
   it('returns default endpoints', () => {
     const config = getServerConfig();
     expect(config).toEqual({
+      infoUrl: '/info',
       pingUrl: '/ping',
+      wsPingUrl: '/ws-ping',
       downloadUrl: '/download',
       uploadUrl: '/upload',
+      whoamiUrl: '/whoami',
     });
   });
 
@@ -20,11 +26,16 @@ describe('getServerConfig', () => {
 
   it('allows full override', () => {
     const config = getServerConfig({
+      infoUrl: '/i',
       pingUrl: '/a',
+      wsPingUrl: '/d',
       downloadUrl: '/b',
       uploadUrl: '/c',
+      whoamiUrl: '/w',
+    });
+    expect(config).toEqual({
+      infoUrl: '/i', pingUrl: '/a', wsPingUrl: '/d', downloadUrl: '/b', uploadUrl: '/c', whoamiUrl: '/w',
     });
-    expect(config).toEqual({ pingUrl: '/a', downloadUrl: '/b', uploadUrl: '/c' });
   });
 });
 
@@ -40,4 +51,123 @@ describe('buildDownloadUrl', () => {
   it('handles zero bytes', () => {
     expect(buildDownloadUrl(0)).toBe('/download?bytes=0');
   });
+
+  it('asks LibreSpeed backends for whole megabytes', () => {
+    expect(buildDownloadUrl(10_485_760, '/garbage.php', ServerProtocol.LIBRESPEED))
+      .toBe('/garbage.php?ckSize=10');
+    expect(buildDownloadUrl(262_144, '/garbage.php', ServerProtocol.LIBRESPEED))
+      .toBe('/garbage.php?ckSize=1');
+    expect(buildDownloadUrl(1_500_000, '/garbage.php', ServerProtocol.LIBRESPEED))
+      .toBe('/garbage.php?ckSize=2');
+  });
+});
+
+describe('downloadGranularity', () => {
+  it('is a whole megabyte on LibreSpeed backends only', () => {
+    expect(downloadGranularity(ServerProtocol.LIBRESPEED)).toBe(1_048_576);
+    expect(downloadGranularity(ServerProtocol.NATIVE)).toBe(1);
+    expect(downloadGranularity()).toBe(1);
+  });
+});
+
+describe('normalizeServer', () => {
+  it('derives missing endpoints from the base URL', () => {
+    expect(normalizeServer({
+      id: 'mad', name: 'Madrid', location: 'España', baseUrl: 'https://mad.example.com/',
+    })).toEqual({
+      id: 'mad',
+      name: 'Madrid',
+      location: 'España',
+      protocol: 'native',
+      infoUrl: 'https://mad.example.com/info',
+      pingUrl: 'https://mad.example.com/ping',
+      wsPingUrl: 'https://mad.example.com/ws-ping',
+      downloadUrl: 'https://mad.example.com/download',
+      uploadUrl: 'https://mad.example.com/upload',
+      whoamiUrl: 'https://mad.example.com/whoami',
+    });
+  });
+
+  it('keeps explicit endpoints and marks a missing WebSocket endpoint as null', () => {
+    const server = normalizeServer({
+      id: 'cdn', pingUrl: '/p', downloadUrl: '/d', uploadUrl: '/u',
+    });
+
+    expect(server.name).toBe('cdn');
+    expect(server.pingUrl).toBe('/p');
+    expect(server.wsPingUrl).toBeNull();
+    expect(server.infoUrl).toBeNull();
+    expect(server.whoamiUrl).toBeNull();
+  });
+
+  it('derives LibreSpeed endpoints for LibreSpeed backends', () => {
+    expect(normalizeServer({
+      id: 'ls', protocol: 'librespeed', baseUrl: 'https://ls.example.com/backend',
+    })).toEqual({
+      id: 'ls',
+      name: 'ls',
+      location: '',
+      protocol: 'librespeed',
+      infoUrl: null,
+      pingUrl: 'https://ls.example.com/backend/empty.php',
+      wsPingUrl: null,
+      downloadUrl: 'https://ls.example.com/backend/garbage.php',
+      uploadUrl: 'https://ls.example.com/backend/empty.php',
+      whoamiUrl: 'https://ls.example.com/backend/getIP.php',
+    });
+  });
+
+  it('rejects unknown protocols', () => {
+    expect(() => normalizeServer({ id: 'x', protocol: 'ookla', baseUrl: 'https://x' }))
+      .toThrow('Unknown test server protocol: ookla');
+  });
+
+  it('rejects entries without an id or endpoints', () => {
+    expect(() => normalizeServer({ baseUrl: 'https://x.example.com' })).toThrow(/needs an id/);
+    expect(() => normalizeServer({ id: 'x', pingUrl: '/p' })).toThrow(/needs an id/);
+  });
+});
+
+describe('parseServerList', () => {
+  it('parses a JSON array of servers', () => {
+    const list = parseServerList('[{"id":"a","baseUrl":"https://a.example.com"}]');
+    expect(list.map((s) => s.id)).toEqual(['a']);
+  });
+
+  it('rejects empty lists and duplicate ids', () => {
+    expect(() => parseServerList('[]')).toThrow(/non-empty array/);
+    expect(() => parseServerList('{}')).toThrow(/non-empty array/);
+    expect(() => parseServerList(
+      '[{"id":"a","baseUrl":"https://a"},{"id":"a","baseUrl":"https://b"}]',
+    )).toThrow(/unique/);
+  });
+});
+
+describe('server list', () => {
+  afterEach(() => {
+    setServers([]);
+  });
+
+  it('defaults to the local server', () => {
+    expect(getServers()).toEqual([LOCAL_SERVER]);
+    expect(getServer('local')).toBe(LOCAL_SERVER);
+  });
+
+  it('replaces the servers and looks them up by id', () => {
+    setServers([
+      { id: 'mad', baseUrl: 'https://mad.example.com' },
+      { id: 'par', baseUrl: 'https://par.example.com' },
+    ]);
+
+    expect(getServers().map((s) => s.id)).toEqual(['mad', 'par']);
+    expect(getServer('par').uploadUrl).toBe('https://par.example.com/upload');
+    expect(() => getServer('local')).toThrow('Unknown test server: local');
+  });
+
+  it('restores the local server from an empty list', () => {
+    setServers([{ id: 'mad', baseUrl: 'https://mad.example.com' }]);
+    setServers([]);
+
+    expect(getServers()).toEqual([LOCAL_SERVER]);
+  });
 });
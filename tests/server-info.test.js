@@ -0,0 +1,125 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  PROTOCOL_VERSION, fetchServerInfo, checkCompatibility, getServerLimits, handshake,
+} from '../src/services/server-info.js';
+import { SpeedTestError, ErrorCode } from '../src/services/errors.js';
+
+const INFO = {
+  version: PROTOCOL_VERSION,
+  name: 'Madrid',
+  location: 'España',
+  limits: { maxDownloadBytes: 104_857_600, maxUploadBytes: null, maxWebSocketPayload: 65_536 },
+  endpoints: ['/info', '/ping', '/download', '/upload', '/ws-ping'],
+};
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('fetchServerInfo', () => {
+  it('returns the parsed description', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(new Response(JSON.stringify(INFO)));
+    vi.stubGlobal('fetch', fetchMock);
+
+    await expect(fetchServerInfo('/info')).resolves.toEqual(INFO);
+    expect(fetchMock).toHaveBeenCalledWith('/info', expect.objectContaining({ cache: 'no-store' }));
+  });
+
+  it('reports servers without an /info endpoint as incompatible', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(new Response('', { status: 404 })));
+
+    const err = await fetchServerInfo('/info').catch((e) => e);
+
+    expect(err).toBeInstanceOf(SpeedTestError);
+    expect(err.code).toBe(ErrorCode.INCOMPATIBLE_SERVER);
+    expect(err.message).toMatch(/^El servidor de pruebas no tiene el endpoint \/info/);
+  });
+
+  it('reports unreadable descriptions as incompatible', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(new Response('<html>')));
+
+    const err = await fetchServerInfo('/info').catch((e) => e);
+
+    expect(err.code).toBe(ErrorCode.INCOMPATIBLE_SERVER);
+  });
+
+  it('reports server errors as SERVER_UNAVAILABLE', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(new Response('', { status: 503 })));
+
+    const err = await fetchServerInfo('/info').catch((e) => e);
+
+    expect(err.code).toBe(ErrorCode.SERVER_UNAVAILABLE);
+  });
+
+  it('throws TIMEOUT when the server does not answer in time', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockImplementation((_url, { signal }) => new Promise((_, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    })));
+
+    const err = await fetchServerInfo('/info', { timeout: 10 }).catch((e) => e);
+
+    expect(err.code).toBe(ErrorCode.TIMEOUT);
+  });
+});
+
+describe('checkCompatibility', () => {
+  it('accepts a description with the supported version and endpoints', () => {
+    expect(checkCompatibility(INFO)).toBe(INFO);
+  });
+
+  it('rejects another protocol version', () => {
+    expect(() => checkCompatibility({ ...INFO, version: PROTOCOL_VERSION + 1 }))
+      .toThrow(`versión ${PROTOCOL_VERSION + 1} del protocolo`);
+  });
+
+  it('rejects servers missing a required endpoint', () => {
+    expect(() => checkCompatibility({ ...INFO, endpoints: ['/ping', '/download'] }))
+      .toThrow('no ofrece /upload');
+  });
+
+  it('rejects malformed descriptions', () => {
+    for (const info of [null, 'ok', {}, { version: '1' }]) {
+      expect(() => checkCompatibility(info)).toThrow(SpeedTestError);
+    }
+  });
+});
+
+describe('getServerLimits', () => {
+  it('reads the announced limits, treating missing ones as unlimited', () => {
+    expect(getServerLimits(INFO)).toEqual({
+      downloadBytes: 104_857_600,
+      uploadBytes: Infinity,
+      webSocket: true,
+    });
+  });
+
+  it('turns off WebSocket probes when the server has no echo endpoint', () => {
+    expect(getServerLimits({ ...INFO, endpoints: ['/ping', '/download', '/upload'] }).webSocket)
+      .toBe(false);
+  });
+
+  it('imposes nothing without a handshake', () => {
+    expect(getServerLimits(null)).toEqual({
+      downloadBytes: Infinity,
+      uploadBytes: Infinity,
+      webSocket: true,
+    });
+  });
+});
+
+describe('handshake', () => {
+  it('fetches and checks the server description', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(new Response(JSON.stringify(INFO))));
+
+    await expect(handshake({ id: 'mad', infoUrl: 'https://mad.example.com/info' }))
+      .resolves.toEqual(INFO);
+  });
+
+  it('is skipped for servers without an info endpoint', async () => {
+    const fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+
+    await expect(handshake({ id: 'legacy', infoUrl: null })).resolves.toBeNull();
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { probeServers, selectServer, AUTO_SERVER } from '../src/services/server-selection.js';
+import { setServers } from '../src/services/server-config.js';
+import { SpeedTestError, ErrorCode } from '../src/services/errors.js';
+
+vi.mock('../src/services/ping.js', () => ({
+  measureLatency: vi.fn(),
+}));
+
+import { measureLatency } from '../src/services/ping.js';
+
+const SERVERS = [
+  { id: 'mad', name: 'Madrid', location: 'España', baseUrl: 'https://mad.example.com' },
+  { id: 'par', name: 'París', location: 'Francia', baseUrl: 'https://par.example.com' },
+  { id: 'ams', name: 'Ámsterdam', location: 'Países Bajos', baseUrl: 'https://ams.example.com' },
+];
+
+/** Latency per ping URL; missing URLs fail like an unreachable server. */
+function mockLatencies(byUrl) {
+  measureLatency.mockImplementation(async ({ url }) => {
+    if (!(url in byUrl)) throw new Error('Failed to fetch');
+    return { avg: byUrl[url], jitter: 0 };
+  });
+}
+
+describe('probeServers', () => {
+  beforeEach(() => {
+    measureLatency.mockReset();
+  });
+
+  it('measures each server in turn with short, undelayed probes', async () => {
+    mockLatencies({ 'https://a/ping': 20, 'https://b/ping': 10 });
+    const servers = [{ id: 'a', pingUrl: 'https://a/ping' }, { id: 'b', pingUrl: 'https://b/ping' }];
+
+    const probes = await probeServers(servers, { count: 2 });
+
+    expect(probes).toEqual([
+      { server: servers[0], latency: 20 },
+      { server: servers[1], latency: 10 },
+    ]);
+    expect(measureLatency).toHaveBeenCalledWith(expect.objectContaining({
+      url: 'https://a/ping', count: 2, timeout: 2000, delay: 0,
+    }));
+  });
+
+  it('records unreachable servers with a null latency', async () => {
+    mockLatencies({});
+
+    const probes = await probeServers([{ id: 'a', pingUrl: 'https://a/ping' }]);
+
+    expect(probes[0].latency).toBeNull();
+  });
+
+  it('rethrows when the signal aborts', async () => {
+    const controller = new AbortController();
+    measureLatency.mockImplementation(async () => {
+      controller.abort();
+      throw new DOMException('Aborted', 'AbortError');
+    });
+
+    await expect(probeServers([{ id: 'a', pingUrl: '/ping' }], { signal: controller.signal }))
+      .rejects.toThrow('Aborted');
+  });
+});
+
+describe('selectServer', () => {
+  beforeEach(() => {
+    measureLatency.mockReset();
+    setServers(SERVERS);
+  });
+
+  afterEach(() => {
+    setServers([]);
+  });
+
+  it('picks the reachable server with the lowest latency', async () => {
+    mockLatencies({
+      'https://mad.example.com/ping': 35,
+      'https://par.example.com/ping': 18,
+    });
+
+    const { server, probes } = await selectServer(AUTO_SERVER);
+
+    expect(server.id).toBe('par');
+    expect(probes.map((p) => p.latency)).toEqual([35, 18, null]);
+  });
+
+  it('uses a manually chosen server without probing', async () => {
+    const { server, probes } = await selectServer('ams');
+
+    expect(server.id).toBe('ams');
+    expect(probes).toEqual([]);
+    expect(measureLatency).not.toHaveBeenCalled();
+  });
+
+  it('does not probe when only one server is configured', async () => {
+    setServers([]);
+
+    const { server } = await selectServer();
+
+    expect(server.id).toBe('local');
+    expect(measureLatency).not.toHaveBeenCalled();
+  });
+
+  it('throws SERVER_UNAVAILABLE when no server answers', async () => {
+    mockLatencies({});
+
+    const err = await selectServer().catch((e) => e);
+
+    expect(err).toBeInstanceOf(SpeedTestError);
+    expect(err.code).toBe(ErrorCode.SERVER_UNAVAILABLE);
+  });
+
+  it('rejects unknown server ids', async () => {
+    await expect(selectServer('nowhere')).rejects.toThrow('Unknown test server: nowhere');
+  });
+});
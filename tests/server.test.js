@@ -0,0 +1,265 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { parseServerOptions, createTestServer } from '../server.js';
+
+// ---------------------------------------------------------------------------
+// parseServerOptions
+// ---------------------------------------------------------------------------
+
+describe('parseServerOptions', () => {
+  it('uses the defaults without flags or environment', () => {
+    const options = parseServerOptions([], {});
+
+    expect(options).toMatchObject({
+      port: 8080,
+      host: '0.0.0.0',
+      corsOrigins: '*',
+      maxDownloadBytes: 104_857_600,
+      maxUploadBytes: 104_857_600,
+      rateLimit: { maxRequests: 240, windowMs: 60_000 },
+      maxConcurrentTransfers: 64,
+      trustProxy: false,
+      shutdownTimeout: 10_000,
+    });
+    expect(options.distDir).toMatch(/dist$/);
+    expect(options.name).toBeUndefined();
+  });
+
+  it('reads environment variables', () => {
+    const options = parseServerOptions([], {
+      PORT: '3000',
+      CORS_ORIGINS: 'https://a.example.com, https://b.example.com',
+      MAX_UPLOAD_BYTES: '1000',
+      SERVER_NAME: 'Madrid',
+    });
+
+    expect(options.port).toBe(3000);
+    expect(options.corsOrigins).toEqual(['https://a.example.com', 'https://b.example.com']);
+    expect(options.maxUploadBytes).toBe(1000);
+    expect(options.name).toBe('Madrid');
+  });
+
+  it('turns rate limiting off with a limit of 0', () => {
+    expect(parseServerOptions(['--rate-limit', '0'], {}).rateLimit).toBeNull();
+    expect(parseServerOptions([], { TRUST_PROXY: 'true' }).trustProxy).toBe(true);
+    expect(parseServerOptions(['--trust-proxy', '10.0.0.1, 10.0.0.2'], {}).trustProxy)
+      .toEqual(['10.0.0.1', '10.0.0.2']);
+  });
+
+  it('lets flags override the environment', () => {
+    const options = parseServerOptions(
+      ['--port', '9000', '--host', '127.0.0.1', '--max-download-bytes', '5000'],
+      { PORT: '3000' },
+    );
+
+    expect(options.port).toBe(9000);
+    expect(options.host).toBe('127.0.0.1');
+    expect(options.maxDownloadBytes).toBe(5000);
+  });
+
+  it('rejects invalid numbers and unknown flags', () => {
+    expect(() => parseServerOptions(['--port', 'http'], {})).toThrow('--port must be a non-negative integer');
+    expect(() => parseServerOptions(['--verbose'], {})).toThrow();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// createTestServer
+// ---------------------------------------------------------------------------
+
+describe('createTestServer', () => {
+  let distDir;
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    distDir = await mkdtemp(join(tmpdir(), 'speed-test-dist-'));
+    await mkdir(join(distDir, 'assets'));
+    await writeFile(join(distDir, 'index.html'), '<!doctype html><title>Test</title>');
+    await writeFile(join(distDir, 'assets', 'main-abc123.js'), 'console.log(1);');
+
+    server = createTestServer({
+      ...parseServerOptions([], {}),
+      distDir,
+      corsOrigins: ['https://app.example.com'],
+      maxDownloadBytes: 1000,
+      maxUploadBytes: 500,
+      rateLimit: null,
+      name: 'Madrid',
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await server.shutdown();
+    await rm(distDir, { recursive: true, force: true });
+  });
+
+  it('serves the built app, falling back to index.html for routes', async () => {
+    const index = await fetch(`${baseUrl}/`);
+    expect(index.status).toBe(200);
+    expect(index.headers.get('content-type')).toContain('text/html');
+    expect(index.headers.get('cache-control')).toBe('no-cache');
+
+    const route = await fetch(`${baseUrl}/history`);
+    expect(await route.text()).toContain('<title>Test</title>');
+  });
+
+  it('caches fingerprinted assets for good', async () => {
+    const res = await fetch(`${baseUrl}/assets/main-abc123.js`);
+
+    expect(res.headers.get('content-type')).toContain('text/javascript');
+    expect(res.headers.get('cache-control')).toContain('immutable');
+    expect(await res.text()).toBe('console.log(1);');
+  });
+
+  it('returns 404 for missing files', async () => {
+    const res = await fetch(`${baseUrl}/assets/missing.js`);
+    expect(res.status).toBe(404);
+  });
+
+  it('returns 400 for malformed percent-encoded paths', async () => {
+    const res = await fetch(`${baseUrl}/%E0%A4%A`);
+    expect(res.status).toBe(400);
+  });
+
+  it('does not serve files outside the build directory', async () => {
+    const res = await fetch(`${baseUrl}/..%2f..%2fetc%2fpasswd`);
+    expect(res.status).toBe(403);
+  });
+
+  it('serves the test endpoints with the configured limits', async () => {
+    const ping = await fetch(`${baseUrl}/ping`);
+    expect(ping.status).toBe(204);
+
+    const download = await fetch(`${baseUrl}/download?bytes=5000`);
+    expect((await download.arrayBuffer()).byteLength).toBe(1000);
+
+    const info = await (await fetch(`${baseUrl}/info`)).json();
+    expect(info).toMatchObject({
+      name: 'Madrid',
+      limits: { maxDownloadBytes: 1000, maxUploadBytes: 500 },
+    });
+  });
+
+  it('serves partial downloads for Range requests', async () => {
+    const res = await fetch(`${baseUrl}/download?bytes=1000`, {
+      headers: { Range: 'bytes=100-399' },
+    });
+
+    expect(res.status).toBe(206);
+    expect(res.headers.get('content-range')).toBe('bytes 100-399/1000');
+    expect((await res.arrayBuffer()).byteLength).toBe(300);
+  });
+
+  it('delays responses under simulated conditions from the query or header', async () => {
+    let start = performance.now();
+    const download = await fetch(`${baseUrl}/download?bytes=100&simulate=latency=80`);
+    await download.arrayBuffer();
+    expect(performance.now() - start).toBeGreaterThanOrEqual(75);
+
+    start = performance.now();
+    const ping = await fetch(`${baseUrl}/ping`, { headers: { 'X-Simulate': 'latency=80' } });
+    expect(ping.status).toBe(204);
+    expect(performance.now() - start).toBeGreaterThanOrEqual(75);
+  });
+
+  it('rejects uploads over the limit', async () => {
+    const ok = await fetch(`${baseUrl}/upload`, { method: 'POST', body: new Uint8Array(400) });
+    expect((await ok.json()).bytesReceived).toBe(400);
+
+    const tooLarge = await fetch(`${baseUrl}/upload`, { method: 'POST', body: new Uint8Array(800) });
+    expect(tooLarge.status).toBe(413);
+  });
+
+  it('only allows the configured CORS origins', async () => {
+    const allowed = await fetch(`${baseUrl}/ping`, { headers: { Origin: 'https://app.example.com' } });
+    expect(allowed.headers.get('access-control-allow-origin')).toBe('https://app.example.com');
+    expect(allowed.headers.get('timing-allow-origin')).toBe('https://app.example.com');
+
+    const other = await fetch(`${baseUrl}/ping`, { headers: { Origin: 'https://evil.example.com' } });
+    expect(other.headers.get('access-control-allow-origin')).toBeNull();
+    expect(other.headers.get('timing-allow-origin')).toBeNull();
+
+    const preflight = await fetch(`${baseUrl}/upload`, {
+      method: 'OPTIONS',
+      headers: { Origin: 'https://app.example.com' },
+    });
+    expect(preflight.status).toBe(204);
+    expect(preflight.headers.get('access-control-allow-methods')).toContain('POST');
+  });
+});
+
+describe('shutdown', () => {
+  it('stops accepting connections and resolves once closed', async () => {
+    const server = createTestServer({ ...parseServerOptions([], {}), shutdownTimeout: 1000 });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    await server.shutdown();
+
+    expect(server.listening).toBe(false);
+  });
+});
+
+describe('rate limiting', () => {
+  it('answers 429 with Retry-After once a client exceeds its limit', async () => {
+    const server = createTestServer({
+      ...parseServerOptions(['--rate-limit', '2'], {}),
+      shutdownTimeout: 1000,
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      for (let i = 0; i < 2; i++) {
+        const ok = await fetch(`${baseUrl}/download?bytes=10`);
+        await ok.arrayBuffer();
+        expect(ok.status).toBe(200);
+      }
+
+      const limited = await fetch(`${baseUrl}/download?bytes=10`);
+      expect(limited.status).toBe(429);
+      expect(Number(limited.headers.get('retry-after'))).toBeGreaterThan(0);
+
+      // Latency probes are not rate limited.
+      expect((await fetch(`${baseUrl}/ping`)).status).toBe(204);
+    } finally {
+      await server.shutdown();
+    }
+  });
+});
+
+describe('client lookup', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'speedtest-isp-'));
+    await writeFile(join(dir, 'asn.csv'), [
+      'network,autonomous_system_number,autonomous_system_organization',
+      '127.0.0.0/8,64500,Loopback Telecom',
+    ].join('\n'));
+  });
+
+  afterAll(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('reports the ISP from --isp-database on /whoami', async () => {
+    const options = parseServerOptions(['--isp-database', join(dir, 'asn.csv')], {});
+    const server = createTestServer({ ...options, shutdownTimeout: 1000 });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/whoami`);
+
+      expect(await response.json()).toEqual({
+        ip: '127.0.0.1', isp: 'Loopback Telecom', asn: 64500,
+      });
+    } finally {
+      await server.shutdown();
+    }
+  });
+});
@@ -227,7 +227,7 @@ describe('computeWeightedSpeed cross-module consistency', () => {
 describe('computePingStats', () => {
   it('returns zeroes for empty samples', () => {
     expect(computePingStats([])).toEqual({
-      avg: 0, min: 0, max: 0, jitter: 0, samples: [],
+      avg: 0, min: 0, max: 0, jitter: 0, samples: [], sent: 0, failed: 0, timedOut: 0, lossPct: 0,
     });
   });
 
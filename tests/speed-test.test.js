@@ -1,10 +1,16 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { runSpeedTest, PHASES } from '../src/components/speed-test.js';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  runSpeedTest, summarizeLoadedLatency, getPhases, registerPhase, unregisterPhase, resetPhases,
+  METERED_DATA_BUDGET, createPauseController, RunState,
+} from '../src/components/speed-test.js';
 import { SpeedTestError, ErrorCode } from '../src/services/errors.js';
+import { setServers } from '../src/services/server-config.js';
 
 // Mock the measurement services
-vi.mock('../src/services/ping.js', () => ({
+vi.mock('../src/services/ping.js', async (importOriginal) => ({
+  ...(await importOriginal()),
   measureLatency: vi.fn(),
+  startLatencyMonitor: vi.fn(),
 }));
 vi.mock('../src/services/download.js', () => ({
   measureDownloadSpeed: vi.fn(),
@@ -12,19 +18,103 @@ vi.mock('../src/services/download.js', () => ({
 vi.mock('../src/services/upload.js', () => ({
   measureUploadSpeed: vi.fn(),
 }));
+vi.mock('../src/services/server-info.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  handshake: vi.fn(),
+}));
+vi.mock('../src/services/client-info.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchClientInfo: vi.fn(),
+}));
+vi.mock('../src/services/resource-timing.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  collectTimingBreakdown: vi.fn().mockReturnValue(null),
+  clearTimingBuffer: vi.fn(),
+}));
 
 // Import mocked modules
-import { measureLatency } from '../src/services/ping.js';
+import { measureLatency, startLatencyMonitor } from '../src/services/ping.js';
 import { measureDownloadSpeed } from '../src/services/download.js';
 import { measureUploadSpeed } from '../src/services/upload.js';
+import { collectTimingBreakdown, clearTimingBuffer } from '../src/services/resource-timing.js';
+import { handshake } from '../src/services/server-info.js';
+import { fetchClientInfo } from '../src/services/client-info.js';
 
 // ---------------------------------------------------------------------------
-// PHASES constant
+// Phase registry
 // ---------------------------------------------------------------------------
 
-describe('PHASES', () => {
-  it('contains ping, download, upload in order', () => {
-    expect(PHASES).toEqual(['ping', 'download', 'upload']);
+describe('phase registry', () => {
+  const customPhase = {
+    id: 'small-objects',
+    label: 'Objetos pequeños',
+    unit: 'ms',
+    run: vi.fn(),
+    mapResult: vi.fn(),
+  };
+
+  afterEach(() => {
+    resetPhases();
+  });
+
+  it('registers ping, download, upload in order by default', () => {
+    expect(getPhases().map((p) => p.id)).toEqual(['ping', 'download', 'upload']);
+  });
+
+  it('gives each built-in phase a label and unit', () => {
+    expect(getPhases().map(({ label, unit }) => [label, unit])).toEqual([
+      ['Latencia', 'ms'],
+      ['Descarga', 'Mbps'],
+      ['Subida', 'Mbps'],
+    ]);
+  });
+
+  it('appends registered phases', () => {
+    registerPhase(customPhase);
+    expect(getPhases().map((p) => p.id)).toEqual(['ping', 'download', 'upload', 'small-objects']);
+  });
+
+  it('inserts a phase before another one', () => {
+    registerPhase(customPhase, { before: 'download' });
+    expect(getPhases().map((p) => p.id)).toEqual(['ping', 'small-objects', 'download', 'upload']);
+  });
+
+  it('replaces a phase with the same id in place', () => {
+    const ping = { ...customPhase, id: 'ping' };
+    registerPhase(ping);
+
+    expect(getPhases()).toHaveLength(3);
+    expect(getPhases()[0]).toBe(ping);
+  });
+
+  it('rejects phases without an id or run function', () => {
+    expect(() => registerPhase({ id: 'x' })).toThrow('needs an id');
+    expect(() => registerPhase({ run: vi.fn() })).toThrow('needs an id');
+    expect(() => registerPhase({ ...customPhase, run: undefined })).toThrow('run and mapResult functions');
+  });
+
+  it('rejects phases without mapResult, label or unit', () => {
+    expect(() => registerPhase({ ...customPhase, mapResult: undefined })).toThrow('run and mapResult functions');
+    expect(() => registerPhase({ ...customPhase, label: '' })).toThrow('a label');
+    expect(() => registerPhase({ ...customPhase, unit: undefined })).toThrow('a unit');
+    expect(getPhases().map((p) => p.id)).toEqual(['ping', 'download', 'upload']);
+  });
+
+  it('unregisters and resets phases', () => {
+    unregisterPhase('upload');
+    expect(getPhases().map((p) => p.id)).toEqual(['ping', 'download']);
+
+    resetPhases();
+    expect(getPhases().map((p) => p.id)).toEqual(['ping', 'download', 'upload']);
+  });
+
+  it('selects and reorders phases by id', () => {
+    registerPhase(customPhase);
+    expect(getPhases(['small-objects', 'ping']).map((p) => p.id)).toEqual(['small-objects', 'ping']);
+  });
+
+  it('throws for unknown phase ids', () => {
+    expect(() => getPhases(['ping', 'nope'])).toThrow('Unknown test phase: nope');
   });
 });
 
@@ -34,11 +124,21 @@ describe('PHASES', () => {
 
 describe('runSpeedTest', () => {
   const pingResult = { avg: 12.5, min: 10, max: 15, jitter: 1.8, samples: [10, 12, 15] };
-  const downloadResult = { speedMbps: 95.4, stages: [{ bytes: 1048576, durationMs: 100, mbps: 83.89 }] };
-  const uploadResult = { speedMbps: 42.1, stages: [{ bytes: 524288, durationMs: 100, mbps: 41.94 }] };
+  const downloadResult = { speedMbps: 95.4, estimator: 'weighted', bytesUsed: 1048576, stages: [{ bytes: 1048576, durationMs: 100, mbps: 83.89 }] };
+  const uploadResult = { speedMbps: 42.1, bytesUsed: 524288, stages: [{ bytes: 524288, durationMs: 100, mbps: 41.94 }] };
+
+  const downloadLatency = { avg: 48.2, p90: 61.5, samples: [40, 48.2, 61.5] };
+  const uploadLatency = { avg: 95.1, p90: 130.4, samples: [80, 95.1, 130.4] };
 
   beforeEach(() => {
     vi.clearAllMocks();
+    // Drop queued once-values left by tests that never reached a phase.
+    startLatencyMonitor.mockReset();
+    startLatencyMonitor
+      .mockReturnValueOnce({ stop: vi.fn().mockResolvedValue(downloadLatency) })
+      .mockReturnValueOnce({ stop: vi.fn().mockResolvedValue(uploadLatency) });
+    handshake.mockResolvedValue(null);
+    fetchClientInfo.mockResolvedValue(null);
     measureLatency.mockResolvedValue(pingResult);
     measureDownloadSpeed.mockResolvedValue(downloadResult);
     measureUploadSpeed.mockResolvedValue(uploadResult);
@@ -103,6 +203,20 @@ describe('runSpeedTest', () => {
       jitter: 1.8,
       download: 95.4,
       upload: 42.1,
+      estimator: 'weighted',
+      downloadLatency: 48.2,
+      downloadLatencyP90: 61.5,
+      uploadLatency: 95.1,
+      uploadLatencyP90: 130.4,
+      bufferbloatGrade: 'C',
+      bytesUsed: 1572864,
+      stageAttempts: { download: [1], upload: [1] },
+      failedStages: 0,
+      degraded: false,
+      server: 'local',
+      ip: null,
+      isp: null,
+      asn: null,
     });
   });
 
@@ -132,6 +246,20 @@ describe('runSpeedTest', () => {
     expect(onProgress).toHaveBeenCalledWith('download', 80.5);
   });
 
+  it('forwards interim download samples so the gauge moves within a stage', async () => {
+    const onProgress = vi.fn();
+    measureDownloadSpeed.mockImplementation(async (opts) => {
+      opts.onProgress({ stage: 3, totalStages: 3, stageMbps: 60.2, stageBytes: 5242880, interim: true });
+      opts.onProgress({ stage: 3, totalStages: 3, stageMbps: 88.7, stageBytes: 15728640, interim: true });
+      return downloadResult;
+    });
+
+    await runSpeedTest({ onProgress });
+
+    expect(onProgress).toHaveBeenCalledWith('download', 60.2);
+    expect(onProgress).toHaveBeenCalledWith('download', 88.7);
+  });
+
   it('forwards progress callbacks for the upload phase', async () => {
     const onProgress = vi.fn();
     measureUploadSpeed.mockImplementation(async (opts) => {
@@ -160,6 +288,427 @@ describe('runSpeedTest', () => {
     );
   });
 
+  it('uses the stage-based mode by default', async () => {
+    await runSpeedTest();
+
+    expect(measureDownloadSpeed.mock.calls[0][0]).not.toHaveProperty('mode');
+    expect(measureUploadSpeed.mock.calls[0][0]).not.toHaveProperty('mode');
+  });
+
+  it('passes duration mode options to download and upload', async () => {
+    await runSpeedTest({}, undefined, { mode: 'duration', duration: 8000 });
+
+    expect(measureDownloadSpeed).toHaveBeenCalledWith(
+      expect.objectContaining({ mode: 'duration', duration: 8000 }),
+    );
+    expect(measureUploadSpeed).toHaveBeenCalledWith(
+      expect.objectContaining({ mode: 'duration', duration: 8000 }),
+    );
+  });
+
+  it('passes the estimator to both throughput phases and records it', async () => {
+    measureDownloadSpeed.mockResolvedValue({ ...downloadResult, estimator: 'p90' });
+
+    const result = await runSpeedTest({}, undefined, { estimator: 'p90' });
+
+    expect(measureDownloadSpeed).toHaveBeenCalledWith(expect.objectContaining({ estimator: 'p90' }));
+    expect(measureUploadSpeed).toHaveBeenCalledWith(expect.objectContaining({ estimator: 'p90' }));
+    expect(result.estimator).toBe('p90');
+  });
+
+  it('records how the upload speed was timed', async () => {
+    measureUploadSpeed.mockResolvedValue({ ...uploadResult, timingSource: 'server' });
+
+    const result = await runSpeedTest();
+
+    expect(result.uploadTiming).toBe('server');
+  });
+
+  it('records the ping packet loss', async () => {
+    measureLatency.mockResolvedValue({ ...pingResult, lossPct: 20 });
+
+    const result = await runSpeedTest();
+
+    expect(result.lossPct).toBe(20);
+  });
+
+  it('records the request timing breakdown of each phase', async () => {
+    const breakdown = (protocol) => ({
+      dns: 0, connect: 0, tls: 0, ttfb: 5, transfer: 90, protocol, requests: 1,
+    });
+    collectTimingBreakdown
+      .mockReturnValueOnce(breakdown('http/1.1'))
+      .mockReturnValueOnce(breakdown('h2'))
+      .mockReturnValueOnce(null);
+
+    const result = await runSpeedTest();
+
+    expect(collectTimingBreakdown.mock.calls.map(([url]) => url)).toEqual(['/ping', '/download', '/upload']);
+    expect(result.timing).toEqual({
+      ping: breakdown('http/1.1'),
+      download: breakdown('h2'),
+      upload: null,
+    });
+    expect(result.protocol).toBe('h2');
+  });
+
+  it('uses the timing breakdown measured in the worker when a phase reports one', async () => {
+    const workerTiming = {
+      dns: 1, connect: 2, tls: 3, ttfb: 4, transfer: 50, protocol: 'h3', requests: 3,
+    };
+    measureDownloadSpeed.mockResolvedValue({ ...downloadResult, timing: workerTiming });
+
+    const result = await runSpeedTest();
+
+    expect(collectTimingBreakdown.mock.calls.map(([url]) => url)).toEqual(['/ping', '/upload']);
+    expect(result.timing.download).toBe(workerTiming);
+    expect(result.protocol).toBe('h3');
+    expect(result).not.toHaveProperty('timing.download.timing');
+  });
+
+  it('clears the timing buffer after every phase', async () => {
+    await runSpeedTest();
+
+    expect(clearTimingBuffer).toHaveBeenCalledTimes(3);
+  });
+
+  it('omits the timing breakdown when no requests were recorded', async () => {
+    const result = await runSpeedTest();
+
+    expect(result).not.toHaveProperty('timing');
+    expect(result).not.toHaveProperty('protocol');
+  });
+
+  it('runs registered phases and merges their mapped results', async () => {
+    const onPhaseStart = vi.fn();
+    const onProgress = vi.fn();
+    const onPhaseEnd = vi.fn();
+    registerPhase({
+      id: 'small-objects',
+      label: 'Objetos pequeños',
+      unit: 'ms',
+      run: vi.fn(async (ctx) => {
+        ctx.progress(7);
+        return { avgMs: 7, idle: ctx.result.ping };
+      }),
+      mapResult: (measured) => ({ smallObjectMs: measured.avgMs, idleSeen: measured.idle }),
+    });
+
+    try {
+      const result = await runSpeedTest({ onPhaseStart, onProgress, onPhaseEnd });
+
+      expect(onPhaseStart.mock.calls.map(([id]) => id)).toEqual(['ping', 'download', 'upload', 'small-objects']);
+      expect(onProgress).toHaveBeenCalledWith('small-objects', 7);
+      expect(onPhaseEnd).toHaveBeenLastCalledWith('small-objects', { smallObjectMs: 7, idleSeen: 12.5 });
+      expect(result.smallObjectMs).toBe(7);
+      expect(result.idleSeen).toBe(12.5);
+    } finally {
+      resetPhases();
+    }
+  });
+
+  it('completes when a registered phase resolves to nothing', async () => {
+    const onPhaseEnd = vi.fn();
+    const onError = vi.fn();
+    registerPhase({
+      id: 'warmup',
+      label: 'Calentamiento',
+      unit: 'ms',
+      run: vi.fn(async () => undefined),
+      mapResult: () => ({}),
+    });
+
+    try {
+      const result = await runSpeedTest({ onPhaseEnd, onError });
+
+      expect(onError).not.toHaveBeenCalled();
+      expect(onPhaseEnd).toHaveBeenLastCalledWith('warmup', {});
+      expect(result.download).toBe(95.4);
+    } finally {
+      resetPhases();
+    }
+  });
+
+  it('runs only the phases selected by the phases option', async () => {
+    const result = await runSpeedTest({}, undefined, { phases: ['ping'] });
+
+    expect(measureLatency).toHaveBeenCalled();
+    expect(measureDownloadSpeed).not.toHaveBeenCalled();
+    expect(measureUploadSpeed).not.toHaveBeenCalled();
+    expect(result).toEqual({
+      ping: 12.5,
+      jitter: 1.8,
+      download: null,
+      upload: null,
+      bytesUsed: 0,
+      server: 'local',
+      ip: null,
+      isp: null,
+      asn: null,
+    });
+  });
+
+  it('runs every phase against the selected server', async () => {
+    setServers([
+      { id: 'mad', name: 'Madrid', location: 'ES', baseUrl: 'https://mad.example.com' },
+      { id: 'par', name: 'París', location: 'FR', baseUrl: 'https://par.example.com' },
+    ]);
+    const onServerSelected = vi.fn();
+
+    try {
+      const result = await runSpeedTest({ onServerSelected }, undefined, { server: 'par' });
+
+      expect(onServerSelected).toHaveBeenCalledWith(expect.objectContaining({ id: 'par' }));
+      expect(measureLatency).toHaveBeenCalledWith(expect.objectContaining({
+        url: 'https://par.example.com/ping',
+        wsUrl: 'https://par.example.com/ws-ping',
+      }));
+      expect(startLatencyMonitor).toHaveBeenCalledWith(expect.objectContaining({
+        url: 'https://par.example.com/ping',
+      }));
+      expect(measureDownloadSpeed).toHaveBeenCalledWith(expect.objectContaining({
+        url: 'https://par.example.com/download',
+      }));
+      expect(measureUploadSpeed).toHaveBeenCalledWith(expect.objectContaining({
+        url: 'https://par.example.com/upload',
+      }));
+      expect(result.server).toBe('par');
+    } finally {
+      setServers([]);
+    }
+  });
+
+  it('runs against a LibreSpeed backend with its URL layout', async () => {
+    setServers([
+      { id: 'ls', protocol: 'librespeed', baseUrl: 'https://ls.example.com' },
+    ]);
+
+    try {
+      await runSpeedTest({}, undefined, { server: 'ls' });
+
+      expect(measureLatency).toHaveBeenCalledWith(expect.objectContaining({
+        url: 'https://ls.example.com/empty.php',
+        wsUrl: null,
+      }));
+      expect(measureDownloadSpeed).toHaveBeenCalledWith(expect.objectContaining({
+        url: 'https://ls.example.com/garbage.php',
+        protocol: 'librespeed',
+      }));
+      expect(measureUploadSpeed).toHaveBeenCalledWith(expect.objectContaining({
+        url: 'https://ls.example.com/empty.php',
+      }));
+    } finally {
+      setServers([]);
+    }
+  });
+
+  it('records the client IP as the privacy setting allows, with its ISP', async () => {
+    fetchClientInfo.mockResolvedValue({ ip: '203.0.113.7', isp: 'Ejemplo Telecom', asn: 64500 });
+
+    const truncated = await runSpeedTest({}, undefined, { phases: ['ping'] });
+    const full = await runSpeedTest({}, undefined, { phases: ['ping'], ipPrivacy: 'full' });
+
+    expect(fetchClientInfo).toHaveBeenCalledWith(expect.objectContaining({ id: 'local' }), expect.anything());
+    expect(truncated).toMatchObject({ ip: '203.0.113.0/24', isp: 'Ejemplo Telecom', asn: 64500 });
+    expect(full.ip).toBe('203.0.113.7');
+  });
+
+  it('keeps requests within the limits the server announces', async () => {
+    handshake.mockResolvedValue({
+      version: 1,
+      limits: { maxDownloadBytes: 5_000_000, maxUploadBytes: 2_000_000 },
+      endpoints: ['/info', '/ping', '/download', '/upload'],
+    });
+
+    await runSpeedTest();
+
+    expect(handshake).toHaveBeenCalledWith(expect.objectContaining({ id: 'local' }), expect.anything());
+    expect(measureLatency).toHaveBeenCalledWith(expect.objectContaining({ wsUrl: null }));
+    expect(measureDownloadSpeed).toHaveBeenCalledWith(expect.objectContaining({ requestLimit: 5_000_000 }));
+    expect(measureUploadSpeed).toHaveBeenCalledWith(expect.objectContaining({ requestLimit: 2_000_000 }));
+  });
+
+  it('stops before measuring when the server is incompatible', async () => {
+    const onError = vi.fn();
+    handshake.mockRejectedValue(new SpeedTestError(ErrorCode.INCOMPATIBLE_SERVER));
+
+    await expect(runSpeedTest({ onError })).rejects.toThrow(SpeedTestError);
+
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({
+      code: ErrorCode.INCOMPATIBLE_SERVER,
+    }));
+    expect(measureLatency).not.toHaveBeenCalled();
+  });
+
+  it('reports unknown servers through onError', async () => {
+    const onError = vi.fn();
+
+    await expect(runSpeedTest({ onError }, undefined, { server: 'nowhere' })).rejects.toThrow(SpeedTestError);
+    expect(onError).toHaveBeenCalled();
+    expect(measureLatency).not.toHaveBeenCalled();
+  });
+
+  it('does not cap data use by default off metered connections', async () => {
+    const result = await runSpeedTest();
+
+    expect(measureDownloadSpeed.mock.calls[0][0]).not.toHaveProperty('byteBudget');
+    expect(measureUploadSpeed.mock.calls[0][0]).not.toHaveProperty('byteBudget');
+    expect(result).not.toHaveProperty('dataBudget');
+  });
+
+  it('splits the data budget between the throughput phases', async () => {
+    const result = await runSpeedTest({}, undefined, { dataBudget: 4_000_000 });
+
+    // Download gets half; upload gets whatever download left over.
+    expect(measureDownloadSpeed).toHaveBeenCalledWith(expect.objectContaining({ byteBudget: 2_000_000 }));
+    expect(measureUploadSpeed).toHaveBeenCalledWith(expect.objectContaining({ byteBudget: 4_000_000 - 1048576 }));
+    expect(result.dataBudget).toBe(4_000_000);
+    expect(result.bytesUsed).toBe(1572864);
+  });
+
+  it('applies the metered budget on cellular or data-saver connections', async () => {
+    vi.stubGlobal('navigator', { connection: { type: 'wifi', saveData: true } });
+
+    try {
+      const result = await runSpeedTest();
+
+      expect(result.dataBudget).toBe(METERED_DATA_BUDGET);
+      expect(measureDownloadSpeed).toHaveBeenCalledWith(
+        expect.objectContaining({ byteBudget: METERED_DATA_BUDGET / 2 }),
+      );
+    } finally {
+      vi.unstubAllGlobals();
+    }
+  });
+
+  it('lets a null data budget disable the metered cap', async () => {
+    vi.stubGlobal('navigator', { connection: { type: 'cellular' } });
+
+    try {
+      const result = await runSpeedTest({}, undefined, { dataBudget: null });
+
+      expect(measureDownloadSpeed.mock.calls[0][0]).not.toHaveProperty('byteBudget');
+      expect(result).not.toHaveProperty('dataBudget');
+    } finally {
+      vi.unstubAllGlobals();
+    }
+  });
+
+  it('passes the profile settings to each service and records the profile', async () => {
+    const result = await runSpeedTest({}, undefined, { profile: 'quick' });
+
+    expect(measureLatency).toHaveBeenCalledWith(expect.objectContaining({ count: 5, timeout: 3000 }));
+    expect(measureDownloadSpeed).toHaveBeenCalledWith(expect.objectContaining({
+      stages: [524288, 2097152], streams: 1, timeout: 15000,
+    }));
+    expect(measureUploadSpeed).toHaveBeenCalledWith(expect.objectContaining({
+      stages: [262144, 1048576], streams: 1, timeout: 15000,
+    }));
+    expect(result.profile).toBe('quick');
+  });
+
+  it('lets explicit options override the profile', async () => {
+    await runSpeedTest({}, undefined, { profile: 'thorough', mode: 'duration', duration: 5000 });
+
+    expect(measureDownloadSpeed).toHaveBeenCalledWith(expect.objectContaining({
+      streams: 4, mode: 'duration', duration: 5000,
+    }));
+  });
+
+  it('runs only the ping phase for the latency-only profile', async () => {
+    const result = await runSpeedTest({}, undefined, { profile: 'latency-only' });
+
+    expect(measureLatency).toHaveBeenCalledWith(expect.objectContaining({ count: 30 }));
+    expect(measureDownloadSpeed).not.toHaveBeenCalled();
+    expect(measureUploadSpeed).not.toHaveBeenCalled();
+    expect(result.download).toBeNull();
+    expect(result.upload).toBeNull();
+    expect(result).not.toHaveProperty('bufferbloatGrade');
+  });
+
+  it('reports unknown profiles through onError', async () => {
+    const onError = vi.fn();
+
+    await expect(runSpeedTest({ onError }, undefined, { profile: 'turbo' })).rejects.toThrow(SpeedTestError);
+    expect(onError).toHaveBeenCalled();
+  });
+
+  it('grades bufferbloat from the throughput phases that ran', async () => {
+    const result = await runSpeedTest({}, undefined, { phases: ['ping', 'download'] });
+
+    expect(result.downloadLatency).toBe(48.2);
+    expect(result.uploadLatency).toBeNull();
+    expect(result.bufferbloatGrade).toBe('B');
+  });
+
+  it('reports unknown phases through onError', async () => {
+    const onError = vi.fn();
+
+    await expect(runSpeedTest({ onError }, undefined, { phases: ['nope'] })).rejects.toThrow(SpeedTestError);
+    expect(onError).toHaveBeenCalled();
+    expect(measureLatency).not.toHaveBeenCalled();
+  });
+
+  it('passes the latency method to the ping phase and records the one used', async () => {
+    measureLatency.mockResolvedValue({ ...pingResult, method: 'websocket' });
+
+    const result = await runSpeedTest({}, undefined, { latencyMethod: 'websocket' });
+
+    expect(measureLatency).toHaveBeenCalledWith(expect.objectContaining({ method: 'websocket' }));
+    expect(result.latencyMethod).toBe('websocket');
+  });
+
+  it('probes latency during download and upload only', async () => {
+    const order = [];
+    measureLatency.mockImplementation(async () => {
+      order.push('ping');
+      return pingResult;
+    });
+    startLatencyMonitor.mockReset();
+    startLatencyMonitor.mockImplementation(() => {
+      order.push('monitor:start');
+      return {
+        stop: vi.fn(async () => {
+          order.push('monitor:stop');
+          return downloadLatency;
+        }),
+      };
+    });
+    measureDownloadSpeed.mockImplementation(async () => {
+      order.push('download');
+      return downloadResult;
+    });
+    measureUploadSpeed.mockImplementation(async () => {
+      order.push('upload');
+      return uploadResult;
+    });
+
+    await runSpeedTest();
+
+    expect(order).toEqual([
+      'ping',
+      'monitor:start', 'download', 'monitor:stop',
+      'monitor:start', 'upload', 'monitor:stop',
+    ]);
+  });
+
+  it('stops the latency monitor when a throughput phase fails', async () => {
+    const stop = vi.fn().mockResolvedValue(downloadLatency);
+    startLatencyMonitor.mockReset();
+    startLatencyMonitor.mockReturnValue({ stop });
+    measureDownloadSpeed.mockRejectedValue(new Error('All download stages failed.'));
+
+    await expect(runSpeedTest()).rejects.toThrow(SpeedTestError);
+    expect(stop).toHaveBeenCalledTimes(1);
+  });
+
+  it('skips loaded latency when disabled', async () => {
+    const result = await runSpeedTest({}, undefined, { loadedLatency: false });
+
+    expect(startLatencyMonitor).not.toHaveBeenCalled();
+    expect(result).not.toHaveProperty('bufferbloatGrade');
+  });
+
   it('calls onError with SpeedTestError when ping phase fails', async () => {
     measureLatency.mockRejectedValue(new Error('All ping requests failed.'));
     const onError = vi.fn();
@@ -219,9 +768,92 @@ describe('runSpeedTest', () => {
       jitter: 1.8,
       download: 95.4,
       upload: 42.1,
+      estimator: 'weighted',
+      downloadLatency: 48.2,
+      downloadLatencyP90: 61.5,
+      uploadLatency: 95.1,
+      uploadLatencyP90: 130.4,
+      bufferbloatGrade: 'C',
+      bytesUsed: 1572864,
+      stageAttempts: { download: [1], upload: [1] },
+      failedStages: 0,
+      degraded: false,
+      server: 'local',
+      ip: null,
+      isp: null,
+      asn: null,
     });
   });
 
+  it('flags the run as degraded when stages were retried or skipped', async () => {
+    measureDownloadSpeed.mockResolvedValue({
+      ...downloadResult,
+      stages: [{ ...downloadResult.stages[0], attempts: 2 }],
+      failedStages: 1,
+    });
+
+    const result = await runSpeedTest({}, undefined, { retry: { maxAttempts: 5 } });
+
+    expect(measureDownloadSpeed).toHaveBeenCalledWith(expect.objectContaining({
+      retry: { maxAttempts: 5 },
+    }));
+    expect(result.stageAttempts).toEqual({ download: [2], upload: [1] });
+    expect(result.failedStages).toBe(1);
+    expect(result.degraded).toBe(true);
+  });
+
+  it('passes a checkpoint to each service and holds between phases while paused', async () => {
+    const pause = createPauseController();
+    measureLatency.mockImplementation(async () => {
+      pause.pause();
+      return pingResult;
+    });
+
+    const run = runSpeedTest({}, undefined, { pause });
+    await vi.waitFor(() => expect(pause.state).toBe(RunState.PAUSED));
+
+    expect(measureDownloadSpeed).not.toHaveBeenCalled();
+    expect(typeof measureLatency.mock.calls[0][0].checkpoint).toBe('function');
+
+    pause.resume();
+    const result = await run;
+
+    expect(result.download).toBe(95.4);
+    expect(typeof measureDownloadSpeed.mock.calls[0][0].checkpoint).toBe('function');
+    expect(typeof measureUploadSpeed.mock.calls[0][0].checkpoint).toBe('function');
+  });
+
+  it('holds the latency monitor while paused', async () => {
+    const pause = createPauseController();
+    await runSpeedTest({}, undefined, { pause });
+
+    const { hold } = startLatencyMonitor.mock.calls[0][0];
+    pause.pause();
+    const paused = pause.checkpoint();
+
+    let released = false;
+    const held = hold().then(() => { released = true; });
+    await Promise.resolve();
+    expect(released).toBe(false);
+
+    pause.resume();
+    await Promise.all([paused, held]);
+    expect(released).toBe(true);
+  });
+
+  it('rejects with ABORTED when aborted while paused', async () => {
+    const pause = createPauseController();
+    const controller = new AbortController();
+    pause.pause();
+
+    const run = runSpeedTest({}, controller.signal, { pause });
+    await vi.waitFor(() => expect(pause.state).toBe(RunState.PAUSED));
+    controller.abort();
+
+    await expect(run).rejects.toMatchObject({ code: ErrorCode.ABORTED });
+    expect(measureLatency).not.toHaveBeenCalled();
+  });
+
   it('classifies AbortError as SpeedTestError with ABORTED code', async () => {
     const abortError = new DOMException('Aborted', 'AbortError');
     measureLatency.mockRejectedValue(abortError);
@@ -234,3 +866,111 @@ describe('runSpeedTest', () => {
     }));
   });
 });
+
+// ---------------------------------------------------------------------------
+// summarizeLoadedLatency
+// ---------------------------------------------------------------------------
+
+describe('summarizeLoadedLatency', () => {
+  const empty = { avg: 0, p90: 0, samples: [] };
+
+  it('grades on the worse direction', () => {
+    const summary = summarizeLoadedLatency(
+      10,
+      { avg: 20, p90: 25, samples: [20] },
+      { avg: 300, p90: 350, samples: [300] },
+    );
+
+    expect(summary).toEqual({
+      downloadLatency: 20,
+      downloadLatencyP90: 25,
+      uploadLatency: 300,
+      uploadLatencyP90: 350,
+      bufferbloatGrade: 'D',
+    });
+  });
+
+  it('reports null for a direction without samples', () => {
+    const summary = summarizeLoadedLatency(10, { avg: 20, p90: 25, samples: [20] }, empty);
+
+    expect(summary.uploadLatency).toBeNull();
+    expect(summary.uploadLatencyP90).toBeNull();
+    expect(summary.bufferbloatGrade).toBe('A');
+  });
+
+  it('has no grade when neither direction was measured', () => {
+    expect(summarizeLoadedLatency(10, empty, empty).bufferbloatGrade).toBeNull();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// createPauseController
+// ---------------------------------------------------------------------------
+
+describe('createPauseController', () => {
+  it('starts running and lets checkpoints through', async () => {
+    const pause = createPauseController();
+
+    expect(pause.state).toBe(RunState.RUNNING);
+    await expect(pause.checkpoint()).resolves.toBeUndefined();
+  });
+
+  it('moves from pausing to paused at the next checkpoint and back on resume', async () => {
+    const pause = createPauseController();
+    const states = [];
+    pause.subscribe((state) => states.push(state));
+
+    pause.pause();
+    expect(pause.state).toBe(RunState.PAUSING);
+
+    let passed = false;
+    const waiting = pause.checkpoint().then(() => { passed = true; });
+    await Promise.resolve();
+    expect(pause.state).toBe(RunState.PAUSED);
+    expect(passed).toBe(false);
+
+    pause.resume();
+    await waiting;
+    expect(passed).toBe(true);
+    expect(states).toEqual([RunState.PAUSING, RunState.PAUSED, RunState.RUNNING]);
+  });
+
+  it('cancels a pause resumed before any checkpoint is reached', async () => {
+    const pause = createPauseController();
+
+    pause.pause();
+    pause.resume();
+
+    expect(pause.state).toBe(RunState.RUNNING);
+    await expect(pause.checkpoint()).resolves.toBeUndefined();
+  });
+
+  it('only holds background probes once paused', async () => {
+    const pause = createPauseController();
+
+    pause.pause();
+    await expect(pause.hold()).resolves.toBeUndefined();
+  });
+
+  it('rejects a waiting checkpoint with an AbortError when aborted', async () => {
+    const pause = createPauseController();
+    const controller = new AbortController();
+    pause.pause();
+
+    const waiting = pause.checkpoint(controller.signal);
+    controller.abort();
+
+    await expect(waiting).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  it('stops notifying unsubscribed listeners', () => {
+    const pause = createPauseController();
+    const listener = vi.fn();
+    const unsubscribe = pause.subscribe(listener);
+
+    unsubscribe();
+    pause.pause();
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
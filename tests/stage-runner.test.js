@@ -0,0 +1,139 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createByteBudget, runStages } from '../src/services/stage-runner.js';
+import { SpeedTestError, ErrorCode } from '../src/services/errors.js';
+
+const CONFIG = {
+  mode: 'stages',
+  stages: [100_000, 200_000],
+  byteBudget: Infinity,
+  requestLimit: Infinity,
+  retry: { baseDelay: 0 },
+  estimator: 'weighted',
+};
+
+/** A stage measurement that transfers the whole stage in 100 ms. */
+async function measureOk(stageBytes, { onTransfer }) {
+  onTransfer(stageBytes);
+  return { bytes: stageBytes, durationMs: 100, mbps: stageBytes * 8 / 100_000 };
+}
+
+// ---------------------------------------------------------------------------
+// createByteBudget
+// ---------------------------------------------------------------------------
+
+describe('createByteBudget', () => {
+  it('fits requests to what is left, per stream', () => {
+    const budget = createByteBudget(400_000, 2);
+
+    expect(budget.take(100_000, true)).toBe(100_000);
+    expect(budget.take(150_000, false)).toBe(100_000);
+    expect(budget.take(100_000, false)).toBe(0);
+  });
+
+  it('always lets the first request run at the minimum size', () => {
+    expect(createByteBudget(1_000, 1).take(1_048_576, true)).toBe(65_536);
+  });
+
+  it('charges whole steps when the server rounds sizes up', () => {
+    const budget = createByteBudget(2_500_000, 1, 1_048_576);
+
+    expect(budget.take(262_144, true)).toBe(1_048_576);
+    expect(budget.take(2_000_000, false)).toBe(1_048_576);
+    expect(budget.take(262_144, false)).toBe(0);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// runStages
+// ---------------------------------------------------------------------------
+
+describe('runStages', () => {
+  it('measures every stage and reduces them to one speed', async () => {
+    const measure = vi.fn(measureOk);
+
+    const result = await runStages(measure, CONFIG, { phase: 'download', streams: 1 });
+
+    expect(measure.mock.calls.map(([bytes]) => bytes)).toEqual([100_000, 200_000]);
+    expect(result).toMatchObject({ estimator: 'weighted', bytesUsed: 300_000, failedStages: 0 });
+    expect(result.stages.map((s) => s.attempts)).toEqual([1, 1]);
+  });
+
+  it('skips failed stages and names the phase when all of them fail', async () => {
+    const measure = vi.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+
+    await expect(runStages(measure, { ...CONFIG, retry: { maxAttempts: 1 } }, {
+      phase: 'upload', streams: 1,
+    })).rejects.toThrow('All upload stages failed');
+    expect(measure).toHaveBeenCalledTimes(2);
+  });
+
+  it('charges retries to the budget and counts their bytes', async () => {
+    const measure = vi.fn()
+      .mockImplementationOnce(async (stageBytes, { onTransfer }) => {
+        onTransfer(stageBytes / 2);
+        throw new TypeError('Failed to fetch');
+      })
+      .mockImplementation(measureOk);
+
+    const result = await runStages(measure, { ...CONFIG, byteBudget: 400_000 }, {
+      phase: 'download', streams: 1,
+    });
+
+    // The retry of the first stage leaves 200 KB: enough for the second stage.
+    expect(measure.mock.calls.map(([bytes]) => bytes)).toEqual([100_000, 100_000, 200_000]);
+    expect(result.stages[0].attempts).toBe(2);
+    expect(result.bytesUsed).toBe(350_000);
+  });
+
+  it('stops retrying once the budget is spent', async () => {
+    const measure = vi.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+
+    await expect(runStages(measure, { ...CONFIG, stages: [100_000], byteBudget: 150_000 }, {
+      phase: 'download', streams: 1,
+    })).rejects.toThrow('All download stages failed');
+    expect(measure).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports RATE_LIMITED with Retry-After when the server refused the stages', async () => {
+    const measure = vi.fn().mockRejectedValue(
+      new SpeedTestError(ErrorCode.RATE_LIMITED, undefined, { retryAfter: 60 }),
+    );
+
+    await expect(runStages(measure, CONFIG, { phase: 'download', streams: 1 }))
+      .rejects.toMatchObject({ code: ErrorCode.RATE_LIMITED, retryAfter: 60, phase: 'download' });
+    // Asked to wait a minute: neither retried nor followed by the next stage.
+    expect(measure).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the stages measured before the server started refusing', async () => {
+    const measure = vi.fn()
+      .mockImplementationOnce(measureOk)
+      .mockRejectedValue(new SpeedTestError(ErrorCode.RATE_LIMITED, undefined, { retryAfter: 60 }));
+
+    const result = await runStages(measure, { ...CONFIG, stages: [100_000, 200_000, 400_000] }, {
+      phase: 'upload', streams: 1,
+    });
+
+    expect(result.stages).toHaveLength(1);
+    expect(result.failedStages).toBe(1);
+    expect(measure).toHaveBeenCalledTimes(2);
+  });
+
+  it('chains the last failure to NETWORK_ERROR', async () => {
+    const cause = new SpeedTestError(ErrorCode.SERVER_UNAVAILABLE);
+    const measure = vi.fn().mockRejectedValue(cause);
+
+    await expect(runStages(measure, { ...CONFIG, retry: { maxAttempts: 1 } }, {
+      phase: 'download', streams: 1,
+    })).rejects.toMatchObject({ code: ErrorCode.NETWORK_ERROR, cause });
+  });
+
+  it('rethrows aborts with the phase name', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(runStages(vi.fn(), CONFIG, {
+      phase: 'download', streams: 1, signal: controller.signal,
+    })).rejects.toThrow('Download measurement aborted');
+  });
+});
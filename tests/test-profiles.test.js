@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import {
+  TestProfile, DEFAULT_PROFILE, PROFILES, getProfile, estimateDataUsage,
+} from '../src/services/test-profiles.js';
+
+describe('PROFILES', () => {
+  it('defines quick, standard, thorough and latency-only profiles', () => {
+    expect(Object.keys(PROFILES)).toEqual(['quick', 'standard', 'thorough', 'latency-only']);
+    for (const [id, profile] of Object.entries(PROFILES)) {
+      expect(profile.id).toBe(id);
+      expect(profile.label).toBeTruthy();
+      expect(profile.ping.count).toBeGreaterThan(0);
+    }
+  });
+
+  it('defaults to the standard profile', () => {
+    expect(DEFAULT_PROFILE).toBe(TestProfile.STANDARD);
+  });
+
+  it('keeps the standard profile on the service defaults (43.5 MB per test)', () => {
+    expect(estimateDataUsage(PROFILES.standard)).toBe(45_613_056);
+  });
+
+  it('orders the throughput profiles by data usage', () => {
+    const quick = estimateDataUsage(PROFILES.quick);
+    const standard = estimateDataUsage(PROFILES.standard);
+    const thorough = estimateDataUsage(PROFILES.thorough);
+
+    expect(quick).toBeLessThan(5 * 1_048_576);
+    expect(quick).toBeLessThan(standard);
+    expect(standard).toBeLessThan(thorough);
+  });
+
+  it('runs only the ping phase for latency-only', () => {
+    expect(PROFILES['latency-only'].phases).toEqual(['ping']);
+    expect(estimateDataUsage(PROFILES['latency-only'])).toBe(0);
+  });
+});
+
+describe('getProfile', () => {
+  it('returns a profile by id', () => {
+    expect(getProfile('quick')).toBe(PROFILES.quick);
+  });
+
+  it('returns the default profile when no id is given', () => {
+    expect(getProfile()).toBe(PROFILES.standard);
+  });
+
+  it('throws for unknown profiles', () => {
+    expect(() => getProfile('turbo')).toThrow('Unknown test profile: turbo');
+  });
+});
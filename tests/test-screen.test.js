@@ -4,6 +4,7 @@
 
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { createTestScreen } from '../src/components/test-screen.js';
+import { setServers } from '../src/services/server-config.js';
 
 // Mock all dependencies
 vi.mock('../src/components/connection-indicator.js', () => ({
@@ -29,7 +30,8 @@ vi.mock('../src/components/results-screen.js', () => ({
   })),
 }));
 
-vi.mock('../src/components/speed-test.js', () => ({
+vi.mock('../src/components/speed-test.js', async (importOriginal) => ({
+  ...(await importOriginal()),
   runSpeedTest: vi.fn(),
 }));
 
@@ -50,7 +52,9 @@ vi.mock('../src/services/network-detection.js', () => ({
 import { createConnectionIndicator } from '../src/components/connection-indicator.js';
 import { createSpeedGauge } from '../src/components/speed-gauge.js';
 import { createResultsScreen } from '../src/components/results-screen.js';
-import { runSpeedTest } from '../src/components/speed-test.js';
+import {
+  runSpeedTest, registerPhase, resetPhases, RunState,
+} from '../src/components/speed-test.js';
 import { saveResult } from '../src/services/database.js';
 import { getConnectionInfo } from '../src/services/network-detection.js';
 
@@ -251,6 +255,156 @@ describe('createTestScreen', () => {
     });
   });
 
+  // ---------------------------------------------------------------------------
+  // Pause and resume
+  // ---------------------------------------------------------------------------
+
+  describe('pause button', () => {
+    function startPendingTest() {
+      runSpeedTest.mockImplementation(() => new Promise(() => {}));
+      createTestScreen(container);
+      container.querySelector('.test-screen__button--start').click();
+      return container.querySelector('.test-screen__button--pause');
+    }
+
+    it('is hidden until a test is running', () => {
+      createTestScreen(container);
+      const pauseButton = container.querySelector('.test-screen__button--pause');
+
+      expect(pauseButton.style.display).toBe('none');
+    });
+
+    it('shows "Pausar" while the test runs and passes a pause controller', async () => {
+      const pauseButton = startPendingTest();
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(pauseButton.style.display).toBe('');
+      expect(pauseButton.textContent).toBe('Pausar');
+      expect(runSpeedTest.mock.calls[0][2].pause.state).toBe(RunState.RUNNING);
+    });
+
+    it('pauses the run and switches to "Reanudar"', async () => {
+      const pauseButton = startPendingTest();
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      pauseButton.click();
+
+      const { pause } = runSpeedTest.mock.calls[0][2];
+      expect(pause.state).toBe(RunState.PAUSING);
+      expect(pauseButton.textContent).toBe('Reanudar');
+      expect(pauseButton.className).toContain('test-screen__button--resume');
+      expect(mockGauge.setLabel).toHaveBeenCalledWith('Pausando…');
+      expect(container.querySelector('.test-screen__button--stop').textContent).toBe('Detener Test');
+      expect(container.querySelector('.test-screen__profile').disabled).toBe(true);
+    });
+
+    it('resumes the run when clicked again', async () => {
+      const pauseButton = startPendingTest();
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      pauseButton.click();
+      pauseButton.click();
+
+      expect(runSpeedTest.mock.calls[0][2].pause.state).toBe(RunState.RUNNING);
+      expect(pauseButton.textContent).toBe('Pausar');
+    });
+
+    it('stops a paused test from the stop button', async () => {
+      const pauseButton = startPendingTest();
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      pauseButton.click();
+      const signal = runSpeedTest.mock.calls[0][1];
+      container.querySelector('.test-screen__button--stop').click();
+
+      expect(signal.aborted).toBe(true);
+      expect(container.querySelector('.test-screen__button').textContent).toBe('Iniciar Test');
+      expect(pauseButton.style.display).toBe('none');
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Server selection
+  // ---------------------------------------------------------------------------
+
+  describe('server selector', () => {
+    afterEach(() => {
+      setServers([]);
+    });
+
+    it('is hidden when only the local server is configured', () => {
+      createTestScreen(container);
+
+      expect(container.querySelector('.test-screen__server').style.display).toBe('none');
+    });
+
+    it('lists the automatic choice and every configured server', () => {
+      setServers([
+        { id: 'mad', name: 'Madrid', location: 'España', baseUrl: 'https://mad.example.com' },
+        { id: 'par', name: 'París', location: 'Francia', baseUrl: 'https://par.example.com' },
+      ]);
+      createTestScreen(container);
+      const select = container.querySelector('.test-screen__server');
+
+      expect(select.style.display).toBe('');
+      expect([...select.options].map((o) => o.textContent)).toEqual([
+        'Automático (más cercano)', 'Madrid (España)', 'París (Francia)',
+      ]);
+      expect(select.value).toBe('auto');
+    });
+
+    it('passes the chosen server and disables the selector while running', async () => {
+      setServers([
+        { id: 'mad', name: 'Madrid', location: 'España', baseUrl: 'https://mad.example.com' },
+        { id: 'par', name: 'París', location: 'Francia', baseUrl: 'https://par.example.com' },
+      ]);
+      runSpeedTest.mockImplementation(() => new Promise(() => {}));
+      createTestScreen(container);
+      const select = container.querySelector('.test-screen__server');
+
+      select.value = 'par';
+      container.querySelector('.test-screen__button--start').click();
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(runSpeedTest.mock.calls[0][2]).toMatchObject({ server: 'par' });
+      expect(select.disabled).toBe(true);
+    });
+  });
+
+  describe('IP privacy selector', () => {
+    afterEach(() => {
+      localStorage.clear();
+    });
+
+    it('defaults to a partial IP and offers every setting', () => {
+      createTestScreen(container);
+      const select = container.querySelector('.test-screen__privacy');
+
+      expect(select.value).toBe('truncated');
+      expect([...select.options].map((o) => o.textContent)).toEqual([
+        'IP parcial (/24, /48)', 'IP completa', 'Sin IP',
+      ]);
+    });
+
+    it('remembers the choice and passes it to the test', async () => {
+      runSpeedTest.mockImplementation(() => new Promise(() => {}));
+      createTestScreen(container);
+      const select = container.querySelector('.test-screen__privacy');
+
+      select.value = 'redacted';
+      select.dispatchEvent(new Event('change'));
+      container.querySelector('.test-screen__button--start').click();
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(runSpeedTest.mock.calls[0][2]).toMatchObject({ ipPrivacy: 'redacted' });
+      expect(select.disabled).toBe(true);
+
+      container.innerHTML = '';
+      createTestScreen(container);
+      expect(container.querySelector('.test-screen__privacy').value).toBe('redacted');
+    });
+  });
+
   // ---------------------------------------------------------------------------
   // Speed test orchestration
   // ---------------------------------------------------------------------------
@@ -271,10 +425,35 @@ describe('createTestScreen', () => {
           onComplete: expect.any(Function),
           onError: expect.any(Function),
         }),
-        expect.any(AbortSignal)
+        expect.any(AbortSignal),
+        expect.objectContaining({ profile: 'standard' })
       );
     });
 
+    it('offers the test profiles with standard selected', () => {
+      createTestScreen(container);
+      const select = container.querySelector('.test-screen__profile');
+
+      expect([...select.options].map(o => o.value)).toEqual(['quick', 'standard', 'thorough', 'latency-only']);
+      expect(select.value).toBe('standard');
+      expect(select.options[3].textContent).toBe('Solo latencia');
+      expect(select.options[0].textContent).toMatch(/^Rápido \(≈ \d+ MB\)$/);
+    });
+
+    it('runs the selected profile and lists only its phases', async () => {
+      runSpeedTest.mockImplementation(() => new Promise(() => {}));
+      createTestScreen(container);
+      const select = container.querySelector('.test-screen__profile');
+      select.value = 'latency-only';
+
+      container.querySelector('.test-screen__button').click();
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(runSpeedTest.mock.calls[0][2]).toMatchObject({ profile: 'latency-only' });
+      expect([...container.querySelectorAll('.test-screen__phase')].map(i => i.textContent)).toEqual(['Latencia']);
+      expect(select.disabled).toBe(true);
+    });
+
     it('updates gauge when onPhaseStart is called', async () => {
       let callbacks;
       runSpeedTest.mockImplementation((cb) => {
@@ -334,6 +513,66 @@ describe('createTestScreen', () => {
       callbacks.onPhaseStart('upload');
       expect(mockGauge.setPhase).toHaveBeenCalledWith('Subida', 'Mbps');
     });
+
+    it('lists the registered phases in order', async () => {
+      runSpeedTest.mockImplementation(() => new Promise(() => {}));
+      registerPhase({ id: 'small-objects', label: 'Objetos pequeños', unit: 'ms', run: vi.fn(), mapResult: vi.fn() });
+
+      try {
+        createTestScreen(container);
+        container.querySelector('.test-screen__button').click();
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        const items = [...container.querySelectorAll('.test-screen__phase')];
+        expect(items.map(item => item.textContent)).toEqual(['Latencia', 'Descarga', 'Subida', 'Objetos pequeños']);
+        expect(items.map(item => item.getAttribute('data-phase'))).toEqual(['ping', 'download', 'upload', 'small-objects']);
+      } finally {
+        resetPhases();
+      }
+    });
+
+    it('uses the label and unit of a registered phase', async () => {
+      let callbacks;
+      runSpeedTest.mockImplementation((cb) => {
+        callbacks = cb;
+        return new Promise(() => {});
+      });
+      registerPhase({ id: 'small-objects', label: 'Objetos pequeños', unit: 'ms', run: vi.fn(), mapResult: vi.fn() });
+
+      try {
+        createTestScreen(container);
+        container.querySelector('.test-screen__button').click();
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        callbacks.onPhaseStart('small-objects');
+        expect(mockGauge.setPhase).toHaveBeenCalledWith('Objetos pequeños', 'ms');
+      } finally {
+        resetPhases();
+      }
+    });
+
+    it('marks phases as active and done', async () => {
+      let callbacks;
+      runSpeedTest.mockImplementation((cb) => {
+        callbacks = cb;
+        return new Promise(() => {});
+      });
+
+      createTestScreen(container);
+      container.querySelector('.test-screen__button').click();
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      callbacks.onPhaseStart('ping');
+      callbacks.onPhaseEnd('ping', {});
+      callbacks.onPhaseStart('download');
+
+      const ping = container.querySelector('[data-phase="ping"]');
+      const download = container.querySelector('[data-phase="download"]');
+      expect(ping.classList.contains('test-screen__phase--done')).toBe(true);
+      expect(ping.hasAttribute('aria-current')).toBe(false);
+      expect(download.classList.contains('test-screen__phase--active')).toBe(true);
+      expect(download.getAttribute('aria-current')).toBe('step');
+    });
   });
 
   // ---------------------------------------------------------------------------
@@ -447,6 +686,18 @@ describe('createTestScreen', () => {
       expect(mockHistoryTable.refresh).toHaveBeenCalled();
     });
 
+    it('saves how the upload speed was timed', async () => {
+      runSpeedTest.mockImplementation(async ({ onComplete }) => {
+        await onComplete({ ping: 12.5, jitter: 1.8, download: 95.4, upload: 42.1, uploadTiming: 'server' });
+      });
+      createTestScreen(container);
+
+      container.querySelector('.test-screen__button').click();
+      await vi.waitFor(() => expect(saveResult).toHaveBeenCalled());
+
+      expect(saveResult).toHaveBeenCalledWith(expect.objectContaining({ upload_timing: 'server' }));
+    });
+
     it('handles database save errors gracefully', async () => {
       saveResult.mockRejectedValue(new Error('Database error'));
 
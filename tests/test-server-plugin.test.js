@@ -35,6 +35,100 @@ describe('testServerPlugin', () => {
     expect(typeof middlewares.use.mock.calls[0][0]).toBe('function');
   });
 
+  it('routes /info to the info handler with the configured name and location', () => {
+    const plugin = testServerPlugin({ name: 'Madrid', location: 'España' });
+    let middleware;
+    const middlewares = { use: vi.fn((fn) => { middleware = fn; }) };
+    plugin.configureServer({ middlewares });
+
+    const { req, res } = createMockReqRes('/info');
+    const next = vi.fn();
+    middleware(req, res, next);
+
+    expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({
+      'Content-Type': 'application/json',
+    }));
+    expect(JSON.parse(res.end.mock.calls[0][0])).toMatchObject({ name: 'Madrid', location: 'España' });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('rejects invalid per-request network conditions', () => {
+    const plugin = testServerPlugin();
+    let middleware;
+    const middlewares = { use: vi.fn((fn) => { middleware = fn; }) };
+    plugin.configureServer({ middlewares });
+
+    const { req, res } = createMockReqRes('/ping?simulate=dialup');
+    middleware(req, res, vi.fn());
+
+    expect(res.writeHead).toHaveBeenCalledWith(400, expect.any(Object));
+    expect(JSON.parse(res.end.mock.calls[0][0]).error).toBe('Unknown network preset: dialup');
+  });
+
+  it('fails fast on an invalid global simulation', () => {
+    const plugin = testServerPlugin({ simulate: 'dialup' });
+
+    expect(() => plugin.configureServer({ middlewares: { use: vi.fn() } })).toThrow('Unknown network preset');
+  });
+
+  it('limits transfers per client and leaves pings alone', () => {
+    const plugin = testServerPlugin({ rateLimit: { maxRequests: 1 } });
+    let middleware;
+    const middlewares = { use: vi.fn((fn) => { middleware = fn; }) };
+    plugin.configureServer({ middlewares });
+
+    const first = createMockReqRes('/download?bytes=10');
+    middleware(first.req, first.res, vi.fn());
+    const second = createMockReqRes('/download?bytes=10');
+    middleware(second.req, second.res, vi.fn());
+    const ping = createMockReqRes('/ping');
+    middleware(ping.req, ping.res, vi.fn());
+
+    expect(first.res.writeHead).toHaveBeenCalledWith(200, expect.any(Object));
+    expect(second.res.writeHead).toHaveBeenCalledWith(429, expect.objectContaining({
+      'Retry-After': '60',
+    }));
+    expect(ping.res.writeHead).toHaveBeenCalledWith(204, expect.any(Object));
+  });
+
+  it('caps the transfers served at once', () => {
+    const plugin = testServerPlugin({ rateLimit: null, maxConcurrentTransfers: 1 });
+    let middleware;
+    const middlewares = { use: vi.fn((fn) => { middleware = fn; }) };
+    plugin.configureServer({ middlewares });
+
+    const running = createMockReqRes('/upload', 'POST');
+    middleware(running.req, running.res, vi.fn());
+    const queued = createMockReqRes('/upload', 'POST');
+    middleware(queued.req, queued.res, vi.fn());
+    expect(queued.res.writeHead).toHaveBeenCalledWith(429, expect.any(Object));
+
+    // Once the running upload's response closes, a new one is accepted.
+    running.res.once.mock.calls.find(([event]) => event === 'close')[1]();
+    const next = createMockReqRes('/upload', 'POST');
+    middleware(next.req, next.res, vi.fn());
+    expect(next.res.writeHead).not.toHaveBeenCalled();
+  });
+
+  it('does not charge the rate limit for transfers refused as too many at once', () => {
+    const plugin = testServerPlugin({ rateLimit: { maxRequests: 2 }, maxConcurrentTransfers: 1 });
+    let middleware;
+    const middlewares = { use: vi.fn((fn) => { middleware = fn; }) };
+    plugin.configureServer({ middlewares });
+
+    const running = createMockReqRes('/upload', 'POST');
+    middleware(running.req, running.res, vi.fn());
+    const queued = createMockReqRes('/upload', 'POST');
+    middleware(queued.req, queued.res, vi.fn());
+    expect(queued.res.writeHead).toHaveBeenCalledWith(429, expect.objectContaining({ 'Retry-After': '1' }));
+
+    // The client's second request still fits its limit of two.
+    running.res.once.mock.calls.find(([event]) => event === 'close')[1]();
+    const next = createMockReqRes('/upload', 'POST');
+    middleware(next.req, next.res, vi.fn());
+    expect(next.res.writeHead).not.toHaveBeenCalled();
+  });
+
   it('routes /ping to ping handler', () => {
     const plugin = testServerPlugin();
     let middleware;
@@ -49,6 +143,32 @@ describe('testServerPlugin', () => {
     expect(next).not.toHaveBeenCalled();
   });
 
+  it('routes the LibreSpeed endpoints', () => {
+    const plugin = testServerPlugin({ rateLimit: { maxRequests: 1 } });
+    let middleware;
+    const middlewares = { use: vi.fn((fn) => { middleware = fn; }) };
+    plugin.configureServer({ middlewares });
+
+    const garbage = createMockReqRes('/garbage.php?ckSize=1');
+    middleware(garbage.req, garbage.res, vi.fn());
+    const ping = createMockReqRes('/empty.php?r=0.1');
+    middleware(ping.req, ping.res, vi.fn());
+    const upload = createMockReqRes('/empty.php', 'POST');
+    middleware(upload.req, upload.res, vi.fn());
+    const ip = createMockReqRes('/getIP.php');
+    middleware(ip.req, ip.res, vi.fn());
+
+    expect(garbage.res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({
+      'Content-Length': '1048576',
+    }));
+    expect(ping.res.writeHead).toHaveBeenCalledWith(200, expect.any(Object));
+    // The upload is the client's second transfer, so it is rate limited.
+    expect(upload.res.writeHead).toHaveBeenCalledWith(429, expect.any(Object));
+    expect(ip.res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({
+      'Content-Type': 'application/json; charset=utf-8',
+    }));
+  });
+
   it('routes /ping with query params to ping handler', () => {
     const plugin = testServerPlugin();
     let middleware;
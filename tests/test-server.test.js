@@ -1,5 +1,15 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { handlePing, handleDownload, handleUpload } from '../vite-plugin-test-server.js';
+import {
+  describe, it, expect, vi, beforeEach, afterEach,
+} from 'vitest';
+import {
+  PROTOCOL_VERSION, getServerInfo, handleInfo,
+  createRateLimiter, clientAddress, handleTooManyRequests,
+  clientIp, parseIpAddress, createIspLookup, handleWhoami,
+  parseRange, NETWORK_PRESETS, parseConditions, resolveConditions, applyConditions, createTokenBucket,
+  handlePing, handleDownload, handleUpload, handleGarbage, handleEmpty, handleGetIp,
+  handleWebSocketPing,
+  encodeWebSocketFrame, decodeWebSocketFrames,
+} from '../vite-plugin-test-server.js';
 import { EventEmitter } from 'node:events';
 
 /**
@@ -14,6 +24,43 @@ function createMockRes() {
   };
 }
 
+// ---------------------------------------------------------------------------
+// handleInfo
+// ---------------------------------------------------------------------------
+
+describe('handleInfo', () => {
+  it('describes the protocol version, limits and endpoints', () => {
+    const res = createMockRes();
+    handleInfo({}, res, { name: 'Madrid', location: 'España' });
+
+    expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+    }));
+    expect(JSON.parse(res.end.mock.calls[0][0])).toEqual({
+      version: PROTOCOL_VERSION,
+      name: 'Madrid',
+      location: 'España',
+      limits: {
+        maxDownloadBytes: 104_857_600,
+        maxUploadBytes: 104_857_600,
+        maxWebSocketPayload: 65_536,
+      },
+      endpoints: [
+        '/info', '/ping', '/download', '/upload', '/ws-ping', '/whoami',
+        '/garbage.php', '/empty.php', '/getIP.php',
+      ],
+    });
+  });
+
+  it('leaves name and location null when not configured', () => {
+    const info = getServerInfo();
+
+    expect(info.name).toBeNull();
+    expect(info.location).toBeNull();
+  });
+});
+
 // ---------------------------------------------------------------------------
 // handlePing
 // ---------------------------------------------------------------------------
@@ -26,6 +73,7 @@ describe('handlePing', () => {
     expect(res.writeHead).toHaveBeenCalledWith(204, {
       'Cache-Control': 'no-store, no-cache, must-revalidate',
       'Access-Control-Allow-Origin': '*',
+      'Timing-Allow-Origin': '*',
     });
     expect(res.end).toHaveBeenCalled();
   });
@@ -105,6 +153,58 @@ describe('handleDownload', () => {
     expect(res.once).toHaveBeenCalledWith('drain', expect.any(Function));
   });
 
+  it('streams slices of the shared payload pool instead of fresh bytes', () => {
+    const first = createMockRes();
+    const second = createMockRes();
+    const url = new URL('http://localhost/download?bytes=1000');
+
+    handleDownload({}, first, url);
+    handleDownload({}, second, url);
+
+    const a = first.write.mock.calls[0][0];
+    const b = second.write.mock.calls[0][0];
+    expect(a.buffer).toBe(b.buffer);
+    expect(a.byteLength).toBe(1000);
+  });
+
+  it('writes large downloads in 256 KB chunks', () => {
+    const res = createMockRes();
+    const url = new URL('http://localhost/download?bytes=1048576');
+
+    handleDownload({}, res, url);
+
+    expect(res.write).toHaveBeenCalledTimes(4);
+    expect(res.write.mock.calls.every(([chunk]) => chunk.byteLength === 262_144)).toBe(true);
+  });
+
+  it('answers a Range request with 206 and the requested slice', () => {
+    const res = createMockRes();
+    const url = new URL('http://localhost/download?bytes=5000');
+
+    handleDownload({ headers: { range: 'bytes=1000-1999' } }, res, url);
+
+    expect(res.writeHead).toHaveBeenCalledWith(206, expect.objectContaining({
+      'Content-Length': '1000',
+      'Content-Range': 'bytes 1000-1999/5000',
+      'Accept-Ranges': 'bytes',
+    }));
+    const sent = res.write.mock.calls.reduce((sum, [chunk]) => sum + chunk.byteLength, 0);
+    expect(sent).toBe(1000);
+  });
+
+  it('answers an out-of-bounds Range with 416', () => {
+    const res = createMockRes();
+    const url = new URL('http://localhost/download?bytes=5000');
+
+    handleDownload({ headers: { range: 'bytes=5000-' } }, res, url);
+
+    expect(res.writeHead).toHaveBeenCalledWith(416, expect.objectContaining({
+      'Content-Range': 'bytes */5000',
+    }));
+    expect(res.write).not.toHaveBeenCalled();
+    expect(res.end).toHaveBeenCalled();
+  });
+
   it('sets no-cache headers', () => {
     const res = createMockRes();
     const url = new URL('http://localhost/download?bytes=100');
@@ -118,6 +218,32 @@ describe('handleDownload', () => {
   });
 });
 
+describe('parseRange', () => {
+  it('parses closed, open-ended and suffix ranges', () => {
+    expect(parseRange('bytes=0-99', 1000)).toEqual({ start: 0, end: 99 });
+    expect(parseRange('bytes=900-', 1000)).toEqual({ start: 900, end: 999 });
+    expect(parseRange('bytes=-100', 1000)).toEqual({ start: 900, end: 999 });
+  });
+
+  it('clamps ranges that run past the end', () => {
+    expect(parseRange('bytes=500-5000', 1000)).toEqual({ start: 500, end: 999 });
+    expect(parseRange('bytes=-5000', 1000)).toEqual({ start: 0, end: 999 });
+  });
+
+  it('reports ranges outside the payload as unsatisfiable', () => {
+    expect(parseRange('bytes=1000-1099', 1000)).toBe('unsatisfiable');
+    expect(parseRange('bytes=-0', 1000)).toBe('unsatisfiable');
+  });
+
+  it('ignores missing, malformed and multi-range headers', () => {
+    expect(parseRange(undefined, 1000)).toBeNull();
+    expect(parseRange('bytes=-', 1000)).toBeNull();
+    expect(parseRange('bytes=200-100', 1000)).toBeNull();
+    expect(parseRange('items=0-10', 1000)).toBeNull();
+    expect(parseRange('bytes=0-10,20-30', 1000)).toBeNull();
+  });
+});
+
 // ---------------------------------------------------------------------------
 // handleUpload
 // ---------------------------------------------------------------------------
@@ -178,4 +304,611 @@ describe('handleUpload', () => {
       'Access-Control-Allow-Origin': '*',
     }));
   });
+
+  it('reports the first- and last-byte receive times', () => {
+    const now = vi.spyOn(performance, 'now')
+      .mockReturnValueOnce(1000.25)
+      .mockReturnValueOnce(1100)
+      .mockReturnValueOnce(1250.5);
+    const res = createMockRes();
+
+    handleUpload(req, res);
+    req.emit('data', Buffer.alloc(100));
+    req.emit('data', Buffer.alloc(100));
+    req.emit('data', Buffer.alloc(100));
+    req.emit('end');
+    now.mockRestore();
+
+    expect(JSON.parse(res.end.mock.calls[0][0])).toEqual({
+      bytesReceived: 300,
+      windowBytes: 200,
+      firstByteAt: 1000.25,
+      lastByteAt: 1250.5,
+      receiveMs: 250.25,
+    });
+    expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({
+      'Server-Timing': 'recv;dur=250.25;desc="Upload receive window"',
+      'Access-Control-Expose-Headers': 'Server-Timing',
+    }));
+  });
+
+  it('reports no receive window for an empty body', () => {
+    const res = createMockRes();
+
+    handleUpload(req, res);
+    req.emit('end');
+
+    expect(JSON.parse(res.end.mock.calls[0][0])).toMatchObject({
+      windowBytes: 0,
+      firstByteAt: null,
+      lastByteAt: null,
+      receiveMs: 0,
+    });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// LibreSpeed-compatible routes
+// ---------------------------------------------------------------------------
+
+describe('handleGarbage', () => {
+  it('sends ckSize megabytes', () => {
+    const res = createMockRes();
+    handleGarbage({}, res, new URL('http://localhost/garbage.php?ckSize=10&r=0.5'));
+
+    expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({
+      'Content-Length': String(10 * 1_048_576),
+      'Timing-Allow-Origin': '*',
+    }));
+  });
+
+  it('defaults to 4 MB and stays within the download limit', () => {
+    const defaulted = createMockRes();
+    handleGarbage({}, defaulted, new URL('http://localhost/garbage.php'));
+    const capped = createMockRes();
+    handleGarbage({}, capped, new URL('http://localhost/garbage.php?ckSize=1024'));
+
+    expect(defaulted.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({
+      'Content-Length': String(4 * 1_048_576),
+    }));
+    expect(capped.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({
+      'Content-Length': String(104_857_600),
+    }));
+  });
+});
+
+describe('handleEmpty', () => {
+  it('answers latency probes with an empty 200', () => {
+    const res = createMockRes();
+    handleEmpty({ method: 'GET' }, res);
+
+    expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({
+      'Content-Length': '0',
+      'Access-Control-Allow-Origin': '*',
+    }));
+    expect(res.end).toHaveBeenCalledWith();
+  });
+
+  it('consumes uploads', () => {
+    const req = new EventEmitter();
+    req.method = 'POST';
+    req.headers = {};
+    const res = createMockRes();
+
+    handleEmpty(req, res);
+    req.emit('data', Buffer.alloc(300));
+    req.emit('end');
+
+    expect(JSON.parse(res.end.mock.calls[0][0]).bytesReceived).toBe(300);
+  });
+});
+
+describe('handleGetIp', () => {
+  it('reports the client IP in LibreSpeed format', () => {
+    const res = createMockRes();
+    handleGetIp({ socket: { remoteAddress: '::ffff:203.0.113.7' } }, res);
+
+    expect(JSON.parse(res.end.mock.calls[0][0])).toEqual({
+      processedString: '203.0.113.7',
+      rawIspInfo: '',
+    });
+  });
+
+  it('appends the ISP when the database knows it', () => {
+    const res = createMockRes();
+    const ispLookup = createIspLookup('203.0.113.0/24,64500,Ejemplo Telecom');
+    handleGetIp({ socket: { remoteAddress: '203.0.113.7' } }, res, { ispLookup });
+
+    expect(JSON.parse(res.end.mock.calls[0][0]).processedString).toBe('203.0.113.7 - Ejemplo Telecom');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Client identification
+// ---------------------------------------------------------------------------
+
+const ISP_CSV = [
+  'network,autonomous_system_number,autonomous_system_organization',
+  '203.0.113.0/24,64500,"Ejemplo Telecom, S.A."',
+  '198.51.100.0/22,64501,Otra Red',
+  '2001:db8::/32,64502,Ejemplo IPv6',
+  'not-a-network,1,Broken',
+].join('\n');
+
+describe('parseIpAddress', () => {
+  it('parses IPv4 and IPv6 addresses', () => {
+    expect(parseIpAddress('192.0.2.1')).toEqual({ version: 4, value: 0xc0000201n });
+    expect(parseIpAddress('::1')).toEqual({ version: 6, value: 1n });
+    expect(parseIpAddress('2001:db8::')).toEqual({ version: 6, value: 0x20010db8n << 96n });
+    expect(parseIpAddress('::ffff:192.0.2.1')).toEqual({ version: 6, value: 0xffffc0000201n });
+  });
+
+  it('returns null for anything else', () => {
+    expect(parseIpAddress('unknown')).toBeNull();
+    expect(parseIpAddress('300.1.1.1')).toBeNull();
+  });
+});
+
+describe('createIspLookup', () => {
+  const lookup = createIspLookup(ISP_CSV);
+
+  it('finds the block containing an address', () => {
+    expect(lookup('203.0.113.200')).toEqual({ asn: 64500, isp: 'Ejemplo Telecom, S.A.' });
+    expect(lookup('198.51.103.1')).toEqual({ asn: 64501, isp: 'Otra Red' });
+    expect(lookup('2001:db8:abcd::1')).toEqual({ asn: 64502, isp: 'Ejemplo IPv6' });
+  });
+
+  it('returns null outside every block', () => {
+    expect(lookup('198.51.104.1')).toBeNull();
+    expect(lookup('192.0.2.1')).toBeNull();
+    expect(lookup('2001:db9::1')).toBeNull();
+    expect(lookup('unknown')).toBeNull();
+  });
+});
+
+describe('clientIp', () => {
+  it('unwraps IPv4-mapped IPv6 addresses', () => {
+    expect(clientIp({ socket: { remoteAddress: '::ffff:203.0.113.7' } })).toBe('203.0.113.7');
+    expect(clientIp({ socket: { remoteAddress: '2001:db8::7' } })).toBe('2001:db8::7');
+  });
+});
+
+describe('handleWhoami', () => {
+  it('reports the client IP with its ISP and ASN', () => {
+    const res = createMockRes();
+    handleWhoami({ socket: { remoteAddress: '203.0.113.7' } }, res, {
+      ispLookup: createIspLookup(ISP_CSV),
+    });
+
+    expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store, no-cache, must-revalidate',
+    }));
+    expect(JSON.parse(res.end.mock.calls[0][0])).toEqual({
+      ip: '203.0.113.7', isp: 'Ejemplo Telecom, S.A.', asn: 64500,
+    });
+  });
+
+  it('honours X-Forwarded-For only from trusted proxies', () => {
+    const req = {
+      socket: { remoteAddress: '10.0.0.1' },
+      headers: { 'x-forwarded-for': '198.51.100.9' },
+    };
+    const direct = createMockRes();
+    const proxied = createMockRes();
+
+    handleWhoami(req, direct);
+    handleWhoami(req, proxied, { trustProxy: true });
+
+    expect(JSON.parse(direct.end.mock.calls[0][0])).toEqual({ ip: '10.0.0.1', isp: null, asn: null });
+    expect(JSON.parse(proxied.end.mock.calls[0][0]).ip).toBe('198.51.100.9');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Abuse protection
+// ---------------------------------------------------------------------------
+
+describe('createRateLimiter', () => {
+  it('allows up to maxRequests per client and window', () => {
+    const limiter = createRateLimiter({ maxRequests: 2, windowMs: 1000 });
+
+    expect(limiter.take('a', 0)).toBe(0);
+    expect(limiter.take('a', 100)).toBe(0);
+    expect(limiter.take('a', 400)).toBe(600);
+    expect(limiter.take('b', 400)).toBe(0);
+  });
+
+  it('starts a new window once the old one expires', () => {
+    const limiter = createRateLimiter({ maxRequests: 1, windowMs: 1000 });
+
+    limiter.take('a', 0);
+    expect(limiter.take('a', 999)).toBe(1);
+    expect(limiter.take('a', 1000)).toBe(0);
+  });
+});
+
+describe('clientAddress', () => {
+  const req = {
+    socket: { remoteAddress: '10.0.0.1' },
+    headers: { 'x-forwarded-for': '203.0.113.7, 10.0.0.1' },
+  };
+
+  it('uses the socket address by default', () => {
+    expect(clientAddress(req)).toBe('10.0.0.1');
+  });
+
+  it('uses the address the proxy appended, not the ones the client sent', () => {
+    expect(clientAddress(req, { trustProxy: true })).toBe('10.0.0.1');
+    expect(clientAddress({
+      socket: { remoteAddress: '10.0.0.1' },
+      headers: { 'x-forwarded-for': '192.0.2.66, 203.0.113.7' },
+    }, { trustProxy: true })).toBe('203.0.113.7');
+  });
+
+  it('walks the header back through the listed proxies only', () => {
+    expect(clientAddress(req, { trustProxy: ['10.0.0.1'] })).toBe('203.0.113.7');
+    expect(clientAddress({
+      socket: { remoteAddress: '::ffff:10.0.0.2' },
+      headers: { 'x-forwarded-for': '192.0.2.66, 203.0.113.7, 10.0.0.1' },
+    }, { trustProxy: ['10.0.0.1', '10.0.0.2'] })).toBe('203.0.113.7');
+  });
+
+  it('ignores X-Forwarded-For from peers that are not trusted proxies', () => {
+    expect(clientAddress({
+      socket: { remoteAddress: '198.51.100.4' },
+      headers: { 'x-forwarded-for': '192.0.2.66' },
+    }, { trustProxy: ['10.0.0.1'] })).toBe('198.51.100.4');
+  });
+
+  it('falls back to the socket address without the header', () => {
+    expect(clientAddress({ socket: { remoteAddress: '10.0.0.1' } }, { trustProxy: true })).toBe('10.0.0.1');
+  });
+});
+
+describe('handleTooManyRequests', () => {
+  it('responds 429 with Retry-After in whole seconds, exposed to CORS', () => {
+    const res = createMockRes();
+
+    handleTooManyRequests({}, res, 1_500);
+
+    expect(res.writeHead).toHaveBeenCalledWith(429, expect.objectContaining({
+      'Retry-After': '2',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Expose-Headers': 'Retry-After',
+    }));
+  });
+});
+
+describe('upload size limit', () => {
+  it('rejects a declared oversized body before reading it', () => {
+    const req = new EventEmitter();
+    req.headers = { 'content-length': '2000' };
+    const res = createMockRes();
+
+    handleUpload(req, res, { maxUploadBytes: 1000 });
+
+    expect(res.writeHead).toHaveBeenCalledWith(413, expect.any(Object));
+  });
+
+  it('rejects bodies over 100 MB by default', () => {
+    const req = new EventEmitter();
+    req.headers = { 'content-length': String(104_857_601) };
+    const res = createMockRes();
+
+    handleUpload(req, res);
+
+    expect(res.writeHead).toHaveBeenCalledWith(413, expect.any(Object));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Network simulation
+// ---------------------------------------------------------------------------
+
+describe('parseConditions', () => {
+  it('returns null without a spec', () => {
+    expect(parseConditions(undefined)).toBeNull();
+    expect(parseConditions('')).toBeNull();
+  });
+
+  it('expands presets', () => {
+    expect(parseConditions('3g')).toEqual({
+      latency: 300, jitter: 50, downloadKbps: 1_600, uploadKbps: 750, lossRate: 0,
+    });
+    expect(parseConditions('Satellite')).toMatchObject(NETWORK_PRESETS.satellite);
+  });
+
+  it('applies key=value overrides on top of a preset', () => {
+    expect(parseConditions('congested-wifi, loss=0, down=2000')).toMatchObject({
+      latency: 40, downloadKbps: 2_000, lossRate: 0,
+    });
+    expect(parseConditions('latency=80,jitter=10')).toEqual({
+      latency: 80, jitter: 10, downloadKbps: null, uploadKbps: null, lossRate: 0,
+    });
+  });
+
+  it('accepts condition objects and caps the loss rate at 1', () => {
+    expect(parseConditions({ latency: 20 }).latency).toBe(20);
+    expect(parseConditions('loss=5').lossRate).toBe(1);
+  });
+
+  it('rejects unknown presets and invalid values', () => {
+    expect(() => parseConditions('dialup')).toThrow('Unknown network preset: dialup');
+    expect(() => parseConditions('latency=-5')).toThrow('Invalid network condition');
+    expect(() => parseConditions('speed=9')).toThrow('Invalid network condition');
+  });
+});
+
+describe('resolveConditions', () => {
+  const global = parseConditions('satellite');
+
+  it('prefers the query parameter, then the header, then the global conditions', () => {
+    const req = { headers: { 'x-simulate': '3g' } };
+
+    expect(resolveConditions(req, new URL('http://h/ping?simulate=latency=5'), global).latency).toBe(5);
+    expect(resolveConditions(req, new URL('http://h/ping'), global).latency).toBe(300);
+    expect(resolveConditions({ headers: {} }, new URL('http://h/ping'), global)).toBe(global);
+  });
+
+  it('lets a request opt out of the global conditions', () => {
+    const conditions = resolveConditions({}, new URL('http://h/ping?simulate=none'), global);
+
+    expect(conditions).toMatchObject({ latency: 0, downloadKbps: null, lossRate: 0 });
+  });
+});
+
+describe('applyConditions', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('delays the handler by latency ± jitter', () => {
+    vi.useFakeTimers();
+    vi.spyOn(Math, 'random').mockReturnValueOnce(0.5).mockReturnValueOnce(1);
+    const handle = vi.fn();
+
+    // random() = 1 → +jitter
+    applyConditions(parseConditions('latency=100,jitter=20'), {}, handle);
+
+    vi.advanceTimersByTime(119);
+    expect(handle).not.toHaveBeenCalled();
+    vi.advanceTimersByTime(1);
+    expect(handle).toHaveBeenCalled();
+  });
+
+  it('drops the connection at the loss rate', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0.1);
+    const req = { socket: { destroy: vi.fn() } };
+    const handle = vi.fn();
+
+    applyConditions(parseConditions('loss=0.2'), req, handle);
+
+    expect(req.socket.destroy).toHaveBeenCalled();
+    expect(handle).not.toHaveBeenCalled();
+  });
+});
+
+describe('createTokenBucket', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('returns null without a cap', () => {
+    expect(createTokenBucket(null)).toBeNull();
+  });
+
+  it('lets a burst through, then paces bytes at the cap', () => {
+    let now = 0;
+    vi.spyOn(performance, 'now').mockImplementation(() => now);
+    const bucket = createTokenBucket(8_000); // 1000 bytes per ms
+
+    expect(bucket.capacity).toBe(50_000);
+    expect(bucket.take(50_000)).toBe(0);
+    expect(bucket.take(10_000)).toBe(10);
+
+    now = 110; // refilled, but never beyond one burst
+    expect(bucket.take(50_000)).toBe(0);
+    expect(bucket.take(1_000)).toBe(1);
+  });
+});
+
+describe('simulated bandwidth', () => {
+  /** Fakes timers, with performance.now following the fake clock. */
+  function useFakeClock() {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'Date'] });
+    vi.spyOn(performance, 'now').mockImplementation(() => Date.now());
+  }
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('paces /download writes to the download cap', () => {
+    useFakeClock();
+    const res = createMockRes();
+    const url = new URL('http://localhost/download?bytes=4096');
+    const conditions = parseConditions('down=80'); // 10 bytes per ms, 1 KB burst
+
+    handleDownload({}, res, url, { conditions });
+
+    // The first chunk fits the burst; the second one waits for tokens.
+    expect(res.write).toHaveBeenCalledTimes(2);
+    expect(res.write.mock.calls[0][0]).toHaveLength(1_024);
+    expect(res.end).not.toHaveBeenCalled();
+    vi.advanceTimersByTime(400);
+    expect(res.write).toHaveBeenCalledTimes(4);
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  it('pauses /upload reads to the upload cap', () => {
+    useFakeClock();
+    const req = new EventEmitter();
+    req.pause = vi.fn();
+    req.resume = vi.fn();
+    const res = createMockRes();
+
+    handleUpload(req, res, { conditions: parseConditions('up=80') });
+    req.emit('data', Buffer.alloc(3_024));
+
+    expect(req.pause).toHaveBeenCalled();
+    vi.advanceTimersByTime(200);
+    expect(req.resume).toHaveBeenCalled();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// handleWebSocketPing
+// ---------------------------------------------------------------------------
+
+/**
+ * Encodes a masked (client → server) WebSocket frame.
+ */
+function encodeClientFrame(opcode, payload) {
+  const mask = Buffer.from([1, 2, 3, 4]);
+  const masked = Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]));
+  return Buffer.concat([Buffer.from([0x80 | opcode, 0x80 | payload.length]), mask, masked]);
+}
+
+function createMockSocket() {
+  const socket = new EventEmitter();
+  socket.write = vi.fn();
+  socket.end = vi.fn();
+  socket.destroy = vi.fn();
+  return socket;
+}
+
+describe('handleWebSocketPing', () => {
+  const upgradeReq = {
+    headers: { upgrade: 'websocket', 'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==' },
+  };
+
+  it('completes the handshake with the RFC 6455 accept key', () => {
+    const socket = createMockSocket();
+    handleWebSocketPing(upgradeReq, socket);
+
+    const response = socket.write.mock.calls[0][0];
+    expect(response).toMatch(/^HTTP\/1\.1 101 Switching Protocols\r\n/);
+    expect(response).toContain('Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK+xOo=\r\n');
+  });
+
+  it('rejects requests that are not WebSocket upgrades', () => {
+    const socket = createMockSocket();
+    handleWebSocketPing({ headers: {} }, socket);
+
+    expect(socket.end).toHaveBeenCalledWith(expect.stringMatching(/^HTTP\/1\.1 400/));
+    expect(socket.write).not.toHaveBeenCalled();
+  });
+
+  it('echoes text messages back unmasked', () => {
+    const socket = createMockSocket();
+    handleWebSocketPing(upgradeReq, socket);
+
+    socket.emit('data', encodeClientFrame(0x1, Buffer.from('42')));
+
+    expect(socket.write).toHaveBeenLastCalledWith(encodeWebSocketFrame(0x1, Buffer.from('42')));
+  });
+
+  it('reassembles frames split across data events', () => {
+    const socket = createMockSocket();
+    handleWebSocketPing(upgradeReq, socket);
+    const frame = encodeClientFrame(0x1, Buffer.from('hello'));
+
+    socket.emit('data', frame.subarray(0, 4));
+    expect(socket.write).toHaveBeenCalledTimes(1); // handshake only
+    socket.emit('data', frame.subarray(4));
+
+    expect(socket.write).toHaveBeenLastCalledWith(encodeWebSocketFrame(0x1, Buffer.from('hello')));
+  });
+
+  it('answers pings with pongs and closes on close frames', () => {
+    const socket = createMockSocket();
+    handleWebSocketPing(upgradeReq, socket);
+
+    socket.emit('data', encodeClientFrame(0x9, Buffer.from('p')));
+    expect(socket.write).toHaveBeenLastCalledWith(encodeWebSocketFrame(0xa, Buffer.from('p')));
+
+    socket.emit('data', encodeClientFrame(0x8, Buffer.from([0x03, 0xe8])));
+    expect(socket.end).toHaveBeenCalledWith(encodeWebSocketFrame(0x8, Buffer.from([0x03, 0xe8])));
+  });
+
+  it('closes with 1009 as soon as a frame declares more than 64 KB', () => {
+    const socket = createMockSocket();
+    handleWebSocketPing(upgradeReq, socket);
+
+    // Header of a masked 70,000-byte binary frame, then the first bytes of it.
+    const header = Buffer.alloc(14);
+    header[0] = 0x82;
+    header[1] = 0x80 | 127;
+    header.writeBigUInt64BE(70_000n, 2);
+    socket.emit('data', Buffer.concat([header, Buffer.alloc(1_000)]));
+    socket.emit('data', Buffer.alloc(69_000));
+
+    expect(socket.end).toHaveBeenCalledTimes(1);
+    expect(socket.end).toHaveBeenCalledWith(encodeWebSocketFrame(0x8, Buffer.from([0x03, 0xf1])));
+    expect(socket.write).toHaveBeenCalledTimes(1); // handshake only
+  });
+
+  it('echoes the frames sent ahead of an oversized one before closing', () => {
+    const socket = createMockSocket();
+    handleWebSocketPing(upgradeReq, socket);
+
+    const header = Buffer.from([0x82, 0x80 | 127, 0, 0, 0, 0, 0, 1, 0, 1]); // 65,537 bytes
+    socket.emit('data', Buffer.concat([encodeClientFrame(0x1, Buffer.from('7')), header]));
+
+    expect(socket.write).toHaveBeenLastCalledWith(encodeWebSocketFrame(0x1, Buffer.from('7')));
+    expect(socket.end).toHaveBeenCalledWith(encodeWebSocketFrame(0x8, Buffer.from([0x03, 0xf1])));
+  });
+
+  it('refuses upgrades from origins outside the CORS list', () => {
+    const corsOrigins = ['https://app.example.com'];
+    const socket = createMockSocket();
+    handleWebSocketPing({
+      headers: { ...upgradeReq.headers, origin: 'https://evil.example.com' },
+    }, socket, undefined, { corsOrigins });
+
+    expect(socket.end).toHaveBeenCalledWith(expect.stringMatching(/^HTTP\/1\.1 403/));
+    expect(socket.write).not.toHaveBeenCalled();
+
+    const allowed = createMockSocket();
+    handleWebSocketPing({
+      headers: { ...upgradeReq.headers, origin: 'https://app.example.com' },
+    }, allowed, undefined, { corsOrigins });
+
+    expect(allowed.write.mock.calls[0][0]).toMatch(/^HTTP\/1\.1 101/);
+  });
+});
+
+describe('WebSocket frame encoding', () => {
+  it('uses the 16-bit length form for medium payloads', () => {
+    const frame = encodeWebSocketFrame(0x2, Buffer.alloc(300));
+
+    expect(frame[1]).toBe(126);
+    expect(frame.readUInt16BE(2)).toBe(300);
+    expect(frame).toHaveLength(304);
+  });
+
+  it('decodes server frames and keeps trailing partial data', () => {
+    const first = encodeWebSocketFrame(0x1, Buffer.from('a'));
+    const second = encodeWebSocketFrame(0x1, Buffer.from('bc'));
+    const buffer = Buffer.concat([first, second.subarray(0, 2)]);
+
+    const { frames, rest } = decodeWebSocketFrames(buffer);
+
+    expect(frames).toEqual([{ opcode: 0x1, payload: Buffer.from('a') }]);
+    expect(rest).toHaveLength(2);
+  });
+
+  it('stops at a frame whose declared length exceeds the limit', () => {
+    const small = encodeWebSocketFrame(0x1, Buffer.from('a'));
+    const large = encodeWebSocketFrame(0x2, Buffer.alloc(300));
+
+    const { frames, rest, tooBig } = decodeWebSocketFrames(Buffer.concat([small, large]), 256);
+
+    expect(frames).toEqual([{ opcode: 0x1, payload: Buffer.from('a') }]);
+    expect(tooBig).toBe(true);
+    expect(rest).toHaveLength(large.length);
+  });
 });
@@ -1,5 +1,7 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { measureUploadSpeed, computeWeightedSpeed, bytesToMbps, DEFAULT_STAGES } from '../src/services/upload.js';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  measureUploadSpeed, computeWeightedSpeed, aggregateStreams, bytesToMbps, DEFAULT_STAGES,
+} from '../src/services/upload.js';
 
 // ---------------------------------------------------------------------------
 // bytesToMbps – pure function tests
@@ -59,6 +61,25 @@ describe('computeWeightedSpeed', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// aggregateStreams – pure function tests
+// ---------------------------------------------------------------------------
+
+describe('aggregateStreams', () => {
+  it('uses the overlapping window rather than summed durations', () => {
+    // Two 512 KB streams over 0–500ms and 100–500ms → 1 MB in 500ms.
+    const result = aggregateStreams([
+      { bytes: 524_288, durationMs: 500, mbps: 8.39, start: 0, end: 500 },
+      { bytes: 524_288, durationMs: 400, mbps: 10.49, start: 100, end: 500 },
+    ]);
+
+    expect(result.bytes).toBe(1_048_576);
+    expect(result.durationMs).toBe(500);
+    expect(result.mbps).toBe(16.78);
+    expect(result.streams).toHaveLength(2);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // DEFAULT_STAGES – constant verification
 // ---------------------------------------------------------------------------
@@ -201,11 +222,11 @@ describe('measureUploadSpeed', () => {
       return (perfCount++) * 100;
     });
 
-    const fetchMock = vi.fn().mockImplementation(() => {
+    const fetchMock = vi.fn().mockImplementation((_url, options) => {
       callNum++;
       if (callNum === 2) return Promise.reject(new Error('Network error'));
       return Promise.resolve(
-        new Response(JSON.stringify({ bytesReceived: 1024 }))
+        new Response(JSON.stringify({ bytesReceived: options.body.byteLength }))
       );
     });
     vi.stubGlobal('fetch', fetchMock);
@@ -213,18 +234,52 @@ describe('measureUploadSpeed', () => {
     const result = await measureUploadSpeed({
       stages: [1024, 2048, 4096],
       timeout: 60000,
+      retry: { maxAttempts: 1 },
     });
 
     expect(result.stages).toHaveLength(2);
+    expect(result.failedStages).toBe(1);
     expect(result.speedMbps).toBeGreaterThan(0);
   });
 
+  it('retries a failed stage and records its attempts', async () => {
+    let callNum = 0;
+    let perfCount = 0;
+    vi.spyOn(globalThis.performance, 'now').mockImplementation(() => (perfCount++) * 100);
+    const fetchMock = vi.fn().mockImplementation((_url, options) => {
+      callNum++;
+      if (callNum === 2) return Promise.reject(new TypeError('Failed to fetch'));
+      return Promise.resolve(new Response(JSON.stringify({ bytesReceived: options.body.byteLength })));
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await measureUploadSpeed({
+      stages: [1024, 2048],
+      timeout: 60000,
+      retry: { baseDelay: 0 },
+    });
+
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect(result.stages.map((s) => s.attempts)).toEqual([1, 2]);
+    expect(result.failedStages).toBe(0);
+  });
+
+  it('does not retry errors outside the policy', async () => {
+    const fetchMock = vi.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+    vi.stubGlobal('fetch', fetchMock);
+
+    await expect(
+      measureUploadSpeed({ stages: [1024], timeout: 60000, retry: { retryOn: [] } })
+    ).rejects.toThrow();
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
   it('throws when all stages fail', async () => {
     const fetchMock = vi.fn().mockRejectedValue(new Error('Network error'));
     vi.stubGlobal('fetch', fetchMock);
 
     await expect(
-      measureUploadSpeed({ stages: [1024, 2048], timeout: 60000 })
+      measureUploadSpeed({ stages: [1024, 2048], timeout: 60000, retry: { baseDelay: 0 } })
     ).rejects.toThrow('All upload stages failed');
   });
 
@@ -281,9 +336,9 @@ describe('measureUploadSpeed', () => {
       return (perfCount++) * 500;
     });
 
-    const fetchMock = vi.fn().mockImplementation(() => {
+    const fetchMock = vi.fn().mockImplementation((_url, options) => {
       return Promise.resolve(
-        new Response(JSON.stringify({ bytesReceived: 1024 }))
+        new Response(JSON.stringify({ bytesReceived: options.body.byteLength }))
       );
     });
     vi.stubGlobal('fetch', fetchMock);
@@ -300,9 +355,9 @@ describe('measureUploadSpeed', () => {
       return (perfCount++) * 100;
     });
 
-    const fetchMock = vi.fn().mockImplementation(() => {
+    const fetchMock = vi.fn().mockImplementation((_url, options) => {
       return Promise.resolve(
-        new Response(JSON.stringify({ bytesReceived: 512 }))
+        new Response(JSON.stringify({ bytesReceived: options.body.byteLength }))
       );
     });
     vi.stubGlobal('fetch', fetchMock);
@@ -369,4 +424,392 @@ describe('measureUploadSpeed', () => {
 
     expect(fetchMock.mock.calls[0][0]).toMatch(/^\/custom-upload\?t=\d+$/);
   });
+
+  it('sends the configured number of parallel POSTs per stage', async () => {
+    const timings = [0, 0, 0, 1000, 1000, 1000];
+    const fetchMock = createFetchMock(timings);
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await measureUploadSpeed({
+      stages: [524_288],
+      streams: 3,
+      timeout: 60000,
+    });
+
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    for (const [, options] of fetchMock.mock.calls) {
+      expect(options.method).toBe('POST');
+      expect(options.body.byteLength).toBe(524_288);
+    }
+    expect(result.stages[0].streams).toHaveLength(3);
+    expect(result.stages[0].bytes).toBe(1_572_864);
+    expect(result.stages[0].durationMs).toBe(1000);
+  });
+
+  it('gives each parallel stream a distinct URL', async () => {
+    const timings = [0, 0, 100, 100];
+    const fetchMock = createFetchMock(timings);
+    vi.stubGlobal('fetch', fetchMock);
+
+    await measureUploadSpeed({ stages: [1024], streams: 2, timeout: 60000 });
+
+    expect(fetchMock.mock.calls[0][0]).toMatch(/^\/upload\?stream=0&t=\d+$/);
+    expect(fetchMock.mock.calls[1][0]).toMatch(/^\/upload\?stream=1&t=\d+$/);
+  });
+});
+
+describe('measureUploadSpeed duration mode', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    vi.stubGlobal('crypto', {
+      getRandomValues: (buffer) => buffer,
+    });
+  });
+
+  it('grows payloads from observed throughput until the duration is filled', async () => {
+    let perfCount = 0;
+    vi.spyOn(globalThis.performance, 'now').mockImplementation(() => (perfCount++) * 500);
+
+    const fetchMock = vi.fn().mockImplementation((_url, options) => (
+      Promise.resolve(new Response(JSON.stringify({ bytesReceived: options.body.byteLength })))
+    ));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await measureUploadSpeed({
+      mode: 'duration',
+      duration: 1500,
+      initialBytes: 1000,
+      roundDuration: 1000,
+      timeout: 60000,
+    });
+
+    // Each POST takes 500ms: 2 B/ms → 2000 B for a 1000ms round, then
+    // 4 B/ms with only 500ms left → 2000 B.
+    const sizes = fetchMock.mock.calls.map(([, options]) => options.body.byteLength);
+    expect(sizes).toEqual([1000, 2000, 2000]);
+    expect(result.stages).toHaveLength(3);
+  });
+
+  /** Makes every request span `ms` on the client clock (start, end pairs). */
+  function mockClientWindow(ms) {
+    let perfCount = 0;
+    vi.spyOn(globalThis.performance, 'now').mockImplementation(() => (perfCount++ % 2) * ms);
+  }
+
+  it('awaits the checkpoint before each stage and keeps finished stages', async () => {
+    let perfCount = 0;
+    vi.spyOn(globalThis.performance, 'now').mockImplementation(() => (perfCount++) * 100);
+    const fetchMock = vi.fn().mockImplementation((_url, options) => (
+      Promise.resolve(new Response(JSON.stringify({ bytesReceived: options.body.byteLength })))
+    ));
+    vi.stubGlobal('fetch', fetchMock);
+
+    let release;
+    const checkpoint = vi.fn()
+      .mockResolvedValueOnce()
+      .mockImplementationOnce(() => new Promise((resolve) => { release = resolve; }))
+      .mockResolvedValue();
+    const measuring = measureUploadSpeed({ stages: [1000, 1000], timeout: 60000, checkpoint });
+
+    await vi.waitFor(() => expect(checkpoint).toHaveBeenCalledTimes(2));
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+
+    release();
+    const result = await measuring;
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(result.stages).toHaveLength(2);
+  });
+
+  it('measures over the server receive window when the server reports one', async () => {
+    mockClientWindow(1000);
+    vi.stubGlobal('fetch', vi.fn().mockImplementation((_url, options) => Promise.resolve(
+      new Response(JSON.stringify({
+        bytesReceived: options.body.byteLength, windowBytes: 100_000, receiveMs: 400,
+      })),
+    )));
+
+    const result = await measureUploadSpeed({ stages: [100_000], timeout: 60000 });
+
+    expect(result.stages[0].durationMs).toBe(400);
+    expect(result.stages[0].timingSource).toBe('server');
+    expect(result.timingSource).toBe('server');
+    expect(result.speedMbps).toBe(2);
+  });
+
+  it('takes the server rate from the bytes received after the first chunk', async () => {
+    mockClientWindow(1000);
+    // The first 50 KB arrived in one chunk that opened the window.
+    vi.stubGlobal('fetch', vi.fn().mockImplementation((_url, options) => Promise.resolve(
+      new Response(JSON.stringify({
+        bytesReceived: options.body.byteLength, windowBytes: 50_000, receiveMs: 200,
+      })),
+    )));
+
+    const result = await measureUploadSpeed({ stages: [100_000], timeout: 60000 });
+
+    expect(result.stages[0].durationMs).toBe(400);
+    expect(result.stages[0].timingSource).toBe('server');
+    expect(result.speedMbps).toBe(2);
+  });
+
+  it('keeps the client timing when the server window timed no bytes', async () => {
+    mockClientWindow(1000);
+    vi.stubGlobal('fetch', vi.fn().mockImplementation((_url, options) => Promise.resolve(
+      new Response(JSON.stringify({
+        bytesReceived: options.body.byteLength, windowBytes: 0, receiveMs: 0.5,
+      })),
+    )));
+
+    const result = await measureUploadSpeed({ stages: [100_000], timeout: 60000 });
+
+    expect(result.stages[0].timingSource).toBe('client');
+    expect(result.stages[0].durationMs).toBe(1000);
+  });
+
+  it('keeps the client timing without a plausible server window', async () => {
+    mockClientWindow(1000);
+    vi.stubGlobal('fetch', vi.fn().mockImplementation((_url, options) => Promise.resolve(
+      new Response(JSON.stringify({
+        bytesReceived: options.body.byteLength, windowBytes: 90_000, receiveMs: 5000,
+      })),
+    )));
+
+    const result = await measureUploadSpeed({ stages: [100_000], timeout: 60000 });
+
+    expect(result.stages[0].durationMs).toBe(1000);
+    expect(result.stages[0].timingSource).toBe('client');
+    expect(result.timingSource).toBe('client');
+  });
+
+  it('retries uploads the server did not fully receive', async () => {
+    let perfCount = 0;
+    vi.spyOn(globalThis.performance, 'now').mockImplementation(() => (perfCount++) * 100);
+    const fetchMock = vi.fn()
+      .mockResolvedValueOnce(new Response(JSON.stringify({ bytesReceived: 10 })))
+      .mockImplementation((_url, options) => Promise.resolve(
+        new Response(JSON.stringify({ bytesReceived: options.body.byteLength })),
+      ));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await measureUploadSpeed({ stages: [1000], timeout: 60000, retry: { baseDelay: 0 } });
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(result.stages[0].attempts).toBe(2);
+  });
+
+  it('fails a stage whose upload arrived incomplete', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(
+      new Response(JSON.stringify({ bytesReceived: 10 })),
+    ));
+
+    await expect(
+      measureUploadSpeed({ stages: [1000], timeout: 60000, retry: { maxAttempts: 1 } }),
+    ).rejects.toThrow('All upload stages failed');
+  });
+
+  it('shrinks payloads to fit the byte budget and reports the bytes used', async () => {
+    let perfCount = 0;
+    vi.spyOn(globalThis.performance, 'now').mockImplementation(() => (perfCount++) * 500);
+
+    const fetchMock = vi.fn().mockImplementation((_url, options) => (
+      Promise.resolve(new Response(JSON.stringify({ bytesReceived: options.body.byteLength })))
+    ));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await measureUploadSpeed({
+      stages: [100_000, 400_000, 400_000],
+      byteBudget: 250_000,
+      timeout: 60000,
+    });
+
+    const sizes = fetchMock.mock.calls.map(([, options]) => options.body.byteLength);
+    expect(sizes).toEqual([100_000, 150_000]);
+    expect(result.bytesUsed).toBe(250_000);
+  });
+
+  it('counts the payloads of failed streams in the bytes used', async () => {
+    let perfCount = 0;
+    vi.spyOn(globalThis.performance, 'now').mockImplementation(() => (perfCount++) * 500);
+
+    const fetchMock = vi.fn()
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockImplementation((_url, options) => (
+        Promise.resolve(new Response(JSON.stringify({ bytesReceived: options.body.byteLength })))
+      ));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await measureUploadSpeed({
+      stages: [100_000],
+      streams: 2,
+      timeout: 60000,
+    });
+
+    expect(result.stages[0].bytes).toBe(100_000);
+    expect(result.bytesUsed).toBe(200_000);
+  });
+
+  it('caps payloads at the server\'s request limit', async () => {
+    let perfCount = 0;
+    vi.spyOn(globalThis.performance, 'now').mockImplementation(() => (perfCount++) * 500);
+
+    const fetchMock = vi.fn().mockImplementation((_url, options) => (
+      Promise.resolve(new Response(JSON.stringify({ bytesReceived: options.body.byteLength })))
+    ));
+    vi.stubGlobal('fetch', fetchMock);
+
+    await measureUploadSpeed({
+      stages: [100_000, 400_000],
+      requestLimit: 200_000,
+      timeout: 60000,
+    });
+
+    const sizes = fetchMock.mock.calls.map(([, options]) => options.body.byteLength);
+    expect(sizes).toEqual([100_000, 200_000]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// measureUploadSpeed – live progress transports
+// ---------------------------------------------------------------------------
+
+describe('measureUploadSpeed live progress', () => {
+  let measure;
+
+  beforeEach(async () => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+    vi.stubGlobal('crypto', {
+      getRandomValues: (buffer) => buffer,
+    });
+    // Streaming support is detected once per module; start fresh each test.
+    vi.resetModules();
+    ({ measureUploadSpeed: measure } = await import('../src/services/upload.js'));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  function mockTimings(values) {
+    const queue = [...values];
+    const last = values.at(-1);
+    vi.spyOn(globalThis.performance, 'now').mockImplementation(() => queue.shift() ?? last);
+  }
+
+  it('streams the request body and reports interim samples', async () => {
+    // start, one timestamp per 64 KB slice pulled, then response.
+    mockTimings([0, 100, 250, 400, 500, 600]);
+
+    const fetchMock = vi.fn().mockImplementation(async (_url, init) => {
+      const reader = init.body.getReader();
+      let bytesReceived = 0;
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        bytesReceived += value.byteLength;
+      }
+      return new Response(JSON.stringify({ bytesReceived }));
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const onProgress = vi.fn();
+    const result = await measure({
+      stages: [200_000],
+      timeout: 60000,
+      sampleInterval: 200,
+      onProgress,
+    });
+
+    expect(fetchMock.mock.calls[0][1].duplex).toBe('half');
+
+    const interim = onProgress.mock.calls.map(([p]) => p).filter((p) => p.interim);
+    expect(interim.map((p) => p.stageBytes)).toEqual([131_072, 200_000]);
+
+    // Final speed still spans request start to response.
+    expect(result.stages[0].durationMs).toBe(600);
+    expect(result.stages[0].bytes).toBe(200_000);
+  });
+
+  it('falls back to XMLHttpRequest upload progress when streaming is refused', async () => {
+    mockTimings([0, 300, 600, 700, 700, 800, 900, 1000]);
+
+    const instances = [];
+    class FakeXhr {
+      constructor() {
+        this.upload = {};
+        instances.push(this);
+      }
+
+      open(method, url) {
+        this.method = method;
+        this.url = url;
+      }
+
+      send(body) {
+        this.body = body;
+        queueMicrotask(() => {
+          this.upload.onprogress({ loaded: body.byteLength / 2 });
+          this.upload.onprogress({ loaded: body.byteLength });
+          this.status = 200;
+          this.statusText = 'OK';
+          this.onload();
+        });
+      }
+
+      abort() {
+        this.onabort?.();
+      }
+    }
+    vi.stubGlobal('XMLHttpRequest', FakeXhr);
+
+    const fetchMock = vi.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const onProgress = vi.fn();
+    const result = await measure({
+      stages: [200_000, 100_000],
+      timeout: 60000,
+      sampleInterval: 200,
+      onProgress,
+    });
+
+    // Only the first request tries streaming; later ones go straight to XHR.
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(instances).toHaveLength(2);
+    expect(instances[0].method).toBe('POST');
+    expect(instances[0].body.byteLength).toBe(200_000);
+
+    const interim = onProgress.mock.calls.map(([p]) => p).filter((p) => p.interim && p.stage === 1);
+    expect(interim.map((p) => p.stageBytes)).toEqual([100_000, 200_000]);
+
+    expect(result.stages).toHaveLength(2);
+    expect(result.stages[0].durationMs).toBe(700);
+  });
+
+  it('maps non-2xx XMLHttpRequest responses to errors', async () => {
+    class FailingXhr {
+      constructor() {
+        this.upload = {};
+      }
+
+      open() {}
+
+      send() {
+        queueMicrotask(() => {
+          this.status = 503;
+          this.statusText = 'Service Unavailable';
+          this.onload();
+        });
+      }
+
+      abort() {}
+    }
+    vi.stubGlobal('XMLHttpRequest', FailingXhr);
+    vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new TypeError('Failed to fetch')));
+
+    await expect(
+      measure({ stages: [1024], timeout: 60000, onProgress: vi.fn() }),
+    ).rejects.toThrow('All upload stages failed');
+  });
 });
@@ -2,83 +2,711 @@
  * Vite plugin that adds local speed-test server endpoints.
  *
  * Endpoints:
+ *   GET  /info           → JSON handshake: protocol version, limits, endpoints,
+ *                           and the server's name and location
  *   GET  /ping           → 204 No Content (for latency measurement)
- *   GET  /download?bytes= → responds with `bytes` random bytes (default 1 MB)
- *   POST /upload          → consumes the request body and reports bytes received
+ *   GET  /download?bytes= → responds with `bytes` random bytes (default 1 MB);
+ *                           honours a single `Range: bytes=…` with 206
+ *   POST /upload          → consumes the request body (max 100 MB) and reports bytes
+ *                           received and the server-side receive window (also as
+ *                           Server-Timing)
+ *   WS   /ws-ping         → WebSocket echo server (for low-overhead latency probes)
+ *   GET  /whoami          → JSON `{ ip, isp, asn }` describing the client; ISP and
+ *                           ASN come from the `ispDatabase` file, if configured
  *
- * This removes the need for an external speed-test server during development
- * and can also be used in production behind a simple Node/Express server.
+ * LibreSpeed-compatible routes, so LibreSpeed clients can test against
+ * this server:
+ *   GET  /garbage.php?ckSize= → `ckSize` MB of random bytes (default 4)
+ *   GET  /empty.php           → 200 with an empty body (latency)
+ *   POST /empty.php           → consumes the body, like /upload
+ *   GET  /getIP.php           → JSON `{ processedString, rawIspInfo }` with the client IP
+ *
+ * This removes the need for an external speed-test server during development.
+ * In production the same endpoints are served by server.js.
+ *
+ * Abuse protection: downloads and uploads are rate limited per client and
+ * capped in how many run at once. Requests over either limit get
+ * 429 Too Many Requests with a Retry-After header.
+ *
+ * Network simulation: to reproduce slow or flaky links, responses can be
+ * delayed (latency ± jitter), throttled (a token bucket per stream) and
+ * randomly dropped. Conditions are given as a preset name and/or
+ * `key=value` pairs, e.g. `3g`, `latency=80,jitter=20,down=5000,loss=0.02`
+ * or `satellite,loss=0`, in one of (first match wins):
+ *   - the request's `simulate` query parameter,
+ *   - its `X-Simulate` header,
+ *   - the `simulate` plugin option (applies to every request).
+ * `simulate=none` turns a global simulation off for one request.
  */
 
-import { randomBytes } from 'node:crypto';
+import { randomBytes, randomInt, createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { isIPv4, isIPv6 } from 'node:net';
+import { performance } from 'node:perf_hooks';
 
 const DEFAULT_DOWNLOAD_BYTES = 1_048_576; // 1 MB
 const MAX_DOWNLOAD_BYTES = 104_857_600; // 100 MB
+const MAX_UPLOAD_BYTES = 104_857_600; // 100 MB
+
+/**
+ * Size of the random payload pool downloads are streamed from. Generating
+ * random bytes per chunk caps a server at a few Gbit/s of CPU; the pool is
+ * generated once and sent in rotation instead. It is large enough that
+ * compression anywhere along the path gains nothing.
+ */
+const PAYLOAD_POOL_BYTES = 8_388_608; // 8 MB
+
+/** Download write size; smaller under simulated bandwidth (see handleDownload). */
+const DOWNLOAD_CHUNK_BYTES = 262_144; // 256 KB
+
+/**
+ * Default per-client limit on /download and /upload requests. A full
+ * multi-stream test makes about 50, retries included.
+ */
+const DEFAULT_RATE_LIMIT = { maxRequests: 240, windowMs: 60_000 };
+
+/** Default cap on /download and /upload requests served at the same time. */
+const MAX_CONCURRENT_TRANSFERS = 64;
+
+/** Endpoints that move bulk data and are rate limited. */
+const TRANSFER_PATHS = ['/download', '/upload', '/garbage.php'];
+
+/** LibreSpeed's garbage.php chunk size, its default chunk count and its maximum. */
+const LIBRESPEED_CHUNK_BYTES = 1_048_576; // 1 MB
+const LIBRESPEED_DEFAULT_CHUNKS = 4;
+const LIBRESPEED_MAX_CHUNKS = 1024;
+
+/** GUID appended to Sec-WebSocket-Key when computing the accept hash (RFC 6455). */
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+/** Largest WebSocket message echoed back; latency probes are tiny. */
+const MAX_WS_PAYLOAD = 65_536;
 
 /**
+ * Version of the endpoint protocol served here. Bumped on changes old
+ * clients cannot handle; clients refuse servers with another version.
+ */
+const PROTOCOL_VERSION = 1;
+
+/** Paths served by this plugin, as announced by /info. */
+const ENDPOINTS = [
+  '/info', '/ping', '/download', '/upload', '/ws-ping', '/whoami',
+  '/garbage.php', '/empty.php', '/getIP.php',
+];
+
+/**
+ * Named network conditions. Latency and jitter in ms, bandwidth in kbit/s,
+ * loss as the share (0–1) of requests whose connection is dropped.
+ */
+const NETWORK_PRESETS = {
+  none: {},
+  '3g': { latency: 300, jitter: 50, downloadKbps: 1_600, uploadKbps: 750 },
+  'congested-wifi': {
+    latency: 40, jitter: 60, downloadKbps: 8_000, uploadKbps: 4_000, lossRate: 0.03,
+  },
+  satellite: {
+    latency: 600, jitter: 40, downloadKbps: 25_000, uploadKbps: 3_000, lossRate: 0.01,
+  },
+};
+
+/** Keys accepted in condition strings, mapped to NetworkConditions fields. */
+const CONDITION_KEYS = {
+  latency: 'latency',
+  jitter: 'jitter',
+  down: 'downloadKbps',
+  up: 'uploadKbps',
+  loss: 'lossRate',
+};
+
+/** Conditions that leave responses untouched. */
+const NO_CONDITIONS = {
+  latency: 0, jitter: 0, downloadKbps: null, uploadKbps: null, lossRate: 0,
+};
+
+/** WebSocket frame opcodes used by the echo server. */
+const WS_OPCODE = {
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa,
+};
+
+/**
+ * @typedef {object} TestServerOptions
+ * @property {string} [name] - Server name announced by /info.
+ * @property {string} [location] - Server location announced by /info.
+ * @property {string[] | '*'} [corsOrigins] - Origins allowed to run tests
+ *   cross-origin; '*' (the default) allows any.
+ * @property {number} [maxDownloadBytes] - Largest /download response (100 MB by default).
+ * @property {number | null} [maxUploadBytes] - Largest /upload body (100 MB by default); null for no limit.
+ * @property {{ maxRequests?: number, windowMs?: number } | null} [rateLimit] - Transfer
+ *   requests allowed per client and window (240 per minute by default); null disables it.
+ * @property {number} [maxConcurrentTransfers] - Transfers served at once across all clients (64 by default).
+ * @property {boolean | string[]} [trustProxy] - Identify clients by X-Forwarded-For behind
+ *   reverse proxies: `true` trusts the direct peer as the only proxy, a list names the
+ *   trusted proxy addresses (see {@link clientAddress}).
+ * @property {string} [ispDatabase] - Path to an offline IP → ASN/ISP file for /whoami, in the
+ *   GeoLite2-ASN CSV layout (`network,autonomous_system_number,autonomous_system_organization`).
+ * @property {((ip: string) => { asn: number, isp: string } | null) | null} [ispLookup] - Lookup
+ *   built from `ispDatabase`; set by {@link createTestEndpoints}.
+ * @property {string | Partial<NetworkConditions>} [simulate] - Network conditions applied
+ *   to every request (see the module comment for the string format).
+ * @property {NetworkConditions | null} [conditions] - Conditions for the current request;
+ *   set by {@link createTestEndpoints}.
+ */
+
+/**
+ * @typedef {object} NetworkConditions
+ * @property {number} latency - Delay added before answering, in ms.
+ * @property {number} jitter - Random variation of that delay, ± ms.
+ * @property {number | null} downloadKbps - Bandwidth cap per /download stream.
+ * @property {number | null} uploadKbps - Bandwidth cap per /upload stream.
+ * @property {number} lossRate - Share of requests (0–1) whose connection is dropped.
+ */
+
+/**
+ * @param {TestServerOptions} [options]
  * @returns {import('vite').Plugin}
  */
-export default function testServerPlugin() {
+export default function testServerPlugin(options = {}) {
   return {
     name: 'speed-test-server',
     configureServer(server) {
-      server.middlewares.use((req, res, next) => {
+      server.middlewares.use(createTestEndpoints(options));
+
+      // WebSocket upgrades bypass the middleware stack. Vite's own HMR
+      // socket uses a different path, so only /ws-ping is claimed here.
+      const globalConditions = parseConditions(options.simulate);
+      server.httpServer?.on('upgrade', (req, socket, head) => {
         const url = new URL(req.url, `http://${req.headers.host}`);
+        if (url.pathname !== '/ws-ping') return;
 
-        if (url.pathname === '/ping') {
-          return handlePing(req, res);
+        let conditions;
+        try {
+          conditions = resolveConditions(req, url, globalConditions);
+        } catch (_err) {
+          socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+          return;
         }
+        handleWebSocketPing(req, socket, head, { conditions, corsOrigins: options.corsOrigins });
+      });
+    },
+  };
+}
 
-        if (url.pathname === '/download') {
-          return handleDownload(req, res, url);
-        }
+/**
+ * Creates a Connect-style middleware serving the HTTP test endpoints.
+ * Requests for other paths are passed to `next`.
+ *
+ * @param {TestServerOptions} [options]
+ * @returns {(req: import('node:http').IncomingMessage, res: import('node:http').ServerResponse, next: () => void) => void}
+ */
+function createTestEndpoints(options = {}) {
+  const globalConditions = parseConditions(options.simulate);
+  const limiter = options.rateLimit === null
+    ? null
+    : createRateLimiter({ ...DEFAULT_RATE_LIMIT, ...options.rateLimit });
+  const maxConcurrent = options.maxConcurrentTransfers ?? MAX_CONCURRENT_TRANSFERS;
+  const ispLookup = options.ispDatabase ? loadIspDatabase(options.ispDatabase) : null;
+  let activeTransfers = 0;
 
-        if (url.pathname === '/upload') {
-          return handleUpload(req, res);
-        }
+  return (req, res, next) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const handler = HTTP_HANDLERS[url.pathname];
+    if (!handler) {
+      next();
+      return;
+    }
 
-        next();
+    if (req.method === 'OPTIONS') {
+      return handlePreflight(req, res, options);
+    }
+
+    let conditions;
+    try {
+      conditions = resolveConditions(req, url, globalConditions);
+    } catch (err) {
+      res.writeHead(400, { 'Content-Type': 'application/json', ...corsHeaders(req, options) });
+      res.end(JSON.stringify({ error: err.message }));
+      return;
+    }
+
+    if (isTransfer(req, url)) {
+      // A busy server refuses before charging the client, so the refusal
+      // does not count against that client's own rate limit.
+      if (activeTransfers >= maxConcurrent) {
+        return handleTooManyRequests(req, res, 1_000, options);
+      }
+      const wait = limiter?.take(clientAddress(req, options)) ?? 0;
+      if (wait > 0) {
+        return handleTooManyRequests(req, res, wait, options);
+      }
+
+      activeTransfers++;
+      res.once('close', () => {
+        activeTransfers--;
       });
+    }
+
+    const handle = () => handler(req, res, url, { ...options, conditions, ispLookup });
+    return conditions ? applyConditions(conditions, req, handle) : handle();
+  };
+}
+
+/**
+ * Whether a request moves bulk data. LibreSpeed's empty.php serves both
+ * latency probes (GET) and uploads (POST).
+ *
+ * @param {import('node:http').IncomingMessage} req
+ * @param {URL} url
+ * @returns {boolean}
+ */
+function isTransfer(req, url) {
+  return TRANSFER_PATHS.includes(url.pathname)
+    || (url.pathname === '/empty.php' && req.method === 'POST');
+}
+
+/**
+ * Creates a per-client fixed-window request counter.
+ *
+ * @param {{ maxRequests: number, windowMs: number }} limit
+ * @returns {{ take: (clientId: string, now?: number) => number }}
+ *   `take` counts a request and returns 0 if it is allowed, else the ms
+ *   until the client's window resets.
+ */
+function createRateLimiter({ maxRequests, windowMs }) {
+  /** @type {Map<string, { count: number, resetAt: number }>} */
+  const clients = new Map();
+  let nextSweep = 0;
+
+  return {
+    take(clientId, now = Date.now()) {
+      // Forget expired windows once per window so the map stays small.
+      if (now >= nextSweep) {
+        for (const [id, window] of clients) {
+          if (window.resetAt <= now) clients.delete(id);
+        }
+        nextSweep = now + windowMs;
+      }
+
+      let window = clients.get(clientId);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        clients.set(clientId, window);
+      }
+
+      if (window.count >= maxRequests) return window.resetAt - now;
+      window.count++;
+      return 0;
+    },
+  };
+}
+
+/**
+ * Identifies the client of a request by address.
+ *
+ * Each proxy appends the address it received the request from to
+ * X-Forwarded-For, so only the right-most entries are trustworthy; the
+ * rest is whatever the client sent. The header is therefore read from the
+ * right, one hop per trusted proxy: with `trustProxy: true` the direct
+ * peer is the only proxy and its entry is the client; with a list of
+ * proxy addresses, hops are skipped while they come from a listed proxy.
+ *
+ * @param {import('node:http').IncomingMessage} req
+ * @param {TestServerOptions} [options]
+ * @returns {string}
+ */
+function clientAddress(req, { trustProxy = false } = {}) {
+  let address = req.socket?.remoteAddress ?? 'unknown';
+  if (!trustProxy) return address;
+
+  const hops = (req.headers?.['x-forwarded-for'] ?? '')
+    .split(',')
+    .map((hop) => hop.trim())
+    .filter(Boolean);
+
+  if (trustProxy === true) return hops.at(-1) ?? address;
+
+  const trusted = new Set(trustProxy.map(unmapIPv4));
+  while (hops.length > 0 && trusted.has(unmapIPv4(address))) {
+    address = hops.pop();
+  }
+  return address;
+}
+
+/**
+ * Shows IPv4 clients of dual-stack sockets (reported as IPv4-mapped IPv6,
+ * `::ffff:a.b.c.d`) as plain IPv4.
+ *
+ * @param {string} address
+ * @returns {string}
+ */
+function unmapIPv4(address) {
+  return address.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+}
+
+/**
+ * The client's IP address, with IPv4-mapped addresses shown as IPv4.
+ *
+ * @param {import('node:http').IncomingMessage} req
+ * @param {TestServerOptions} [options]
+ * @returns {string}
+ */
+function clientIp(req, options) {
+  return unmapIPv4(clientAddress(req, options));
+}
+
+/**
+ * Answers 429 Too Many Requests, telling the client when to come back.
+ *
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:http').ServerResponse} res
+ * @param {number} retryAfterMs
+ * @param {TestServerOptions} [options]
+ */
+function handleTooManyRequests(req, res, retryAfterMs, options) {
+  req.resume?.(); // discard an upload body
+  res.writeHead(429, {
+    'Content-Type': 'application/json',
+    'Retry-After': String(Math.max(1, Math.ceil(retryAfterMs / 1000))),
+    'Cache-Control': 'no-store',
+    ...corsHeaders(req, options),
+    'Access-Control-Expose-Headers': 'Retry-After',
+  });
+  res.end(JSON.stringify({ error: 'Too many requests' }));
+}
+
+/** HTTP endpoint handlers by path, called as `(req, res, url, options)`. */
+const HTTP_HANDLERS = {
+  '/info': (req, res, _url, options) => handleInfo(req, res, options),
+  '/ping': (req, res, _url, options) => handlePing(req, res, options),
+  '/download': (req, res, url, options) => handleDownload(req, res, url, options),
+  '/upload': (req, res, _url, options) => handleUpload(req, res, options),
+  '/whoami': (req, res, _url, options) => handleWhoami(req, res, options),
+  '/garbage.php': (req, res, url, options) => handleGarbage(req, res, url, options),
+  '/empty.php': (req, res, _url, options) => handleEmpty(req, res, options),
+  '/getIP.php': (req, res, _url, options) => handleGetIp(req, res, options),
+};
+
+/**
+ * Parses a network conditions spec (see the module comment).
+ *
+ * @param {string | Partial<NetworkConditions> | null | undefined} spec
+ * @returns {NetworkConditions | null} Null when no spec is given.
+ * @throws {Error} On unknown presets or keys, or invalid values.
+ */
+function parseConditions(spec) {
+  if (spec === undefined || spec === null || spec === '') return null;
+  if (typeof spec === 'object') return { ...NO_CONDITIONS, ...spec };
+
+  const conditions = { ...NO_CONDITIONS };
+  for (const part of String(spec).split(',').map((p) => p.trim()).filter(Boolean)) {
+    const [key, value] = part.split('=').map((p) => p.trim());
+
+    if (value === undefined) {
+      const preset = NETWORK_PRESETS[key.toLowerCase()];
+      if (!preset) throw new Error(`Unknown network preset: ${key}`);
+      Object.assign(conditions, preset);
+      continue;
+    }
+
+    const field = CONDITION_KEYS[key];
+    const n = Number(value);
+    if (!field || value === '' || !Number.isFinite(n) || n < 0) {
+      throw new Error(`Invalid network condition: ${part}`);
+    }
+    conditions[field] = n;
+  }
+
+  conditions.lossRate = Math.min(conditions.lossRate, 1);
+  return conditions;
+}
+
+/**
+ * Picks the conditions for a request: its `simulate` query parameter,
+ * else its `X-Simulate` header, else the global ones.
+ *
+ * @param {import('node:http').IncomingMessage} req
+ * @param {URL} url
+ * @param {NetworkConditions | null} globalConditions
+ * @returns {NetworkConditions | null}
+ * @throws {Error} If the request's spec is invalid.
+ */
+function resolveConditions(req, url, globalConditions) {
+  const spec = url.searchParams.get('simulate') ?? req.headers?.['x-simulate'];
+  return spec === undefined || spec === null ? globalConditions : parseConditions(spec);
+}
+
+/**
+ * Returns the simulated delay for one response: latency ± jitter.
+ *
+ * @param {NetworkConditions} conditions
+ * @returns {number} Delay in ms.
+ */
+function simulatedDelay({ latency, jitter }) {
+  return Math.max(0, latency + jitter * (Math.random() * 2 - 1));
+}
+
+/**
+ * Runs a handler under simulated conditions: drops the connection at the
+ * loss rate, otherwise calls `handle` after the simulated delay.
+ *
+ * @param {NetworkConditions} conditions
+ * @param {import('node:http').IncomingMessage} req
+ * @param {() => void} handle
+ */
+function applyConditions(conditions, req, handle) {
+  if (Math.random() < conditions.lossRate) {
+    req.socket?.destroy();
+    return;
+  }
+
+  const delay = simulatedDelay(conditions);
+  if (delay > 0) {
+    setTimeout(handle, delay);
+  } else {
+    handle();
+  }
+}
+
+/**
+ * Creates a token bucket that caps a stream at `kbps`.
+ *
+ * The bucket holds 50 ms worth of bytes, so throttled streams move in
+ * small, regular bursts instead of stalling for seconds between chunks.
+ *
+ * @param {number | null | undefined} kbps - Cap in kbit/s; falsy for none.
+ * @returns {{ capacity: number, take: (bytes: number) => number } | null}
+ *   `take` charges bytes and returns how long (ms) to wait before sending more.
+ */
+function createTokenBucket(kbps) {
+  if (!kbps) return null;
+
+  const bytesPerMs = kbps / 8;
+  const capacity = Math.max(1_024, Math.round(bytesPerMs * 50));
+  let tokens = capacity;
+  let last = performance.now();
+
+  return {
+    capacity,
+    take(bytes) {
+      const now = performance.now();
+      tokens = Math.min(capacity, tokens + (now - last) * bytesPerMs);
+      last = now;
+      tokens -= bytes;
+      return tokens >= 0 ? 0 : -tokens / bytesPerMs;
     },
   };
 }
 
+/**
+ * Returns the CORS headers for a request's origin.
+ *
+ * With an origin list, only listed origins are echoed back; others get
+ * no Allow-Origin header and the browser blocks the response. The same
+ * origins get Timing-Allow-Origin: without it a cross-origin page sees
+ * zeroed Resource Timing fields and cannot break requests down.
+ *
+ * @param {import('node:http').IncomingMessage} req
+ * @param {TestServerOptions} [options]
+ * @returns {Record<string, string>}
+ */
+function corsHeaders(req, { corsOrigins = '*' } = {}) {
+  if (corsOrigins === '*') {
+    return { 'Access-Control-Allow-Origin': '*', 'Timing-Allow-Origin': '*' };
+  }
+
+  const origin = req.headers?.origin;
+  return corsOrigins.includes(origin)
+    ? { 'Access-Control-Allow-Origin': origin, 'Timing-Allow-Origin': origin, Vary: 'Origin' }
+    : { Vary: 'Origin' };
+}
+
+/**
+ * Whether a WebSocket upgrade may proceed under the CORS policy.
+ *
+ * Browsers do not apply CORS to WebSockets, so the server checks the
+ * Origin header itself against the same list. Requests without one
+ * come from outside a browser, which CORS does not restrict either.
+ *
+ * @param {import('node:http').IncomingMessage} req
+ * @param {string[] | '*'} [corsOrigins]
+ * @returns {boolean}
+ */
+function isAllowedUpgradeOrigin(req, corsOrigins = '*') {
+  const origin = req.headers?.origin;
+  return corsOrigins === '*' || origin === undefined || corsOrigins.includes(origin);
+}
+
+/**
+ * OPTIONS on an endpoint → 204 with the CORS preflight headers uploads
+ * from another origin need.
+ */
+function handlePreflight(req, res, options) {
+  res.writeHead(204, {
+    ...corsHeaders(req, options),
+    'Access-Control-Allow-Methods': 'GET, HEAD, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Range, X-Simulate',
+    'Access-Control-Max-Age': '86400',
+  });
+  res.end();
+}
+
+/**
+ * Describes this server for the client's pre-test handshake.
+ *
+ * @param {TestServerOptions} [options]
+ * @returns {{ version: number, name: string | null, location: string | null, limits: object, endpoints: string[] }}
+ */
+function getServerInfo({
+  name, location, maxDownloadBytes = MAX_DOWNLOAD_BYTES, maxUploadBytes = MAX_UPLOAD_BYTES,
+} = {}) {
+  return {
+    version: PROTOCOL_VERSION,
+    name: name ?? null,
+    location: location ?? null,
+    limits: {
+      maxDownloadBytes,
+      maxUploadBytes,
+      maxWebSocketPayload: MAX_WS_PAYLOAD,
+    },
+    endpoints: ENDPOINTS,
+  };
+}
+
+/**
+ * GET /info → JSON description of the server (see {@link getServerInfo}).
+ */
+function handleInfo(req, res, options) {
+  res.writeHead(200, {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store, no-cache, must-revalidate',
+    ...corsHeaders(req, options),
+  });
+  res.end(JSON.stringify(getServerInfo(options)));
+}
+
 /**
  * GET /ping → 204 No Content with CORS and cache-control headers.
  */
-function handlePing(_req, res) {
+function handlePing(req, res, options) {
   res.writeHead(204, {
     'Cache-Control': 'no-store, no-cache, must-revalidate',
-    'Access-Control-Allow-Origin': '*',
+    ...corsHeaders(req, options),
   });
   res.end();
 }
 
+/** @type {Buffer | null} */
+let payloadPool = null;
+
+/**
+ * Returns the shared random payload, generating it on first use.
+ *
+ * @returns {Buffer}
+ */
+function getPayloadPool() {
+  payloadPool ??= randomBytes(PAYLOAD_POOL_BYTES);
+  return payloadPool;
+}
+
+/**
+ * Parses a Range header against a payload of `size` bytes. Only a single
+ * `bytes` range is supported; anything else is ignored, as RFC 9110
+ * allows, and the whole payload is sent.
+ *
+ * @param {string | undefined} header - The Range header value.
+ * @param {number} size - Payload size in bytes.
+ * @returns {{ start: number, end: number } | 'unsatisfiable' | null}
+ *   The inclusive byte range, 'unsatisfiable' if it lies outside the
+ *   payload, or null to ignore the header.
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header?.trim() ?? '');
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  if (match[1] === '') {
+    // Suffix range: the last N bytes.
+    const length = Number(match[2]);
+    if (length === 0) return 'unsatisfiable';
+    return { start: Math.max(size - length, 0), end: size - 1 };
+  }
+
+  const start = Number(match[1]);
+  const end = match[2] === '' ? Infinity : Number(match[2]);
+  if (end < start) return null;
+  if (start >= size) return 'unsatisfiable';
+  return { start, end: Math.min(end, size - 1) };
+}
+
 /**
- * GET /download?bytes=N → sends N random bytes (default 1 MB, max 100 MB).
+ * GET /download?bytes=N → sends N random bytes (default 1 MB, max 100 MB
+ * unless `maxDownloadBytes` says otherwise).
+ *
+ * Bytes come from the shared payload pool, starting at a random offset
+ * so parallel streams don't carry identical data. A `Range` header
+ * selects part of the N bytes and is answered with 206 Partial Content,
+ * or 416 if it lies outside them.
  */
-function handleDownload(_req, res, url) {
+function handleDownload(req, res, url, options = {}) {
+  const { maxDownloadBytes = MAX_DOWNLOAD_BYTES } = options;
   const requested = parseInt(url.searchParams.get('bytes'), 10);
-  const bytes = Number.isFinite(requested) && requested > 0
-    ? Math.min(requested, MAX_DOWNLOAD_BYTES)
-    : DEFAULT_DOWNLOAD_BYTES;
+  const size = Number.isFinite(requested) && requested > 0
+    ? Math.min(requested, maxDownloadBytes)
+    : Math.min(DEFAULT_DOWNLOAD_BYTES, maxDownloadBytes);
 
-  const CHUNK_SIZE = 65_536; // 64 KB chunks
-  res.writeHead(200, {
+  const headers = {
     'Content-Type': 'application/octet-stream',
-    'Content-Length': String(bytes),
     'Cache-Control': 'no-store, no-cache, must-revalidate',
-    'Access-Control-Allow-Origin': '*',
-  });
+    'Accept-Ranges': 'bytes',
+    ...corsHeaders(req, options),
+  };
+
+  const range = parseRange(req.headers?.range, size);
+  if (range === 'unsatisfiable') {
+    res.writeHead(416, { ...headers, 'Content-Range': `bytes */${size}` });
+    res.end();
+    return;
+  }
 
+  const bytes = range ? range.end - range.start + 1 : size;
+  if (range) {
+    res.writeHead(206, {
+      ...headers,
+      'Content-Length': String(bytes),
+      'Content-Range': `bytes ${range.start}-${range.end}/${size}`,
+      'Access-Control-Expose-Headers': 'Content-Range',
+    });
+  } else {
+    res.writeHead(200, { ...headers, 'Content-Length': String(bytes) });
+  }
+
+  const bucket = createTokenBucket(options.conditions?.downloadKbps);
+  const chunkSize = bucket ? Math.min(bucket.capacity, 65_536) : DOWNLOAD_CHUNK_BYTES;
+  const pool = getPayloadPool();
+  let offset = randomInt(pool.length);
   let remaining = bytes;
+
   function writeChunk() {
+    if (res.destroyed) return;
+
     while (remaining > 0) {
-      const size = Math.min(CHUNK_SIZE, remaining);
-      const chunk = randomBytes(size);
-      remaining -= size;
-      if (!res.write(chunk)) {
-        res.once('drain', writeChunk);
+      const length = Math.min(chunkSize, remaining);
+      if (offset + length > pool.length) offset = 0;
+      // The pool is never written to, so slices can be sent without copying.
+      const chunk = pool.subarray(offset, offset + length);
+      offset += length;
+      remaining -= length;
+      const flushed = res.write(chunk);
+
+      const wait = bucket ? bucket.take(length) : 0;
+      const next = wait > 0 ? () => setTimeout(writeChunk, wait) : writeChunk;
+      if (!flushed) {
+        res.once('drain', next);
+        return;
+      }
+      if (wait > 0) {
+        next();
         return;
       }
     }
@@ -89,27 +717,475 @@ function handleDownload(_req, res, url) {
 
 /**
  * POST /upload → consumes the request body and responds with bytes received.
+ *
+ * The times the first and last body bytes arrived (server clock, ms) and
+ * the window between them are reported in the JSON body and as a
+ * `Server-Timing: recv;dur=<ms>` header, so clients can measure the
+ * transfer without response latency or server buffering. The window
+ * opens when the first chunk has already arrived, so `windowBytes`
+ * counts only the bytes received after it — the ones the window timed.
+ *
+ * Bodies over `maxUploadBytes` are answered with 413 up front when the
+ * Content-Length says so, otherwise as soon as the limit is crossed; the
+ * rest of the body is discarded. Under simulated
+ * conditions the body is read no faster than `uploadKbps`.
  */
-function handleUpload(req, res) {
+function handleUpload(req, res, options = {}) {
+  const { maxUploadBytes = MAX_UPLOAD_BYTES } = options;
+  const bucket = createTokenBucket(options.conditions?.uploadKbps);
   let bytesReceived = 0;
+  let firstChunkBytes = 0;
+  let firstByteAt = null;
+  let lastByteAt = null;
+  let rejected = false;
+
+  const reject = () => {
+    rejected = true;
+    res.writeHead(413, {
+      'Content-Type': 'application/json',
+      Connection: 'close',
+      ...corsHeaders(req, options),
+    });
+    res.end(JSON.stringify({ error: 'Upload too large', maxUploadBytes }));
+  };
+
+  const declared = Number(req.headers?.['content-length']);
+  if (maxUploadBytes !== null && declared > maxUploadBytes) {
+    reject();
+  }
 
   req.on('data', (chunk) => {
+    if (rejected) return;
+
+    const now = performance.now();
+    if (firstByteAt === null) {
+      firstByteAt = now;
+      firstChunkBytes = chunk.length;
+    }
+    lastByteAt = now;
     bytesReceived += chunk.length;
+
+    if (maxUploadBytes !== null && bytesReceived > maxUploadBytes) {
+      reject();
+      return;
+    }
+
+    const wait = bucket ? bucket.take(chunk.length) : 0;
+    if (wait > 0) {
+      req.pause();
+      setTimeout(() => req.resume(), wait);
+    }
   });
 
   req.on('end', () => {
+    if (rejected) return;
+
+    const receiveMs = firstByteAt === null ? 0 : round3(lastByteAt - firstByteAt);
+
     res.writeHead(200, {
       'Content-Type': 'application/json',
       'Cache-Control': 'no-store, no-cache, must-revalidate',
-      'Access-Control-Allow-Origin': '*',
+      ...corsHeaders(req, options),
+      'Access-Control-Expose-Headers': 'Server-Timing',
+      'Server-Timing': `recv;dur=${receiveMs};desc="Upload receive window"`,
     });
-    res.end(JSON.stringify({ bytesReceived }));
+    res.end(JSON.stringify({
+      bytesReceived,
+      windowBytes: bytesReceived - firstChunkBytes,
+      firstByteAt: firstByteAt === null ? null : round3(firstByteAt),
+      lastByteAt: lastByteAt === null ? null : round3(lastByteAt),
+      receiveMs,
+    }));
   });
 
   req.on('error', () => {
+    if (rejected || res.headersSent) return;
     res.writeHead(500, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({ error: 'Upload failed' }));
   });
 }
 
-export { handlePing, handleDownload, handleUpload };
+/**
+ * GET /garbage.php?ckSize=N → LibreSpeed's download: N chunks of 1 MB
+ * (default 4, max 1024), served like /download.
+ */
+function handleGarbage(req, res, url, options) {
+  const requested = parseInt(url.searchParams.get('ckSize'), 10);
+  const chunks = Number.isFinite(requested) && requested > 0
+    ? Math.min(requested, LIBRESPEED_MAX_CHUNKS)
+    : LIBRESPEED_DEFAULT_CHUNKS;
+
+  const downloadUrl = new URL('/download', url);
+  downloadUrl.searchParams.set('bytes', String(chunks * LIBRESPEED_CHUNK_BYTES));
+  handleDownload(req, res, downloadUrl, options);
+}
+
+/**
+ * /empty.php → LibreSpeed's latency and upload endpoint. POSTs are
+ * consumed like /upload; other requests get an empty 200.
+ */
+function handleEmpty(req, res, options) {
+  if (req.method === 'POST') {
+    handleUpload(req, res, options);
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Length': '0',
+    'Cache-Control': 'no-store, no-cache, must-revalidate',
+    ...corsHeaders(req, options),
+  });
+  res.end();
+}
+
+/**
+ * GET /getIP.php → the client's IP in LibreSpeed's format, followed by
+ * the ISP when the ISP database knows it. `rawIspInfo` is always empty.
+ */
+function handleGetIp(req, res, options = {}) {
+  const ip = clientIp(req, options);
+  const isp = options.ispLookup?.(ip)?.isp;
+
+  res.writeHead(200, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store, no-cache, must-revalidate',
+    ...corsHeaders(req, options),
+  });
+  res.end(JSON.stringify({ processedString: isp ? `${ip} - ${isp}` : ip, rawIspInfo: '' }));
+}
+
+/**
+ * GET /whoami → the client's IP, as seen by this server (behind a
+ * trusted proxy, from X-Forwarded-For), with its ISP and ASN when the
+ * ISP database has them (null otherwise).
+ */
+function handleWhoami(req, res, options = {}) {
+  const ip = clientIp(req, options);
+  const network = options.ispLookup?.(ip) ?? null;
+
+  res.writeHead(200, {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store, no-cache, must-revalidate',
+    ...corsHeaders(req, options),
+  });
+  res.end(JSON.stringify({ ip, isp: network?.isp ?? null, asn: network?.asn ?? null }));
+}
+
+/**
+ * Converts an IP address to its version and numeric value.
+ *
+ * @param {string} ip
+ * @returns {{ version: 4 | 6, value: bigint } | null} Null if `ip` is not an address.
+ */
+function parseIpAddress(ip) {
+  const address = String(ip).replace(/%.*$/, ''); // IPv6 zone id
+  if (isIPv4(address)) {
+    return {
+      version: 4,
+      value: address.split('.').reduce((n, octet) => (n << 8n) + BigInt(octet), 0n),
+    };
+  }
+  if (!isIPv6(address)) return null;
+
+  // An IPv4 tail (e.g. ::ffff:192.0.2.1) stands for the last two groups.
+  let groups = address;
+  const v4Tail = /(\d+\.\d+\.\d+\.\d+)$/.exec(address);
+  if (v4Tail) {
+    const n = parseIpAddress(v4Tail[1]).value;
+    groups = `${address.slice(0, -v4Tail[1].length)}${(n >> 16n).toString(16)}:${(n & 0xffffn).toString(16)}`;
+  }
+
+  const [head, tail] = groups.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const zeros = tail === undefined ? [] : Array(8 - headGroups.length - tailGroups.length).fill('0');
+  return {
+    version: 6,
+    value: [...headGroups, ...zeros, ...tailGroups]
+      .reduce((n, group) => (n << 16n) + BigInt(parseInt(group, 16)), 0n),
+  };
+}
+
+/**
+ * Splits a CSV line into fields, honouring double-quoted fields.
+ *
+ * @param {string} line
+ * @returns {string[]}
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * Builds an IP → ISP lookup from CSV rows of
+ * `network,autonomous_system_number,autonomous_system_organization`
+ * (the GeoLite2-ASN layout), where `network` is an IPv4 or IPv6 CIDR
+ * block. A header row and malformed rows are skipped.
+ *
+ * @param {string} csv
+ * @returns {(ip: string) => { asn: number, isp: string } | null}
+ *   Null when no block contains the address.
+ */
+function createIspLookup(csv) {
+  /** Blocks per IP version, sorted by first address. */
+  const blocks = { 4: [], 6: [] };
+
+  for (const line of csv.split(/\r?\n/)) {
+    const [network, asn, isp] = parseCsvLine(line.trim());
+    const [address, prefix] = network.split('/');
+    const parsed = parseIpAddress(address);
+    const bits = parsed?.version === 4 ? 32 : 128;
+    const length = Number(prefix);
+    if (!parsed || !Number.isInteger(length) || length < 0 || length > bits || !isp) continue;
+
+    const hostMask = (1n << BigInt(bits - length)) - 1n;
+    const start = parsed.value & ~hostMask;
+    blocks[parsed.version].push({
+      start, end: start | hostMask, asn: Number(asn) || null, isp,
+    });
+  }
+  for (const list of Object.values(blocks)) {
+    list.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+  }
+
+  return (ip) => {
+    const parsed = parseIpAddress(ip);
+    if (!parsed) return null;
+
+    // Binary search for the last block starting at or before the address.
+    const list = blocks[parsed.version];
+    let low = 0;
+    let high = list.length - 1;
+    let match = null;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (list[mid].start <= parsed.value) {
+        match = list[mid];
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return match && parsed.value <= match.end ? { asn: match.asn, isp: match.isp } : null;
+  };
+}
+
+/**
+ * Reads an ISP database file (see {@link createIspLookup}).
+ *
+ * @param {string} path
+ * @returns {(ip: string) => { asn: number, isp: string } | null}
+ * @throws {Error} If the file cannot be read.
+ */
+function loadIspDatabase(path) {
+  return createIspLookup(readFileSync(path, 'utf8'));
+}
+
+/**
+ * Rounds a number to 3 decimal places (microsecond precision for ms values).
+ *
+ * @param {number} n
+ * @returns {number}
+ */
+function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+/**
+ * Encodes a single unmasked (server → client) WebSocket frame.
+ *
+ * @param {number} opcode - One of WS_OPCODE.
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function encodeWebSocketFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65_536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decodes as many complete WebSocket frames as `buffer` holds.
+ *
+ * Client frames are always masked; the payload is unmasked here.
+ * Fragmented messages are not supported (probes fit in one frame).
+ * Decoding stops at a frame whose declared length exceeds `maxPayload`,
+ * before any of its payload is buffered.
+ *
+ * @param {Buffer} buffer
+ * @param {number} [maxPayload] - Largest payload accepted, in bytes.
+ * @returns {{ frames: Array<{ opcode: number, payload: Buffer }>, rest: Buffer, tooBig: boolean }}
+ *   Decoded frames, any trailing partial frame, and whether an oversized frame was met.
+ */
+function decodeWebSocketFrames(buffer, maxPayload = MAX_WS_PAYLOAD) {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let headerLength = 2;
+
+    if (length === 126) {
+      if (buffer.length - offset < 4) break;
+      length = buffer.readUInt16BE(offset + 2);
+      headerLength = 4;
+    } else if (length === 127) {
+      if (buffer.length - offset < 10) break;
+      length = Number(buffer.readBigUInt64BE(offset + 2));
+      headerLength = 10;
+    }
+
+    if (length > maxPayload) {
+      return { frames, rest: buffer.subarray(offset), tooBig: true };
+    }
+
+    const maskLength = masked ? 4 : 0;
+    const frameLength = headerLength + maskLength + length;
+    if (buffer.length - offset < frameLength) break;
+
+    const payload = Buffer.from(buffer.subarray(
+      offset + headerLength + maskLength,
+      offset + frameLength,
+    ));
+    if (masked) {
+      const mask = buffer.subarray(offset + headerLength, offset + headerLength + 4);
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+      }
+    }
+
+    frames.push({ opcode, payload });
+    offset += frameLength;
+  }
+
+  return { frames, rest: buffer.subarray(offset), tooBig: false };
+}
+
+/**
+ * WS /ws-ping → completes the WebSocket handshake and echoes every text
+ * or binary message back unchanged, so clients can time round trips
+ * without HTTP request/header overhead.
+ *
+ * Under simulated conditions each echo is delayed by latency ± jitter,
+ * and messages are dropped at the loss rate. Upgrades from origins
+ * outside `corsOrigins` get 403, and a message larger than
+ * MAX_WS_PAYLOAD closes the connection with status 1009.
+ */
+function handleWebSocketPing(req, socket, _head, { conditions = null, corsOrigins } = {}) {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || req.headers.upgrade?.toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  if (!isAllowedUpgradeOrigin(req, corsOrigins)) {
+    socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+    return;
+  }
+
+  const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    '',
+  ].join('\r\n'));
+  socket.setNoDelay?.(true);
+
+  let pending = Buffer.alloc(0);
+  let closed = false;
+
+  const echo = (frame) => {
+    if (!conditions) {
+      socket.write(frame);
+      return;
+    }
+    if (Math.random() < conditions.lossRate) return;
+    setTimeout(() => {
+      if (!socket.destroyed) socket.write(frame);
+    }, simulatedDelay(conditions));
+  };
+
+  socket.on('data', (chunk) => {
+    if (closed) return;
+    const { frames, rest, tooBig } = decodeWebSocketFrames(Buffer.concat([pending, chunk]));
+    pending = rest;
+
+    for (const { opcode, payload } of frames) {
+      if (opcode === WS_OPCODE.TEXT || opcode === WS_OPCODE.BINARY) {
+        echo(encodeWebSocketFrame(opcode, payload));
+      } else if (opcode === WS_OPCODE.PING) {
+        socket.write(encodeWebSocketFrame(WS_OPCODE.PONG, payload));
+      } else if (opcode === WS_OPCODE.CLOSE) {
+        closed = true;
+        socket.end(encodeWebSocketFrame(WS_OPCODE.CLOSE, payload.subarray(0, 2)));
+        return;
+      }
+    }
+
+    if (tooBig) {
+      // 1009: message too big.
+      closed = true;
+      pending = Buffer.alloc(0);
+      socket.end(encodeWebSocketFrame(WS_OPCODE.CLOSE, Buffer.from([0x03, 0xf1])));
+    }
+  });
+
+  socket.on('error', () => {
+    socket.destroy();
+  });
+}
+
+export {
+  PROTOCOL_VERSION, ENDPOINTS, NETWORK_PRESETS, createTestEndpoints, corsHeaders, handlePreflight,
+  createRateLimiter, clientAddress, handleTooManyRequests,
+  clientIp, parseIpAddress, createIspLookup, loadIspDatabase,
+  parseRange, parseConditions, resolveConditions, applyConditions, createTokenBucket,
+  getServerInfo, handleInfo,
+  handlePing, handleDownload, handleUpload, handleGarbage, handleEmpty, handleGetIp,
+  handleWhoami, handleWebSocketPing, encodeWebSocketFrame, decodeWebSocketFrames,
+};
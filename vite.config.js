@@ -4,7 +4,12 @@ import testServerPlugin from './vite-plugin-test-server.js';
 export default defineConfig({
   root: '.',
   publicDir: 'public',
-  plugins: [testServerPlugin()],
+  // SIMULATE_NETWORK=3g npm run dev throttles the test endpoints and
+  // ISP_DATABASE=asn.csv lets /whoami name the client's ISP (see the plugin).
+  plugins: [testServerPlugin({
+    simulate: process.env.SIMULATE_NETWORK,
+    ispDatabase: process.env.ISP_DATABASE,
+  })],
   build: {
     outDir: 'dist',
   },